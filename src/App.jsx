@@ -1,43 +1,76 @@
-import { useState } from 'react';
+import { useState, useRef } from 'react';
 import PodcastLoader from './components/PodcastLoader';
 import EpisodeList from './components/EpisodeList';
 import AudioPlayer from './components/AudioPlayer';
 import HelpModal from './components/HelpModal';
 import SettingsModal from './components/SettingsModal';
+import NotebookModal from './components/NotebookModal';
+import ReviewModal from './components/ReviewModal';
 import { getSettings, saveSettings } from './services/settingsService';
 import { parsePodcastFeed } from './services/rssService';
+import { refreshSubscription, isSubscriptionStale, markEpisodeSeen } from './services/subscriptionService';
+import { TRANSLATION_PROVIDERS } from './services/translationService';
 import './App.css';
 
 function App() {
   const [podcast, setPodcast] = useState(null);
+  const [feedUrl, setFeedUrl] = useState('');
   const [episodes, setEpisodes] = useState([]);
   const [selectedEpisode, setSelectedEpisode] = useState(null);
   const [isHelpOpen, setIsHelpOpen] = useState(false);
   const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  const [isNotebookOpen, setIsNotebookOpen] = useState(false);
+  const [isReviewOpen, setIsReviewOpen] = useState(false);
+  const [seekRequest, setSeekRequest] = useState(null); // { episodeId, time } for the player to jump to
   const [settings, setSettings] = useState(getSettings());
 
-  const handlePodcastLoad = async (feedUrl) => {
-    const podcastData = await parsePodcastFeed(feedUrl);
+  // Feed of the podcast on screen, for refreshes that finish after the user moved on
+  const shownFeedUrlRef = useRef('');
+
+  const showPodcast = (podcastData, url) => {
+    shownFeedUrlRef.current = url;
     setPodcast(podcastData);
+    setFeedUrl(url);
     setEpisodes(podcastData.episodes);
     setSelectedEpisode(null); // Reset selection when loading new podcast
 
-    // Auto-set source language from RSS feed if available
-    if (podcastData.language) {
-      console.log('Detected podcast language:', podcastData.language);
+    // Auto-set source language from the subscription's own setting or the RSS feed if available
+    const podcastLang = podcastData.sourceLang || podcastData.language;
+    if (podcastLang) {
+      console.log('Detected podcast language:', podcastLang);
       const updatedSettings = {
         ...settings,
-        sourceLang: podcastData.language
+        sourceLang: podcastLang
       };
       setSettings(updatedSettings);
       saveSettings(updatedSettings);
     }
+  };
 
+  const handlePodcastLoad = async (feedUrl) => {
+    const podcastData = await parsePodcastFeed(feedUrl);
+    showPodcast(podcastData, feedUrl);
     return podcastData; // Return for the loader to save
   };
 
+  // Open a subscribed podcast from its cached episodes; refetch only if the cache is old
+  const handleSubscriptionOpen = (subscription) => {
+    showPodcast(subscription, subscription.feedUrl);
+    if (!isSubscriptionStale(subscription)) return;
+
+    refreshSubscription(subscription.feedUrl)
+      .then(({ subscription: updated }) => {
+        if (shownFeedUrlRef.current !== updated.feedUrl || updated.refreshError) return;
+        setPodcast(updated);
+        setEpisodes(updated.episodes);
+      })
+      .catch(error => console.warn('Failed to refresh podcast:', error));
+  };
+
   const handleEpisodeSelect = (episode) => {
     setSelectedEpisode(episode);
+    markEpisodeSeen(shownFeedUrlRef.current, episode.id)
+      .catch(error => console.warn('Failed to mark episode as seen:', error));
     // Scroll to player
     setTimeout(() => {
       document.querySelector('.audio-player')?.scrollIntoView({
@@ -47,6 +80,26 @@ function App() {
     }, 100);
   };
 
+  // Play an episode from the new episodes across all subscriptions
+  const handleNewEpisodeOpen = (subscription, episode) => {
+    handleSubscriptionOpen(subscription);
+    handleEpisodeSelect(episode);
+  };
+
+  // Previous/next for media keys and lock-screen controls, following the episode list order
+  // (matched by id: a background refresh replaces the episode objects while one is playing)
+  const selectedIndex = episodes.findIndex(episode => episode.id === selectedEpisode?.id);
+  const previousEpisode = selectedIndex > 0 ? episodes[selectedIndex - 1] : null;
+  const nextEpisode = selectedIndex >= 0 && selectedIndex < episodes.length - 1 ? episodes[selectedIndex + 1] : null;
+
+  // Play a notebook entry's moment - from the loaded feed if possible, else from the saved episode details
+  const handleJumpToMoment = (entry) => {
+    const episode = episodes.find(candidate => candidate.id === entry.episodeId) || entry.episode;
+    setIsNotebookOpen(false);
+    handleEpisodeSelect(episode);
+    setSeekRequest({ episodeId: episode.id, time: entry.startTime });
+  };
+
   const handleSettingsSave = (newSettings) => {
     setSettings(newSettings);
     setIsSettingsOpen(false);
@@ -65,6 +118,20 @@ function App() {
             >
               ⚙️ Settings
             </button>
+            <button
+              className="notebook-btn"
+              onClick={() => setIsNotebookOpen(true)}
+              title="Saved words and phrases"
+            >
+              📒 Notebook
+            </button>
+            <button
+              className="review-btn"
+              onClick={() => setIsReviewOpen(true)}
+              title="Review saved phrases with spaced repetition"
+            >
+              🧠 Review
+            </button>
             <button
               className="help-btn"
               onClick={() => setIsHelpOpen(true)}
@@ -80,13 +147,23 @@ function App() {
       </header>
 
       <main className="app-main">
-        <PodcastLoader onPodcastLoad={handlePodcastLoad} />
+        <PodcastLoader
+          onPodcastLoad={handlePodcastLoad}
+          onSubscriptionOpen={handleSubscriptionOpen}
+          onEpisodeOpen={handleNewEpisodeOpen}
+          settings={settings}
+        />
 
         {selectedEpisode && (
           <div className="player-section">
             <AudioPlayer
               episode={selectedEpisode}
               settings={settings}
+              podcastTitle={podcast?.title}
+              feedUrl={feedUrl}
+              seekRequest={seekRequest}
+              onPreviousEpisode={previousEpisode ? () => handleEpisodeSelect(previousEpisode) : null}
+              onNextEpisode={nextEpisode ? () => handleEpisodeSelect(nextEpisode) : null}
             />
           </div>
         )}
@@ -101,11 +178,17 @@ function App() {
 
       <footer className="app-footer">
         <p className="footer-note">
-          Built with React • Translation powered by MyMemory & Web Speech API
+          Built with React • Translation powered by {TRANSLATION_PROVIDERS[settings.translationProvider]?.name || 'MyMemory'} & Web Speech API
         </p>
       </footer>
 
-      <HelpModal isOpen={isHelpOpen} onClose={() => setIsHelpOpen(false)} />
+      <NotebookModal
+        isOpen={isNotebookOpen}
+        onClose={() => setIsNotebookOpen(false)}
+        onJumpToMoment={handleJumpToMoment}
+      />
+      <ReviewModal isOpen={isReviewOpen} onClose={() => setIsReviewOpen(false)} />
+      <HelpModal isOpen={isHelpOpen} onClose={() => setIsHelpOpen(false)} settings={settings} />
       <SettingsModal
         isOpen={isSettingsOpen}
         onClose={() => setIsSettingsOpen(false)}
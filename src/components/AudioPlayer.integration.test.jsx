@@ -18,7 +18,14 @@ vi.mock('../services/translationService', () => ({
   speakText: vi.fn(async () => {
     // Simulate speech delay
     await new Promise(resolve => setTimeout(resolve, 100));
-  })
+  }),
+  translateText: vi.fn(async () => 'world'),
+  resolveSourceLanguage: vi.fn((detected, requested) => requested)
+}));
+
+// Mock notebook storage
+vi.mock('../services/notebookService', () => ({
+  saveNotebookEntry: vi.fn(async (entry) => ({ ...entry, id: 1 }))
 }));
 
 // Mock RSS service
@@ -310,4 +317,191 @@ describe('AudioPlayer Integration Tests', () => {
     // Verify position was restored after second translation
     expect(audioElement.currentTime).toBe(50);
   });
+
+  it('should use the configured rewind window and quick translate buttons', async () => {
+    const user = userEvent.setup();
+    const { translateAudioSegment } = await import('../services/translationService');
+    const { container } = render(
+      <AudioPlayer
+        episode={mockEpisode}
+        settings={{ ...mockSettings, rewindSeconds: 20, showQuickTranslateButtons: true, quickTranslateWindows: [5, 30] }}
+      />
+    );
+
+    const audioElement = container.querySelector('audio');
+    audioElement.currentTime = 40;
+    audioElement.dispatchEvent(new Event('timeupdate'));
+
+    expect(screen.getByRole('button', { name: /rewind 20s & translate/i })).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: /last 5s/i }));
+
+    await waitFor(() => {
+      expect(translateAudioSegment).toHaveBeenCalled();
+    });
+    expect(translateAudioSegment.mock.calls[0][1]).toBe(5);
+  });
+
+  it('should replay the original around the translation in sandwich mode', async () => {
+    const user = userEvent.setup();
+    const { speakText } = await import('../services/translationService');
+    const { container } = render(
+      <AudioPlayer
+        episode={mockEpisode}
+        settings={{ ...mockSettings, playbackSequence: 'sandwich', replaySpeed: 0.75 }}
+      />
+    );
+
+    const audioElement = container.querySelector('audio');
+    audioElement.currentTime = 30;
+    audioElement.dispatchEvent(new Event('timeupdate'));
+
+    await user.click(screen.getByRole('button', { name: /rewind 15s & translate/i }));
+
+    // First the passage plays at normal speed
+    await waitFor(() => {
+      expect(screen.getByText('Replaying original...')).toBeInTheDocument();
+    });
+    expect(audioElement.currentTime).toBe(15);
+    expect(audioElement.playbackRate).toBe(1);
+    expect(speakText).not.toHaveBeenCalled();
+
+    audioElement.currentTime = 30;
+    audioElement.dispatchEvent(new Event('timeupdate'));
+
+    // Then the translation, then the passage again slowed down
+    await waitFor(() => {
+      expect(screen.getByText('Replaying original at 0.75x...')).toBeInTheDocument();
+    });
+    expect(speakText).toHaveBeenCalledWith('Hello world', 'en-US');
+    expect(audioElement.currentTime).toBe(15);
+    expect(audioElement.playbackRate).toBe(0.75);
+
+    audioElement.currentTime = 30;
+    audioElement.dispatchEvent(new Event('timeupdate'));
+
+    await waitFor(() => {
+      expect(screen.getByText(/translation complete/i)).toBeInTheDocument();
+    });
+    expect(audioElement.currentTime).toBe(30);
+    expect(audioElement.playbackRate).toBe(1);
+  });
+
+  it('should loop the last translated segment', async () => {
+    const user = userEvent.setup();
+    const { container } = render(
+      <AudioPlayer episode={mockEpisode} settings={mockSettings} />
+    );
+
+    const audioElement = container.querySelector('audio');
+    audioElement.currentTime = 30;
+    audioElement.dispatchEvent(new Event('timeupdate'));
+
+    const loopButton = screen.getByRole('button', { name: /loop last translation/i });
+    expect(loopButton).toBeDisabled();
+
+    await user.click(screen.getByRole('button', { name: /rewind 15s & translate/i }));
+    await waitFor(() => {
+      expect(loopButton).not.toBeDisabled();
+    });
+
+    await user.click(loopButton);
+    expect(audioElement.currentTime).toBe(10);
+    expect(screen.getByRole('button', { name: 'A 0:10' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'B 0:25' })).toBeInTheDocument();
+
+    // Passing B jumps back to A
+    audioElement.currentTime = 25.2;
+    audioElement.dispatchEvent(new Event('timeupdate'));
+    expect(audioElement.currentTime).toBe(10);
+
+    await user.click(screen.getByRole('button', { name: /clear loop/i }));
+    audioElement.currentTime = 25.2;
+    audioElement.dispatchEvent(new Event('timeupdate'));
+    expect(audioElement.currentTime).toBe(25.2);
+  });
+
+  it('should set loop points from the keyboard and change speed', async () => {
+    const user = userEvent.setup();
+    const { container } = render(
+      <AudioPlayer episode={mockEpisode} settings={mockSettings} />
+    );
+
+    const audioElement = container.querySelector('audio');
+    audioElement.currentTime = 40;
+    await user.keyboard('[[');
+    audioElement.currentTime = 44;
+    await user.keyboard(']');
+
+    expect(screen.getByRole('button', { name: 'A 0:40' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'B 0:44' })).toBeInTheDocument();
+
+    await user.selectOptions(screen.getByRole('combobox', { name: /playback speed/i }), '0.75');
+    expect(audioElement.playbackRate).toBe(0.75);
+    expect(audioElement.preservesPitch).toBe(true);
+  });
+
+  it('should control playback and translation from the keyboard', async () => {
+    const user = userEvent.setup();
+    const { translateAudioSegment } = await import('../services/translationService');
+    const { container } = render(
+      <AudioPlayer episode={mockEpisode} settings={mockSettings} />
+    );
+
+    const audioElement = container.querySelector('audio');
+    audioElement.currentTime = 30;
+    audioElement.dispatchEvent(new Event('timeupdate'));
+
+    await user.keyboard(' ');
+    expect(audioElement.play).toHaveBeenCalled();
+
+    await user.keyboard('s');
+    expect(audioElement.playbackRate).toBe(0.9);
+
+    await user.keyboard('t');
+    await waitFor(() => {
+      expect(translateAudioSegment).toHaveBeenCalled();
+    });
+  });
+
+  it('should save the translation and a selected word to the notebook', async () => {
+    const user = userEvent.setup();
+    const { saveNotebookEntry } = await import('../services/notebookService');
+    const { translateText } = await import('../services/translationService');
+    const { container } = render(
+      <AudioPlayer episode={{ ...mockEpisode, id: 'ep-1' }} settings={mockSettings} feedUrl="https://example.com/feed.xml" />
+    );
+
+    const audioElement = container.querySelector('audio');
+    audioElement.currentTime = 30;
+    audioElement.dispatchEvent(new Event('timeupdate'));
+
+    await user.click(screen.getByRole('button', { name: /rewind 15s & translate/i }));
+    await user.click(await screen.findByRole('button', { name: '⭐ Save' }));
+
+    await waitFor(() => {
+      expect(saveNotebookEntry).toHaveBeenCalledWith(expect.objectContaining({
+        originalText: 'Hola mundo',
+        translatedText: 'Hello world',
+        sourceLang: 'es',
+        targetLang: 'en',
+        type: 'phrase',
+        feedUrl: 'https://example.com/feed.xml',
+        startTime: 10,
+        endTime: 25
+      }));
+    });
+    expect(saveNotebookEntry.mock.calls[0][0].episode.id).toBe('ep-1');
+
+    // Select a single word in the original text
+    vi.spyOn(window, 'getSelection').mockReturnValue({ toString: () => 'mundo' });
+    await user.pointer({ keys: '[MouseLeft]', target: screen.getByText('Hola mundo') });
+    await user.click(screen.getByRole('button', { name: '⭐ Save “mundo”' }));
+
+    await waitFor(() => {
+      expect(saveNotebookEntry).toHaveBeenCalledTimes(2);
+    });
+    expect(translateText).toHaveBeenCalledWith('mundo', 'es', 'en', mockSettings);
+    expect(saveNotebookEntry.mock.calls[1][0]).toMatchObject({ originalText: 'mundo', translatedText: 'world', type: 'word' });
+  });
 });
@@ -1,23 +1,84 @@
-import { useState, useRef, useEffect } from 'react';
-import { translateAudioSegment, speakText } from '../services/translationService';
+import { useState, useRef, useEffect, useMemo } from 'react';
+import { translateAudioSegment, translateText, resolveSourceLanguage } from '../services/translationService';
 import { getCorsProxiedUrl, CORS_PROXIES } from '../services/rssService';
 import { AudioBufferManager } from '../services/audioBufferManager';
+import { TranslateForwardSession } from '../services/translateForwardSession';
+import { buildPlaybackScript, runPlaybackScript } from '../services/playbackScript';
+import { PLAYBACK_RATES, applyPlaybackRate, getNextPlaybackRate, createLoop, getLoopSeekTarget } from '../services/playbackControls';
+import { getShortcuts, matchShortcut, formatKey } from '../services/keyboardShortcuts';
+import { setMediaSessionMetadata, setMediaSessionHandlers, updateMediaSessionState } from '../services/mediaSession';
+import { saveNotebookEntry } from '../services/notebookService';
+import { clampRewindSeconds, parseQuickTranslateWindows, getMaxRewindSeconds } from '../services/settingsService';
+import { onLocalWhisperProgress } from '../services/transcription/localWhisperTranscription';
+import { buildTranscriptCues, formatTranscript } from '../services/transcriptExport';
+import TranscriptPanel from './TranscriptPanel';
+import {
+  transcribeFullEpisode,
+  getEpisodeTranscriptionJob,
+  FULL_EPISODE_METHODS
+} from '../services/transcription/episodeTranscriptionJob';
 import './AudioPlayer.css';
 
-export default function AudioPlayer({ episode, settings = {} }) {
+// Longest selection saved as a single word/expression rather than a phrase
+const MAX_SELECTION_LENGTH = 80;
+
+// Voice used to speak translations
+const getSpeechLang = (targetLang) => targetLang === 'en' ? 'en-US' : targetLang === 'es' ? 'es-ES' : targetLang;
+
+export default function AudioPlayer({
+  episode,
+  settings = {},
+  podcastTitle = '',
+  feedUrl = '',
+  seekRequest = null,
+  onPreviousEpisode = null,
+  onNextEpisode = null
+}) {
   const audioRef = useRef(null);
   const bufferManagerRef = useRef(null);
+  const translateForwardRef = useRef(null);
+  const episodeJobAbortRef = useRef(null);
+  const playbackScriptAbortRef = useRef(null);
+  const hideTextsTimerRef = useRef(null);
+  const appliedSeekRef = useRef(null);
+  const lastClipRef = useRef(null); // Buffered recording of the last translated passage
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
   const [isTranslating, setIsTranslating] = useState(false);
   const [translationStatus, setTranslationStatus] = useState('');
-  const [rewindSeconds] = useState(15);
   const [proxyIndex, setProxyIndex] = useState(0);
   const [audioSrc, setAudioSrc] = useState('');
   const [transcribedText, setTranscribedText] = useState('');
+  const [transcribedSegments, setTranscribedSegments] = useState([]);
   const [translatedText, setTranslatedText] = useState('');
   const [showTranslationTexts, setShowTranslationTexts] = useState(false);
+  const [episodeJob, setEpisodeJob] = useState(null); // { phase, completed, total, loadedBytes, totalBytes, error }
+  const [episodeTranscript, setEpisodeTranscript] = useState(null);
+  const [translateForward, setTranslateForward] = useState(false);
+  const [speakForward, setSpeakForward] = useState(false);
+  const [forwardSubtitles, setForwardSubtitles] = useState([]);
+  const [forwardError, setForwardError] = useState('');
+  const [playbackRate, setPlaybackRate] = useState(1);
+  const [loopStart, setLoopStart] = useState(null);
+  const [loopEnd, setLoopEnd] = useState(null);
+  const [lastSegment, setLastSegment] = useState(null); // { startTime, endTime } of the last translation
+  const [translationLangs, setTranslationLangs] = useState(null); // { sourceLang, targetLang } of the last translation
+  const [selectedText, setSelectedText] = useState('');
+  const [notebookStatus, setNotebookStatus] = useState('');
+
+  const rewindSeconds = clampRewindSeconds(settings.rewindSeconds ?? 15);
+  const quickTranslateWindows = settings.showQuickTranslateButtons
+    ? parseQuickTranslateWindows(settings.quickTranslateWindows || [])
+    : [];
+  // The continuous buffer has to hold the longest window any button can ask for
+  const bufferSeconds = getMaxRewindSeconds(settings);
+  const translateForwardSeconds = clampRewindSeconds(settings.translateForwardSeconds ?? 10);
+  // Only methods that upload an audio file can use the buffer
+  const usesContinuousBuffer = (settings.audioBufferStrategy || 'continuous') === 'continuous' &&
+    FULL_EPISODE_METHODS.includes(settings.transcriptionMethod);
+  const loop = createLoop(loopStart, loopEnd);
+  const shortcuts = getShortcuts(settings);
 
   // Set audio source when episode changes
   useEffect(() => {
@@ -27,8 +88,38 @@ export default function AudioPlayer({ episode, settings = {} }) {
       setAudioSrc(proxiedUrl);
       console.log('Loading audio from:', proxiedUrl);
     }
+    // Loops and the last translation belong to the previous episode
+    setLoopStart(null);
+    setLoopEnd(null);
+    setLastSegment(null);
+    lastClipRef.current = null;
   }, [episode?.audioUrl]);
 
+  // Restore a saved whole-episode transcription job (finished or interrupted)
+  useEffect(() => {
+    setEpisodeJob(null);
+    setEpisodeTranscript(null);
+    if (!episode?.id) return;
+
+    let cancelled = false;
+    const jobSettings = { transcriptionMethod: settings.transcriptionMethod, sourceLang: settings.sourceLang };
+    getEpisodeTranscriptionJob(episode.id, jobSettings)
+      .then(job => {
+        if (cancelled || !job) return;
+        if (job.transcript) {
+          setEpisodeTranscript(job.transcript);
+        } else {
+          setEpisodeJob({ phase: 'paused', completed: job.completedChunks, total: job.chunks.length });
+        }
+      })
+      .catch(e => console.warn('Failed to load transcription job:', e));
+
+    return () => {
+      cancelled = true;
+      episodeJobAbortRef.current?.abort();
+    };
+  }, [episode?.id, settings.transcriptionMethod, settings.sourceLang]);
+
   // Handle audio error and try next CORS proxy
   useEffect(() => {
     const audio = audioRef.current;
@@ -59,37 +150,119 @@ export default function AudioPlayer({ episode, settings = {} }) {
     const audio = audioRef.current;
     if (!audio) return;
 
-    const handleTimeUpdate = () => setCurrentTime(audio.currentTime);
+    const handleTimeUpdate = () => {
+      setCurrentTime(audio.currentTime);
+      updateMediaSessionState(audio);
+    };
     const handleDurationChange = () => setDuration(audio.duration);
     const handleEnded = () => setIsPlaying(false);
+    // Media keys and the lock screen play/pause the element directly - keep the button in sync
+    const handlePlay = () => {
+      setIsPlaying(true);
+      updateMediaSessionState(audio);
+    };
+    const handlePause = () => {
+      setIsPlaying(false);
+      updateMediaSessionState(audio);
+    };
 
     audio.addEventListener('timeupdate', handleTimeUpdate);
     audio.addEventListener('durationchange', handleDurationChange);
     audio.addEventListener('ended', handleEnded);
+    audio.addEventListener('play', handlePlay);
+    audio.addEventListener('pause', handlePause);
 
     return () => {
       audio.removeEventListener('timeupdate', handleTimeUpdate);
       audio.removeEventListener('durationchange', handleDurationChange);
       audio.removeEventListener('ended', handleEnded);
+      audio.removeEventListener('play', handlePlay);
+      audio.removeEventListener('pause', handlePause);
     };
   }, []);
 
+  // Keep the chosen speed (pitch preserved) across episodes
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    applyPlaybackRate(audio, playbackRate);
+  }, [playbackRate, audioSrc]);
+
+  // A-B loop: jump back to A whenever playback passes B
+  useEffect(() => {
+    const audio = audioRef.current;
+    const activeLoop = createLoop(loopStart, loopEnd);
+    if (!audio || !activeLoop) return;
+
+    const handleTimeUpdate = () => {
+      // Drill sequences seek around on their own
+      if (playbackScriptAbortRef.current) return;
+      const target = getLoopSeekTarget(audio.currentTime, activeLoop);
+      if (target !== null) {
+        audio.currentTime = target;
+      }
+    };
+
+    audio.addEventListener('timeupdate', handleTimeUpdate);
+    return () => audio.removeEventListener('timeupdate', handleTimeUpdate);
+  }, [loopStart, loopEnd]);
+
+  // Headset buttons, media keys and lock-screen controls
+  useEffect(() => {
+    if (!episode) return;
+    setMediaSessionMetadata(episode, podcastTitle);
+
+    const seekBy = (seconds) => {
+      const audio = audioRef.current;
+      audio.currentTime = Math.max(0, Math.min(audio.currentTime + seconds, audio.duration || Infinity));
+    };
+
+    return setMediaSessionHandlers({
+      play: () => audioRef.current.play(),
+      pause: () => audioRef.current.pause(),
+      seekbackward: (details) => seekBy(-(details.seekOffset || 15)),
+      seekforward: (details) => seekBy(details.seekOffset || 15),
+      seekto: (details) => {
+        audioRef.current.currentTime = details.seekTime;
+      },
+      previoustrack: onPreviousEpisode,
+      nexttrack: onNextEpisode
+    });
+  }, [episode, podcastTitle, onPreviousEpisode, onNextEpisode]);
+
+  // Jump to a moment requested from outside (e.g. a notebook entry) once the episode is loaded
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!audio || !seekRequest || appliedSeekRef.current === seekRequest) return;
+    if (seekRequest.episodeId !== episode?.id) return;
+
+    const applySeek = () => {
+      appliedSeekRef.current = seekRequest;
+      audio.currentTime = seekRequest.time;
+      setCurrentTime(seekRequest.time);
+    };
+
+    if (audio.readyState >= 1) {
+      applySeek();
+      return;
+    }
+    audio.addEventListener('loadedmetadata', applySeek, { once: true });
+    return () => audio.removeEventListener('loadedmetadata', applySeek);
+  }, [seekRequest, episode?.id, audioSrc]);
+
   // Initialize and manage audio buffer for continuous buffering strategy
   useEffect(() => {
     const audio = audioRef.current;
     if (!audio || !audioSrc) return;
 
-    const bufferStrategy = settings.audioBufferStrategy || 'continuous';
-    const usesContinuousBuffer = bufferStrategy === 'continuous' &&
-      (settings.transcriptionMethod === 'whisper' || settings.transcriptionMethod === 'selfhosted');
-
     if (usesContinuousBuffer) {
       // Initialize buffer manager
       if (!bufferManagerRef.current) {
         console.log('Initializing continuous audio buffer');
-        bufferManagerRef.current = new AudioBufferManager(audio, rewindSeconds * 1000);
+        bufferManagerRef.current = new AudioBufferManager(audio, bufferSeconds * 1000);
       } else {
         // Update source if episode changed
+        bufferManagerRef.current.setBufferDuration(bufferSeconds * 1000);
         bufferManagerRef.current.updateSource(audio);
       }
 
@@ -129,10 +302,57 @@ export default function AudioPlayer({ episode, settings = {} }) {
         bufferManagerRef.current = null;
       }
     };
-  }, [audioSrc, settings.audioBufferStrategy, settings.transcriptionMethod, rewindSeconds]);
+  }, [audioSrc, usesContinuousBuffer, bufferSeconds]);
+
+  // Translate-forward mode: subtitle consecutive segments from the buffer while the episode plays
+  useEffect(() => {
+    const bufferManager = bufferManagerRef.current;
+    if (!translateForward || !usesContinuousBuffer || !bufferManager) return;
+
+    const session = new TranslateForwardSession({
+      bufferManager,
+      audioElement: audioRef.current,
+      segmentSeconds: translateForwardSeconds,
+      settings,
+      speechLang: getSpeechLang(settings.targetLang || 'en'),
+      onUpdate: (subtitles) => {
+        setForwardSubtitles(subtitles);
+        setForwardError('');
+      },
+      onError: (error) => setForwardError(error.message)
+    });
+    translateForwardRef.current = session;
+    session.start();
+
+    return () => {
+      session.stop();
+      translateForwardRef.current = null;
+      setForwardSubtitles([]);
+      setForwardError('');
+    };
+  }, [translateForward, usesContinuousBuffer, audioSrc, bufferSeconds, translateForwardSeconds, settings]);
+
+  // Spoken translations can be switched without restarting the session
+  useEffect(() => {
+    translateForwardRef.current?.setSpeak(speakForward);
+  }, [speakForward, translateForward, settings]);
+
+  // Stop a running replay/translation sequence when the episode changes or the player unmounts
+  useEffect(() => {
+    return () => playbackScriptAbortRef.current?.abort();
+  }, [audioSrc]);
+
+  useEffect(() => {
+    return () => clearTimeout(hideTextsTimerRef.current);
+  }, []);
 
   const togglePlayPause = () => {
     const audio = audioRef.current;
+    // While a drill sequence runs, play/pause stops it
+    if (playbackScriptAbortRef.current) {
+      playbackScriptAbortRef.current.abort();
+      return;
+    }
     if (isPlaying) {
       audio.pause();
     } else {
@@ -146,6 +366,61 @@ export default function AudioPlayer({ episode, settings = {} }) {
     audio.currentTime = Math.max(0, Math.min(audio.currentTime + seconds, audio.duration));
   };
 
+  const seekTo = (time) => {
+    const audio = audioRef.current;
+    audio.currentTime = Math.max(0, Math.min(time, audio.duration || time));
+    setCurrentTime(audio.currentTime);
+  };
+
+  const setLoopPoint = (point) => {
+    const time = audioRef.current.currentTime;
+    if (point === 'start') {
+      setLoopStart(time);
+    } else {
+      setLoopEnd(time);
+    }
+  };
+
+  const clearLoop = () => {
+    setLoopStart(null);
+    setLoopEnd(null);
+  };
+
+  // Shadowing: repeat the passage that was just translated
+  const loopLastSegment = () => {
+    if (!lastSegment) return;
+    setLoopStart(lastSegment.startTime);
+    setLoopEnd(lastSegment.endTime);
+    seekTo(lastSegment.startTime);
+  };
+
+  // Keyboard shortcuts - re-registered every render so handlers see the current state
+  useEffect(() => {
+    const actions = {
+      playPause: togglePlayPause,
+      skipBack: () => skipTime(-15),
+      skipForward: () => skipTime(15),
+      translate: () => {
+        if (!isTranslating && currentTime >= 1) rewindAndTranslate();
+      },
+      loopLast: loopLastSegment,
+      cycleSpeed: () => setPlaybackRate(rate => getNextPlaybackRate(rate)),
+      setLoopStart: () => setLoopPoint('start'),
+      setLoopEnd: () => setLoopPoint('end'),
+      clearLoop
+    };
+
+    const handleKeyDown = (e) => {
+      const action = matchShortcut(e, shortcuts);
+      if (!action || !audioRef.current) return;
+      e.preventDefault();
+      actions[action]();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
   const handleSeek = (e) => {
     const audio = audioRef.current;
     const rect = e.currentTarget.getBoundingClientRect();
@@ -154,23 +429,37 @@ export default function AudioPlayer({ episode, settings = {} }) {
   };
 
   // The special feature: Rewind and translate to English
-  const rewindAndTranslate = async () => {
+  const rewindAndTranslate = async (seconds = rewindSeconds) => {
     const audio = audioRef.current;
     const wasPlaying = isPlaying;
     const originalPosition = audio.currentTime; // Save original position
 
+    // In-browser Whisper downloads its model on first use - show how far along it is
+    const stopProgress = onLocalWhisperProgress((progress) => {
+      if (progress.phase === 'downloading' && progress.total) {
+        const percent = Math.round((progress.loaded / progress.total) * 100);
+        setTranslationStatus(`Downloading Whisper model... ${percent}% (first time only)`);
+      } else if (progress.phase === 'transcribing') {
+        setTranslationStatus('Transcribing in your browser...');
+      }
+    });
+
     try {
       // Force pause the audio immediately
       audio.pause();
       setIsPlaying(false);
 
       // Clear previous texts
+      clearTimeout(hideTextsTimerRef.current);
+      setSelectedText('');
+      setNotebookStatus('');
       setTranscribedText('');
+      setTranscribedSegments([]);
       setTranslatedText('');
       setShowTranslationTexts(false);
 
       setIsTranslating(true);
-      setTranslationStatus('Preparing to translate last 15 seconds...');
+      setTranslationStatus(`Preparing to translate last ${seconds} seconds...`);
 
       // Source language: use from settings (may be 'auto' or RSS-detected)
       const sourceLang = settings.sourceLang || 'auto';
@@ -178,36 +467,53 @@ export default function AudioPlayer({ episode, settings = {} }) {
 
       // Get buffered audio if using continuous strategy
       let audioBuffer = null;
+      // Whisper backends cut the segment from the file; browser recognition has to listen in real time.
+      // Episodes with a publisher transcript are read from it instead, unless it doesn't cover the passage.
+      const hasPublisherTranscript = settings.usePublisherTranscripts !== false && episode?.transcripts?.length > 0;
+      const onDemandStatus = hasPublisherTranscript
+        ? 'Reading the publisher transcript... 📝'
+        : settings.transcriptionMethod === 'browser'
+          ? 'Recording and transcribing audio...'
+          : 'Extracting and transcribing audio...';
       const bufferStrategy = settings.audioBufferStrategy || 'continuous';
       if (bufferStrategy === 'continuous' && bufferManagerRef.current && bufferManagerRef.current.isRecording) {
         try {
-          audioBuffer = bufferManagerRef.current.getBufferedAudio();
+          audioBuffer = bufferManagerRef.current.getBufferedAudio(seconds);
           setTranslationStatus('Transcribing buffered audio... ⚡');
         } catch (error) {
           console.warn('Failed to get buffered audio, falling back to on-demand:', error.message);
-          setTranslationStatus('Recording audio segment...');
+          setTranslationStatus(onDemandStatus);
         }
       } else {
-        setTranslationStatus('Recording and transcribing audio...');
+        setTranslationStatus(onDemandStatus);
       }
 
       // Use the transcription strategy pattern
       const result = await translateAudioSegment(
         audio,
-        rewindSeconds,
+        seconds,
         sourceLang,
         targetLang,
         settings,
-        audioBuffer  // Pass buffer if available
+        audioBuffer,  // Pass buffer if available
+        episode  // Lets repeated rewinds over the same passage hit the transcription cache
       );
 
       // Show transcribed text
       setTranscribedText(result.originalText);
+      setTranscribedSegments(result.segments || []);
       setShowTranslationTexts(true);
+      setLastSegment(result.segment);
+      // Kept for the notebook, so review cards can replay the exact passage
+      lastClipRef.current = audioBuffer;
+      setTranslationLangs({
+        sourceLang: resolveSourceLanguage(result.detectedLanguage, sourceLang),
+        targetLang
+      });
 
       // After browser transcription, reload audio element to reset it
       // This is necessary because createMediaElementSource permanently connects the audio
-      if (settings.transcriptionMethod === 'browser') {
+      if (settings.transcriptionMethod === 'browser' && result.transcriptSource !== 'publisher') {
         console.log('Reloading audio element after browser transcription...');
 
         // Force reload the audio element
@@ -225,14 +531,38 @@ export default function AudioPlayer({ episode, settings = {} }) {
         audio.currentTime = originalPosition;
       }
 
-      setTranslationStatus('Speaking translation...');
-
       // Show translated text
       setTranslatedText(result.translatedText);
 
-      // Speak the translation using browser TTS
-      const targetLangCode = targetLang === 'en' ? 'en-US' : targetLang === 'es' ? 'es-ES' : targetLang;
-      await speakText(result.translatedText, targetLangCode);
+      // Run the drill sequence: translation only, or replays of the passage around it
+      const replaySpeed = settings.replaySpeed ?? 1;
+      const script = buildPlaybackScript({
+        sequence: settings.playbackSequence,
+        startTime: Math.max(0, originalPosition - seconds),
+        endTime: originalPosition,
+        translatedText: result.translatedText,
+        speechLang: getSpeechLang(targetLang),
+        replaySpeed
+      });
+      const scriptAbortController = new AbortController();
+      playbackScriptAbortRef.current = scriptAbortController;
+      try {
+        await runPlaybackScript(audio, script, {
+          signal: scriptAbortController.signal,
+          onStep: (step, index) => {
+            if (step.type === 'speak') {
+              setTranslationStatus('Speaking translation...');
+            } else if (index === script.length - 1 && step.playbackRate !== 1) {
+              setTranslationStatus(`Replaying original at ${step.playbackRate}x...`);
+            } else {
+              setTranslationStatus('Replaying original...');
+            }
+          }
+        });
+      } finally {
+        playbackScriptAbortRef.current = null;
+      }
+      audio.currentTime = originalPosition;
 
       setTranslationStatus('Translation complete!');
 
@@ -243,30 +573,132 @@ export default function AudioPlayer({ episode, settings = {} }) {
       }
 
       // Clear status and texts after a delay
-      setTimeout(() => {
-        setTranslationStatus('');
-        setShowTranslationTexts(false);
-        // Clear texts after fade out
-        setTimeout(() => {
-          setTranscribedText('');
-          setTranslatedText('');
-        }, 300); // Match CSS transition duration
-      }, 3000);
+      scheduleHideTranslationTexts();
 
     } catch (error) {
       // Restore original position on error
       audio.currentTime = originalPosition;
 
+      if (error.name === 'AbortError') {
+        // Stopped by the listener - stay paused at the original position
+        setTranslationStatus('');
+        return;
+      }
+
       setTranslationStatus(`Error: ${error.message}`);
       console.error('Translation error:', error);
 
       // Clear error after a delay
       setTimeout(() => setTranslationStatus(''), 5000);
     } finally {
+      stopProgress();
       setIsTranslating(false);
     }
   };
 
+  const scheduleHideTranslationTexts = () => {
+    clearTimeout(hideTextsTimerRef.current);
+    hideTextsTimerRef.current = setTimeout(() => {
+      setTranslationStatus('');
+      setShowTranslationTexts(false);
+      setSelectedText('');
+      // Clear texts after fade out
+      hideTextsTimerRef.current = setTimeout(() => {
+        setTranscribedText('');
+        setTranslatedText('');
+      }, 300); // Match CSS transition duration
+    }, 3000);
+  };
+
+  // Keep the texts on screen while the learner is reading, selecting or saving them
+  const holdTranslationTexts = () => {
+    if (showTranslationTexts) {
+      clearTimeout(hideTextsTimerRef.current);
+    }
+  };
+
+  const releaseTranslationTexts = () => {
+    if (showTranslationTexts && !isTranslating) {
+      scheduleHideTranslationTexts();
+    }
+  };
+
+  const handleTextSelection = () => {
+    const selection = window.getSelection()?.toString().trim() || '';
+    setSelectedText(selection.length <= MAX_SELECTION_LENGTH ? selection : '');
+  };
+
+  // Save the last translation, or just the selected word(s) with their own translation
+  const saveToNotebook = async (type) => {
+    const langs = translationLangs || { sourceLang: settings.sourceLang || 'auto', targetLang: settings.targetLang || 'en' };
+    try {
+      let originalText = transcribedText;
+      let translation = translatedText;
+      if (type === 'word') {
+        originalText = selectedText;
+        setNotebookStatus(`Translating "${selectedText}"...`);
+        translation = await translateText(selectedText, langs.sourceLang, langs.targetLang, settings);
+      }
+
+      await saveNotebookEntry({
+        originalText,
+        translatedText: translation,
+        sourceLang: langs.sourceLang,
+        targetLang: langs.targetLang,
+        type,
+        episode,
+        feedUrl,
+        podcastTitle,
+        startTime: lastSegment?.startTime ?? null,
+        endTime: lastSegment?.endTime ?? null,
+        audioClip: lastClipRef.current
+      });
+      setNotebookStatus(type === 'word' ? `⭐ Saved "${originalText}" → ${translation}` : '⭐ Saved to notebook');
+      setSelectedText('');
+    } catch (error) {
+      console.error('Failed to save to notebook:', error);
+      setNotebookStatus(`Could not save: ${error.message}`);
+    }
+  };
+
+  // Transcribe the whole episode in chunks; progress is saved so it can resume later
+  const transcribeEpisode = async () => {
+    const abortController = new AbortController();
+    episodeJobAbortRef.current = abortController;
+    setEpisodeJob({ phase: 'downloading', completed: 0, total: 0 });
+
+    try {
+      const transcript = await transcribeFullEpisode(episode, audioSrc, settings, {
+        signal: abortController.signal,
+        onProgress: (progress) => setEpisodeJob(progress)
+      });
+      setEpisodeTranscript(transcript);
+      setEpisodeJob(null);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        setEpisodeJob(prev => ({ ...prev, phase: 'paused' }));
+      } else {
+        console.error('Episode transcription error:', error);
+        setEpisodeJob(prev => ({ ...prev, phase: 'paused', error: error.message }));
+      }
+    } finally {
+      episodeJobAbortRef.current = null;
+    }
+  };
+
+  const cancelEpisodeTranscription = () => {
+    episodeJobAbortRef.current?.abort();
+  };
+
+  const formatEpisodeJobStatus = (job) => {
+    if (job.phase === 'downloading') {
+      return job.totalBytes
+        ? `Downloading episode... ${Math.round((job.loadedBytes / job.totalBytes) * 100)}%`
+        : 'Downloading episode...';
+    }
+    return `Transcribing chunk ${Math.min(job.completed + 1, job.total)} of ${job.total}...`;
+  };
+
   const formatTime = (seconds) => {
     if (isNaN(seconds)) return '0:00';
     const mins = Math.floor(seconds / 60);
@@ -274,13 +706,30 @@ export default function AudioPlayer({ episode, settings = {} }) {
     return `${mins}:${secs.toString().padStart(2, '0')}`;
   };
 
+  // The transcript as a subtitle track, for browsers and extensions that show captions for audio
+  const transcriptTrackSrc = useMemo(() => {
+    if (!episodeTranscript?.segments?.length) return null;
+    const cues = buildTranscriptCues(episodeTranscript, { lang: episodeTranscript.language });
+    return `data:text/vtt;charset=utf-8,${encodeURIComponent(formatTranscript(cues, 'vtt'))}`;
+  }, [episodeTranscript]);
+
   if (!episode) {
     return <div className="audio-player empty">No episode selected</div>;
   }
 
   return (
     <div className="audio-player">
-      <audio ref={audioRef} src={audioSrc} preload="metadata" crossOrigin="anonymous" />
+      <audio ref={audioRef} src={audioSrc} preload="metadata" crossOrigin="anonymous">
+        {transcriptTrackSrc && (
+          <track
+            kind="subtitles"
+            src={transcriptTrackSrc}
+            srcLang={episodeTranscript.language}
+            label="Transcript"
+            default
+          />
+        )}
+      </audio>
 
       <div className="episode-info">
         {episode.image && (
@@ -298,6 +747,15 @@ export default function AudioPlayer({ episode, settings = {} }) {
             className="progress-fill"
             style={{ width: `${(currentTime / duration) * 100 || 0}%` }}
           />
+          {loop && duration > 0 && (
+            <div
+              className="loop-range"
+              style={{
+                left: `${(loop.start / duration) * 100}%`,
+                width: `${((loop.end - loop.start) / duration) * 100}%`
+              }}
+            />
+          )}
         </div>
         <div className="time-display">
           <span>{formatTime(currentTime)}</span>
@@ -327,17 +785,174 @@ export default function AudioPlayer({ episode, settings = {} }) {
         </button>
       </div>
 
+      <div className="playback-tools">
+        <select
+          value={playbackRate}
+          onChange={(e) => setPlaybackRate(Number(e.target.value))}
+          className="playback-rate-select"
+          aria-label="Playback speed"
+          title={`Playback speed, pitch is preserved (${formatKey(shortcuts.cycleSpeed)} slows down)`}
+        >
+          {PLAYBACK_RATES.map(rate => (
+            <option key={rate} value={rate}>{rate}×</option>
+          ))}
+        </select>
+
+        <div className="ab-loop">
+          <button
+            onClick={() => setLoopPoint('start')}
+            className={`loop-btn ${loopStart !== null ? 'set' : ''}`}
+            title={`Set loop start at the current position (${formatKey(shortcuts.setLoopStart)})`}
+          >
+            A{loopStart !== null && ` ${formatTime(loopStart)}`}
+          </button>
+          <button
+            onClick={() => setLoopPoint('end')}
+            className={`loop-btn ${loopEnd !== null ? 'set' : ''}`}
+            title={`Set loop end at the current position (${formatKey(shortcuts.setLoopEnd)})`}
+          >
+            B{loopEnd !== null && ` ${formatTime(loopEnd)}`}
+          </button>
+          {(loopStart !== null || loopEnd !== null) && (
+            <button onClick={clearLoop} className="loop-btn" title={`Clear loop (${formatKey(shortcuts.clearLoop)})`} aria-label="Clear loop">
+              ✕
+            </button>
+          )}
+        </div>
+
+        <button
+          onClick={loopLastSegment}
+          disabled={!lastSegment}
+          className="loop-btn"
+          title={`Repeat the last translated passage (${formatKey(shortcuts.loopLast)})`}
+        >
+          🔁 Loop last translation
+        </button>
+      </div>
+
       <div className="translation-controls">
         <button
-          onClick={rewindAndTranslate}
+          onClick={() => rewindAndTranslate()}
           disabled={isTranslating || currentTime < 1}
           className="translate-btn"
-          title="Rewind 15 seconds and play translation in English"
+          title={`Rewind ${rewindSeconds} seconds and play the translation (${formatKey(shortcuts.translate)})`}
         >
-          {isTranslating ? '⏳ Translating...' : '🔄 Rewind 15s & Translate'}
+          {isTranslating ? '⏳ Translating...' : `🔄 Rewind ${rewindSeconds}s & Translate`}
         </button>
+
+        {quickTranslateWindows.length > 0 && (
+          <div className="quick-translate">
+            {quickTranslateWindows.map(seconds => (
+              <button
+                key={seconds}
+                onClick={() => rewindAndTranslate(seconds)}
+                disabled={isTranslating || currentTime < 1}
+                className="quick-translate-btn"
+                title={`Translate the last ${seconds} seconds`}
+              >
+                Last {seconds}s
+              </button>
+            ))}
+          </div>
+        )}
+
+        <div className="translate-forward">
+          <label className="translate-forward-toggle">
+            <input
+              type="checkbox"
+              checked={translateForward}
+              onChange={(e) => setTranslateForward(e.target.checked)}
+              disabled={!usesContinuousBuffer}
+            />
+            Translate forward
+          </label>
+          {translateForward && (
+            <label className="translate-forward-toggle">
+              <input
+                type="checkbox"
+                checked={speakForward}
+                onChange={(e) => setSpeakForward(e.target.checked)}
+              />
+              🔊 Speak translations
+            </label>
+          )}
+          {!usesContinuousBuffer && (
+            <small className="translate-forward-hint">
+              Needs a Whisper transcription method with continuous buffering (Settings)
+            </small>
+          )}
+        </div>
       </div>
 
+      {translateForward && usesContinuousBuffer && (
+        <div className="live-subtitles" aria-live="polite">
+          {forwardSubtitles.length === 0 ? (
+            <div className="live-subtitle-placeholder">
+              {forwardError
+                ? `⚠️ ${forwardError}`
+                : isPlaying
+                  ? `Subtitles appear after each ${translateForwardSeconds}s segment...`
+                  : 'Press play to start live subtitles'}
+            </div>
+          ) : (
+            forwardSubtitles.slice(-3).map(subtitle => (
+              <button
+                key={subtitle.id}
+                className="live-subtitle"
+                onClick={() => seekTo(subtitle.startTime)}
+                title="Play from here"
+              >
+                <span className="caption-time">{formatTime(subtitle.startTime)}</span>
+                <span className="live-subtitle-original">{subtitle.originalText}</span>
+                <span className="live-subtitle-translated">{subtitle.translatedText}</span>
+              </button>
+            ))
+          )}
+        </div>
+      )}
+
+      {FULL_EPISODE_METHODS.includes(settings.transcriptionMethod) && !episodeTranscript && (
+        <div className="episode-transcription">
+          {episodeJob && episodeJob.phase !== 'paused' ? (
+            <>
+              <div className="episode-transcription-progress">
+                <div
+                  className="episode-transcription-fill"
+                  style={{ width: `${episodeJob.total ? (episodeJob.completed / episodeJob.total) * 100 : 0}%` }}
+                />
+              </div>
+              <div className="episode-transcription-status">
+                <span>{formatEpisodeJobStatus(episodeJob)}</span>
+                <button onClick={cancelEpisodeTranscription} className="episode-transcription-cancel">
+                  Cancel
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              <button onClick={transcribeEpisode} className="transcribe-episode-btn">
+                {episodeJob?.total
+                  ? `📝 Resume transcription (${episodeJob.completed}/${episodeJob.total})`
+                  : '📝 Transcribe full episode'}
+              </button>
+              {episodeJob?.error && (
+                <div className="episode-transcription-error">⚠️ {episodeJob.error}</div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      {episodeTranscript && (
+        <TranscriptPanel
+          transcript={episodeTranscript}
+          title={episode.title}
+          currentTime={currentTime}
+          onSeek={seekTo}
+          settings={settings}
+        />
+      )}
+
       {translationStatus && (
         <div className="translation-status">
           {translationStatus}
@@ -345,11 +960,33 @@ export default function AudioPlayer({ episode, settings = {} }) {
       )}
 
       {/* Translation texts display */}
-      <div className={`translation-texts ${showTranslationTexts ? 'show' : ''}`}>
+      <div
+        className={`translation-texts ${showTranslationTexts ? 'show' : ''}`}
+        onMouseEnter={holdTranslationTexts}
+        onMouseLeave={releaseTranslationTexts}
+        onFocus={holdTranslationTexts}
+      >
         {transcribedText && (
-          <div className="text-block original">
+          <div className="text-block original" onMouseUp={handleTextSelection}>
             <div className="text-label">Original</div>
-            <div className="text-content">{transcribedText}</div>
+            {transcribedSegments.length > 1 ? (
+              // Whisper gives timed segments - show them as captions that replay their moment
+              <div className="text-content timed-captions">
+                {transcribedSegments.map((segment, index) => (
+                  <button
+                    key={`${segment.startTime}-${index}`}
+                    className="timed-caption"
+                    onClick={() => seekTo(segment.startTime)}
+                    title="Play from here"
+                  >
+                    <span className="caption-time">{formatTime(segment.startTime)}</span>
+                    {segment.text}
+                  </button>
+                ))}
+              </div>
+            ) : (
+              <div className="text-content">{transcribedText}</div>
+            )}
           </div>
         )}
         {translatedText && (
@@ -358,6 +995,23 @@ export default function AudioPlayer({ episode, settings = {} }) {
             <div className="text-content">{translatedText}</div>
           </div>
         )}
+        {transcribedText && translatedText && (
+          <div className="notebook-actions">
+            <button onClick={() => saveToNotebook('phrase')} className="notebook-save-btn">
+              ⭐ Save
+            </button>
+            {selectedText && (
+              <button onClick={() => saveToNotebook('word')} className="notebook-save-btn">
+                ⭐ Save “{selectedText}”
+              </button>
+            )}
+            {notebookStatus ? (
+              <span className="notebook-status">{notebookStatus}</span>
+            ) : (
+              <span className="notebook-hint">Select a word to save it on its own</span>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
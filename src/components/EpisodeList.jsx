@@ -1,5 +1,20 @@
 import './EpisodeList.css';
 
+// Season/episode numbers, episode type and publisher extras read from the feed
+function getEpisodeLabels(episode) {
+  const number = [
+    episode.season && `S${episode.season}`,
+    episode.episodeNumber && `E${episode.episodeNumber}`
+  ].filter(Boolean).join(' · ');
+
+  return [
+    number && { text: number },
+    episode.episodeType === 'trailer' && { text: '🎬 Trailer' },
+    episode.episodeType === 'bonus' && { text: '🎁 Bonus' },
+    episode.transcripts?.length > 0 && { text: '📝 Transcript', title: 'The publisher provides a transcript' }
+  ].filter(Boolean);
+}
+
 export default function EpisodeList({ podcast, episodes, selectedEpisode, onEpisodeSelect }) {
   if (!podcast || !episodes || episodes.length === 0) {
     return null;
@@ -19,31 +34,41 @@ export default function EpisodeList({ podcast, episodes, selectedEpisode, onEpis
       </div>
 
       <div className="episodes-grid">
-        {episodes.map((episode) => (
-          <div
-            key={episode.id}
-            className={`episode-card ${selectedEpisode?.id === episode.id ? 'selected' : ''}`}
-            onClick={() => onEpisodeSelect(episode)}
-          >
-            {episode.image && (
-              <img src={episode.image} alt={episode.title} className="episode-thumb" />
-            )}
-            <div className="episode-content">
-              <h3 className="episode-title">{episode.title}</h3>
-              <p className="episode-desc">{episode.description}</p>
-              <div className="episode-meta">
-                {episode.pubDate && (
-                  <span className="pub-date">
-                    {new Date(episode.pubDate).toLocaleDateString()}
-                  </span>
-                )}
-                {episode.duration && (
-                  <span className="duration">{episode.duration}</span>
+        {episodes.map((episode) => {
+          const labels = getEpisodeLabels(episode);
+          return (
+            <div
+              key={episode.id}
+              className={`episode-card ${selectedEpisode?.id === episode.id ? 'selected' : ''}`}
+              onClick={() => onEpisodeSelect(episode)}
+            >
+              {episode.image && (
+                <img src={episode.image} alt={episode.title} className="episode-thumb" />
+              )}
+              <div className="episode-content">
+                {labels.length > 0 && (
+                  <div className="episode-labels">
+                    {labels.map(({ text, title }) => (
+                      <span key={text} className="episode-badge" title={title}>{text}</span>
+                    ))}
+                  </div>
                 )}
+                <h3 className="episode-title">{episode.title}</h3>
+                <p className="episode-desc">{episode.description}</p>
+                <div className="episode-meta">
+                  {episode.pubDate && (
+                    <span className="pub-date">
+                      {new Date(episode.pubDate).toLocaleDateString()}
+                    </span>
+                  )}
+                  {episode.duration && (
+                    <span className="duration">{episode.duration}</span>
+                  )}
+                </div>
               </div>
             </div>
-          </div>
-        ))}
+          );
+        })}
       </div>
     </div>
   );
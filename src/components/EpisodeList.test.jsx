@@ -155,4 +155,24 @@ describe('EpisodeList', () => {
     const images = screen.getAllByRole('img');
     expect(images.length).toBeGreaterThanOrEqual(2); // At least 2 episode images
   });
+
+  it('should label season, episode number, type and publisher transcripts', () => {
+    const episodes = [
+      { ...mockEpisodes[0], season: 2, episodeNumber: 12, episodeType: 'bonus', transcripts: [{ url: 'ep1.vtt', type: 'text/vtt' }] },
+      { ...mockEpisodes[1], season: null, episodeNumber: null, episodeType: 'full', transcripts: [] }
+    ];
+    const { container } = render(
+      <EpisodeList
+        podcast={mockPodcast}
+        episodes={episodes}
+        selectedEpisode={null}
+        onEpisodeSelect={vi.fn()}
+      />
+    );
+
+    expect(screen.getByText('S2 · E12')).toBeInTheDocument();
+    expect(screen.getByText('🎁 Bonus')).toBeInTheDocument();
+    expect(screen.getByText('📝 Transcript')).toBeInTheDocument();
+    expect(container.querySelectorAll('.episode-labels')).toHaveLength(1);
+  });
 });
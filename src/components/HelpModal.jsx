@@ -1,11 +1,14 @@
+import { SHORTCUT_ACTIONS, getShortcuts, formatKey } from '../services/keyboardShortcuts';
 import './HelpModal.css';
 
-export default function HelpModal({ isOpen, onClose }) {
+export default function HelpModal({ isOpen, onClose, settings = {} }) {
   if (!isOpen) return null;
 
+  const shortcuts = getShortcuts(settings);
+
   return (
     <div className="modal-overlay" onClick={onClose}>
-      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+      <div className="modal-content" role="dialog" aria-modal="true" onClick={(e) => e.stopPropagation()}>
         <button className="modal-close" onClick={onClose}>✕</button>
 
         <h2>How to use BabelPod</h2>
@@ -26,9 +29,25 @@ export default function HelpModal({ isOpen, onClose }) {
             <li><strong>⏪ 30s / ↶ 15s:</strong> Rewind backwards</li>
             <li><strong>15s ↷ / 30s ⏩:</strong> Skip forwards</li>
             <li><strong>Progress Bar:</strong> Click anywhere to jump to that position</li>
+            <li><strong>Media keys:</strong> Headset buttons, keyboard media keys and lock-screen controls play, pause, seek and switch episodes</li>
           </ul>
         </section>
 
+        <section className="help-section">
+          <h3>⌨️ Keyboard Shortcuts</h3>
+          <table className="shortcut-table">
+            <tbody>
+              {Object.entries(SHORTCUT_ACTIONS).map(([action, { label }]) => (
+                <tr key={action}>
+                  <td><kbd>{formatKey(shortcuts[action])}</kbd></td>
+                  <td>{label}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p>Change the keys in Settings → Keyboard Shortcuts.</p>
+        </section>
+
         <section className="help-section">
           <h3>🌍 Translation Feature</h3>
           <p>
@@ -45,16 +64,26 @@ export default function HelpModal({ isOpen, onClose }) {
         </section>
 
         <section className="help-section">
-          <h3>💾 Recent Podcasts</h3>
+          <h3>💾 Your Library</h3>
           <p>
-            BabelPod automatically saves your recent podcast feeds in your browser's local storage.
-            The last 5 podcasts you've loaded will appear in the "Recent Podcasts" section for quick access.
+            Every podcast you load is added to your library, stored in your browser with its episodes, so it opens
+            instantly next time. BabelPod checks your podcasts for new episodes in the background: the badge shows how
+            many are new, and "✨ New episodes" lists them across all your podcasts. Click ✕ to unsubscribe.
+          </p>
+          <p>
+            Coming from another podcast app? Export your subscriptions there as OPML and use "⬆ Import OPML" to add them
+            all at once. "⬇ Export OPML" does the reverse.
           </p>
         </section>
 
         <section className="help-section">
           <h3>📚 Finding Podcasts</h3>
-          <p>Look for RSS feed URLs from:</p>
+          <p>
+            Search by topic or title with "🔎 Search" and pick a language to find shows you can learn from - click a
+            result to load it. Results come from Apple Podcasts by default; Settings → Podcast Search switches to Podcast
+            Index or your own directory.
+          </p>
+          <p>You can also paste RSS feed URLs from:</p>
           <ul>
             <li>Podcast websites (look for RSS icons)</li>
             <li>NPR podcasts: <code>https://feeds.npr.org/...</code></li>
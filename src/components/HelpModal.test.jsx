@@ -23,8 +23,9 @@ describe('HelpModal', () => {
 
     expect(screen.getByText('🎧 Getting Started')).toBeInTheDocument();
     expect(screen.getByText('🎮 Player Controls')).toBeInTheDocument();
+    expect(screen.getByText('⌨️ Keyboard Shortcuts')).toBeInTheDocument();
     expect(screen.getByText('🌍 Translation Feature')).toBeInTheDocument();
-    expect(screen.getByText('💾 Recent Podcasts')).toBeInTheDocument();
+    expect(screen.getByText('💾 Your Library')).toBeInTheDocument();
     expect(screen.getByText('📚 Finding Podcasts')).toBeInTheDocument();
     expect(screen.getByText('⚠️ Known Limitations')).toBeInTheDocument();
   });
@@ -66,4 +67,11 @@ describe('HelpModal', () => {
     expect(screen.getByText(/Rewind 15s & Translate/i)).toBeInTheDocument();
     expect(screen.getByText(/When you hear something you don't understand/i)).toBeInTheDocument();
   });
+
+  it('should list the configured keyboard shortcuts', () => {
+    render(<HelpModal isOpen={true} onClose={vi.fn()} settings={{ keyboardShortcuts: { translate: 'r' } }} />);
+
+    expect(screen.getByText('Rewind & translate').previousSibling).toHaveTextContent('R');
+    expect(screen.getByText('Play / pause').previousSibling).toHaveTextContent('Space');
+  });
 });
@@ -0,0 +1,235 @@
+import { useState, useEffect, useRef } from 'react';
+import {
+  getNotebookEntries,
+  updateNotebookEntry,
+  deleteNotebookEntry,
+  searchNotebookEntries
+} from '../services/notebookService';
+import { exportNotebook, importNotebookFile } from '../services/notebookExport';
+import { downloadBlob } from '../services/fileDownload';
+import './NotebookModal.css';
+
+const formatTime = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
+export default function NotebookModal({ isOpen, onClose, onJumpToMoment }) {
+  const [entries, setEntries] = useState([]);
+  const [query, setQuery] = useState('');
+  const [editing, setEditing] = useState(null); // { id, originalText, translatedText, notes }
+  const [error, setError] = useState('');
+  const [transferStatus, setTransferStatus] = useState('');
+  const [isTransferring, setIsTransferring] = useState(false);
+  const fileInputRef = useRef(null);
+
+  // Reload whenever the notebook opens - the player adds entries in the meantime
+  useEffect(() => {
+    if (!isOpen) return;
+    setEditing(null);
+    setError('');
+    setTransferStatus('');
+    getNotebookEntries()
+      .then(setEntries)
+      .catch(e => setError(`Failed to load notebook: ${e.message}`));
+  }, [isOpen]);
+
+  const handleExport = async (format) => {
+    setIsTransferring(true);
+    setError('');
+    try {
+      const { blob, filename } = await exportNotebook(format);
+      downloadBlob(blob, filename);
+      setTransferStatus(`Exported ${entries.length} entries to ${filename}`);
+    } catch (e) {
+      setError(`Failed to export: ${e.message}`);
+    } finally {
+      setIsTransferring(false);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setIsTransferring(true);
+    setError('');
+    try {
+      const { imported, skipped } = await importNotebookFile(file);
+      setTransferStatus(`Imported ${imported} ${imported === 1 ? 'entry' : 'entries'}` +
+        (skipped ? ` (${skipped} already in the notebook or empty)` : ''));
+      setEntries(await getNotebookEntries());
+    } catch (e) {
+      setError(`Failed to import: ${e.message}`);
+    } finally {
+      setIsTransferring(false);
+    }
+  };
+
+  const startEditing = (entry) => {
+    setEditing({
+      id: entry.id,
+      originalText: entry.originalText,
+      translatedText: entry.translatedText,
+      notes: entry.notes || ''
+    });
+  };
+
+  const saveEdit = async () => {
+    try {
+      const { id, ...changes } = editing;
+      const updated = await updateNotebookEntry(id, changes);
+      setEntries(prev => prev.map(entry => (entry.id === id ? updated : entry)));
+      setEditing(null);
+    } catch (e) {
+      setError(`Failed to save: ${e.message}`);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    if (!window.confirm(`Delete "${entry.originalText}" from your notebook?`)) return;
+    try {
+      await deleteNotebookEntry(entry.id);
+      setEntries(prev => prev.filter(other => other.id !== entry.id));
+    } catch (e) {
+      setError(`Failed to delete: ${e.message}`);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const visibleEntries = searchNotebookEntries(entries, query);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content notebook-modal" role="dialog" aria-modal="true" onClick={(e) => e.stopPropagation()}>
+        <button className="modal-close" onClick={onClose}>✕</button>
+
+        <h2>📒 Notebook</h2>
+
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search words, translations and notes..."
+          aria-label="Search notebook"
+          className="notebook-search"
+        />
+
+        <div className="notebook-transfer">
+          <button
+            onClick={() => handleExport('csv')}
+            className="notebook-action"
+            disabled={isTransferring || entries.length === 0}
+          >
+            ⬇ Export CSV
+          </button>
+          <button
+            onClick={() => handleExport('apkg')}
+            className="notebook-action"
+            disabled={isTransferring || entries.length === 0}
+            title="Anki deck with the recorded audio of each passage"
+          >
+            ⬇ Export Anki deck
+          </button>
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="notebook-action"
+            disabled={isTransferring}
+          >
+            ⬆ Import
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,.txt,.apkg"
+            onChange={handleImport}
+            aria-label="Import notebook file"
+            hidden
+          />
+        </div>
+
+        {transferStatus && <div className="notebook-transfer-status">{transferStatus}</div>}
+        {error && <div className="notebook-error">⚠️ {error}</div>}
+
+        {entries.length === 0 ? (
+          <p className="notebook-empty">
+            Nothing saved yet. After a translation, click "⭐ Save" - or select a word in the original text to save just that word.
+          </p>
+        ) : (
+          <>
+            <p className="notebook-count">
+              {query ? `${visibleEntries.length} of ${entries.length} entries` : `${entries.length} entries`}
+            </p>
+            <ul className="notebook-entries">
+              {visibleEntries.map(entry => (
+                <li key={entry.id} className={`notebook-entry ${entry.type}`}>
+                  {editing?.id === entry.id ? (
+                    <div className="notebook-edit">
+                      <label>
+                        Original
+                        <textarea
+                          value={editing.originalText}
+                          onChange={(e) => setEditing(prev => ({ ...prev, originalText: e.target.value }))}
+                        />
+                      </label>
+                      <label>
+                        Translation
+                        <textarea
+                          value={editing.translatedText}
+                          onChange={(e) => setEditing(prev => ({ ...prev, translatedText: e.target.value }))}
+                        />
+                      </label>
+                      <label>
+                        Notes
+                        <textarea
+                          value={editing.notes}
+                          onChange={(e) => setEditing(prev => ({ ...prev, notes: e.target.value }))}
+                        />
+                      </label>
+                      <div className="notebook-entry-actions">
+                        <button onClick={saveEdit} className="btn-primary">Save</button>
+                        <button onClick={() => setEditing(null)} className="btn-secondary">Cancel</button>
+                      </div>
+                    </div>
+                  ) : (
+                    <>
+                      <div className="notebook-original">{entry.originalText}</div>
+                      <div className="notebook-translation">{entry.translatedText}</div>
+                      {entry.notes && <div className="notebook-notes">{entry.notes}</div>}
+                      <div className="notebook-meta">
+                        <span>{entry.sourceLang} → {entry.targetLang}</span>
+                        {entry.episode?.title && (
+                          <span>
+                            {entry.episode.title}
+                            {entry.startTime != null && ` @ ${formatTime(entry.startTime)}`}
+                          </span>
+                        )}
+                        <span>{new Date(entry.createdAt).toLocaleDateString()}</span>
+                      </div>
+                      <div className="notebook-entry-actions">
+                        {entry.episode?.audioUrl && entry.startTime != null && (
+                          <button onClick={() => onJumpToMoment(entry)} className="notebook-action">
+                            ▶ Jump to moment
+                          </button>
+                        )}
+                        <button onClick={() => startEditing(entry)} className="notebook-action">
+                          ✏️ Edit
+                        </button>
+                        <button onClick={() => handleDelete(entry)} className="notebook-action">
+                          🗑️ Delete
+                        </button>
+                      </div>
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
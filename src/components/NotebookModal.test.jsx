@@ -0,0 +1,147 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import NotebookModal from './NotebookModal';
+import { getNotebookEntries, updateNotebookEntry, deleteNotebookEntry } from '../services/notebookService';
+import { exportNotebook, importNotebookFile } from '../services/notebookExport';
+import { downloadBlob } from '../services/fileDownload';
+
+vi.mock('../services/notebookService', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getNotebookEntries: vi.fn(),
+  updateNotebookEntry: vi.fn(),
+  deleteNotebookEntry: vi.fn()
+}));
+
+vi.mock('../services/notebookExport', () => ({
+  exportNotebook: vi.fn(),
+  importNotebookFile: vi.fn()
+}));
+
+vi.mock('../services/fileDownload', () => ({
+  downloadBlob: vi.fn()
+}));
+
+describe('NotebookModal', () => {
+  const entries = [
+    {
+      id: 2,
+      originalText: 'el gato',
+      translatedText: 'the cat',
+      notes: '',
+      type: 'word',
+      sourceLang: 'es',
+      targetLang: 'en',
+      episodeId: 'ep-1',
+      episode: { id: 'ep-1', title: 'Episodio 1', audioUrl: 'ep1.mp3' },
+      startTime: 75,
+      createdAt: Date.now()
+    },
+    {
+      id: 1,
+      originalText: 'la casa',
+      translatedText: 'the house',
+      notes: 'feminine',
+      type: 'phrase',
+      sourceLang: 'es',
+      targetLang: 'en',
+      episode: null,
+      startTime: null,
+      createdAt: Date.now()
+    }
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    getNotebookEntries.mockResolvedValue(entries);
+  });
+
+  it('should not render when closed', () => {
+    const { container } = render(<NotebookModal isOpen={false} onClose={vi.fn()} onJumpToMoment={vi.fn()} />);
+
+    expect(container.firstChild).toBeNull();
+  });
+
+  it('should list and search entries', async () => {
+    render(<NotebookModal isOpen={true} onClose={vi.fn()} onJumpToMoment={vi.fn()} />);
+
+    expect(await screen.findByText('el gato')).toBeInTheDocument();
+    expect(screen.getByText('la casa')).toBeInTheDocument();
+    expect(screen.getByText('Episodio 1 @ 1:15')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Search notebook'), { target: { value: 'feminine' } });
+
+    expect(screen.queryByText('el gato')).not.toBeInTheDocument();
+    expect(screen.getByText('1 of 2 entries')).toBeInTheDocument();
+  });
+
+  it('should jump to the moment an entry was saved from', async () => {
+    const onJumpToMoment = vi.fn();
+    render(<NotebookModal isOpen={true} onClose={vi.fn()} onJumpToMoment={onJumpToMoment} />);
+
+    // Only entries with an episode and position can be played
+    const jumpButtons = await screen.findAllByRole('button', { name: /jump to moment/i });
+    expect(jumpButtons).toHaveLength(1);
+
+    fireEvent.click(jumpButtons[0]);
+    expect(onJumpToMoment).toHaveBeenCalledWith(entries[0]);
+  });
+
+  it('should edit an entry', async () => {
+    updateNotebookEntry.mockResolvedValue({ ...entries[0], notes: 'masculine' });
+    render(<NotebookModal isOpen={true} onClose={vi.fn()} onJumpToMoment={vi.fn()} />);
+
+    fireEvent.click((await screen.findAllByRole('button', { name: /edit/i }))[0]);
+    fireEvent.change(screen.getByLabelText('Notes'), { target: { value: 'masculine' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('masculine')).toBeInTheDocument();
+    });
+    expect(updateNotebookEntry).toHaveBeenCalledWith(2, {
+      originalText: 'el gato',
+      translatedText: 'the cat',
+      notes: 'masculine'
+    });
+  });
+
+  it('should delete an entry after confirmation', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    deleteNotebookEntry.mockResolvedValue();
+    render(<NotebookModal isOpen={true} onClose={vi.fn()} onJumpToMoment={vi.fn()} />);
+
+    fireEvent.click((await screen.findAllByRole('button', { name: /delete/i }))[1]);
+
+    await waitFor(() => {
+      expect(screen.queryByText('la casa')).not.toBeInTheDocument();
+    });
+    expect(deleteNotebookEntry).toHaveBeenCalledWith(1);
+  });
+
+  it('should download the notebook as an Anki deck', async () => {
+    const blob = new Blob(['deck']);
+    exportNotebook.mockResolvedValue({ blob, filename: 'babelpod-notebook.apkg' });
+    render(<NotebookModal isOpen={true} onClose={vi.fn()} onJumpToMoment={vi.fn()} />);
+
+    await screen.findByText('el gato');
+    fireEvent.click(screen.getByRole('button', { name: /export anki deck/i }));
+
+    await waitFor(() => {
+      expect(downloadBlob).toHaveBeenCalledWith(blob, 'babelpod-notebook.apkg');
+    });
+    expect(exportNotebook).toHaveBeenCalledWith('apkg');
+  });
+
+  it('should import a file and show the new entries', async () => {
+    importNotebookFile.mockResolvedValue({ imported: 1, skipped: 2 });
+    render(<NotebookModal isOpen={true} onClose={vi.fn()} onJumpToMoment={vi.fn()} />);
+    await screen.findByText('el gato');
+
+    getNotebookEntries.mockResolvedValue([{ ...entries[0], id: 3, originalText: 'el perro', translatedText: 'the dog' }, ...entries]);
+    const file = new File(['perro,dog'], 'words.csv', { type: 'text/csv' });
+    fireEvent.change(screen.getByLabelText('Import notebook file'), { target: { files: [file] } });
+
+    expect(await screen.findByText('el perro')).toBeInTheDocument();
+    expect(importNotebookFile).toHaveBeenCalledWith(file);
+    expect(screen.getByText('Imported 1 entry (2 already in the notebook or empty)')).toBeInTheDocument();
+  });
+});
@@ -1,47 +1,75 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  getSubscriptions,
+  saveSubscription,
+  unsubscribe,
+  refreshSubscriptions,
+  markAllSeen,
+  getNewEpisodes,
+  importLegacyFeeds,
+  onSubscriptionsChange,
+  REFRESH_INTERVAL_MS
+} from '../services/subscriptionService';
+import { importOpml, buildOpml } from '../services/opmlService';
+import { searchPodcasts, DIRECTORY_LANGUAGES } from '../services/directoryService';
+import { downloadBlob } from '../services/fileDownload';
 import './PodcastLoader.css';
 
-const STORAGE_KEY = 'babelpod_feeds';
-
-export default function PodcastLoader({ onPodcastLoad }) {
+export default function PodcastLoader({ onPodcastLoad, onSubscriptionOpen, onEpisodeOpen, settings = {} }) {
   const [feedUrl, setFeedUrl] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
-  const [savedFeeds, setSavedFeeds] = useState([]);
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [view, setView] = useState('podcasts'); // 'podcasts' | 'new'
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [refreshStatus, setRefreshStatus] = useState('');
+  const [opmlStatus, setOpmlStatus] = useState('');
+  const [opmlFailures, setOpmlFailures] = useState([]);
+  const [isImporting, setIsImporting] = useState(false);
+  const opmlInputRef = useRef(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchLanguage, setSearchLanguage] = useState('');
+  const [searchResults, setSearchResults] = useState(null); // null until the first search
+  const [isSearching, setIsSearching] = useState(false);
 
-  // Load saved feeds from local storage on mount
-  useEffect(() => {
-    const stored = localStorage.getItem(STORAGE_KEY);
-    if (stored) {
-      try {
-        setSavedFeeds(JSON.parse(stored));
-      } catch (e) {
-        console.error('Failed to parse saved feeds:', e);
-      }
+  const runRefresh = useCallback(async (staleOnly) => {
+    setIsRefreshing(true);
+    try {
+      const { newEpisodeCount, failedCount } = await refreshSubscriptions({
+        staleOnly,
+        onProgress: (done, total) => {
+          if (total > 0) setRefreshStatus(`🔄 Checking for new episodes (${done}/${total})...`);
+        }
+      });
+      const found = newEpisodeCount ? `✨ ${newEpisodeCount} new ${newEpisodeCount === 1 ? 'episode' : 'episodes'}` : '';
+      const failed = failedCount ? `⚠️ ${failedCount} ${failedCount === 1 ? 'feed' : 'feeds'} could not be updated` : '';
+      setRefreshStatus([found, failed].filter(Boolean).join(' · '));
+    } catch (e) {
+      console.error('Failed to refresh subscriptions:', e);
+      setRefreshStatus('');
+    } finally {
+      setIsRefreshing(false);
     }
   }, []);
 
-  const saveFeedToStorage = (url, title) => {
-    const feed = {
-      url,
-      title: title || 'Untitled Podcast',
-      lastUsed: new Date().toISOString()
-    };
-
-    const updated = [
-      feed,
-      ...savedFeeds.filter(f => f.url !== url)
-    ].slice(0, 5); // Keep only last 5
+  // Load the library, then keep it up to date in the background
+  useEffect(() => {
+    const loadSubscriptions = () => getSubscriptions()
+      .then(setSubscriptions)
+      .catch(e => console.error('Failed to load subscriptions:', e));
+    const stopListening = onSubscriptionsChange(loadSubscriptions);
 
-    setSavedFeeds(updated);
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(updated));
-  };
+    importLegacyFeeds()
+      .catch(e => console.error('Failed to import saved feeds:', e))
+      .then(loadSubscriptions)
+      .then(() => runRefresh(true));
+    const interval = setInterval(() => runRefresh(true), REFRESH_INTERVAL_MS);
 
-  const removeFeed = (url) => {
-    const updated = savedFeeds.filter(f => f.url !== url);
-    setSavedFeeds(updated);
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(updated));
-  };
+    return () => {
+      stopListening();
+      clearInterval(interval);
+    };
+  }, [runRefresh]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -60,8 +88,8 @@ export default function PodcastLoader({ onPodcastLoad }) {
 
     try {
       const podcastData = await onPodcastLoad(url);
-      saveFeedToStorage(url, podcastData.title);
       setFeedUrl('');
+      await saveSubscription(url, podcastData).catch(e => console.error('Failed to save subscription:', e));
     } catch (err) {
       setError(err.message || 'Failed to load podcast. Please check the URL and try again.');
     } finally {
@@ -69,6 +97,69 @@ export default function PodcastLoader({ onPodcastLoad }) {
     }
   };
 
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    setIsSearching(true);
+    setError('');
+
+    try {
+      setSearchResults(await searchPodcasts(searchQuery, { language: searchLanguage }, settings));
+    } catch (err) {
+      setSearchResults(null);
+      setError(err.message || 'Podcast search failed. Please try again.');
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  // Feeds imported from the old recent list have no episodes until their first refresh
+  const openSubscription = (subscription) => {
+    setError('');
+    if (subscription.episodes.length > 0) {
+      onSubscriptionOpen(subscription);
+    } else {
+      loadFeed(subscription.feedUrl);
+    }
+  };
+
+  const removeSubscription = (subscription) => {
+    if (!window.confirm(`Unsubscribe from "${subscription.title}"?`)) return;
+    unsubscribe(subscription.feedUrl).catch(e => setError(`Failed to unsubscribe: ${e.message}`));
+  };
+
+  const handleOpmlImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setIsImporting(true);
+    setError('');
+    setOpmlFailures([]);
+    try {
+      const { imported, skipped, failures } = await importOpml(await file.text(), {
+        onProgress: (done, total) => setOpmlStatus(`📥 Importing podcasts (${done}/${total})...`)
+      });
+      setOpmlStatus([
+        `📥 Added ${imported} ${imported === 1 ? 'podcast' : 'podcasts'}`,
+        skipped && `${skipped} already in your library`,
+        failures.length && `${failures.length} could not be loaded`
+      ].filter(Boolean).join(' · '));
+      setOpmlFailures(failures);
+    } catch (err) {
+      setOpmlStatus('');
+      setError(`Failed to import OPML: ${err.message}`);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleOpmlExport = () => {
+    const blob = new Blob([buildOpml(subscriptions)], { type: 'text/x-opml;charset=utf-8' });
+    downloadBlob(blob, 'babelpod-subscriptions.opml');
+  };
+
+  const newEpisodes = getNewEpisodes(subscriptions);
+
   return (
     <div className="podcast-loader">
       <form onSubmit={handleSubmit} className="feed-form">
@@ -87,38 +178,210 @@ export default function PodcastLoader({ onPodcastLoad }) {
         </div>
       </form>
 
+      <form onSubmit={handleSearch} className="search-form">
+        <div className="input-group">
+          <input
+            type="search"
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            placeholder="...or search podcasts by topic or title"
+            className="feed-input"
+            disabled={isSearching}
+          />
+          <select
+            value={searchLanguage}
+            onChange={(e) => setSearchLanguage(e.target.value)}
+            className="search-language-select"
+            aria-label="Podcast language"
+          >
+            <option value="">Any language</option>
+            {Object.entries(DIRECTORY_LANGUAGES).map(([code, name]) => (
+              <option key={code} value={code}>{name}</option>
+            ))}
+          </select>
+          <button type="submit" disabled={isSearching} className="load-btn">
+            {isSearching ? '⏳ Searching...' : '🔎 Search'}
+          </button>
+        </div>
+      </form>
+
+      {searchResults && (
+        <div className="search-results">
+          <div className="library-header">
+            <span className="saved-label">
+              {searchResults.length === 0
+                ? 'No podcasts found. Try other words or another language.'
+                : `${searchResults.length} ${searchResults.length === 1 ? 'podcast' : 'podcasts'} found`}
+            </span>
+            <button onClick={() => setSearchResults(null)} className="library-refresh-btn">
+              ✕ Close
+            </button>
+          </div>
+          <div className="saved-list">
+            {searchResults.map(result => (
+              <button
+                key={result.feedUrl}
+                onClick={() => loadFeed(result.feedUrl)}
+                disabled={isLoading}
+                className="saved-feed-btn search-result-btn"
+                title={result.feedUrl}
+              >
+                {result.image && <img src={result.image} alt="" className="search-result-image" loading="lazy" />}
+                <span className="search-result-text">
+                  <span className="feed-title">
+                    {result.title}
+                    {subscriptions.some(subscription => subscription.feedUrl === result.feedUrl) && (
+                      <span className="search-result-subscribed">✓ In library</span>
+                    )}
+                  </span>
+                  <span className="feed-date">
+                    {[result.author, result.genre, result.episodeCount && `${result.episodeCount} episodes`]
+                      .filter(Boolean)
+                      .join(' · ')}
+                  </span>
+                </span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="opml-actions">
+        <button
+          onClick={() => opmlInputRef.current?.click()}
+          disabled={isImporting}
+          className="opml-btn"
+          title="Subscribe to the podcasts exported from another podcast app"
+        >
+          {isImporting ? '⏳ Importing...' : '⬆ Import OPML'}
+        </button>
+        <button
+          onClick={handleOpmlExport}
+          disabled={subscriptions.length === 0}
+          className="opml-btn"
+          title="Download your subscriptions for another podcast app"
+        >
+          ⬇ Export OPML
+        </button>
+        <input
+          ref={opmlInputRef}
+          type="file"
+          accept=".opml,.xml,text/x-opml,text/xml"
+          onChange={handleOpmlImport}
+          aria-label="Import OPML file"
+          hidden
+        />
+      </div>
+
+      {opmlStatus && <div className="library-status">{opmlStatus}</div>}
+      {opmlFailures.length > 0 && (
+        <ul className="opml-failures">
+          {opmlFailures.map(failure => (
+            <li key={failure.feedUrl}>
+              <strong>{failure.title}</strong>: {failure.error}
+            </li>
+          ))}
+        </ul>
+      )}
+
       {error && (
         <div className="error-message">
           ⚠️ {error}
         </div>
       )}
 
-      {savedFeeds.length > 0 && (
+      {subscriptions.length > 0 && (
         <div className="saved-feeds">
-          <h3 className="saved-label">Recent Podcasts</h3>
-          <div className="saved-list">
-            {savedFeeds.map((feed) => (
-              <div key={feed.url} className="saved-feed-item">
-                <button
-                  onClick={() => loadFeed(feed.url)}
-                  disabled={isLoading}
-                  className="saved-feed-btn"
-                >
-                  <span className="feed-title">{feed.title}</span>
-                  <span className="feed-date">
-                    {new Date(feed.lastUsed).toLocaleDateString()}
-                  </span>
-                </button>
-                <button
-                  onClick={() => removeFeed(feed.url)}
-                  className="remove-feed-btn"
-                  title="Remove from recent"
-                >
-                  ✕
-                </button>
-              </div>
-            ))}
+          <div className="library-header">
+            <div className="library-tabs" role="tablist">
+              <button
+                role="tab"
+                aria-selected={view === 'podcasts'}
+                onClick={() => setView('podcasts')}
+                className={`library-tab ${view === 'podcasts' ? 'active' : ''}`}
+              >
+                📚 Library ({subscriptions.length})
+              </button>
+              <button
+                role="tab"
+                aria-selected={view === 'new'}
+                onClick={() => setView('new')}
+                className={`library-tab ${view === 'new' ? 'active' : ''}`}
+              >
+                ✨ New episodes ({newEpisodes.length})
+              </button>
+            </div>
+            <button
+              onClick={() => runRefresh(false)}
+              disabled={isRefreshing}
+              className="library-refresh-btn"
+              title="Check all podcasts for new episodes"
+            >
+              {isRefreshing ? '⏳' : '🔄'} Refresh
+            </button>
           </div>
+
+          {refreshStatus && <div className="library-status">{refreshStatus}</div>}
+
+          {view === 'podcasts' ? (
+            <div className="saved-list">
+              {subscriptions.map((subscription) => (
+                <div key={subscription.feedUrl} className="saved-feed-item">
+                  <button
+                    onClick={() => openSubscription(subscription)}
+                    disabled={isLoading}
+                    className="saved-feed-btn"
+                    title={subscription.refreshError ? `Last update failed: ${subscription.refreshError}` : subscription.feedUrl}
+                  >
+                    <span className="feed-title">
+                      {subscription.title}
+                      {subscription.newEpisodeIds.length > 0 && (
+                        <span className="unread-badge" aria-label={`${subscription.newEpisodeIds.length} new episodes`}>
+                          {subscription.newEpisodeIds.length}
+                        </span>
+                      )}
+                    </span>
+                    <span className="feed-date">
+                      {subscription.refreshError && '⚠️ '}
+                      {subscription.refreshedAt
+                        ? `Updated ${new Date(subscription.refreshedAt).toLocaleDateString()}`
+                        : 'Not loaded yet'}
+                    </span>
+                  </button>
+                  <button
+                    onClick={() => removeSubscription(subscription)}
+                    className="remove-feed-btn"
+                    title="Unsubscribe"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+            </div>
+          ) : newEpisodes.length === 0 ? (
+            <p className="library-empty">No new episodes. New releases from your podcasts show up here.</p>
+          ) : (
+            <>
+              <div className="saved-list">
+                {newEpisodes.map(({ episode, subscription }) => (
+                  <button
+                    key={`${subscription.feedUrl}-${episode.id}`}
+                    onClick={() => onEpisodeOpen(subscription, episode)}
+                    className="saved-feed-btn new-episode-btn"
+                  >
+                    <span className="feed-title">{episode.title}</span>
+                    <span className="feed-date">
+                      {subscription.title}
+                      {episode.pubDate && ` · ${new Date(episode.pubDate).toLocaleDateString()}`}
+                    </span>
+                  </button>
+                ))}
+              </div>
+              <button onClick={() => markAllSeen()} className="library-mark-seen-btn">
+                ✓ Mark all as seen
+              </button>
+            </>
+          )}
         </div>
       )}
     </div>
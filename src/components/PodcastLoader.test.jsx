@@ -1,11 +1,37 @@
-import { describe, it, expect, vi } from 'vitest';
+import 'fake-indexeddb/auto';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import PodcastLoader from './PodcastLoader';
+import { parsePodcastFeed } from '../services/rssService';
+import { saveSubscription, getSubscription } from '../services/subscriptionService';
+import { clearStore } from '../services/database';
+import { downloadBlob } from '../services/fileDownload';
+import { File as NodeFile } from 'node:buffer';
+
+vi.mock('../services/rssService', () => ({
+  parsePodcastFeed: vi.fn()
+}));
+
+vi.mock('../services/fileDownload', () => ({
+  downloadBlob: vi.fn()
+}));
 
 describe('PodcastLoader', () => {
-  beforeEach(() => {
-    // Clear local storage before each test
+  const podcast = {
+    title: 'Test Podcast',
+    description: '',
+    image: null,
+    language: 'es',
+    episodes: [{ id: 'ep-1', title: 'Episodio 1', audioUrl: 'ep1.mp3' }]
+  };
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    // Clear local storage and the library before each test
     localStorage.clear();
+    await clearStore('subscriptions');
+    // Background refreshes stay pending unless a test says otherwise
+    parsePodcastFeed.mockReturnValue(new Promise(() => {}));
   });
 
   it('should render input and load button', () => {
@@ -49,7 +75,7 @@ describe('PodcastLoader', () => {
     });
   });
 
-  it('should display recent podcasts from local storage', () => {
+  it('should move recent podcasts from local storage into the library', async () => {
     const recentFeeds = [
       {
         url: 'https://example.com/feed1.xml',
@@ -63,11 +89,12 @@ describe('PodcastLoader', () => {
     const mockOnLoad = vi.fn();
     render(<PodcastLoader onPodcastLoad={mockOnLoad} />);
 
-    expect(screen.getByText('Recent Podcasts')).toBeInTheDocument();
-    expect(screen.getByText('Podcast 1')).toBeInTheDocument();
+    expect(await screen.findByText('Podcast 1')).toBeInTheDocument();
+    expect(screen.getByRole('tab', { name: /Library/ })).toBeInTheDocument();
+    expect(localStorage.getItem('babelpod_feeds')).toBeNull();
   });
 
-  it('should load podcast when clicking saved feed', async () => {
+  it('should load a moved feed when clicking it before its first refresh', async () => {
     const recentFeeds = [
       {
         url: 'https://example.com/feed1.xml',
@@ -85,7 +112,7 @@ describe('PodcastLoader', () => {
 
     render(<PodcastLoader onPodcastLoad={mockOnLoad} />);
 
-    const savedFeedButton = screen.getByText('Podcast 1');
+    const savedFeedButton = await screen.findByText('Podcast 1');
     fireEvent.click(savedFeedButton);
 
     await waitFor(() => {
@@ -93,28 +120,71 @@ describe('PodcastLoader', () => {
     });
   });
 
-  it('should remove feed when clicking remove button', async () => {
-    const recentFeeds = [
-      {
-        url: 'https://example.com/feed1.xml',
-        title: 'Podcast 1',
-        lastUsed: new Date().toISOString()
-      }
-    ];
+  it('should subscribe to a loaded podcast', async () => {
+    const mockOnLoad = vi.fn().mockResolvedValue(podcast);
+    render(<PodcastLoader onPodcastLoad={mockOnLoad} />);
 
-    localStorage.setItem('babelpod_feeds', JSON.stringify(recentFeeds));
+    fireEvent.change(screen.getByPlaceholderText(/Enter podcast RSS feed URL/i), { target: { value: 'https://example.com/feed.xml' } });
+    fireEvent.click(screen.getByText(/📡 Load Podcast/i));
 
+    expect(await screen.findByText('Test Podcast')).toBeInTheDocument();
+    expect((await getSubscription('https://example.com/feed.xml')).episodes).toHaveLength(1);
+  });
+
+  it('should open subscriptions from their cached episodes', async () => {
+    await saveSubscription('https://example.com/feed.xml', podcast);
     const mockOnLoad = vi.fn();
-    render(<PodcastLoader onPodcastLoad={mockOnLoad} />);
+    const mockOnOpen = vi.fn();
+    render(<PodcastLoader onPodcastLoad={mockOnLoad} onSubscriptionOpen={mockOnOpen} />);
+
+    fireEvent.click(await screen.findByText('Test Podcast'));
+
+    expect(mockOnOpen).toHaveBeenCalledWith(expect.objectContaining({
+      feedUrl: 'https://example.com/feed.xml',
+      episodes: podcast.episodes
+    }));
+    expect(mockOnLoad).not.toHaveBeenCalled();
+  });
+
+  it('should show unread counts and the new episodes across subscriptions', async () => {
+    await saveSubscription('https://example.com/feed.xml', podcast);
+    parsePodcastFeed.mockResolvedValue({
+      ...podcast,
+      episodes: [{ id: 'ep-2', title: 'Episodio 2', audioUrl: 'ep2.mp3' }, ...podcast.episodes]
+    });
+    const mockOnEpisodeOpen = vi.fn();
+    render(<PodcastLoader onPodcastLoad={vi.fn()} onEpisodeOpen={mockOnEpisodeOpen} />);
+
+    // Clicks are ignored while the background refresh on mount is still running
+    const refreshButton = await screen.findByRole('button', { name: /Refresh/ });
+    await waitFor(() => expect(refreshButton).toBeEnabled());
+    fireEvent.click(refreshButton);
 
-    expect(screen.getByText('Podcast 1')).toBeInTheDocument();
+    expect(await screen.findByLabelText('1 new episodes')).toBeInTheDocument();
+    expect(screen.getByText('✨ 1 new episode')).toBeInTheDocument();
 
-    const removeButton = screen.getByTitle('Remove from recent');
+    fireEvent.click(screen.getByRole('tab', { name: /New episodes \(1\)/ }));
+    fireEvent.click(screen.getByText('Episodio 2'));
+
+    expect(mockOnEpisodeOpen).toHaveBeenCalledWith(
+      expect.objectContaining({ feedUrl: 'https://example.com/feed.xml' }),
+      expect.objectContaining({ id: 'ep-2' })
+    );
+  });
+
+  it('should unsubscribe after confirmation', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    await saveSubscription('https://example.com/feed.xml', podcast);
+    render(<PodcastLoader onPodcastLoad={vi.fn()} />);
+
+    expect(await screen.findByText('Test Podcast')).toBeInTheDocument();
+
+    const removeButton = screen.getByTitle('Unsubscribe');
     fireEvent.click(removeButton);
 
     await waitFor(() => {
-      expect(screen.queryByText('Podcast 1')).not.toBeInTheDocument();
-      expect(screen.queryByText('Recent Podcasts')).not.toBeInTheDocument();
+      expect(screen.queryByText('Test Podcast')).not.toBeInTheDocument();
+      expect(screen.queryByRole('tab', { name: /Library/ })).not.toBeInTheDocument();
     });
   });
 
@@ -155,4 +225,58 @@ describe('PodcastLoader', () => {
       expect(screen.getByText(/Failed to load/i)).toBeInTheDocument();
     });
   });
+
+  it('should subscribe to the feeds of an OPML file and list the failures', async () => {
+    parsePodcastFeed.mockImplementation(async (url) => {
+      if (url.includes('broken')) throw new Error('Invalid RSS feed format');
+      return podcast;
+    });
+    render(<PodcastLoader onPodcastLoad={vi.fn()} />);
+
+    // jsdom's File can't be read back as text
+    const file = new NodeFile([`<opml version="2.0"><body>
+      <outline text="Test Podcast" xmlUrl="https://example.com/feed.xml"/>
+      <outline text="Broken Podcast" xmlUrl="https://example.com/broken.xml"/>
+    </body></opml>`], 'subscriptions.opml');
+    fireEvent.change(screen.getByLabelText('Import OPML file'), { target: { files: [file] } });
+
+    expect(await screen.findByText('📥 Added 1 podcast · 1 could not be loaded')).toBeInTheDocument();
+    expect(screen.getByText('Broken Podcast')).toBeInTheDocument();
+    expect(screen.getByText(/Invalid RSS feed format/)).toBeInTheDocument();
+    expect(await screen.findByText('Test Podcast')).toBeInTheDocument();
+  });
+
+  it('should export the library as OPML', async () => {
+    await saveSubscription('https://example.com/feed.xml', podcast);
+    render(<PodcastLoader onPodcastLoad={vi.fn()} />);
+    await screen.findByText('Test Podcast');
+
+    fireEvent.click(screen.getByRole('button', { name: /Export OPML/ }));
+
+    expect(downloadBlob).toHaveBeenCalledWith(expect.any(Blob), 'babelpod-subscriptions.opml');
+  });
+
+  it('should search the directory by language and load a result like a pasted URL', async () => {
+    global.fetch = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        results: [{ collectionId: 1, collectionName: 'Hoy Hablamos', artistName: 'Hoy Hablamos', feedUrl: 'https://example.com/hoy.xml' }]
+      })
+    });
+    const mockOnLoad = vi.fn().mockResolvedValue(podcast);
+    render(<PodcastLoader onPodcastLoad={mockOnLoad} />);
+
+    fireEvent.change(screen.getByPlaceholderText(/search podcasts/i), { target: { value: 'aprender' } });
+    fireEvent.change(screen.getByLabelText('Podcast language'), { target: { value: 'es' } });
+    fireEvent.click(screen.getByRole('button', { name: /Search/ }));
+
+    fireEvent.click(await screen.findByText('Hoy Hablamos', { selector: '.feed-title' }));
+
+    expect(new URL(global.fetch.mock.calls[0][0]).searchParams.get('country')).toBe('es');
+    await waitFor(() => {
+      expect(mockOnLoad).toHaveBeenCalledWith('https://example.com/hoy.xml');
+    });
+    expect(await screen.findByText('✓ In library')).toBeInTheDocument();
+    expect(await getSubscription('https://example.com/hoy.xml')).toBeDefined();
+  });
 });
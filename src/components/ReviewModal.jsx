@@ -0,0 +1,170 @@
+import { useState, useEffect, useRef } from 'react';
+import { getDueReviewCards, reviewCard, scheduleReview, formatInterval, REVIEW_GRADES } from '../services/srsService';
+import { runPlaybackScript } from '../services/playbackScript';
+import { getCorsProxiedUrl } from '../services/rssService';
+import './ReviewModal.css';
+
+/**
+ * Whether a card has audio to replay
+ */
+function hasAudio(card) {
+  return card.audioClip instanceof Blob || Boolean(card.episode?.audioUrl && card.startTime != null);
+}
+
+/**
+ * Build the playback step for a card's audio
+ * Cards saved with a buffered recording play it; older ones stream the passage from the episode.
+ * @returns {{step: Object, src: string, revoke: function(): void}|null}
+ */
+function getClipSource(card) {
+  if (card.audioClip instanceof Blob) {
+    const src = URL.createObjectURL(card.audioClip);
+    return {
+      src,
+      step: { type: 'play', startTime: 0, endTime: Infinity, playbackRate: 1 },
+      revoke: () => URL.revokeObjectURL(src)
+    };
+  }
+  if (card.episode?.audioUrl && card.startTime != null) {
+    return {
+      src: getCorsProxiedUrl(card.episode.audioUrl, 0),
+      step: { type: 'play', startTime: card.startTime, endTime: card.endTime ?? card.startTime + 15, playbackRate: 1 },
+      revoke: () => {}
+    };
+  }
+  return null;
+}
+
+export default function ReviewModal({ isOpen, onClose }) {
+  const audioRef = useRef(null);
+  const playAbortRef = useRef(null);
+  const [queue, setQueue] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isRevealed, setIsRevealed] = useState(false);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [reviewedCount, setReviewedCount] = useState(0);
+  const [error, setError] = useState('');
+
+  const card = queue[0];
+
+  // Load the cards due today whenever review starts
+  useEffect(() => {
+    if (!isOpen) return;
+    setIsLoading(true);
+    setIsRevealed(false);
+    setReviewedCount(0);
+    setError('');
+    getDueReviewCards()
+      .then(setQueue)
+      .catch(e => setError(`Failed to load cards: ${e.message}`))
+      .finally(() => setIsLoading(false));
+  }, [isOpen]);
+
+  // Stop the clip when the card changes or review closes
+  useEffect(() => {
+    return () => playAbortRef.current?.abort();
+  }, [card?.id, isOpen]);
+
+  const playClip = async () => {
+    const audio = audioRef.current;
+    if (!audio || !card || !hasAudio(card)) return;
+    const source = getClipSource(card);
+
+    playAbortRef.current?.abort();
+    const abortController = new AbortController();
+    playAbortRef.current = abortController;
+
+    audio.src = source.src;
+    setIsPlaying(true);
+    try {
+      await runPlaybackScript(audio, [source.step], { signal: abortController.signal });
+    } catch (e) {
+      if (e.name !== 'AbortError') {
+        console.warn('Failed to play review clip:', e);
+        setError(`Could not play the audio: ${e.message}`);
+      }
+    } finally {
+      source.revoke();
+      if (playAbortRef.current === abortController) {
+        playAbortRef.current = null;
+        setIsPlaying(false);
+      }
+    }
+  };
+
+  const handleGrade = async (quality) => {
+    try {
+      const updated = await reviewCard(card, quality);
+      setReviewedCount(count => count + 1);
+      setIsRevealed(false);
+      setError('');
+      // Forgotten cards come back at the end of this session
+      setQueue(prev => (quality < 3 ? [...prev.slice(1), updated] : prev.slice(1)));
+    } catch (e) {
+      setError(`Failed to save review: ${e.message}`);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content review-modal" role="dialog" aria-modal="true" onClick={(e) => e.stopPropagation()}>
+        <button className="modal-close" onClick={onClose}>✕</button>
+
+        <h2>🧠 Review</h2>
+        <audio ref={audioRef} preload="none" />
+
+        {error && <div className="review-error">⚠️ {error}</div>}
+
+        {isLoading ? (
+          <p className="review-empty">Loading cards...</p>
+        ) : !card ? (
+          <p className="review-empty">
+            {reviewedCount > 0
+              ? `🎉 Done for now - ${reviewedCount} ${reviewedCount === 1 ? 'card' : 'cards'} reviewed.`
+              : 'No cards due. Save translations to your notebook while listening and they will show up here.'}
+          </p>
+        ) : (
+          <>
+            <p className="review-progress">{queue.length} left · {reviewedCount} reviewed</p>
+
+            <div className="review-card">
+              <div className="review-original">{card.originalText}</div>
+              {card.episode?.title && <div className="review-source">{card.episode.title}</div>}
+
+              {hasAudio(card) && (
+                <button onClick={playClip} className="review-play-btn" disabled={isPlaying}>
+                  {isPlaying ? '🔊 Playing...' : '▶ Play original audio'}
+                </button>
+              )}
+
+              {isRevealed ? (
+                <div className="review-translation">{card.translatedText}</div>
+              ) : (
+                <button onClick={() => setIsRevealed(true)} className="btn-primary review-reveal-btn">
+                  Show translation
+                </button>
+              )}
+            </div>
+
+            {isRevealed && (
+              <div className="review-grades">
+                {REVIEW_GRADES.map(grade => (
+                  <button
+                    key={grade.key}
+                    onClick={() => handleGrade(grade.quality)}
+                    className={`review-grade-btn ${grade.key}`}
+                  >
+                    {grade.label}
+                    <small>{formatInterval(scheduleReview(card.srs, grade.quality))}</small>
+                  </button>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import ReviewModal from './ReviewModal';
+import { getDueReviewCards, reviewCard } from '../services/srsService';
+import { runPlaybackScript } from '../services/playbackScript';
+
+vi.mock('../services/srsService', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getDueReviewCards: vi.fn(),
+  reviewCard: vi.fn(async (card) => card)
+}));
+
+vi.mock('../services/playbackScript', () => ({
+  runPlaybackScript: vi.fn(async () => {})
+}));
+
+vi.mock('../services/rssService', () => ({
+  getCorsProxiedUrl: vi.fn((url) => `proxy/${url}`)
+}));
+
+describe('ReviewModal', () => {
+  const cards = [
+    {
+      id: 1,
+      originalText: 'el gato',
+      translatedText: 'the cat',
+      episode: { id: 'ep-1', title: 'Episodio 1', audioUrl: 'ep1.mp3' },
+      startTime: 10,
+      endTime: 25,
+      audioClip: new Blob(['clip'], { type: 'audio/webm' })
+    },
+    {
+      id: 2,
+      originalText: 'la casa',
+      translatedText: 'the house',
+      episode: { id: 'ep-1', title: 'Episodio 1', audioUrl: 'ep1.mp3' },
+      startTime: 40,
+      endTime: 55,
+      audioClip: null
+    }
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    getDueReviewCards.mockResolvedValue(cards);
+    URL.createObjectURL = vi.fn(() => 'blob:clip');
+    URL.revokeObjectURL = vi.fn();
+  });
+
+  it('should show the original first and reveal the translation on demand', async () => {
+    render(<ReviewModal isOpen={true} onClose={vi.fn()} />);
+
+    expect(await screen.findByText('el gato')).toBeInTheDocument();
+    expect(screen.queryByText('the cat')).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /good/i })).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Show translation' }));
+
+    expect(screen.getByText('the cat')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /good/i })).toHaveTextContent('1 day');
+  });
+
+  it('should move to the next card after grading and requeue forgotten cards', async () => {
+    render(<ReviewModal isOpen={true} onClose={vi.fn()} />);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Show translation' }));
+    fireEvent.click(screen.getByRole('button', { name: /again/i }));
+
+    expect(await screen.findByText('la casa')).toBeInTheDocument();
+    expect(reviewCard).toHaveBeenCalledWith(cards[0], 1);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Show translation' }));
+    fireEvent.click(screen.getByRole('button', { name: /easy/i }));
+
+    // The forgotten card comes back
+    expect(await screen.findByText('el gato')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Show translation' }));
+    fireEvent.click(screen.getByRole('button', { name: /good/i }));
+
+    expect(await screen.findByText(/3 cards reviewed/)).toBeInTheDocument();
+  });
+
+  it('should replay the stored clip, or stream the passage for cards without one', async () => {
+    render(<ReviewModal isOpen={true} onClose={vi.fn()} />);
+
+    fireEvent.click(await screen.findByRole('button', { name: /play original audio/i }));
+    await waitFor(() => {
+      expect(runPlaybackScript).toHaveBeenCalledTimes(1);
+    });
+    expect(URL.createObjectURL).toHaveBeenCalledWith(cards[0].audioClip);
+    expect(runPlaybackScript.mock.calls[0][1]).toEqual([{ type: 'play', startTime: 0, endTime: Infinity, playbackRate: 1 }]);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Show translation' }));
+    fireEvent.click(screen.getByRole('button', { name: /good/i }));
+    // Grading is async - wait for the second card before playing, or the first card's button is clicked again
+    await screen.findByText('la casa');
+    fireEvent.click(screen.getByRole('button', { name: /play original audio/i }));
+
+    await waitFor(() => {
+      expect(runPlaybackScript).toHaveBeenCalledTimes(2);
+    });
+    const [audio, steps] = runPlaybackScript.mock.calls[1];
+    expect(audio.src).toContain('proxy/ep1.mp3');
+    expect(steps).toEqual([{ type: 'play', startTime: 40, endTime: 55, playbackRate: 1 }]);
+  });
+
+  it('should say when nothing is due', async () => {
+    getDueReviewCards.mockResolvedValue([]);
+    render(<ReviewModal isOpen={true} onClose={vi.fn()} />);
+
+    expect(await screen.findByText(/no cards due/i)).toBeInTheDocument();
+  });
+});
@@ -1,19 +1,75 @@
 import { useState, useEffect } from 'react';
-import { getSettings, saveSettings } from '../services/settingsService';
+import {
+  getSettings,
+  saveSettings,
+  clampRewindSeconds,
+  parseQuickTranslateWindows,
+  getMaxRewindSeconds,
+  MIN_REWIND_SECONDS,
+  MAX_REWIND_SECONDS,
+  DOCKER_LIBRETRANSLATE_URL
+} from '../services/settingsService';
+import { getCacheStats, clearCaches } from '../services/cacheService';
+import { getModelCacheSize, clearModelCache } from '../services/transcription/modelCache';
+import { LOCAL_WHISPER_MODELS } from '../services/transcription/localWhisperTranscription';
+import { PLAYBACK_SEQUENCES, REPLAY_SPEEDS } from '../services/playbackScript';
+import { SHORTCUT_ACTIONS, getShortcuts, assignShortcut, formatKey } from '../services/keyboardShortcuts';
 import './SettingsModal.css';
 
 export default function SettingsModal({ isOpen, onClose, onSave }) {
   const [settings, setSettings] = useState(getSettings());
+  const [cacheStats, setCacheStats] = useState(null);
+  const [isClearingCache, setIsClearingCache] = useState(false);
+  const [modelCacheSize, setModelCacheSize] = useState(0);
 
   // Load settings from localStorage on mount
   useEffect(() => {
     setSettings(getSettings());
   }, []);
 
+  // Refresh cache statistics whenever the modal opens
+  useEffect(() => {
+    if (!isOpen) return;
+    getCacheStats()
+      .then(setCacheStats)
+      .catch(e => console.warn('Failed to read cache stats:', e));
+    getModelCacheSize()
+      .then(setModelCacheSize)
+      .catch(e => console.warn('Failed to read model cache size:', e));
+  }, [isOpen]);
+
+  const handleClearCache = async () => {
+    setIsClearingCache(true);
+    try {
+      await clearCaches();
+      setCacheStats(await getCacheStats());
+    } catch (e) {
+      console.error('Failed to clear cache:', e);
+    } finally {
+      setIsClearingCache(false);
+    }
+  };
+
+  const handleClearModels = async () => {
+    try {
+      await clearModelCache();
+      setModelCacheSize(await getModelCacheSize());
+    } catch (e) {
+      console.error('Failed to delete downloaded models:', e);
+    }
+  };
+
   const handleSave = () => {
-    saveSettings(settings);
+    // Window inputs are free text while editing - store them validated
+    const savedSettings = {
+      ...settings,
+      rewindSeconds: clampRewindSeconds(settings.rewindSeconds),
+      quickTranslateWindows: parseQuickTranslateWindows(settings.quickTranslateWindows),
+      translateForwardSeconds: clampRewindSeconds(settings.translateForwardSeconds ?? 10)
+    };
+    saveSettings(savedSettings);
     if (onSave) {
-      onSave(settings);
+      onSave(savedSettings);
     } else {
       onClose();
     }
@@ -23,11 +79,23 @@ export default function SettingsModal({ isOpen, onClose, onSave }) {
     setSettings(prev => ({ ...prev, [field]: value }));
   };
 
+  // Shortcut fields record the next key pressed in them
+  const handleShortcutKeyDown = (action, e) => {
+    if (e.key === 'Tab') return; // Keep keyboard navigation working
+    e.preventDefault();
+    const updated = assignShortcut(settings.keyboardShortcuts || {}, action, e.key);
+    if (updated) {
+      handleChange('keyboardShortcuts', updated);
+    }
+  };
+
+  const shortcuts = getShortcuts(settings);
+
   if (!isOpen) return null;
 
   return (
     <div className="modal-overlay" onClick={onClose}>
-      <div className="modal-content settings-modal" onClick={(e) => e.stopPropagation()}>
+      <div className="modal-content settings-modal" role="dialog" aria-modal="true" onClick={(e) => e.stopPropagation()}>
         <button className="modal-close" onClick={onClose}>✕</button>
 
         <h2>Settings</h2>
@@ -131,6 +199,59 @@ export default function SettingsModal({ isOpen, onClose, onSave }) {
                 </div>
               </div>
             </label>
+
+            <label className={`radio-option ${settings.transcriptionMethod === 'openai-compatible' ? 'selected' : ''}`}>
+              <input
+                type="radio"
+                name="transcriptionMethod"
+                value="openai-compatible"
+                checked={settings.transcriptionMethod === 'openai-compatible'}
+                onChange={(e) => handleChange('transcriptionMethod', e.target.value)}
+              />
+              <div className="radio-content">
+                <strong>OpenAI-Compatible Server</strong>
+                <span className="badge free">Free</span>
+                <p>Any server exposing <code>/v1/audio/transcriptions</code>: faster-whisper-server, LocalAI, whisper.cpp server and others.</p>
+                <div className="pros-cons">
+                  <div className="pros">
+                    ✅ Use the server you already run<br/>
+                    ✅ Choose any model<br/>
+                    ✅ Private & secure
+                  </div>
+                  <div className="cons">
+                    ⚙️ Server must allow CORS<br/>
+                    💻 Requires your own server
+                  </div>
+                </div>
+              </div>
+            </label>
+
+            <label className={`radio-option ${settings.transcriptionMethod === 'local-wasm' ? 'selected' : ''}`}>
+              <input
+                type="radio"
+                name="transcriptionMethod"
+                value="local-wasm"
+                checked={settings.transcriptionMethod === 'local-wasm'}
+                onChange={(e) => handleChange('transcriptionMethod', e.target.value)}
+              />
+              <div className="radio-content">
+                <strong>In-Browser Whisper</strong>
+                <span className="badge free">Free</span>
+                <p>Runs a small Whisper model on your computer's CPU. No server, no API key - audio never leaves your browser.</p>
+                <div className="pros-cons">
+                  <div className="pros">
+                    ✅ Completely free<br/>
+                    ✅ Private - fully offline after download<br/>
+                    ✅ No Docker or setup
+                  </div>
+                  <div className="cons">
+                    📦 One-time model download (40-250 MB)<br/>
+                    🐌 Slower than a server<br/>
+                    🔋 Uses CPU and battery
+                  </div>
+                </div>
+              </div>
+            </label>
           </div>
 
           {settings.transcriptionMethod === 'whisper' && (
@@ -182,6 +303,370 @@ export default function SettingsModal({ isOpen, onClose, onSave }) {
               <small>URL of your self-hosted Whisper API with CORS proxy. See docker-compose.yml in the project root for setup.</small>
             </div>
           )}
+
+          {settings.transcriptionMethod === 'openai-compatible' && (
+            <div className="api-key-section">
+              <label htmlFor="openAICompatibleUrl">
+                <strong>API Base URL</strong>
+              </label>
+              <input
+                id="openAICompatibleUrl"
+                type="text"
+                value={settings.openAICompatibleUrl}
+                onChange={(e) => handleChange('openAICompatibleUrl', e.target.value)}
+                placeholder="http://localhost:8000/v1"
+                className="api-key-input"
+              />
+              <label htmlFor="openAICompatibleModel" style={{marginTop: '1rem'}}>
+                <strong>Model</strong>
+              </label>
+              <input
+                id="openAICompatibleModel"
+                type="text"
+                value={settings.openAICompatibleModel}
+                onChange={(e) => handleChange('openAICompatibleModel', e.target.value)}
+                placeholder="Systran/faster-whisper-small"
+                className="api-key-input"
+              />
+              <label htmlFor="openAICompatibleApiKey" style={{marginTop: '1rem'}}>
+                <strong>API Key (optional)</strong>
+              </label>
+              <input
+                id="openAICompatibleApiKey"
+                type="password"
+                value={settings.openAICompatibleApiKey}
+                onChange={(e) => handleChange('openAICompatibleApiKey', e.target.value)}
+                placeholder="Only if your server requires a bearer token"
+                className="api-key-input"
+              />
+              <small>Requests go to <code>{'{base URL}'}/audio/transcriptions</code>. Use the model name your server has loaded.</small>
+            </div>
+          )}
+
+          {settings.transcriptionMethod === 'local-wasm' && (
+            <div className="api-key-section">
+              <label htmlFor="localWhisperModel">
+                <strong>Model</strong>
+              </label>
+              <select
+                id="localWhisperModel"
+                value={settings.localWhisperModel}
+                onChange={(e) => handleChange('localWhisperModel', e.target.value)}
+                className="language-select"
+              >
+                {LOCAL_WHISPER_MODELS.map(model => (
+                  <option key={model.id} value={model.id}>{model.name}</option>
+                ))}
+              </select>
+              <small>The model downloads on first use and is stored in your browser for next time.</small>
+            </div>
+          )}
+
+          <div className="form-group">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={settings.usePublisherTranscripts !== false}
+                onChange={(e) => handleChange('usePublisherTranscripts', e.target.checked)}
+              />
+              Use the publisher's transcript when the podcast provides one
+            </label>
+            <small>Episodes marked 📝 Transcript are read from the publisher's file instead of transcribing the audio: faster, free and usually more accurate.</small>
+          </div>
+        </div>
+
+        <div className="settings-section">
+          <h3>🔤 Translation Provider</h3>
+          <p className="section-description">
+            Choose which service translates the transcribed text
+          </p>
+
+          <div className="radio-group">
+            <label className={`radio-option ${settings.translationProvider === 'mymemory' ? 'selected' : ''}`}>
+              <input
+                type="radio"
+                name="translationProvider"
+                value="mymemory"
+                checked={settings.translationProvider === 'mymemory'}
+                onChange={(e) => handleChange('translationProvider', e.target.value)}
+              />
+              <div className="radio-content">
+                <strong>MyMemory</strong>
+                <span className="badge free">Free</span>
+                <p>Free public translation memory. No key or setup needed, but quality varies and daily usage is limited.</p>
+              </div>
+            </label>
+
+            <label className={`radio-option ${settings.translationProvider === 'libretranslate' ? 'selected' : ''}`}>
+              <input
+                type="radio"
+                name="translationProvider"
+                value="libretranslate"
+                checked={settings.translationProvider === 'libretranslate'}
+                onChange={(e) => handleChange('translationProvider', e.target.value)}
+              />
+              <div className="radio-content">
+                <strong>LibreTranslate</strong>
+                <span className="badge free">Open Source</span>
+                <p>Open-source machine translation. Use the public libretranslate.com instance with an API key, or any other LibreTranslate server.</p>
+                <div style={{marginTop: '0.5rem', padding: '0.5rem', background: 'rgba(81,207,102,0.1)', borderRadius: '6px', fontSize: '0.85rem'}}>
+                  <strong>💡 Self-hosting:</strong> <code>docker-compose up -d</code> starts LibreTranslate together with Whisper, keeping translation on your own machine. See README for details.
+                </div>
+              </div>
+            </label>
+
+            <label className={`radio-option ${settings.translationProvider === 'deepl' ? 'selected' : ''}`}>
+              <input
+                type="radio"
+                name="translationProvider"
+                value="deepl"
+                checked={settings.translationProvider === 'deepl'}
+                onChange={(e) => handleChange('translationProvider', e.target.value)}
+              />
+              <div className="radio-content">
+                <strong>DeepL</strong>
+                <span className="badge paid">API Key</span>
+                <p>Very natural translations. The free plan includes 500,000 characters per month.</p>
+              </div>
+            </label>
+
+            <label className={`radio-option ${settings.translationProvider === 'openai' ? 'selected' : ''}`}>
+              <input
+                type="radio"
+                name="translationProvider"
+                value="openai"
+                checked={settings.translationProvider === 'openai'}
+                onChange={(e) => handleChange('translationProvider', e.target.value)}
+              />
+              <div className="radio-content">
+                <strong>OpenAI-Compatible Chat Model</strong>
+                <span className="badge paid">Paid or Local</span>
+                <p>Translate with a chat model: OpenAI, or a local server such as Ollama or LM Studio that exposes <code>/v1/chat/completions</code>.</p>
+              </div>
+            </label>
+          </div>
+
+          {settings.translationProvider === 'libretranslate' && (
+            <div className="api-key-section">
+              <label htmlFor="libreTranslateUrl">
+                <strong>LibreTranslate URL</strong>
+                <a
+                  href="https://github.com/LibreTranslate/LibreTranslate"
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="link"
+                >
+                  Setup Guide →
+                </a>
+              </label>
+              <input
+                id="libreTranslateUrl"
+                type="text"
+                value={settings.libreTranslateUrl}
+                onChange={(e) => handleChange('libreTranslateUrl', e.target.value)}
+                placeholder="https://libretranslate.com"
+                className="api-key-input"
+              />
+              <label htmlFor="libreTranslateApiKey" style={{marginTop: '1rem'}}>
+                <strong>API Key (optional)</strong>
+              </label>
+              <input
+                id="libreTranslateApiKey"
+                type="password"
+                value={settings.libreTranslateApiKey}
+                onChange={(e) => handleChange('libreTranslateApiKey', e.target.value)}
+                placeholder="Only needed for libretranslate.com"
+                className="api-key-input"
+              />
+              <small>Self-hosted LibreTranslate servers usually don't need an API key.</small>
+              <button
+                onClick={() => setSettings(prev => ({ ...prev, libreTranslateUrl: DOCKER_LIBRETRANSLATE_URL, libreTranslateApiKey: '' }))}
+                className="btn-secondary"
+                style={{marginTop: '0.5rem'}}
+              >
+                Use docker-compose server ({DOCKER_LIBRETRANSLATE_URL})
+              </button>
+            </div>
+          )}
+
+          {settings.translationProvider === 'deepl' && (
+            <div className="api-key-section">
+              <label htmlFor="deeplApiKey">
+                <strong>DeepL API Key</strong>
+                <a
+                  href="https://www.deepl.com/your-account/keys"
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="link"
+                >
+                  Get API Key →
+                </a>
+              </label>
+              <input
+                id="deeplApiKey"
+                type="password"
+                value={settings.deeplApiKey}
+                onChange={(e) => handleChange('deeplApiKey', e.target.value)}
+                placeholder="xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx:fx"
+                className="api-key-input"
+              />
+              <label htmlFor="deeplApiUrl" style={{marginTop: '1rem'}}>
+                <strong>API URL (optional)</strong>
+              </label>
+              <input
+                id="deeplApiUrl"
+                type="text"
+                value={settings.deeplApiUrl}
+                onChange={(e) => handleChange('deeplApiUrl', e.target.value)}
+                placeholder="https://api-free.deepl.com"
+                className="api-key-input"
+              />
+              <small>DeepL blocks direct browser requests (no CORS headers). Point the API URL at a CORS proxy that forwards to DeepL. Your key is stored locally in your browser.</small>
+            </div>
+          )}
+
+          {settings.translationProvider === 'openai' && (
+            <div className="api-key-section">
+              <label htmlFor="openAITranslationUrl">
+                <strong>Chat Completions API URL</strong>
+              </label>
+              <input
+                id="openAITranslationUrl"
+                type="text"
+                value={settings.openAITranslationUrl}
+                onChange={(e) => handleChange('openAITranslationUrl', e.target.value)}
+                placeholder="https://api.openai.com/v1"
+                className="api-key-input"
+              />
+              <label htmlFor="openAITranslationModel" style={{marginTop: '1rem'}}>
+                <strong>Model</strong>
+              </label>
+              <input
+                id="openAITranslationModel"
+                type="text"
+                value={settings.openAITranslationModel}
+                onChange={(e) => handleChange('openAITranslationModel', e.target.value)}
+                placeholder="gpt-4o-mini"
+                className="api-key-input"
+              />
+              <label htmlFor="openAITranslationApiKey" style={{marginTop: '1rem'}}>
+                <strong>API Key</strong>
+              </label>
+              <input
+                id="openAITranslationApiKey"
+                type="password"
+                value={settings.openAITranslationApiKey}
+                onChange={(e) => handleChange('openAITranslationApiKey', e.target.value)}
+                placeholder="sk-... (leave empty for local servers)"
+                className="api-key-input"
+              />
+              <small>Your API key is stored locally in your browser and only sent to the URL above.</small>
+            </div>
+          )}
+        </div>
+
+        <div className="settings-section">
+          <h3>🔎 Podcast Search</h3>
+
+          <div className="radio-group">
+            <label className={`radio-option ${settings.directoryProvider === 'itunes' ? 'selected' : ''}`}>
+              <input
+                type="radio"
+                name="directoryProvider"
+                value="itunes"
+                checked={settings.directoryProvider === 'itunes'}
+                onChange={(e) => handleChange('directoryProvider', e.target.value)}
+              />
+              <div className="radio-content">
+                <strong>Apple Podcasts</strong>
+                <span className="badge free">Free</span>
+                <p>Search the Apple Podcasts catalogue. No key needed. The language filter searches that language's country store, so a few results may be in other languages.</p>
+              </div>
+            </label>
+
+            <label className={`radio-option ${settings.directoryProvider === 'podcastindex' ? 'selected' : ''}`}>
+              <input
+                type="radio"
+                name="directoryProvider"
+                value="podcastindex"
+                checked={settings.directoryProvider === 'podcastindex'}
+                onChange={(e) => handleChange('directoryProvider', e.target.value)}
+              />
+              <div className="radio-content">
+                <strong>Podcast Index</strong>
+                <span className="badge free">Open</span>
+                <p>Open, independent podcast index. Needs a free API key and secret, and filters by each feed's own language.</p>
+              </div>
+            </label>
+
+            <label className={`radio-option ${settings.directoryProvider === 'custom' ? 'selected' : ''}`}>
+              <input
+                type="radio"
+                name="directoryProvider"
+                value="custom"
+                checked={settings.directoryProvider === 'custom'}
+                onChange={(e) => handleChange('directoryProvider', e.target.value)}
+              />
+              <div className="radio-content">
+                <strong>Custom Directory</strong>
+                <span className="badge free">Self-Hosted</span>
+                <p>Any server that answers like the iTunes Search API, such as a local mock for development.</p>
+              </div>
+            </label>
+          </div>
+
+          {settings.directoryProvider === 'podcastindex' && (
+            <div className="api-key-section">
+              <label htmlFor="podcastIndexApiKey">
+                <strong>Podcast Index API Key</strong>
+                <a
+                  href="https://api.podcastindex.org/signup"
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="link"
+                >
+                  Get API Key →
+                </a>
+              </label>
+              <input
+                id="podcastIndexApiKey"
+                type="text"
+                value={settings.podcastIndexApiKey}
+                onChange={(e) => handleChange('podcastIndexApiKey', e.target.value)}
+                placeholder="XXXXXXXXXXXXXXXXXXXX"
+                className="api-key-input"
+              />
+              <label htmlFor="podcastIndexApiSecret" style={{marginTop: '1rem'}}>
+                <strong>API Secret</strong>
+              </label>
+              <input
+                id="podcastIndexApiSecret"
+                type="password"
+                value={settings.podcastIndexApiSecret}
+                onChange={(e) => handleChange('podcastIndexApiSecret', e.target.value)}
+                placeholder="Shown once when you sign up"
+                className="api-key-input"
+              />
+              <small>Your key and secret are stored locally in your browser and only sent to Podcast Index.</small>
+            </div>
+          )}
+
+          {settings.directoryProvider === 'custom' && (
+            <div className="api-key-section">
+              <label htmlFor="customDirectoryUrl">
+                <strong>Search URL</strong>
+              </label>
+              <input
+                id="customDirectoryUrl"
+                type="text"
+                value={settings.customDirectoryUrl}
+                onChange={(e) => handleChange('customDirectoryUrl', e.target.value)}
+                placeholder="http://localhost:3001/search"
+                className="api-key-input"
+              />
+              <small>Called with the iTunes Search API parameters (<code>term</code>, <code>country</code>, <code>limit</code>) and expected to return its JSON format.</small>
+            </div>
+          )}
         </div>
 
         <div className="settings-section">
@@ -235,7 +720,92 @@ export default function SettingsModal({ isOpen, onClose, onSave }) {
           </div>
         </div>
 
-        {(settings.transcriptionMethod === 'whisper' || settings.transcriptionMethod === 'selfhosted') && (
+        <div className="settings-section">
+          <h3>⏪ Rewind Window</h3>
+
+          <div className="form-group">
+            <label htmlFor="rewindSeconds">
+              Seconds to rewind and translate
+              <small style={{display: 'block', fontWeight: 'normal', color: '#888', marginTop: '4px'}}>
+                Short clips are easier for beginners, longer ones give more context ({MIN_REWIND_SECONDS}-{MAX_REWIND_SECONDS}s)
+              </small>
+            </label>
+            <input
+              id="rewindSeconds"
+              type="number"
+              min={MIN_REWIND_SECONDS}
+              max={MAX_REWIND_SECONDS}
+              value={settings.rewindSeconds}
+              onChange={(e) => handleChange('rewindSeconds', e.target.value)}
+              className="api-key-input"
+            />
+          </div>
+
+          <div className="form-group">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={!!settings.showQuickTranslateButtons}
+                onChange={(e) => handleChange('showQuickTranslateButtons', e.target.checked)}
+              />
+              Show quick translate buttons
+            </label>
+            {settings.showQuickTranslateButtons && (
+              <input
+                id="quickTranslateWindows"
+                type="text"
+                aria-label="Quick translate windows"
+                value={Array.isArray(settings.quickTranslateWindows)
+                  ? settings.quickTranslateWindows.join(', ')
+                  : settings.quickTranslateWindows}
+                onChange={(e) => handleChange('quickTranslateWindows', e.target.value)}
+                placeholder="5, 15, 30"
+                className="api-key-input"
+              />
+            )}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="playbackSequence">
+              After translating
+              <small style={{display: 'block', fontWeight: 'normal', color: '#888', marginTop: '4px'}}>
+                {PLAYBACK_SEQUENCES[settings.playbackSequence || 'translation']?.description}
+              </small>
+            </label>
+            <select
+              id="playbackSequence"
+              value={settings.playbackSequence || 'translation'}
+              onChange={(e) => handleChange('playbackSequence', e.target.value)}
+              className="language-select"
+            >
+              {Object.entries(PLAYBACK_SEQUENCES).map(([key, sequence]) => (
+                <option key={key} value={key}>{sequence.name}</option>
+              ))}
+            </select>
+
+            {settings.playbackSequence && settings.playbackSequence !== 'translation' && (
+              <>
+                <label htmlFor="replaySpeed" style={{marginTop: '1rem'}}>
+                  Replay speed
+                </label>
+                <select
+                  id="replaySpeed"
+                  value={settings.replaySpeed ?? 1}
+                  onChange={(e) => handleChange('replaySpeed', Number(e.target.value))}
+                  className="language-select"
+                >
+                  {REPLAY_SPEEDS.map(speed => (
+                    <option key={speed} value={speed}>
+                      {speed === 1 ? 'Normal (1x)' : `${speed}x`}
+                    </option>
+                  ))}
+                </select>
+              </>
+            )}
+          </div>
+        </div>
+
+        {['whisper', 'selfhosted', 'openai-compatible', 'local-wasm'].includes(settings.transcriptionMethod) && (
           <div className="settings-section">
             <h3>⚡ Performance</h3>
 
@@ -260,25 +830,108 @@ export default function SettingsModal({ isOpen, onClose, onSave }) {
                 {settings.audioBufferStrategy === 'continuous' || !settings.audioBufferStrategy ? (
                   <>
                     <strong>⚡ Continuous Buffering:</strong><br/>
-                    • Continuously records last 15 seconds in background<br/>
-                    • Translation starts <strong>instantly</strong> (15s faster)<br/>
+                    • Continuously records the last {getMaxRewindSeconds(settings)} seconds in background<br/>
+                    • Translation starts <strong>instantly</strong> (no recording delay)<br/>
                     • Small memory overhead (~1-2MB)<br/>
                     • Best for active listening sessions
                   </>
                 ) : (
                   <>
                     <strong>⏱️ On-Demand Recording:</strong><br/>
-                    • Records 15 seconds after you click translate<br/>
-                    • Adds ~15 second delay before transcription starts<br/>
+                    • Cuts the last seconds from the episode file after you click translate<br/>
+                    • Starts almost instantly and silently when the server supports range requests<br/>
+                    • Otherwise records in real time (waits as long as the window)<br/>
                     • Minimal memory usage<br/>
                     • Better for low-end devices or background listening
                   </>
                 )}
               </div>
             </div>
+
+            <div className="form-group">
+              <label htmlFor="translateForwardSeconds">
+                Translate-forward segment length (seconds)
+                <small style={{display: 'block', fontWeight: 'normal', color: '#888', marginTop: '4px'}}>
+                  In translate-forward mode the episode is subtitled in chunks of this length. Shorter chunks appear sooner, longer ones translate more naturally
+                </small>
+              </label>
+              <input
+                id="translateForwardSeconds"
+                type="number"
+                min={MIN_REWIND_SECONDS}
+                max={MAX_REWIND_SECONDS}
+                value={settings.translateForwardSeconds ?? 10}
+                onChange={(e) => handleChange('translateForwardSeconds', e.target.value)}
+                className="api-key-input"
+              />
+            </div>
           </div>
         )}
 
+        <div className="settings-section">
+          <h3>⌨️ Keyboard Shortcuts</h3>
+          <p className="section-description">
+            Click a field and press the key you want to use. A key that is already taken swaps with the old one.
+          </p>
+
+          <div className="shortcut-list">
+            {Object.entries(SHORTCUT_ACTIONS).map(([action, { label }]) => (
+              <div key={action} className="shortcut-row">
+                <span>{label}</span>
+                <input
+                  type="text"
+                  readOnly
+                  value={formatKey(shortcuts[action])}
+                  onKeyDown={(e) => handleShortcutKeyDown(action, e)}
+                  aria-label={`Shortcut for ${label}`}
+                  className="shortcut-input"
+                />
+              </div>
+            ))}
+          </div>
+
+          <button
+            onClick={() => handleChange('keyboardShortcuts', {})}
+            className="btn-secondary"
+            style={{marginTop: '1rem'}}
+          >
+            Reset to defaults
+          </button>
+        </div>
+
+        <div className="settings-section">
+          <h3>🗄️ Cache</h3>
+          <p className="section-description">
+            Transcriptions and translations are stored in your browser, so studying the same passage again is instant and doesn't use API quota.
+          </p>
+
+          <div className="cache-controls">
+            <span className="cache-stats">
+              {cacheStats
+                ? `${cacheStats.translations} translations, ${cacheStats.transcriptions} transcriptions cached`
+                : 'Cache statistics unavailable'}
+            </span>
+            <button
+              onClick={handleClearCache}
+              disabled={isClearingCache}
+              className="btn-secondary"
+            >
+              {isClearingCache ? '⏳ Clearing...' : '🗑️ Clear cache'}
+            </button>
+          </div>
+
+          {modelCacheSize > 0 && (
+            <div className="cache-controls">
+              <span className="cache-stats">
+                {`In-browser Whisper models: ${(modelCacheSize / 1024 / 1024).toFixed(0)} MB`}
+              </span>
+              <button onClick={handleClearModels} className="btn-secondary">
+                🗑️ Delete models
+              </button>
+            </div>
+          )}
+        </div>
+
         <div className="settings-actions">
           <button onClick={onClose} className="btn-secondary">
             Cancel
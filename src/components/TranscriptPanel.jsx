@@ -0,0 +1,192 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { translateText, resolveSourceLanguage } from '../services/translationService';
+import { segmentsToSentences, findActiveSentenceIndex } from '../services/transcriptService';
+import {
+  TRANSCRIPT_FORMATS,
+  buildTranscriptCues,
+  formatTranscript,
+  getTranscriptFilename
+} from '../services/transcriptExport';
+import { translateChunks } from '../services/translation/textChunker';
+import { downloadBlob } from '../services/fileDownload';
+import './TranscriptPanel.css';
+
+export default function TranscriptPanel({ transcript, title = '', currentTime, onSeek, settings = {} }) {
+  const listRef = useRef(null);
+  const [lineTranslations, setLineTranslations] = useState({});
+  const [autoScroll, setAutoScroll] = useState(true);
+  const [downloadFormat, setDownloadFormat] = useState('srt');
+  const [isBilingual, setIsBilingual] = useState(false);
+  const [downloadStatus, setDownloadStatus] = useState('');
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  const sourceLang = transcript?.language && transcript.language !== 'auto'
+    ? transcript.language
+    : settings.sourceLang || 'auto';
+  const targetLang = settings.targetLang || 'en';
+
+  const sentences = useMemo(
+    () => segmentsToSentences(transcript?.segments, sourceLang),
+    [transcript, sourceLang]
+  );
+  const activeIndex = findActiveSentenceIndex(sentences, currentTime);
+
+  // Forget line translations when the transcript changes
+  useEffect(() => {
+    setLineTranslations({});
+    setDownloadStatus('');
+  }, [transcript]);
+
+  // Keep the current sentence in view while playing
+  useEffect(() => {
+    if (!autoScroll || activeIndex < 0 || !listRef.current) return;
+    const activeLine = listRef.current.children[activeIndex];
+    activeLine?.scrollIntoView?.({ block: 'nearest', behavior: 'smooth' });
+  }, [activeIndex, autoScroll]);
+
+  const translateLine = async (index) => {
+    setLineTranslations(prev => ({ ...prev, [index]: { status: 'loading' } }));
+    try {
+      const text = await translateText(sentences[index].text, resolveSourceLanguage(transcript?.language, settings.sourceLang), targetLang, settings);
+      setLineTranslations(prev => ({ ...prev, [index]: { status: 'done', text } }));
+    } catch (error) {
+      console.error('Line translation error:', error);
+      setLineTranslations(prev => ({ ...prev, [index]: { status: 'error', text: error.message } }));
+    }
+  };
+
+  // Bilingual downloads need every line translated - reuse the ones already shown
+  const translateAllLines = async () => {
+    const missing = sentences
+      .map((sentence, index) => index)
+      .filter(index => lineTranslations[index]?.status !== 'done');
+    let translatedCount = 0;
+
+    const { translations, failures } = await translateChunks(
+      missing.map(index => sentences[index].text),
+      async (text) => {
+        const translation = await translateText(text, resolveSourceLanguage(transcript?.language, settings.sourceLang), targetLang, settings);
+        translatedCount++;
+        setDownloadStatus(`Translating ${translatedCount}/${missing.length} lines...`);
+        return translation;
+      }
+    );
+
+    const translated = Object.fromEntries(missing
+      .map((sentenceIndex, index) => [sentenceIndex, translations[index]])
+      .filter(([, text]) => text != null)
+      .map(([sentenceIndex, text]) => [sentenceIndex, { status: 'done', text }]));
+    const allTranslations = { ...lineTranslations, ...translated };
+    setLineTranslations(allTranslations);
+
+    return {
+      translations: sentences.map((sentence, index) => (
+        allTranslations[index]?.status === 'done' ? allTranslations[index].text : null
+      )),
+      failedCount: failures.length
+    };
+  };
+
+  const handleDownload = async () => {
+    setIsDownloading(true);
+    setDownloadStatus('');
+    try {
+      let translations;
+      let failedCount = 0;
+      if (isBilingual) {
+        ({ translations, failedCount } = await translateAllLines());
+      }
+
+      const cues = buildTranscriptCues(transcript, { lang: sourceLang, translations });
+      const content = formatTranscript(cues, downloadFormat, { title, lang: sourceLang, targetLang });
+      const { mimeType } = TRANSCRIPT_FORMATS[downloadFormat];
+      downloadBlob(
+        new Blob([content], { type: `${mimeType};charset=utf-8` }),
+        getTranscriptFilename(title, downloadFormat, isBilingual)
+      );
+      setDownloadStatus(failedCount ? `⚠️ ${failedCount} lines couldn't be translated and were left without a translation` : '');
+    } catch (error) {
+      console.error('Transcript download error:', error);
+      setDownloadStatus(`⚠️ Download failed: ${error.message}`);
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  if (sentences.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="transcript-panel">
+      <div className="transcript-header">
+        <h4>📝 Transcript</h4>
+        <label className="transcript-autoscroll">
+          <input
+            type="checkbox"
+            checked={autoScroll}
+            onChange={(e) => setAutoScroll(e.target.checked)}
+          />
+          Follow audio
+        </label>
+      </div>
+
+      <div className="transcript-download">
+        <select
+          value={downloadFormat}
+          onChange={(e) => setDownloadFormat(e.target.value)}
+          aria-label="Transcript format"
+        >
+          {Object.entries(TRANSCRIPT_FORMATS).map(([format, { label }]) => (
+            <option key={format} value={format}>{label}</option>
+          ))}
+        </select>
+        <label className="transcript-bilingual">
+          <input
+            type="checkbox"
+            checked={isBilingual}
+            onChange={(e) => setIsBilingual(e.target.checked)}
+          />
+          With translation
+        </label>
+        <button onClick={handleDownload} disabled={isDownloading} className="transcript-download-btn">
+          {isDownloading ? '⏳ Preparing...' : '⬇ Download transcript'}
+        </button>
+      </div>
+      {downloadStatus && <div className="transcript-download-status">{downloadStatus}</div>}
+
+      <ol className="transcript-lines" ref={listRef}>
+        {sentences.map((sentence, index) => {
+          const translation = lineTranslations[index];
+          return (
+            <li
+              key={`${sentence.startTime}-${index}`}
+              className={`transcript-line ${index === activeIndex ? 'active' : ''}`}
+            >
+              <button
+                className="transcript-text"
+                onClick={() => onSeek(sentence.startTime)}
+                title="Play from here"
+              >
+                {sentence.text}
+              </button>
+              <button
+                className="transcript-translate-btn"
+                onClick={() => translateLine(index)}
+                disabled={translation?.status === 'loading'}
+                title="Translate this line"
+              >
+                {translation?.status === 'loading' ? '⏳' : '🌐'}
+              </button>
+              {translation && translation.status !== 'loading' && (
+                <div className={`transcript-translation ${translation.status === 'error' ? 'error' : ''}`}>
+                  {translation.status === 'error' ? `⚠️ ${translation.text}` : translation.text}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
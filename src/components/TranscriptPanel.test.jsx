@@ -0,0 +1,148 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import TranscriptPanel from './TranscriptPanel';
+import { downloadBlob } from '../services/fileDownload';
+
+vi.mock('../services/translationService', () => ({
+  translateText: vi.fn(async () => 'Good morning, everyone.'),
+  resolveSourceLanguage: vi.fn((detectedLang, requestedLang) => [detectedLang, requestedLang].find(lang => lang && lang !== 'auto') || 'es')
+}));
+
+vi.mock('../services/fileDownload', () => ({
+  downloadBlob: vi.fn()
+}));
+
+const readBlob = (blob) => new Promise((resolve) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsText(blob);
+});
+
+describe('TranscriptPanel', () => {
+  const transcript = {
+    language: 'es',
+    segments: [
+      { startTime: 0, endTime: 10, text: 'Buenos días a todos. Hoy hablamos de música.' },
+      { startTime: 10, endTime: 20, text: 'Empecemos.' }
+    ]
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should render nothing without segments', () => {
+    const { container } = render(
+      <TranscriptPanel transcript={{ segments: [] }} currentTime={0} onSeek={vi.fn()} />
+    );
+
+    expect(container.firstChild).toBeNull();
+  });
+
+  it('should render one line per sentence', () => {
+    render(<TranscriptPanel transcript={transcript} currentTime={0} onSeek={vi.fn()} />);
+
+    expect(screen.getByText('Buenos días a todos.')).toBeInTheDocument();
+    expect(screen.getByText('Hoy hablamos de música.')).toBeInTheDocument();
+    expect(screen.getByText('Empecemos.')).toBeInTheDocument();
+  });
+
+  it('should highlight the sentence at the current time', () => {
+    const { rerender } = render(
+      <TranscriptPanel transcript={transcript} currentTime={1} onSeek={vi.fn()} />
+    );
+
+    expect(screen.getByText('Buenos días a todos.').closest('li')).toHaveClass('active');
+
+    rerender(<TranscriptPanel transcript={transcript} currentTime={12} onSeek={vi.fn()} />);
+
+    expect(screen.getByText('Buenos días a todos.').closest('li')).not.toHaveClass('active');
+    expect(screen.getByText('Empecemos.').closest('li')).toHaveClass('active');
+  });
+
+  it('should seek to a sentence when it is clicked', () => {
+    const onSeek = vi.fn();
+    render(<TranscriptPanel transcript={transcript} currentTime={0} onSeek={onSeek} />);
+
+    fireEvent.click(screen.getByText('Empecemos.'));
+
+    expect(onSeek).toHaveBeenCalledWith(10);
+  });
+
+  it('should translate a single line', async () => {
+    const { translateText } = await import('../services/translationService');
+    const settings = { targetLang: 'en', translationProvider: 'mymemory' };
+    render(<TranscriptPanel transcript={transcript} currentTime={0} onSeek={vi.fn()} settings={settings} />);
+
+    fireEvent.click(screen.getAllByTitle('Translate this line')[0]);
+
+    await waitFor(() => {
+      expect(screen.getByText('Good morning, everyone.')).toBeInTheDocument();
+    });
+    expect(translateText).toHaveBeenCalledWith('Buenos días a todos.', 'es', 'en', settings);
+  });
+
+  it('should translate from the requested language when the transcript language was not detected', async () => {
+    const { translateText } = await import('../services/translationService');
+    const settings = { sourceLang: 'fr', targetLang: 'en', translationProvider: 'mymemory' };
+    render(<TranscriptPanel transcript={{ ...transcript, language: 'auto' }} currentTime={0} onSeek={vi.fn()} settings={settings} />);
+
+    fireEvent.click(screen.getAllByTitle('Translate this line')[0]);
+
+    await waitFor(() => {
+      expect(translateText).toHaveBeenCalledWith('Buenos días a todos.', 'fr', 'en', settings);
+    });
+  });
+
+  it('should show translation errors inline', async () => {
+    const { translateText } = await import('../services/translationService');
+    translateText.mockRejectedValueOnce(new Error('Quota exceeded'));
+    render(<TranscriptPanel transcript={transcript} currentTime={0} onSeek={vi.fn()} />);
+
+    fireEvent.click(screen.getAllByTitle('Translate this line')[2]);
+
+    await waitFor(() => {
+      expect(screen.getByText(/Quota exceeded/)).toBeInTheDocument();
+    });
+  });
+
+  it('should download the transcript in the chosen format', async () => {
+    render(<TranscriptPanel transcript={transcript} title="Episodio 1" currentTime={0} onSeek={vi.fn()} />);
+
+    fireEvent.change(screen.getByLabelText('Transcript format'), { target: { value: 'vtt' } });
+    fireEvent.click(screen.getByRole('button', { name: /download transcript/i }));
+
+    await waitFor(() => {
+      expect(downloadBlob).toHaveBeenCalled();
+    });
+    const [blob, filename] = downloadBlob.mock.calls[0];
+    expect(filename).toBe('Episodio 1.vtt');
+    expect(await readBlob(blob)).toContain('WEBVTT\n\n00:00:00.000 --> ');
+  });
+
+  it('should translate the remaining lines for a bilingual download', async () => {
+    const { translateText } = await import('../services/translationService');
+    render(<TranscriptPanel transcript={transcript} title="Episodio 1" currentTime={0} onSeek={vi.fn()} />);
+
+    fireEvent.click(screen.getAllByTitle('Translate this line')[0]);
+    await screen.findByText('Good morning, everyone.');
+    translateText.mockResolvedValueOnce("Today we're talking about music.").mockResolvedValueOnce("Let's start.");
+
+    fireEvent.click(screen.getByLabelText('With translation'));
+    fireEvent.click(screen.getByRole('button', { name: /download transcript/i }));
+
+    await waitFor(() => {
+      expect(downloadBlob).toHaveBeenCalled();
+    });
+    // The line translated before isn't translated again
+    expect(translateText).toHaveBeenCalledTimes(3);
+    expect(translateText).toHaveBeenLastCalledWith('Empecemos.', 'es', expect.any(String), expect.anything());
+    const [blob, filename] = downloadBlob.mock.calls[0];
+    expect(filename).toBe('Episodio 1 (bilingual).srt');
+    const srt = await readBlob(blob);
+    expect(srt).toContain('Buenos días a todos.\nGood morning, everyone.');
+    expect(srt).toContain('Empecemos.\nLet\'s start.');
+    // The new translations show in the panel too
+    expect(screen.getByText("Let's start.")).toBeInTheDocument();
+  });
+});
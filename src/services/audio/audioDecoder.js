@@ -0,0 +1,92 @@
+// Decode compressed audio (MP3, AAC, Opus, ...) to mono PCM samples
+
+// Whisper models work on 16 kHz mono audio, so there's no point keeping more
+export const WHISPER_SAMPLE_RATE = 16000;
+
+/**
+ * Decode an encoded audio file to mono samples at the given sample rate
+ * decodeAudioData on an OfflineAudioContext resamples to the context's rate
+ * @param {ArrayBuffer} arrayBuffer - Encoded audio data
+ * @param {number} sampleRate - Output sample rate in Hz
+ * @returns {Promise<{samples: Float32Array, sampleRate: number, duration: number}>}
+ */
+export async function decodeToMono(arrayBuffer, sampleRate = WHISPER_SAMPLE_RATE) {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContext) {
+    throw new Error('Audio decoding is not supported in this browser');
+  }
+
+  const context = new OfflineContext(1, 1, sampleRate);
+  let audioBuffer;
+  try {
+    audioBuffer = await context.decodeAudioData(arrayBuffer);
+  } catch (error) {
+    throw new Error(`Failed to decode audio: ${error?.message || 'unsupported format'}`);
+  }
+
+  // Mix all channels down to mono
+  const samples = new Float32Array(audioBuffer.length);
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel);
+    for (let i = 0; i < data.length; i++) {
+      samples[i] += data[i] / audioBuffer.numberOfChannels;
+    }
+  }
+
+  return {
+    samples,
+    sampleRate: audioBuffer.sampleRate,
+    duration: audioBuffer.duration
+  };
+}
+
+/**
+ * Fetch and decode a complete audio file
+ * @param {string} url - Audio URL (already CORS-proxied if needed)
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Optional abort signal
+ * @param {function(number, number): void} options.onDownloadProgress - Called with (loadedBytes, totalBytes)
+ * @returns {Promise<{samples: Float32Array, sampleRate: number, duration: number}>}
+ */
+export async function fetchAndDecodeAudio(url, { signal, onDownloadProgress } = {}) {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`Failed to download audio: HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  const totalBytes = Number(response.headers.get('content-length')) || 0;
+  let arrayBuffer;
+
+  if (onDownloadProgress && response.body?.getReader) {
+    // Stream the download so large episodes can report progress
+    const reader = response.body.getReader();
+    const parts = [];
+    let loadedBytes = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      parts.push(value);
+      loadedBytes += value.length;
+      onDownloadProgress(loadedBytes, totalBytes);
+    }
+    arrayBuffer = await new Blob(parts).arrayBuffer();
+  } else {
+    arrayBuffer = await response.arrayBuffer();
+  }
+
+  return decodeToMono(arrayBuffer);
+}
+
+/**
+ * Copy the samples between two times
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} startTime - Start time in seconds
+ * @param {number} endTime - End time in seconds
+ * @returns {Float32Array}
+ */
+export function sliceSamples(samples, sampleRate, startTime, endTime) {
+  const start = Math.max(0, Math.floor(startTime * sampleRate));
+  const end = Math.min(samples.length, Math.ceil(endTime * sampleRate));
+  return samples.slice(start, Math.max(start, end));
+}
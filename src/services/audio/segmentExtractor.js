@@ -0,0 +1,180 @@
+// Extract a time window of an episode without playing it
+// Fetches only the bytes around the window with an HTTP Range request, decodes them
+// and encodes the exact window as WAV. Much faster than recording at 1x and silent.
+// Only constant bitrate MP3s map time to bytes reliably; other files are decoded whole.
+
+import { decodeToMono, fetchAndDecodeAudio, sliceSamples } from './audioDecoder';
+import { encodeWav } from './wavEncoder';
+
+// Extra audio fetched on both sides - decoders need a few frames to sync at the start of a range
+// and drop the frame cut off at the end
+const RANGE_PADDING_SECONDS = 3;
+
+// Enough of the first MPEG frame to read its header and a Xing, Info or VBRI tag
+const FRAME_PROBE_BYTES = 64;
+
+// MPEG Layer III bitrates (kbps) by bitrate index, for MPEG-1 and MPEG-2/2.5
+const LAYER3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MPEG1_SAMPLE_RATES = [44100, 48000, 32000];
+
+// Probe results per URL, so repeated rewinds skip the probe request
+const probeCache = new Map();
+
+// Size of a leading ID3v2 tag (cover art can make it hundreds of kilobytes), 0 if there is none
+function getId3TagSize(header) {
+  if (String.fromCharCode(...header.slice(0, 3)) !== 'ID3') return 0;
+
+  // Synchsafe integer: 7 bits per byte, excluding the 10-byte header and optional 10-byte footer
+  const size = (header[6] << 21) | (header[7] << 14) | (header[8] << 7) | header[9];
+  const hasFooter = (header[5] & 0x10) !== 0;
+  return 10 + size + (hasFooter ? 10 : 0);
+}
+
+/**
+ * Read the first MPEG Layer III frame of a file
+ * @param {Uint8Array} frame - Bytes from the start of the frame
+ * @returns {{isVbr: boolean, headerFrameLength: number}|null} - null if this isn't an MP3 frame;
+ *   headerFrameLength is the length of a LAME "Info" frame, which holds no audio
+ */
+function readMp3Frame(frame) {
+  if (frame.length < 4 || frame[0] !== 0xFF || (frame[1] & 0xE0) !== 0xE0) return null;
+
+  const version = (frame[1] >> 3) & 3; // 3 = MPEG-1, 2 = MPEG-2, 0 = MPEG-2.5
+  const layer = (frame[1] >> 1) & 3; // 1 = Layer III
+  const bitrateIndex = frame[2] >> 4;
+  const sampleRateIndex = (frame[2] >> 2) & 3;
+  if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) return null;
+
+  const isMpeg1 = version === 3;
+  const isMono = (frame[3] >> 6) === 3;
+  const tagAt = (offset) => String.fromCharCode(...frame.slice(offset, offset + 4));
+  // The Xing/Info tag follows the side information, VBRI always sits 32 bytes after the header
+  const xingTag = tagAt(4 + (isMpeg1 ? (isMono ? 17 : 32) : (isMono ? 9 : 17)));
+  if (xingTag === 'Xing' || tagAt(36) === 'VBRI') {
+    return { isVbr: true, headerFrameLength: 0 };
+  }
+  if (xingTag !== 'Info') {
+    return { isVbr: false, headerFrameLength: 0 };
+  }
+
+  const bitrate = LAYER3_BITRATES[isMpeg1 ? 1 : 2][bitrateIndex] * 1000;
+  const sampleRate = MPEG1_SAMPLE_RATES[sampleRateIndex] / (isMpeg1 ? 1 : version === 2 ? 2 : 4);
+  const padding = (frame[2] >> 1) & 1;
+  return { isVbr: false, headerFrameLength: Math.floor((isMpeg1 ? 144 : 72) * bitrate / sampleRate) + padding };
+}
+
+/**
+ * Find out whether the server supports Range requests and how large the file is
+ * @param {string} url - Audio URL
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<{totalBytes: number, audioOffset: number, container: string}>} - audioOffset is where the audio
+ *   starts after any ID3 tag and Info frame; container is 'cbr' for constant bitrate MP3, else 'mp4' or 'other'
+ */
+async function probeAudio(url, signal) {
+  if (probeCache.has(url)) {
+    return probeCache.get(url);
+  }
+
+  // The first bytes are enough to recognise the container and the ID3 tag size
+  const response = await fetch(url, { headers: { Range: `bytes=0-${FRAME_PROBE_BYTES - 1}` }, signal });
+  if (response.status !== 206) {
+    throw new Error(`Server does not support range requests (HTTP ${response.status})`);
+  }
+
+  const totalBytes = Number(response.headers.get('content-range')?.split('/')[1]) || 0;
+  if (!totalBytes) {
+    throw new Error('Server did not report the audio file size');
+  }
+
+  const header = new Uint8Array(await response.arrayBuffer());
+  const tagSize = getId3TagSize(header);
+  let info;
+
+  if (String.fromCharCode(...header.slice(4, 8)) === 'ftyp') {
+    info = { totalBytes, audioOffset: 0, container: 'mp4' };
+  } else {
+    // Without an ID3 tag the first frame is already in the probed bytes
+    let frame = header;
+    if (tagSize > 0) {
+      const frameResponse = await fetch(url, { headers: { Range: `bytes=${tagSize}-${tagSize + FRAME_PROBE_BYTES - 1}` }, signal });
+      frame = frameResponse.status === 206 ? new Uint8Array(await frameResponse.arrayBuffer()) : new Uint8Array(0);
+    }
+
+    const mp3 = readMp3Frame(frame);
+    info = {
+      totalBytes,
+      audioOffset: tagSize + (mp3?.headerFrameLength || 0),
+      container: mp3 && !mp3.isVbr ? 'cbr' : 'other'
+    };
+  }
+
+  probeCache.set(url, info);
+  return info;
+}
+
+/**
+ * Extract part of an audio file as 16 kHz mono WAV
+ * Constant bitrate MP3s (most podcasts) are fetched by byte range, mapping time to bytes linearly after
+ * the ID3 tag and Info frame. Variable bitrate and unrecognised files have no such mapping, so they are
+ * downloaded and decoded whole and cut at the exact times.
+ * @param {string} url - Audio URL (already CORS-proxied if needed)
+ * @param {number} startTime - Start time in seconds
+ * @param {number} endTime - End time in seconds
+ * @param {Object} options
+ * @param {number} options.duration - Episode duration in seconds (from the audio element)
+ * @param {AbortSignal} options.signal - Optional abort signal
+ * @returns {Promise<Blob>} - WAV audio of the window
+ */
+export async function extractSegmentWav(url, startTime, endTime, { duration, signal } = {}) {
+  if (!url) {
+    throw new Error('No audio URL to extract from');
+  }
+  if (!duration || !Number.isFinite(duration)) {
+    throw new Error('Episode duration is unknown');
+  }
+  if (endTime <= startTime) {
+    throw new Error(`Invalid segment ${startTime}s-${endTime}s`);
+  }
+
+  const { totalBytes, audioOffset, container } = await probeAudio(url, signal);
+  if (container === 'mp4') {
+    // MP4/M4A frames can't be decoded without the index at the start or end of the file
+    throw new Error('MP4 audio cannot be decoded from a partial download');
+  }
+
+  if (container !== 'cbr') {
+    console.log(`Decoding the whole file for ${startTime}s-${endTime}s (not constant bitrate MP3)`);
+    const decoded = await fetchAndDecodeAudio(url, { signal });
+    return encodeSlice(decoded, startTime, endTime);
+  }
+
+  const bytesPerSecond = (totalBytes - audioOffset) / duration;
+  const windowStart = Math.max(0, startTime - RANGE_PADDING_SECONDS);
+  const windowEnd = Math.min(duration, endTime + RANGE_PADDING_SECONDS);
+  const byteStart = audioOffset + Math.floor(windowStart * bytesPerSecond);
+  const byteEnd = Math.min(totalBytes - 1, audioOffset + Math.ceil(windowEnd * bytesPerSecond));
+
+  console.log(`Fetching bytes ${byteStart}-${byteEnd} of ${totalBytes} for ${startTime}s-${endTime}s`);
+  const response = await fetch(url, { headers: { Range: `bytes=${byteStart}-${byteEnd}` }, signal });
+  if (response.status !== 206) {
+    throw new Error(`Range request failed (HTTP ${response.status})`);
+  }
+
+  const decoded = await decodeToMono(await response.arrayBuffer());
+
+  // At a constant bitrate the decoded audio starts at windowStart, give or take a frame
+  return encodeSlice(decoded, startTime - windowStart, endTime - windowStart);
+}
+
+// Encode part of decoded audio as WAV
+function encodeSlice(decoded, startTime, endTime) {
+  const samples = sliceSamples(decoded.samples, decoded.sampleRate, startTime, endTime);
+  if (samples.length === 0) {
+    throw new Error('Decoded audio does not cover the requested segment');
+  }
+
+  return encodeWav(samples, decoded.sampleRate);
+}
@@ -0,0 +1,117 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { extractSegmentWav } from './segmentExtractor';
+import { fetchAndDecodeAudio } from './audioDecoder';
+
+vi.mock('./audioDecoder', async () => {
+  const actual = await vi.importActual('./audioDecoder');
+  return {
+    ...actual,
+    // 1 kHz keeps the sample arithmetic readable
+    decodeToMono: vi.fn(async () => ({
+      samples: new Float32Array(21 * 1000),
+      sampleRate: 1000,
+      duration: 21
+    })),
+    fetchAndDecodeAudio: vi.fn(async () => ({
+      samples: new Float32Array(100 * 1000),
+      sampleRate: 1000,
+      duration: 100
+    }))
+  };
+});
+
+// First 64 bytes of an MPEG-1 Layer III frame, 128 kbps at 44.1 kHz joint stereo,
+// with an optional Xing/Info tag after the 32 bytes of side information
+const mp3Frame = (tag = '') => {
+  const frame = new Uint8Array(64);
+  frame.set([0xff, 0xfb, 0x90, 0x64]);
+  frame.set(tag.split('').map(c => c.charCodeAt(0)), 36);
+  return frame;
+};
+
+const rangeResponse = (bytes, totalBytes, status = 206) => ({
+  status,
+  headers: new Map([['content-range', `bytes 0-${bytes.length - 1}/${totalBytes}`]]),
+  arrayBuffer: async () => bytes.buffer
+});
+
+describe('segmentExtractor', () => {
+  beforeEach(() => {
+    global.fetch = vi.fn();
+  });
+
+  it('should fetch only the bytes around the segment and return WAV', async () => {
+    // 100s episode of 100 000 bytes = 1000 bytes per second
+    global.fetch
+      // Untagged constant bitrate file starting with an MPEG frame
+      .mockResolvedValueOnce(rangeResponse(mp3Frame(), 100000))
+      .mockResolvedValueOnce(rangeResponse(new Uint8Array(21000), 100000));
+
+    const wav = await extractSegmentWav('https://example.com/ep.mp3', 50, 65, { duration: 100 });
+
+    expect(global.fetch.mock.calls[0][1].headers.Range).toBe('bytes=0-63');
+    expect(global.fetch.mock.calls[1][1].headers.Range).toBe('bytes=47000-68000');
+    expect(wav.type).toBe('audio/wav');
+    // 15 seconds at 1 kHz, 16-bit, plus the 44-byte header
+    expect(wav.size).toBe(44 + 15 * 1000 * 2);
+  });
+
+  it('should skip a leading ID3 tag when estimating byte offsets', async () => {
+    // ID3v2.4 tag of 10 000 bytes (synchsafe 78 * 128 + 16) plus its 10-byte header,
+    // then 100 000 bytes of audio for the 100s episode
+    const tagHeader = new Uint8Array(64);
+    tagHeader.set([0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 78, 16]);
+    global.fetch
+      .mockResolvedValueOnce(rangeResponse(tagHeader, 110010))
+      .mockResolvedValueOnce(rangeResponse(mp3Frame(), 110010))
+      .mockResolvedValueOnce(rangeResponse(new Uint8Array(21000), 110010));
+
+    await extractSegmentWav('https://example.com/tagged.mp3', 50, 65, { duration: 100 });
+
+    expect(global.fetch.mock.calls[1][1].headers.Range).toBe('bytes=10010-10073');
+    expect(global.fetch.mock.calls[2][1].headers.Range).toBe('bytes=57010-78010');
+  });
+
+  it('should skip the LAME Info frame of constant bitrate files', async () => {
+    // The Info frame is 144 * 128000 / 44100 = 417 bytes, then 100 000 bytes of audio
+    global.fetch
+      .mockResolvedValueOnce(rangeResponse(mp3Frame('Info'), 100417))
+      .mockResolvedValueOnce(rangeResponse(new Uint8Array(21000), 100417));
+
+    await extractSegmentWav('https://example.com/lame.mp3', 50, 65, { duration: 100 });
+
+    expect(global.fetch.mock.calls[1][1].headers.Range).toBe('bytes=47417-68417');
+  });
+
+  it('should decode variable bitrate files whole instead of guessing byte offsets', async () => {
+    global.fetch.mockResolvedValueOnce(rangeResponse(mp3Frame('Xing'), 100000));
+
+    const wav = await extractSegmentWav('https://example.com/vbr.mp3', 50, 65, { duration: 100 });
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(fetchAndDecodeAudio).toHaveBeenCalledWith('https://example.com/vbr.mp3', { signal: undefined });
+    // Cut at the exact times of the whole file
+    expect(wav.size).toBe(44 + 15 * 1000 * 2);
+  });
+
+  it('should reject servers without range support', async () => {
+    global.fetch.mockResolvedValueOnce(rangeResponse(new Uint8Array(12), 0, 200));
+
+    await expect(extractSegmentWav('https://example.com/norange.mp3', 0, 15, { duration: 100 }))
+      .rejects.toThrow('does not support range requests');
+  });
+
+  it('should reject MP4 audio that cannot be decoded in parts', async () => {
+    const header = new Uint8Array([0, 0, 0, 32, ...'ftypM4A '.split('').map(c => c.charCodeAt(0))]);
+    global.fetch.mockResolvedValueOnce(rangeResponse(header, 100000));
+
+    await expect(extractSegmentWav('https://example.com/ep.m4a', 0, 15, { duration: 100 }))
+      .rejects.toThrow('MP4 audio');
+  });
+
+  it('should require the episode duration', async () => {
+    await expect(extractSegmentWav('https://example.com/ep.mp3', 0, 15, { duration: NaN }))
+      .rejects.toThrow('duration is unknown');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { encodeWav } from './wavEncoder';
+
+// jsdom's Blob has no arrayBuffer(), so read it the old way
+const readBlob = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsArrayBuffer(blob);
+});
+
+describe('wavEncoder', () => {
+  it('should write a 16-bit mono PCM WAV header and samples', async () => {
+    const blob = encodeWav(new Float32Array([0, 1, -1, 0.5]), 16000);
+    const view = new DataView(await readBlob(blob));
+    const readString = (offset, length) =>
+      String.fromCharCode(...Array.from({ length }, (_, i) => view.getUint8(offset + i)));
+
+    expect(blob.type).toBe('audio/wav');
+    expect(blob.size).toBe(44 + 4 * 2);
+    expect(readString(0, 4)).toBe('RIFF');
+    expect(readString(8, 4)).toBe('WAVE');
+    expect(view.getUint16(22, true)).toBe(1); // mono
+    expect(view.getUint32(24, true)).toBe(16000);
+    expect(view.getUint16(34, true)).toBe(16);
+    expect(view.getUint32(40, true)).toBe(8);
+    expect(view.getInt16(44, true)).toBe(0);
+    expect(view.getInt16(46, true)).toBe(32767);
+    expect(view.getInt16(48, true)).toBe(-32768);
+  });
+
+  it('should clip samples outside [-1, 1]', async () => {
+    const view = new DataView(await readBlob(encodeWav(new Float32Array([2, -2]), 8000)));
+
+    expect(view.getInt16(44, true)).toBe(32767);
+    expect(view.getInt16(46, true)).toBe(-32768);
+  });
+});
@@ -1,6 +1,55 @@
 // Audio Buffer Manager for continuous recording
 // Maintains a rolling buffer of the last N seconds of audio
 
+const EBML_HEADER_ID = 0x1A45DFA3;
+const SEGMENT_ID = 0x18538067;
+const CLUSTER_ID = 0x1F43B675;
+
+// Read an EBML variable-length integer; IDs keep their length marker bits, sizes drop them
+function readVint(bytes, offset, keepMarker) {
+  const first = bytes[offset];
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 8 || offset + length > bytes.length) return null;
+
+  let value = keepMarker ? first : first & (0xFF >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + bytes[offset + i];
+  }
+  return { value, length };
+}
+
+/**
+ * Find where the audio starts in the first chunk of a WebM recording
+ * Everything before the first Cluster (EBML header, Segment info, Tracks) is the init segment
+ * later chunks need to be decodable; the Cluster holds the first second of audio.
+ * @param {Uint8Array} bytes - First recorded chunk
+ * @returns {number} - Init segment length, or -1 if the chunk isn't WebM with a Cluster
+ */
+export function getWebmInitSegmentLength(bytes) {
+  const header = readVint(bytes, 0, true);
+  const headerSize = header && readVint(bytes, header.length, false);
+  if (!headerSize || header.value !== EBML_HEADER_ID) return -1;
+
+  let offset = header.length + headerSize.length + headerSize.value;
+  const segment = readVint(bytes, offset, true);
+  const segmentSize = segment && readVint(bytes, offset + segment.length, false);
+  if (!segmentSize || segment.value !== SEGMENT_ID) return -1;
+
+  // The Segment's size is usually unknown while recording, so walk its children instead
+  offset += segment.length + segmentSize.length;
+  while (offset < bytes.length) {
+    const id = readVint(bytes, offset, true);
+    if (!id) return -1;
+    if (id.value === CLUSTER_ID) return offset;
+
+    const size = readVint(bytes, offset + id.length, false);
+    if (!size) return -1;
+    offset += id.length + size.length + size.value;
+  }
+  return -1;
+}
+
 /**
  * Creates and manages a continuous audio buffer
  */
@@ -9,6 +58,12 @@ export class AudioBufferManager {
     this.audioElement = audioElement;
     this.bufferDuration = bufferDuration;
     this.audioChunks = [];
+    // First chunk of the recording - the WebM header followed by the first second of audio
+    this.firstChunk = null;
+    // Just the header part of the first chunk, which every blob needs to be decodable
+    this.initSegment = null;
+    // Listeners notified of every recorded chunk (translate-forward mode)
+    this.chunkListeners = new Set();
     this.mediaRecorder = null;
     this.audioContext = null;
     this.source = null;
@@ -47,13 +102,7 @@ export class AudioBufferManager {
 
       this.mediaRecorder.ondataavailable = (e) => {
         if (e.data.size > 0) {
-          this.audioChunks.push({
-            blob: e.data,
-            timestamp: Date.now()
-          });
-
-          // Remove chunks older than buffer duration
-          this.cleanOldChunks();
+          this.addChunk(e.data);
         }
       };
 
@@ -133,10 +182,67 @@ export class AudioBufferManager {
     }
 
     this.audioChunks = [];
+    this.firstChunk = null;
+    this.initSegment = null;
     this.isRecording = false;
     console.log('Audio buffer stopped');
   }
 
+  /**
+   * Store a recorded chunk and notify listeners
+   * @param {Blob} blob - Chunk from the MediaRecorder
+   * @returns {Promise<void>} - Resolves once the init segment of a first chunk has been read
+   */
+  async addChunk(blob) {
+    const isFirst = !this.firstChunk;
+    if (isFirst) {
+      this.firstChunk = blob;
+    }
+
+    const chunk = {
+      blob,
+      timestamp: Date.now(),
+      // Episode position at the end of the chunk
+      mediaTime: this.tempAudio?.currentTime ?? 0
+    };
+    this.audioChunks.push(chunk);
+
+    // Remove chunks older than buffer duration
+    this.cleanOldChunks();
+
+    this.chunkListeners.forEach(listener => {
+      try {
+        listener(chunk);
+      } catch (error) {
+        console.error('Audio chunk listener failed:', error);
+      }
+    });
+
+    if (isFirst) {
+      await this.readInitSegment(blob);
+    }
+  }
+
+  /**
+   * Cut the init segment out of the first chunk, so windows don't start with its audio
+   * @param {Blob} firstChunk - First chunk of the recording
+   */
+  async readInitSegment(firstChunk) {
+    try {
+      const bytes = new Uint8Array(await firstChunk.arrayBuffer());
+      const length = getWebmInitSegmentLength(bytes);
+      // A recording restarted meanwhile has its own first chunk
+      if (this.firstChunk === firstChunk) {
+        this.initSegment = length > 0 ? firstChunk.slice(0, length, firstChunk.type) : firstChunk;
+      }
+    } catch (error) {
+      console.error('Failed to read the recording header:', error);
+      if (this.firstChunk === firstChunk) {
+        this.initSegment = firstChunk;
+      }
+    }
+  }
+
   /**
    * Remove chunks older than buffer duration
    */
@@ -147,11 +253,44 @@ export class AudioBufferManager {
     }
   }
 
+  /**
+   * Get notified of every recorded chunk (about one per second)
+   * @param {function({blob: Blob, timestamp: number, mediaTime: number}): void} listener
+   * @returns {function(): void} - Unsubscribe function
+   */
+  subscribe(listener) {
+    this.chunkListeners.add(listener);
+    return () => this.chunkListeners.delete(listener);
+  }
+
+  /**
+   * Build a decodable blob from chunks of the current recording
+   * @param {Blob[]} blobs - Consecutive chunk blobs
+   * @returns {Blob}
+   */
+  buildBlob(blobs) {
+    // Later chunks are only decodable after the header from the start of the recording.
+    // Until the header has been read (within the first second) the whole first chunk stands in.
+    const header = this.initSegment || this.firstChunk;
+    const parts = header && blobs[0] !== this.firstChunk ? [header, ...blobs] : blobs;
+    return new Blob(parts, { type: 'audio/webm' });
+  }
+
+  /**
+   * Change how much audio is kept (e.g. when the longest translate window changes)
+   * @param {number} bufferDuration - Buffer length in milliseconds
+   */
+  setBufferDuration(bufferDuration) {
+    this.bufferDuration = bufferDuration;
+    this.cleanOldChunks();
+  }
+
   /**
    * Get the buffered audio as a Blob
+   * @param {number} seconds - Optional window length; defaults to the whole buffer
    * @returns {Blob} The buffered audio
    */
-  getBufferedAudio() {
+  getBufferedAudio(seconds = null) {
     if (this.audioChunks.length === 0) {
       throw new Error('No audio in buffer. Make sure continuous buffering is enabled and audio is playing.');
     }
@@ -159,10 +298,11 @@ export class AudioBufferManager {
     // Clean old chunks before creating blob
     this.cleanOldChunks();
 
-    const blobs = this.audioChunks.map(chunk => chunk.blob);
-    const audioBlob = new Blob(blobs, { type: 'audio/webm' });
+    const cutoff = seconds ? Date.now() - seconds * 1000 : -Infinity;
+    const chunks = this.audioChunks.filter(chunk => chunk.timestamp >= cutoff);
+    const audioBlob = this.buildBlob(chunks.map(chunk => chunk.blob));
 
-    console.log(`Returning buffered audio: ${this.audioChunks.length} chunks, ${(audioBlob.size / 1024).toFixed(2)} KB, temp audio playing: ${!this.tempAudio?.paused}, temp time: ${this.tempAudio?.currentTime?.toFixed(1)}s`);
+    console.log(`Returning buffered audio: ${chunks.length} chunks, ${(audioBlob.size / 1024).toFixed(2)} KB, temp audio playing: ${!this.tempAudio?.paused}, temp time: ${this.tempAudio?.currentTime?.toFixed(1)}s`);
 
     // Check if blob has actual audio data
     if (audioBlob.size < 1000) { // Less than 1KB is probably empty
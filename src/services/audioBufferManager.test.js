@@ -0,0 +1,104 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { Blob as NodeBlob } from 'node:buffer';
+import { AudioBufferManager, getWebmInitSegmentLength } from './audioBufferManager';
+
+// jsdom's Blob can't be read back (no arrayBuffer())
+vi.stubGlobal('Blob', NodeBlob);
+
+// Minimal WebM recording: EBML header, Segment of unknown size, Tracks, then one Cluster per second
+const element = (id, payload) => [...id, 0x40 | (payload.length >> 8), payload.length & 0xff, ...payload];
+const WEBM_HEADER = [
+  ...element([0x1a, 0x45, 0xdf, 0xa3], [0x42, 0x82, 0x84, ...'webm'.split('').map(c => c.charCodeAt(0))]),
+  0x18, 0x53, 0x80, 0x67, 0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff,
+  ...element([0x16, 0x54, 0xae, 0x6b], new Array(20).fill(0))
+];
+const cluster = (timecode) => element([0x1f, 0x43, 0xb6, 0x75], [
+  0xe7, 0x84, (timecode >> 24) & 0xff, (timecode >> 16) & 0xff, (timecode >> 8) & 0xff, timecode & 0xff,
+  ...element([0xa3], new Array(50).fill(1))
+]);
+
+// Cluster timecodes in a recording - one second of audio each
+const readClusterTimes = (bytes) => {
+  const times = [];
+  for (let offset = getWebmInitSegmentLength(bytes); offset > 0 && offset < bytes.length;) {
+    const size = ((bytes[offset + 4] & 0x3f) << 8) | bytes[offset + 5];
+    times.push(((bytes[offset + 8] << 24) | (bytes[offset + 9] << 16) | (bytes[offset + 10] << 8) | bytes[offset + 11]) / 1000);
+    offset += 6 + size;
+  }
+  return times;
+};
+
+describe('AudioBufferManager', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const fillBuffer = (manager, seconds) => {
+    vi.useFakeTimers();
+    vi.setSystemTime(0);
+    for (let i = 0; i < seconds; i++) {
+      const blob = new Blob([`chunk ${i}`], { type: 'audio/webm' });
+      if (i === 0) {
+        manager.firstChunk = blob;
+        manager.initSegment = blob;
+      }
+      manager.audioChunks.push({ blob, timestamp: i * 1000 });
+    }
+    vi.setSystemTime((seconds - 1) * 1000);
+  };
+
+  it('should return only the requested window, prefixed with the header chunk', () => {
+    const manager = new AudioBufferManager({}, 30000);
+    fillBuffer(manager, 30);
+
+    const blob = manager.getBufferedAudio(5);
+
+    // Header chunk + the chunks stamped within the last 5 seconds (24-29)
+    expect(blob.size).toBe('chunk 0'.length + 6 * 'chunk 24'.length);
+  });
+
+  it('should drop chunks beyond the buffer duration', () => {
+    const manager = new AudioBufferManager({}, 30000);
+    fillBuffer(manager, 30);
+
+    manager.setBufferDuration(10000);
+
+    expect(manager.audioChunks).toHaveLength(11);
+    expect(manager.firstChunk).not.toBeNull();
+  });
+
+  it('should start windows with the recording header but not its first second of audio', async () => {
+    vi.useFakeTimers();
+    const manager = new AudioBufferManager({}, 30000);
+    for (let i = 0; i < 30; i++) {
+      vi.setSystemTime(i * 1000);
+      await manager.addChunk(new Blob([new Uint8Array(i === 0 ? [...WEBM_HEADER, ...cluster(0)] : cluster(i * 1000))]));
+    }
+
+    const bytes = new Uint8Array(await manager.getBufferedAudio(5).arrayBuffer());
+
+    expect(getWebmInitSegmentLength(bytes)).toBe(WEBM_HEADER.length);
+    // Seconds 24-29 only: 6 seconds of audio starting at 24s
+    const times = readClusterTimes(bytes);
+    expect(times[0]).toBe(24);
+    expect(times[times.length - 1] - times[0] + 1).toBe(6);
+  });
+
+  it('should keep the whole first chunk as header when it is not WebM', async () => {
+    const manager = new AudioBufferManager({}, 30000);
+    const first = new Blob(['not webm']);
+
+    await manager.addChunk(first);
+
+    expect(manager.initSegment).toBe(first);
+  });
+
+  it('should prefix built blobs with the header chunk only once', () => {
+    const manager = new AudioBufferManager({}, 30000);
+    fillBuffer(manager, 3);
+    const [header, second, third] = manager.audioChunks.map(chunk => chunk.blob);
+
+    expect(manager.buildBlob([second, third]).size).toBe(header.size + second.size + third.size);
+    expect(manager.buildBlob([header, second]).size).toBe(header.size + second.size);
+  });
+});
@@ -0,0 +1,156 @@
+// Persistent translation and transcription caches (IndexedDB)
+// Cache failures never break translation: they are logged and treated as misses
+
+import { isDatabaseAvailable, getRecord, putRecord, countRecords, clearStore, trimStore } from './database';
+
+const TRANSLATION_STORE = 'translationCache';
+const TRANSCRIPTION_STORE = 'transcriptionCache';
+
+// Least recently used entries beyond these limits are evicted
+const MAX_TRANSLATIONS = 1000;
+const MAX_TRANSCRIPTIONS = 300;
+
+/**
+ * Build the cache key for a translation
+ * The provider, with its server and model, is part of the key because they translate differently
+ */
+function getTranslationKey(text, sourceLang, targetLang, provider) {
+  return `${provider}|${sourceLang}|${targetLang}|${text.trim()}`;
+}
+
+/**
+ * Build the cache key for a transcription
+ * The method includes its server and model (see getTranscriptionCacheId)
+ * Times are rounded to whole seconds so rewinding over the same passage hits the cache
+ */
+function getTranscriptionKey(episodeId, startTime, endTime, method, sourceLang) {
+  return `${episodeId}|${method}|${sourceLang}|${Math.round(startTime)}-${Math.round(endTime)}`;
+}
+
+/**
+ * Read a cache entry and refresh its access time
+ * @returns {Promise<*>} - The cached value, or null on a miss
+ */
+async function readEntry(storeName, key) {
+  if (!isDatabaseAvailable()) return null;
+
+  try {
+    const entry = await getRecord(storeName, key);
+    if (!entry) return null;
+
+    // Touch the entry so eviction removes the least recently used ones first
+    putRecord(storeName, { ...entry, accessedAt: Date.now() })
+      .catch(e => console.warn('Failed to update cache entry:', e));
+
+    return entry.value;
+  } catch (error) {
+    console.warn(`Cache read failed (${storeName}):`, error);
+    return null;
+  }
+}
+
+/**
+ * Write a cache entry and evict old entries
+ */
+async function writeEntry(storeName, key, value, maxEntries) {
+  if (!isDatabaseAvailable()) return;
+
+  try {
+    const now = Date.now();
+    await putRecord(storeName, { key, value, createdAt: now, accessedAt: now });
+    await trimStore(storeName, 'accessedAt', maxEntries);
+  } catch (error) {
+    console.warn(`Cache write failed (${storeName}):`, error);
+  }
+}
+
+/**
+ * Get a cached translation
+ * @param {string} text - Source text
+ * @param {string} sourceLang - Source language code
+ * @param {string} targetLang - Target language code
+ * @param {string} provider - Translation provider with its server and model (provider cacheId)
+ * @returns {Promise<string|null>} - Cached translation, or null on a miss
+ */
+export function getCachedTranslation(text, sourceLang, targetLang, provider) {
+  return readEntry(TRANSLATION_STORE, getTranslationKey(text, sourceLang, targetLang, provider));
+}
+
+/**
+ * Store a translation in the cache
+ * @param {string} text - Source text
+ * @param {string} sourceLang - Source language code
+ * @param {string} targetLang - Target language code
+ * @param {string} provider - Translation provider with its server and model (provider cacheId)
+ * @param {string} translatedText - Translation to cache
+ * @returns {Promise<void>}
+ */
+export function cacheTranslation(text, sourceLang, targetLang, provider, translatedText) {
+  return writeEntry(
+    TRANSLATION_STORE,
+    getTranslationKey(text, sourceLang, targetLang, provider),
+    translatedText,
+    MAX_TRANSLATIONS
+  );
+}
+
+/**
+ * Get a cached transcription for an episode time range
+ * @param {string} episodeId - Episode id (RSS guid)
+ * @param {number} startTime - Start time in seconds
+ * @param {number} endTime - End time in seconds
+ * @param {string} method - Transcription method with its server and model (getTranscriptionCacheId)
+ * @param {string} sourceLang - Requested source language
+ * @returns {Promise<Object|null>} - Cached transcription result, or null on a miss
+ */
+export function getCachedTranscription(episodeId, startTime, endTime, method, sourceLang) {
+  return readEntry(TRANSCRIPTION_STORE, getTranscriptionKey(episodeId, startTime, endTime, method, sourceLang));
+}
+
+/**
+ * Store a transcription result for an episode time range
+ * @param {string} episodeId - Episode id (RSS guid)
+ * @param {number} startTime - Start time in seconds
+ * @param {number} endTime - End time in seconds
+ * @param {string} method - Transcription method with its server and model (getTranscriptionCacheId)
+ * @param {string} sourceLang - Requested source language
+ * @param {Object} result - Transcription result to cache
+ * @returns {Promise<void>}
+ */
+export function cacheTranscription(episodeId, startTime, endTime, method, sourceLang, result) {
+  return writeEntry(
+    TRANSCRIPTION_STORE,
+    getTranscriptionKey(episodeId, startTime, endTime, method, sourceLang),
+    result,
+    MAX_TRANSCRIPTIONS
+  );
+}
+
+/**
+ * Count cached entries
+ * @returns {Promise<{translations: number, transcriptions: number}>}
+ */
+export async function getCacheStats() {
+  if (!isDatabaseAvailable()) {
+    return { translations: 0, transcriptions: 0 };
+  }
+
+  const [translations, transcriptions] = await Promise.all([
+    countRecords(TRANSLATION_STORE),
+    countRecords(TRANSCRIPTION_STORE)
+  ]);
+  return { translations, transcriptions };
+}
+
+/**
+ * Remove all cached translations and transcriptions
+ * @returns {Promise<void>}
+ */
+export async function clearCaches() {
+  if (!isDatabaseAvailable()) return;
+
+  await Promise.all([
+    clearStore(TRANSLATION_STORE),
+    clearStore(TRANSCRIPTION_STORE)
+  ]);
+}
@@ -0,0 +1,66 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  getCachedTranslation,
+  cacheTranslation,
+  getCachedTranscription,
+  cacheTranscription,
+  getCacheStats,
+  clearCaches
+} from './cacheService';
+import { getAllRecords } from './database';
+
+describe('cacheService', () => {
+  beforeEach(async () => {
+    await clearCaches();
+  });
+
+  describe('translations', () => {
+    it('should return null on a cache miss', async () => {
+      expect(await getCachedTranslation('Hola', 'es', 'en', 'mymemory')).toBeNull();
+    });
+
+    it('should return a cached translation for the same text and language pair', async () => {
+      await cacheTranslation('Hola', 'es', 'en', 'mymemory', 'Hello');
+
+      expect(await getCachedTranslation('Hola', 'es', 'en', 'mymemory')).toBe('Hello');
+      expect(await getCachedTranslation('Hola', 'es', 'fr', 'mymemory')).toBeNull();
+      expect(await getCachedTranslation('Hola', 'es', 'en', 'deepl')).toBeNull();
+    });
+
+    it('should evict the least recently used translations beyond the limit', async () => {
+      for (let i = 0; i < 1005; i++) {
+        await cacheTranslation(`text ${i}`, 'es', 'en', 'mymemory', `translation ${i}`);
+      }
+
+      const stats = await getCacheStats();
+      expect(stats.translations).toBe(1000);
+
+      const keys = (await getAllRecords('translationCache')).map(entry => entry.key);
+      expect(keys).not.toContain('mymemory|es|en|text 0');
+      expect(keys).toContain('mymemory|es|en|text 1004');
+    });
+  });
+
+  describe('transcriptions', () => {
+    it('should match the same episode and time range rounded to seconds', async () => {
+      const result = { text: 'Hola mundo', language: 'es' };
+      await cacheTranscription('ep1', 10.2, 25.4, 'selfhosted', 'auto', result);
+
+      expect(await getCachedTranscription('ep1', 9.8, 24.6, 'selfhosted', 'auto')).toEqual(result);
+      expect(await getCachedTranscription('ep1', 40, 55, 'selfhosted', 'auto')).toBeNull();
+      expect(await getCachedTranscription('ep2', 10, 25, 'selfhosted', 'auto')).toBeNull();
+    });
+  });
+
+  it('should clear both caches', async () => {
+    await cacheTranslation('Hola', 'es', 'en', 'mymemory', 'Hello');
+    await cacheTranscription('ep1', 0, 15, 'whisper', 'es', { text: 'Hola', language: 'es' });
+
+    expect(await getCacheStats()).toEqual({ translations: 1, transcriptions: 1 });
+
+    await clearCaches();
+
+    expect(await getCacheStats()).toEqual({ translations: 0, transcriptions: 0 });
+  });
+});
@@ -0,0 +1,234 @@
+// IndexedDB access shared by caches and other persistent stores
+
+const DB_NAME = 'babelpod';
+const DB_VERSION = 5;
+
+let dbPromise = null;
+
+/**
+ * Check whether IndexedDB can be used (private browsing modes and test environments may lack it)
+ * @returns {boolean}
+ */
+export function isDatabaseAvailable() {
+  return typeof indexedDB !== 'undefined' && indexedDB !== null;
+}
+
+/**
+ * Create or migrate object stores
+ * Each schema version only adds stores, so upgrades run every step after oldVersion
+ * @param {IDBDatabase} db - Database being upgraded
+ * @param {number} oldVersion - Version before the upgrade (0 for a new database)
+ */
+function upgradeDatabase(db, oldVersion) {
+  if (oldVersion < 1) {
+    // Translation and transcription caches, evicted by least recent access
+    const translations = db.createObjectStore('translationCache', { keyPath: 'key' });
+    translations.createIndex('accessedAt', 'accessedAt');
+
+    const transcriptions = db.createObjectStore('transcriptionCache', { keyPath: 'key' });
+    transcriptions.createIndex('accessedAt', 'accessedAt');
+  }
+
+  if (oldVersion < 2) {
+    // Whole-episode transcription jobs, one record per episode/method (with server and model)/language
+    db.createObjectStore('transcriptionJobs', { keyPath: 'jobId' });
+  }
+
+  if (oldVersion < 3) {
+    // Model files for in-browser transcription, keyed by download URL
+    db.createObjectStore('modelCache', { keyPath: 'url' });
+  }
+
+  if (oldVersion < 4) {
+    // Saved words and phrases from translations
+    const notebook = db.createObjectStore('notebook', { keyPath: 'id', autoIncrement: true });
+    notebook.createIndex('createdAt', 'createdAt');
+  }
+
+  if (oldVersion < 5) {
+    // Subscribed podcasts with their cached channel details and episodes, keyed by feed URL
+    db.createObjectStore('subscriptions', { keyPath: 'feedUrl' });
+  }
+}
+
+/**
+ * Open the BabelPod database (shared connection)
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  if (!isDatabaseAvailable()) {
+    return Promise.reject(new Error('IndexedDB is not available in this browser'));
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        upgradeDatabase(request.result, event.oldVersion);
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer tab upgrade the schema instead of blocking it
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+
+      request.onerror = () => {
+        dbPromise = null;
+        reject(new Error(`Failed to open database: ${request.error?.message || 'Unknown error'}`));
+      };
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve when a transaction commits
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Run a single request against an object store
+ * @param {string} storeName - Object store name
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBObjectStore): IDBRequest} operation - Builds the request
+ * @returns {Promise<*>} - The request result
+ */
+async function withStore(storeName, mode, operation) {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, mode);
+
+  // Writes are only durable once the transaction commits
+  const [result] = await Promise.all([
+    promisifyRequest(operation(transaction.objectStore(storeName))),
+    transactionDone(transaction)
+  ]);
+
+  return result;
+}
+
+/**
+ * Get a record by key
+ * @param {string} storeName - Object store name
+ * @param {IDBValidKey} key - Record key
+ * @returns {Promise<Object|undefined>}
+ */
+export function getRecord(storeName, key) {
+  return withStore(storeName, 'readonly', store => store.get(key));
+}
+
+/**
+ * Insert or replace a record
+ * @param {string} storeName - Object store name
+ * @param {Object} record - Record (must include the store's key path)
+ * @returns {Promise<IDBValidKey>} - The record key
+ */
+export function putRecord(storeName, record) {
+  return withStore(storeName, 'readwrite', store => store.put(record));
+}
+
+/**
+ * Delete a record by key
+ * @param {string} storeName - Object store name
+ * @param {IDBValidKey} key - Record key
+ * @returns {Promise<void>}
+ */
+export function deleteRecord(storeName, key) {
+  return withStore(storeName, 'readwrite', store => store.delete(key));
+}
+
+/**
+ * Get all records, optionally through an index
+ * @param {string} storeName - Object store name
+ * @param {string} indexName - Optional index name
+ * @param {IDBKeyRange|IDBValidKey} query - Optional key or range
+ * @returns {Promise<Object[]>}
+ */
+export function getAllRecords(storeName, indexName = null, query = undefined) {
+  return withStore(storeName, 'readonly', store =>
+    (indexName ? store.index(indexName) : store).getAll(query)
+  );
+}
+
+/**
+ * Count records in a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<number>}
+ */
+export function countRecords(storeName) {
+  return withStore(storeName, 'readonly', store => store.count());
+}
+
+/**
+ * Remove every record from a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<void>}
+ */
+export function clearStore(storeName) {
+  return withStore(storeName, 'readwrite', store => store.clear());
+}
+
+/**
+ * Delete the oldest records of a store until at most maxRecords remain
+ * @param {string} storeName - Object store name
+ * @param {string} indexName - Index ordering records from oldest to newest
+ * @param {number} maxRecords - Number of records to keep
+ * @returns {Promise<number>} - Number of deleted records
+ */
+export async function trimStore(storeName, indexName, maxRecords) {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, 'readwrite');
+  const done = transactionDone(transaction);
+  const store = transaction.objectStore(storeName);
+
+  let deleted = 0;
+  try {
+    const excess = (await promisifyRequest(store.count())) - maxRecords;
+    if (excess > 0) {
+      await new Promise((resolve, reject) => {
+        const cursorRequest = store.index(indexName).openCursor();
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (!cursor || deleted >= excess) {
+            resolve();
+            return;
+          }
+          cursor.delete();
+          deleted++;
+          cursor.continue();
+        };
+        cursorRequest.onerror = () => reject(cursorRequest.error);
+      });
+    }
+  } finally {
+    await done;
+  }
+
+  return deleted;
+}
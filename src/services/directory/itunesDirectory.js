@@ -0,0 +1,60 @@
+// iTunes Search API podcast directory (free, no key required)
+
+const ITUNES_SEARCH_URL = 'https://itunes.apple.com/search';
+
+/**
+ * iTunes has no language filter, only per-country stores;
+ * searching the store of the language's biggest audience finds mostly shows in that language
+ */
+const LANGUAGE_STOREFRONTS = {
+  en: 'us',
+  es: 'es',
+  fr: 'fr',
+  de: 'de',
+  it: 'it',
+  pt: 'br',
+  ja: 'jp',
+  zh: 'tw',
+  ko: 'kr'
+};
+
+/**
+ * Search podcasts with the iTunes Search API, or a server answering in the same format
+ * @param {string} query - Search terms
+ * @param {Object} options
+ * @param {string} options.language - Language code to search the matching store for, or '' for any
+ * @param {number} options.limit - Maximum number of results
+ * @param {string} searchUrl - Optional endpoint override (e.g. a local mock directory)
+ * @returns {Promise<Object[]>} - Podcasts as {id, title, author, feedUrl, image, language, genre, episodeCount}
+ */
+export async function searchITunes(query, { language = '', limit = 20 } = {}, searchUrl = '') {
+  const params = new URLSearchParams({
+    term: query,
+    media: 'podcast',
+    entity: 'podcast',
+    limit: String(limit)
+  });
+  const country = LANGUAGE_STOREFRONTS[language];
+  if (country) {
+    params.set('country', country);
+  }
+
+  const response = await fetch(`${searchUrl || ITUNES_SEARCH_URL}?${params}`);
+
+  if (!response.ok) {
+    throw new Error(`Podcast search failed: HTTP ${response.status}`);
+  }
+
+  const data = await response.json();
+
+  return (data.results || []).map(result => ({
+    id: String(result.collectionId ?? result.feedUrl),
+    title: result.collectionName || result.trackName || 'Untitled Podcast',
+    author: result.artistName || '',
+    feedUrl: result.feedUrl,
+    image: result.artworkUrl600 || result.artworkUrl100 || null,
+    language: country ? language : null,
+    genre: result.primaryGenreName || '',
+    episodeCount: result.trackCount ?? null
+  }));
+}
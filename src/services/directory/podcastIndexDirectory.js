@@ -0,0 +1,71 @@
+// Podcast Index API podcast directory (free, requires an API key and secret)
+
+const PODCAST_INDEX_API_URL = 'https://api.podcastindex.org/api/1.0';
+
+/**
+ * Build the Podcast Index authentication headers
+ * Every request is signed with SHA-1(key + secret + unix time).
+ * @param {string} apiKey - Podcast Index API key
+ * @param {string} apiSecret - Podcast Index API secret
+ * @param {number} now - Current time in ms
+ * @returns {Promise<Object>} - Request headers
+ */
+export async function getPodcastIndexHeaders(apiKey, apiSecret, now = Date.now()) {
+  const authDate = String(Math.floor(now / 1000));
+  const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(apiKey + apiSecret + authDate));
+  const authorization = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+
+  return {
+    'X-Auth-Key': apiKey,
+    'X-Auth-Date': authDate,
+    'Authorization': authorization
+  };
+}
+
+/**
+ * Search podcasts with the Podcast Index API
+ * Podcast Index reports each feed's own language, so the language filter is exact.
+ * @param {string} query - Search terms
+ * @param {Object} options
+ * @param {string} options.language - Language code to keep, or '' for any
+ * @param {number} options.limit - Maximum number of results
+ * @param {string} apiKey - Podcast Index API key
+ * @param {string} apiSecret - Podcast Index API secret
+ * @returns {Promise<Object[]>} - Podcasts as {id, title, author, feedUrl, image, language, genre, episodeCount}
+ */
+export async function searchPodcastIndex(query, { language = '', limit = 20 } = {}, apiKey, apiSecret) {
+  if (!apiKey || !apiSecret) {
+    throw new Error('Podcast Index API key and secret are required. Please add them in Settings.');
+  }
+
+  // Ask for more than needed when filtering, as results in other languages are dropped
+  const params = new URLSearchParams({
+    q: query,
+    max: String(language ? limit * 3 : limit)
+  });
+
+  const response = await fetch(`${PODCAST_INDEX_API_URL}/search/byterm?${params}`, {
+    headers: await getPodcastIndexHeaders(apiKey, apiSecret)
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(`Podcast Index error: ${errorData.description || `HTTP ${response.status}`}`);
+  }
+
+  const data = await response.json();
+
+  return (data.feeds || [])
+    .filter(feed => !language || feed.language?.toLowerCase().split('-')[0] === language)
+    .slice(0, limit)
+    .map(feed => ({
+      id: String(feed.id ?? feed.url),
+      title: feed.title || 'Untitled Podcast',
+      author: feed.author || feed.ownerName || '',
+      feedUrl: feed.url,
+      image: feed.artwork || feed.image || null,
+      language: feed.language || null,
+      genre: Object.values(feed.categories || {})[0] || '',
+      episodeCount: feed.episodeCount ?? null
+    }));
+}
@@ -0,0 +1,75 @@
+// Podcast search with a pluggable directory
+
+import { searchITunes } from './directory/itunesDirectory';
+import { searchPodcastIndex } from './directory/podcastIndexDirectory';
+
+// Languages offered by the search filter
+export const DIRECTORY_LANGUAGES = {
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  pt: 'Portuguese',
+  ja: 'Japanese',
+  zh: 'Chinese',
+  ko: 'Korean',
+  en: 'English'
+};
+
+/**
+ * Podcast directories selectable in Settings
+ * Each provider receives the full settings object so it can pick its own credentials.
+ */
+export const DIRECTORY_PROVIDERS = {
+  itunes: {
+    name: 'Apple Podcasts',
+    search: (query, options) => searchITunes(query, options)
+  },
+  podcastindex: {
+    name: 'Podcast Index',
+    search: (query, options, settings) =>
+      searchPodcastIndex(query, options, settings.podcastIndexApiKey, settings.podcastIndexApiSecret)
+  },
+  custom: {
+    name: 'Custom directory',
+    search: (query, options, settings) => {
+      if (!settings.customDirectoryUrl) {
+        throw new Error('Custom directory URL is required. Please add it in Settings.');
+      }
+      return searchITunes(query, options, settings.customDirectoryUrl);
+    }
+  }
+};
+
+/**
+ * Search the configured directory for podcasts
+ * Results without a feed URL can't be loaded and are left out.
+ * @param {string} query - Search terms
+ * @param {Object} options
+ * @param {string} options.language - Language code to filter by, or '' for any
+ * @param {number} options.limit - Maximum number of results
+ * @param {Object} settings - User settings with directory provider and credentials
+ * @returns {Promise<Object[]>} - Podcasts as {id, title, author, feedUrl, image, language, genre, episodeCount}
+ */
+export async function searchPodcasts(query, { language = '', limit = 20 } = {}, settings = {}) {
+  const terms = query.trim();
+  if (!terms) {
+    throw new Error('Please enter something to search for');
+  }
+
+  const providerId = settings.directoryProvider || 'itunes';
+  const provider = DIRECTORY_PROVIDERS[providerId];
+
+  if (!provider) {
+    throw new Error(`Unknown podcast directory: ${providerId}`);
+  }
+
+  const results = await provider.search(terms, { language, limit }, settings);
+
+  const seen = new Set();
+  return results.filter(result => {
+    if (!result.feedUrl || seen.has(result.feedUrl)) return false;
+    seen.add(result.feedUrl);
+    return true;
+  });
+}
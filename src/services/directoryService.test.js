@@ -0,0 +1,105 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { searchPodcasts } from './directoryService';
+import { getPodcastIndexHeaders } from './directory/podcastIndexDirectory';
+
+const jsonResponse = (data) => ({ ok: true, json: async () => data });
+
+describe('directoryService', () => {
+  beforeEach(() => {
+    global.fetch = vi.fn();
+  });
+
+  it('should search Apple Podcasts in the store of the chosen language', async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse({
+      results: [
+        {
+          collectionId: 1,
+          collectionName: 'Hoy Hablamos',
+          artistName: 'Hoy Hablamos',
+          feedUrl: 'https://example.com/hoy.xml',
+          artworkUrl600: 'hoy.jpg',
+          primaryGenreName: 'Education',
+          trackCount: 1500
+        },
+        { collectionId: 2, collectionName: 'Without a feed' }
+      ]
+    }));
+
+    const results = await searchPodcasts(' learn spanish ', { language: 'es' });
+
+    const url = new URL(global.fetch.mock.calls[0][0]);
+    expect(url.origin + url.pathname).toBe('https://itunes.apple.com/search');
+    expect(url.searchParams.get('term')).toBe('learn spanish');
+    expect(url.searchParams.get('media')).toBe('podcast');
+    expect(url.searchParams.get('country')).toBe('es');
+    expect(results).toEqual([{
+      id: '1',
+      title: 'Hoy Hablamos',
+      author: 'Hoy Hablamos',
+      feedUrl: 'https://example.com/hoy.xml',
+      image: 'hoy.jpg',
+      language: 'es',
+      genre: 'Education',
+      episodeCount: 1500
+    }]);
+  });
+
+  it('should search Podcast Index and keep only feeds in the chosen language', async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse({
+      feeds: [
+        { id: 10, title: 'ニュース', url: 'https://example.com/ja.xml', language: 'ja', categories: { 55: 'News' } },
+        { id: 11, title: 'News', url: 'https://example.com/en.xml', language: 'en-US' }
+      ]
+    }));
+
+    const results = await searchPodcasts('news', { language: 'ja' }, {
+      directoryProvider: 'podcastindex',
+      podcastIndexApiKey: 'KEY',
+      podcastIndexApiSecret: 'SECRET'
+    });
+
+    const [url, { headers }] = global.fetch.mock.calls[0];
+    expect(url).toContain('https://api.podcastindex.org/api/1.0/search/byterm?q=news');
+    expect(headers['X-Auth-Key']).toBe('KEY');
+    expect(results.map(result => result.title)).toEqual(['ニュース']);
+    expect(results[0].genre).toBe('News');
+  });
+
+  it('should sign Podcast Index requests with SHA-1 of key, secret and time', async () => {
+    const headers = await getPodcastIndexHeaders('KEY', 'SECRET', 1700000000000);
+
+    expect(headers['X-Auth-Date']).toBe('1700000000');
+    // sha1('KEYSECRET1700000000')
+    expect(headers.Authorization).toBe('5f8983664e541a83aaae7f3a47f1957fbca48aec');
+  });
+
+  it('should require credentials for Podcast Index', async () => {
+    await expect(searchPodcasts('news', {}, { directoryProvider: 'podcastindex' }))
+      .rejects.toThrow('Podcast Index API key and secret are required');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should search a custom directory in the iTunes format', async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse({
+      results: [
+        { collectionId: 1, collectionName: 'Mock', feedUrl: 'https://example.com/mock.xml' },
+        { collectionId: 2, collectionName: 'Mock again', feedUrl: 'https://example.com/mock.xml' }
+      ]
+    }));
+
+    const results = await searchPodcasts('mock', {}, {
+      directoryProvider: 'custom',
+      customDirectoryUrl: 'http://localhost:3001/search'
+    });
+
+    expect(global.fetch.mock.calls[0][0]).toMatch(/^http:\/\/localhost:3001\/search\?term=mock/);
+    expect(results).toHaveLength(1);
+  });
+
+  it('should reject empty searches and failed requests', async () => {
+    await expect(searchPodcasts('   ')).rejects.toThrow('Please enter something to search for');
+
+    global.fetch.mockResolvedValueOnce({ ok: false, status: 503 });
+    await expect(searchPodcasts('news')).rejects.toThrow('Podcast search failed: HTTP 503');
+  });
+});
@@ -0,0 +1,98 @@
+// Keyboard shortcuts for the player
+// Keys are KeyboardEvent.key values; users can remap them in Settings.
+
+export const SHORTCUT_ACTIONS = {
+  playPause: { label: 'Play / pause', defaultKey: ' ' },
+  skipBack: { label: 'Rewind 15s', defaultKey: 'ArrowLeft' },
+  skipForward: { label: 'Skip 15s', defaultKey: 'ArrowRight' },
+  translate: { label: 'Rewind & translate', defaultKey: 't' },
+  loopLast: { label: 'Loop last translation', defaultKey: 'l' },
+  cycleSpeed: { label: 'Slow down (cycles back to 1×)', defaultKey: 's' },
+  setLoopStart: { label: 'Set loop start (A)', defaultKey: '[' },
+  setLoopEnd: { label: 'Set loop end (B)', defaultKey: ']' },
+  clearLoop: { label: 'Clear loop', defaultKey: '\\' }
+};
+
+// Readable names for keys that don't print as themselves
+const KEY_NAMES = {
+  ' ': 'Space',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  Escape: 'Esc'
+};
+
+// Keys that can't be used as shortcuts
+const RESERVED_KEYS = ['Tab', 'Enter', 'Escape', 'Shift', 'Control', 'Alt', 'Meta'];
+
+/**
+ * Letters match regardless of Shift/Caps Lock
+ */
+function normalizeKey(key) {
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+
+/**
+ * Get the active shortcuts: defaults with the user's overrides applied
+ * @param {Object} settings - User settings
+ * @returns {Object<string, string>} - Action name to key
+ */
+export function getShortcuts(settings = {}) {
+  const overrides = settings.keyboardShortcuts || {};
+  return Object.fromEntries(
+    Object.entries(SHORTCUT_ACTIONS).map(([action, { defaultKey }]) => [action, overrides[action] || defaultKey])
+  );
+}
+
+/**
+ * Assign a key to an action; an action that already used the key gets the old key instead
+ * @param {Object<string, string>} overrides - Current overrides from settings
+ * @param {string} action - Action to remap
+ * @param {string} key - KeyboardEvent.key
+ * @returns {Object<string, string>|null} - New overrides, or null if the key can't be used
+ */
+export function assignShortcut(overrides, action, key) {
+  if (RESERVED_KEYS.includes(key)) return null;
+
+  const shortcuts = getShortcuts({ keyboardShortcuts: overrides });
+  const newKey = normalizeKey(key);
+  const updated = { ...overrides, [action]: newKey };
+
+  const [conflict] = Object.entries(shortcuts).find(([other, otherKey]) => other !== action && otherKey === newKey) || [];
+  if (conflict) {
+    updated[conflict] = shortcuts[action];
+  }
+  return updated;
+}
+
+/**
+ * Find the action for a key press
+ * @param {KeyboardEvent} event - The keydown event
+ * @param {Object<string, string>} shortcuts - From getShortcuts
+ * @returns {string|null} - Action name, or null if the press isn't a shortcut
+ */
+export function matchShortcut(event, shortcuts) {
+  if (event.ctrlKey || event.metaKey || event.altKey) return null;
+
+  // Typing in a field never triggers shortcuts
+  const target = event.target;
+  // An open modal (Settings, Notebook, Review...) owns the keyboard, even with nothing focused in it
+  if (target?.ownerDocument?.querySelector('[aria-modal="true"]')) return null;
+  if (target?.closest?.('input, textarea, select, [contenteditable="true"]')) return null;
+  // Space on a focused button clicks that button
+  if (event.key === ' ' && target?.closest?.('button, a')) return null;
+
+  const key = normalizeKey(event.key);
+  const match = Object.entries(shortcuts).find(([, shortcutKey]) => shortcutKey === key);
+  return match ? match[0] : null;
+}
+
+/**
+ * Format a key for display
+ * @param {string} key - KeyboardEvent.key
+ * @returns {string}
+ */
+export function formatKey(key) {
+  return KEY_NAMES[key] || key.toUpperCase();
+}
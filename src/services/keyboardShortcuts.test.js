@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { getShortcuts, assignShortcut, matchShortcut, formatKey } from './keyboardShortcuts';
+
+describe('keyboardShortcuts', () => {
+  const keydown = (key, options = {}, target = document.body) => {
+    const event = new KeyboardEvent('keydown', { key, ...options });
+    Object.defineProperty(event, 'target', { value: target });
+    return event;
+  };
+
+  it('should apply user overrides on top of the defaults', () => {
+    const shortcuts = getShortcuts({ keyboardShortcuts: { translate: 'r' } });
+
+    expect(shortcuts.translate).toBe('r');
+    expect(shortcuts.playPause).toBe(' ');
+    expect(shortcuts.loopLast).toBe('l');
+  });
+
+  it('should match keys to actions regardless of case', () => {
+    const shortcuts = getShortcuts();
+
+    expect(matchShortcut(keydown(' '), shortcuts)).toBe('playPause');
+    expect(matchShortcut(keydown('ArrowLeft'), shortcuts)).toBe('skipBack');
+    expect(matchShortcut(keydown('T'), shortcuts)).toBe('translate');
+    expect(matchShortcut(keydown('x'), shortcuts)).toBeNull();
+  });
+
+  it('should ignore modified keys and typing in fields', () => {
+    const shortcuts = getShortcuts();
+    const input = document.createElement('input');
+    const button = document.createElement('button');
+
+    expect(matchShortcut(keydown('t', { ctrlKey: true }), shortcuts)).toBeNull();
+    expect(matchShortcut(keydown('t', {}, input), shortcuts)).toBeNull();
+    // Space on a focused button presses the button instead
+    expect(matchShortcut(keydown(' ', {}, button), shortcuts)).toBeNull();
+    expect(matchShortcut(keydown('t', {}, button), shortcuts)).toBe('translate');
+  });
+
+  it('should ignore keys while a modal is open', () => {
+    const shortcuts = getShortcuts();
+    const dialog = document.createElement('div');
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    document.body.appendChild(dialog);
+
+    try {
+      expect(matchShortcut(keydown(' '), shortcuts)).toBeNull();
+      expect(matchShortcut(keydown('t', {}, dialog), shortcuts)).toBeNull();
+    } finally {
+      dialog.remove();
+    }
+    expect(matchShortcut(keydown(' '), shortcuts)).toBe('playPause');
+  });
+
+  it('should swap keys when assigning one that is taken', () => {
+    const updated = assignShortcut({}, 'translate', 'L');
+
+    expect(updated).toEqual({ translate: 'l', loopLast: 't' });
+  });
+
+  it('should refuse reserved keys', () => {
+    expect(assignShortcut({}, 'translate', 'Enter')).toBeNull();
+  });
+
+  it('should format keys for display', () => {
+    expect(formatKey(' ')).toBe('Space');
+    expect(formatKey('ArrowRight')).toBe('→');
+    expect(formatKey('t')).toBe('T');
+  });
+});
@@ -0,0 +1,72 @@
+// Media Session API integration
+// Lets headset buttons, media keys and lock-screen controls drive the player.
+
+const MEDIA_ACTIONS = ['play', 'pause', 'seekbackward', 'seekforward', 'seekto', 'previoustrack', 'nexttrack'];
+
+/**
+ * Check whether the browser supports the Media Session API
+ * @returns {boolean}
+ */
+export function isMediaSessionSupported() {
+  return typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+}
+
+/**
+ * Show the episode on the lock screen / system media controls
+ * @param {Object} episode - Episode with title and image
+ * @param {string} podcastTitle - Shown as the artist
+ */
+export function setMediaSessionMetadata(episode, podcastTitle = '') {
+  if (!isMediaSessionSupported() || typeof MediaMetadata === 'undefined') return;
+
+  navigator.mediaSession.metadata = new MediaMetadata({
+    title: episode.title,
+    artist: podcastTitle,
+    album: podcastTitle,
+    artwork: episode.image ? [{ src: episode.image, sizes: '512x512' }] : []
+  });
+}
+
+/**
+ * Register handlers for media keys
+ * Actions without a handler are unregistered, so e.g. "next" disappears on the last episode.
+ * @param {Object<string, function(Object): void>} handlers - Keyed by MediaSessionAction
+ * @returns {function(): void} - Removes all handlers
+ */
+export function setMediaSessionHandlers(handlers) {
+  if (!isMediaSessionSupported()) return () => {};
+
+  const setHandler = (action, handler) => {
+    try {
+      navigator.mediaSession.setActionHandler(action, handler);
+    } catch {
+      // Older browsers throw for actions they don't know
+    }
+  };
+
+  MEDIA_ACTIONS.forEach(action => setHandler(action, handlers[action] || null));
+  return () => MEDIA_ACTIONS.forEach(action => setHandler(action, null));
+}
+
+/**
+ * Keep the system's position and play state in sync with the audio element
+ * @param {HTMLAudioElement} audio - The audio element
+ */
+export function updateMediaSessionState(audio) {
+  if (!isMediaSessionSupported()) return;
+
+  navigator.mediaSession.playbackState = audio.paused ? 'paused' : 'playing';
+
+  // setPositionState rejects an unknown duration (still loading or a live stream)
+  if (navigator.mediaSession.setPositionState && Number.isFinite(audio.duration) && audio.duration > 0) {
+    try {
+      navigator.mediaSession.setPositionState({
+        duration: audio.duration,
+        playbackRate: audio.playbackRate,
+        position: Math.min(audio.currentTime, audio.duration)
+      });
+    } catch (error) {
+      console.warn('Failed to update media session position:', error);
+    }
+  }
+}
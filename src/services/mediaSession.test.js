@@ -0,0 +1,67 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { setMediaSessionMetadata, setMediaSessionHandlers, updateMediaSessionState } from './mediaSession';
+
+describe('mediaSession', () => {
+  let mediaSession;
+
+  beforeEach(() => {
+    mediaSession = {
+      metadata: null,
+      playbackState: 'none',
+      setActionHandler: vi.fn(),
+      setPositionState: vi.fn()
+    };
+    navigator.mediaSession = mediaSession;
+    globalThis.MediaMetadata = class {
+      constructor(init) {
+        Object.assign(this, init);
+      }
+    };
+  });
+
+  afterEach(() => {
+    delete navigator.mediaSession;
+    delete globalThis.MediaMetadata;
+  });
+
+  it('should show the episode title and artwork', () => {
+    setMediaSessionMetadata({ title: 'Episodio 1', image: 'cover.jpg' }, 'Mi Podcast');
+
+    expect(mediaSession.metadata).toMatchObject({
+      title: 'Episodio 1',
+      artist: 'Mi Podcast',
+      artwork: [{ src: 'cover.jpg', sizes: '512x512' }]
+    });
+  });
+
+  it('should register handlers and clear missing and removed ones', () => {
+    const play = vi.fn();
+    const cleanup = setMediaSessionHandlers({ play, nexttrack: null });
+
+    expect(mediaSession.setActionHandler).toHaveBeenCalledWith('play', play);
+    expect(mediaSession.setActionHandler).toHaveBeenCalledWith('nexttrack', null);
+
+    mediaSession.setActionHandler.mockClear();
+    cleanup();
+    expect(mediaSession.setActionHandler).toHaveBeenCalledWith('play', null);
+  });
+
+  it('should keep registering when the browser rejects an action', () => {
+    mediaSession.setActionHandler.mockImplementation((action) => {
+      if (action === 'seekto') throw new TypeError('Unsupported action');
+    });
+
+    expect(() => setMediaSessionHandlers({ seekto: vi.fn() })).not.toThrow();
+    expect(mediaSession.setActionHandler).toHaveBeenCalledWith('nexttrack', null);
+  });
+
+  it('should only report the position once the duration is known', () => {
+    updateMediaSessionState({ paused: true, duration: NaN, currentTime: 0, playbackRate: 1 });
+    expect(mediaSession.playbackState).toBe('paused');
+    expect(mediaSession.setPositionState).not.toHaveBeenCalled();
+
+    updateMediaSessionState({ paused: false, duration: 600, currentTime: 42, playbackRate: 0.75 });
+    expect(mediaSession.playbackState).toBe('playing');
+    expect(mediaSession.setPositionState).toHaveBeenCalledWith({ duration: 600, playbackRate: 0.75, position: 42 });
+  });
+});
@@ -0,0 +1,547 @@
+// Notebook export and import: CSV and Anki decks (.apkg)
+// Runs entirely in the browser - sql.js builds the deck's SQLite collection and fflate zips it.
+
+import { zipSync, unzipSync, strToU8, strFromU8 } from 'fflate';
+import { getNotebookEntries, saveNotebookEntry } from './notebookService';
+
+// Note fields of the BabelPod note type, in the order Anki shows them
+const NOTE_FIELDS = [
+  'Original',
+  'Translation',
+  'Audio',
+  'Notes',
+  'Podcast',
+  'Episode',
+  'Start',
+  'End',
+  'Source language',
+  'Target language',
+  'Episode ID',
+  'Episode audio',
+  'Feed'
+];
+
+// CSV can't carry the recordings, so it has every field but Audio, plus the tags
+const CSV_COLUMNS = [...NOTE_FIELDS.filter(field => field !== 'Audio'), 'Tags'];
+
+// Fixed ids so importing a newer export into Anki updates the same deck and note type
+const DECK_ID = 1718204117012;
+const MODEL_ID = 1718204117013;
+const DECK_NAME = 'BabelPod';
+
+const FIELD_SEPARATOR = '\x1f';
+
+const AUDIO_EXTENSIONS = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav'
+};
+
+const CARD_CSS = `.card {
+  font-family: arial;
+  font-size: 22px;
+  text-align: center;
+  color: black;
+  background-color: white;
+}
+.translation { color: #667eea; }
+.notes, .source { font-size: 16px; color: #666; margin-top: 0.75em; }`;
+
+const COLLECTION_SCHEMA = `
+CREATE TABLE col (
+  id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+  ver integer not null, dty integer not null, usn integer not null, ls integer not null,
+  conf text not null, models text not null, decks text not null, dconf text not null, tags text not null
+);
+CREATE TABLE notes (
+  id integer primary key, guid text not null, mid integer not null, mod integer not null,
+  usn integer not null, tags text not null, flds text not null, sfld integer not null,
+  csum integer not null, flags integer not null, data text not null
+);
+CREATE TABLE cards (
+  id integer primary key, nid integer not null, did integer not null, ord integer not null,
+  mod integer not null, usn integer not null, type integer not null, queue integer not null,
+  due integer not null, ivl integer not null, factor integer not null, reps integer not null,
+  lapses integer not null, left integer not null, odue integer not null, odid integer not null,
+  flags integer not null, data text not null
+);
+CREATE TABLE revlog (
+  id integer primary key, cid integer not null, usn integer not null, ease integer not null,
+  ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null,
+  type integer not null
+);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+let sqlJsPromise = null;
+
+/**
+ * Load sql.js and its WebAssembly binary (only when a deck is exported or imported)
+ */
+function loadSqlJs() {
+  if (!sqlJsPromise) {
+    sqlJsPromise = Promise.all([
+      import('sql.js'),
+      import('sql.js/dist/sql-wasm-browser.wasm?url')
+    ]).then(([{ default: initSqlJs }, { default: wasmUrl }]) => initSqlJs({ locateFile: () => wasmUrl }));
+    sqlJsPromise.catch(() => {
+      sqlJsPromise = null;
+    });
+  }
+  return sqlJsPromise;
+}
+
+/**
+ * Name of the podcast an entry came from (older entries only know the feed)
+ */
+function getPodcastName(entry) {
+  if (entry.podcastTitle) return entry.podcastTitle;
+  try {
+    return entry.feedUrl ? new URL(entry.feedUrl).hostname : '';
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Anki tags can't contain spaces
+ */
+const toTag = (text) => text.trim().replace(/\s+/g, '_').replace(/"/g, '');
+
+/**
+ * Tags for an entry: babelpod, plus the podcast and episode it came from
+ * @param {Object} entry - Notebook entry
+ * @returns {string[]} - e.g. ['babelpod', 'podcast::Coffee_Break_Spanish', 'episode::Episode_12']
+ */
+export function getEntryTags(entry) {
+  const tags = ['babelpod'];
+  const podcast = getPodcastName(entry);
+  if (podcast) tags.push(`podcast::${toTag(podcast)}`);
+  if (entry.episode?.title) tags.push(`episode::${toTag(entry.episode.title)}`);
+  return tags;
+}
+
+/**
+ * Plain-text values of the note fields for an entry (Audio is left for the deck to fill in)
+ */
+function entryToFields(entry) {
+  return {
+    Original: entry.originalText,
+    Translation: entry.translatedText || '',
+    Audio: '',
+    Notes: entry.notes || '',
+    Podcast: getPodcastName(entry),
+    Episode: entry.episode?.title || '',
+    Start: entry.startTime != null ? String(entry.startTime) : '',
+    End: entry.endTime != null ? String(entry.endTime) : '',
+    'Source language': entry.sourceLang || '',
+    'Target language': entry.targetLang || '',
+    'Episode ID': entry.episodeId ?? entry.episode?.id ?? '',
+    'Episode audio': entry.episode?.audioUrl || '',
+    Feed: entry.feedUrl || ''
+  };
+}
+
+const parseTime = (value) => {
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) ? seconds : null;
+};
+
+/**
+ * Turn exported field values back into an entry for saveNotebookEntry
+ * Decks and spreadsheets from elsewhere just use their first two columns.
+ */
+function fieldsToEntry(fields, values) {
+  if (!fields.includes('Original')) {
+    return { originalText: values[0] || '', translatedText: values[1] || '' };
+  }
+
+  const get = (name) => (fields.includes(name) ? (values[fields.indexOf(name)] || '').trim() : '');
+  const episodeTitle = get('Episode');
+  const audioUrl = get('Episode audio');
+  const episodeId = get('Episode ID') || audioUrl;
+
+  return {
+    originalText: get('Original'),
+    translatedText: get('Translation'),
+    notes: get('Notes'),
+    sourceLang: get('Source language') || undefined,
+    targetLang: get('Target language') || undefined,
+    podcastTitle: get('Podcast'),
+    episode: episodeTitle || audioUrl ? { id: episodeId, title: episodeTitle, audioUrl, image: null } : null,
+    feedUrl: get('Feed'),
+    startTime: parseTime(get('Start')),
+    endTime: parseTime(get('End'))
+  };
+}
+
+const escapeCsv = (value) => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+/**
+ * Write entries as CSV that Anki imports directly (the header lines map the columns and tags)
+ * @param {Object[]} entries - Notebook entries
+ * @returns {string}
+ */
+export function entriesToCsv(entries) {
+  const lines = [
+    '#separator:Comma',
+    '#html:false',
+    `#columns:${CSV_COLUMNS.join(',')}`,
+    `#tags column:${CSV_COLUMNS.length}`
+  ];
+
+  for (const entry of entries) {
+    const fields = entryToFields(entry);
+    const row = CSV_COLUMNS.map(column => (column === 'Tags' ? getEntryTags(entry).join(' ') : fields[column]));
+    lines.push(row.map(escapeCsv).join(','));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Split CSV text into rows (quoted fields may contain commas, quotes and line breaks)
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  if (value || row.length) {
+    row.push(value);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+/**
+ * Read entries from CSV - ours, or any spreadsheet with the original and translation in the first two columns
+ * @param {string} text - CSV file content
+ * @returns {Object[]} - Entries for saveNotebookEntry
+ */
+export function parseNotebookCsv(text) {
+  let fields = [];
+  const rows = parseCsvRows(text.replace(/^\ufeff/, '')).filter(row => {
+    // Anki's header lines; #columns names the fields
+    if (!row[0].startsWith('#')) return true;
+    if (row[0].startsWith('#columns:')) {
+      fields = [row[0].slice('#columns:'.length), ...row.slice(1)];
+    }
+    return false;
+  });
+
+  if (fields.length === 0 && rows[0]?.includes('Original')) {
+    fields = rows.shift();
+  }
+
+  return rows.map(values => fieldsToEntry(fields, values));
+}
+
+/**
+ * Field values are HTML in Anki
+ */
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/\n/g, '<br>');
+
+const htmlToText = (html) => {
+  const withBreaks = html.replace(/<br\s*\/?>/gi, '\n').replace(/\[sound:[^\]]*\]/g, '');
+  return new DOMParser().parseFromString(withBreaks, 'text/html').body.textContent.trim();
+};
+
+/**
+ * Anki's note checksum: the first 8 hex digits of the SHA-1 of the sort field
+ */
+async function getChecksum(text) {
+  const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
+  const hex = Array.from(new Uint8Array(digest).slice(0, 4), byte => byte.toString(16).padStart(2, '0')).join('');
+  return parseInt(hex, 16);
+}
+
+function getCollectionConfig(now) {
+  const nowSeconds = Math.floor(now / 1000);
+
+  const model = {
+    id: MODEL_ID,
+    name: 'BabelPod',
+    type: 0,
+    mod: nowSeconds,
+    usn: -1,
+    sortf: 0,
+    did: DECK_ID,
+    tags: [],
+    vers: [],
+    css: CARD_CSS,
+    latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+    latexPost: '\\end{document}',
+    req: [[0, 'any', [0, 2]]],
+    flds: NOTE_FIELDS.map((name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })),
+    tmpls: [{
+      name: 'Listen',
+      ord: 0,
+      qfmt: '{{Audio}}\n<div>{{Original}}</div>',
+      afmt: '{{FrontSide}}\n<hr id=answer>\n<div class="translation">{{Translation}}</div>\n' +
+        '{{#Notes}}<div class="notes">{{Notes}}</div>{{/Notes}}\n' +
+        '<div class="source">{{Podcast}} · {{Episode}}</div>',
+      did: null,
+      bqfmt: '',
+      bafmt: ''
+    }]
+  };
+
+  const deck = (id, name) => ({
+    id,
+    name,
+    desc: '',
+    conf: 1,
+    dyn: 0,
+    collapsed: false,
+    extendNew: 10,
+    extendRev: 50,
+    mod: nowSeconds,
+    usn: -1,
+    newToday: [0, 0],
+    revToday: [0, 0],
+    lrnToday: [0, 0],
+    timeToday: [0, 0]
+  });
+
+  const deckConfig = {
+    id: 1,
+    name: 'Default',
+    mod: 0,
+    usn: 0,
+    maxTaken: 60,
+    autoplay: true,
+    replayq: true,
+    timer: 0,
+    new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20, separate: true, bury: true },
+    rev: { perDay: 100, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, minSpace: 1, bury: true },
+    lapse: { delays: [10], leechAction: 0, leechFails: 8, minInt: 1, mult: 0 }
+  };
+
+  const conf = {
+    activeDecks: [1],
+    curDeck: 1,
+    curModel: MODEL_ID,
+    nextPos: 1,
+    estTimes: true,
+    sortType: 'noteFld',
+    sortBackwards: false,
+    timeLim: 0,
+    addToCur: true,
+    newBump: true,
+    newSpread: 0,
+    dueCounts: true,
+    collapseTime: 1200
+  };
+
+  return {
+    conf,
+    models: { [MODEL_ID]: model },
+    decks: { 1: deck(1, 'Default'), [DECK_ID]: deck(DECK_ID, DECK_NAME) },
+    dconf: { 1: deckConfig }
+  };
+}
+
+/**
+ * Build an Anki deck with one card per entry; recorded clips become the Audio field
+ * @param {Object[]} entries - Notebook entries
+ * @param {number} now - Export time in ms (note and card ids are derived from it)
+ * @returns {Promise<Blob>} - The .apkg file
+ */
+export async function buildAnkiPackage(entries, now = Date.now()) {
+  const SQL = await loadSqlJs();
+  const db = new SQL.Database();
+  const nowSeconds = Math.floor(now / 1000);
+  const files = {};
+  const media = {};
+
+  try {
+    db.run(COLLECTION_SCHEMA);
+    const { conf, models, decks, dconf } = getCollectionConfig(now);
+    db.run(
+      'INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)',
+      [nowSeconds, now, now, JSON.stringify(conf), JSON.stringify(models), JSON.stringify(decks), JSON.stringify(dconf), '{}']
+    );
+
+    for (const [index, entry] of entries.entries()) {
+      const fields = entryToFields(entry);
+
+      if (entry.audioClip instanceof Blob) {
+        const mediaIndex = String(Object.keys(media).length);
+        const extension = AUDIO_EXTENSIONS[entry.audioClip.type.split(';')[0]] || 'webm';
+        const filename = `babelpod-${entry.id ?? index}-${entry.createdAt ?? now}.${extension}`;
+        media[mediaIndex] = filename;
+        // Audio is already compressed
+        files[mediaIndex] = [new Uint8Array(await entry.audioClip.arrayBuffer()), { level: 0 }];
+        fields.Audio = `[sound:${filename}]`;
+      }
+
+      const values = NOTE_FIELDS.map(name => (name === 'Audio' ? fields.Audio : escapeHtml(fields[name])));
+      const noteId = now + index;
+      // Stable per entry, so importing a later export updates the note instead of duplicating it
+      const guid = `babelpod-${entry.id ?? index}-${entry.createdAt ?? now}`;
+      const tags = ` ${getEntryTags(entry).join(' ')} `;
+
+      db.run(
+        'INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')',
+        [noteId, guid, MODEL_ID, nowSeconds, tags, values.join(FIELD_SEPARATOR), fields.Original, await getChecksum(fields.Original)]
+      );
+      db.run(
+        'INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, \'\')',
+        [noteId, noteId, DECK_ID, nowSeconds, index + 1]
+      );
+    }
+
+    files['collection.anki2'] = db.export();
+  } finally {
+    db.close();
+  }
+
+  files.media = strToU8(JSON.stringify(media));
+  return new Blob([zipSync(files)], { type: 'application/octet-stream' });
+}
+
+/**
+ * Read the notes of an Anki deck as notebook entries, with their sound files as audio clips
+ * @param {ArrayBuffer} buffer - Content of the .apkg file
+ * @returns {Promise<Object[]>} - Entries for saveNotebookEntry
+ */
+export async function readAnkiPackage(buffer) {
+  let files;
+  try {
+    files = unzipSync(new Uint8Array(buffer));
+  } catch {
+    throw new Error('This file is not an Anki deck');
+  }
+
+  if (files['collection.anki21b']) {
+    throw new Error('This deck uses the newest Anki format - export it again with "Support older Anki versions" ticked');
+  }
+  const collection = files['collection.anki21'] || files['collection.anki2'];
+  if (!collection) {
+    throw new Error('This file is not an Anki deck');
+  }
+
+  // media maps the numbered files in the zip to the names used in [sound:...] tags
+  const mediaNames = files.media ? JSON.parse(strFromU8(files.media)) : {};
+  const mediaByName = Object.fromEntries(Object.entries(mediaNames).map(([key, name]) => [name, key]));
+
+  const SQL = await loadSqlJs();
+  const db = new SQL.Database(collection);
+  try {
+    const [[modelsJson]] = db.exec('SELECT models FROM col')[0].values;
+    const models = JSON.parse(modelsJson);
+    const notes = db.exec('SELECT mid, flds FROM notes ORDER BY id')[0]?.values || [];
+
+    return notes.map(([modelId, flds]) => {
+      const rawValues = flds.split(FIELD_SEPARATOR);
+      const fieldNames = (models[modelId]?.flds || [])
+        .slice()
+        .sort((a, b) => a.ord - b.ord)
+        .map(field => field.name);
+      const entry = fieldsToEntry(fieldNames, rawValues.map(htmlToText));
+
+      const soundName = rawValues.join(' ').match(/\[sound:([^\]]+)\]/)?.[1];
+      const mediaKey = soundName && mediaByName[soundName];
+      if (mediaKey && files[mediaKey]) {
+        const extension = soundName.split('.').pop().toLowerCase();
+        const type = Object.keys(AUDIO_EXTENSIONS).find(mime => AUDIO_EXTENSIONS[mime] === extension) || 'audio/webm';
+        entry.audioClip = new Blob([files[mediaKey]], { type });
+      }
+      return entry;
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Export the whole notebook
+ * @param {'csv'|'apkg'} format - File format
+ * @returns {Promise<{blob: Blob, filename: string}>}
+ */
+export async function exportNotebook(format) {
+  const entries = await getNotebookEntries();
+  if (entries.length === 0) {
+    throw new Error('The notebook is empty');
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  if (format === 'apkg') {
+    return { blob: await buildAnkiPackage(entries), filename: `babelpod-notebook-${date}.apkg` };
+  }
+  return {
+    blob: new Blob([entriesToCsv(entries)], { type: 'text/csv;charset=utf-8' }),
+    filename: `babelpod-notebook-${date}.csv`
+  };
+}
+
+const getEntryKey = (entry) => `${entry.originalText.trim()}\n${(entry.translatedText || '').trim()}`;
+
+/**
+ * Import a CSV file or Anki deck into the notebook, skipping entries it already has
+ * @param {File} file - .csv or .apkg file
+ * @returns {Promise<{imported: number, skipped: number}>}
+ */
+export async function importNotebookFile(file) {
+  const entries = /\.apkg$/i.test(file.name)
+    ? await readAnkiPackage(await file.arrayBuffer())
+    : parseNotebookCsv(await file.text());
+
+  const existing = new Set((await getNotebookEntries()).map(getEntryKey));
+  let imported = 0;
+  let skipped = 0;
+
+  for (const entry of entries) {
+    if (!entry.originalText?.trim() || existing.has(getEntryKey(entry))) {
+      skipped++;
+      continue;
+    }
+    const saved = await saveNotebookEntry(entry);
+    existing.add(getEntryKey(saved));
+    imported++;
+  }
+
+  return { imported, skipped };
+}
@@ -0,0 +1,117 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { Blob as NodeBlob, File as NodeFile } from 'node:buffer';
+import {
+  entriesToCsv,
+  parseNotebookCsv,
+  getEntryTags,
+  buildAnkiPackage,
+  readAnkiPackage,
+  importNotebookFile
+} from './notebookExport';
+import { saveNotebookEntry, getNotebookEntries } from './notebookService';
+import { clearStore } from './database';
+
+// Vitest runs the Node build of sql.js, which reads its wasm from disk
+vi.mock('sql.js/dist/sql-wasm-browser.wasm?url', async () => {
+  const { createRequire } = await import('node:module');
+  return { default: createRequire(`${process.cwd()}/`).resolve('sql.js/dist/sql-wasm.wasm') };
+});
+
+// jsdom's Blob and File can't be read back (no arrayBuffer() or text())
+vi.stubGlobal('Blob', NodeBlob);
+vi.stubGlobal('File', NodeFile);
+
+describe('notebookExport', () => {
+  const entry = {
+    id: 3,
+    createdAt: 1700000000000,
+    originalText: 'Dijo "hola", y se fue',
+    translatedText: 'He said "hello", and left',
+    notes: 'Past tense\nof decir',
+    sourceLang: 'es',
+    targetLang: 'en',
+    podcastTitle: 'Coffee Break Spanish',
+    episodeId: 'ep-12',
+    episode: { id: 'ep-12', title: 'Episode 12', audioUrl: 'https://example.com/ep12.mp3', image: 'cover.jpg' },
+    feedUrl: 'https://example.com/feed.xml',
+    startTime: 42.5,
+    endTime: 57.5
+  };
+
+  beforeEach(async () => {
+    await clearStore('notebook');
+  });
+
+  it('should tag entries with their podcast and episode', () => {
+    expect(getEntryTags(entry)).toEqual(['babelpod', 'podcast::Coffee_Break_Spanish', 'episode::Episode_12']);
+    // Entries saved before the podcast title was stored fall back to the feed's host
+    expect(getEntryTags({ feedUrl: 'https://feeds.example.org/rss' })).toEqual(['babelpod', 'podcast::feeds.example.org']);
+  });
+
+  it('should write CSV with Anki header lines and read it back', () => {
+    const csv = entriesToCsv([entry]);
+
+    expect(csv.split('\n').slice(0, 2)).toEqual(['#separator:Comma', '#html:false']);
+    expect(csv).toContain('#tags column:13');
+    expect(csv).toContain('"Dijo ""hola"", y se fue"');
+
+    const [parsed] = parseNotebookCsv(csv);
+    expect(parsed).toMatchObject({
+      originalText: entry.originalText,
+      translatedText: entry.translatedText,
+      notes: entry.notes,
+      sourceLang: 'es',
+      targetLang: 'en',
+      podcastTitle: 'Coffee Break Spanish',
+      episode: { id: 'ep-12', title: 'Episode 12', audioUrl: 'https://example.com/ep12.mp3' },
+      feedUrl: entry.feedUrl,
+      startTime: 42.5,
+      endTime: 57.5
+    });
+  });
+
+  it('should read the first two columns of other spreadsheets', () => {
+    const entries = parseNotebookCsv('gato,cat\r\n"la casa","the house"\r\n');
+
+    expect(entries).toEqual([
+      { originalText: 'gato', translatedText: 'cat' },
+      { originalText: 'la casa', translatedText: 'the house' }
+    ]);
+  });
+
+  it('should build an Anki deck that reads back with its audio clip', async () => {
+    const audioClip = new Blob([new Uint8Array([1, 2, 3, 4])], { type: 'audio/webm' });
+    const apkg = await buildAnkiPackage([{ ...entry, audioClip }, { ...entry, id: 4, originalText: 'gato', translatedText: 'cat' }]);
+
+    const entries = await readAnkiPackage(await apkg.arrayBuffer());
+
+    expect(entries).toHaveLength(2);
+    expect(entries[0]).toMatchObject({
+      originalText: entry.originalText,
+      translatedText: entry.translatedText,
+      notes: entry.notes,
+      podcastTitle: 'Coffee Break Spanish',
+      startTime: 42.5
+    });
+    expect(entries[0].audioClip.type).toBe('audio/webm');
+    expect(new Uint8Array(await entries[0].audioClip.arrayBuffer())).toEqual(new Uint8Array([1, 2, 3, 4]));
+    expect(entries[1].originalText).toBe('gato');
+    expect(entries[1].audioClip).toBeUndefined();
+  });
+
+  it('should reject files that are not Anki decks', async () => {
+    await expect(readAnkiPackage(new TextEncoder().encode('not a zip').buffer)).rejects.toThrow('not an Anki deck');
+  });
+
+  it('should import into the notebook without duplicating existing entries', async () => {
+    await saveNotebookEntry({ originalText: 'gato', translatedText: 'cat' });
+    const file = new File(['gato,cat\nperro,dog\n'], 'words.csv', { type: 'text/csv' });
+
+    const result = await importNotebookFile(file);
+
+    expect(result).toEqual({ imported: 1, skipped: 1 });
+    const entries = await getNotebookEntries();
+    expect(entries.map(saved => saved.originalText).sort()).toEqual(['gato', 'perro']);
+  });
+});
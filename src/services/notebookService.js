@@ -0,0 +1,121 @@
+// Vocabulary and phrase notebook (IndexedDB)
+// Unlike the caches this is the learner's own data, so failures are reported instead of swallowed
+
+import { getRecord, putRecord, deleteRecord, getAllRecords } from './database';
+
+const NOTEBOOK_STORE = 'notebook';
+
+/**
+ * Save a word or phrase
+ * @param {Object} entry
+ * @param {string} entry.originalText - Text in the podcast's language
+ * @param {string} entry.translatedText - Translation
+ * @param {string} entry.sourceLang - Language of the original
+ * @param {string} entry.targetLang - Language of the translation
+ * @param {'phrase'|'word'} entry.type - A whole translated passage or a selected word
+ * @param {string} entry.notes - The learner's own notes
+ * @param {Object} entry.episode - Episode the entry came from ({ id, title, audioUrl, image })
+ * @param {string} entry.feedUrl - RSS feed of the podcast
+ * @param {string} entry.podcastTitle - Name of the podcast
+ * @param {number} entry.startTime - Position of the passage in the episode (seconds)
+ * @param {number} entry.endTime - End of the passage (seconds)
+ * @param {Blob} entry.audioClip - Recording of the passage for review, if one was buffered
+ * @returns {Promise<Object>} - The stored entry including its id
+ */
+export async function saveNotebookEntry({
+  originalText,
+  translatedText,
+  sourceLang,
+  targetLang,
+  type = 'phrase',
+  notes = '',
+  episode = null,
+  feedUrl = '',
+  podcastTitle = '',
+  startTime = null,
+  endTime = null,
+  audioClip = null
+}) {
+  if (!originalText?.trim()) {
+    throw new Error('Nothing to save');
+  }
+
+  const now = Date.now();
+  const entry = {
+    originalText: originalText.trim(),
+    translatedText: translatedText?.trim() || '',
+    sourceLang,
+    targetLang,
+    type,
+    notes,
+    episodeId: episode?.id ?? null,
+    // Enough of the episode to play it again without reloading the feed
+    episode: episode ? { id: episode.id, title: episode.title, audioUrl: episode.audioUrl, image: episode.image } : null,
+    feedUrl,
+    podcastTitle,
+    startTime,
+    endTime,
+    audioClip,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  const id = await putRecord(NOTEBOOK_STORE, entry);
+  return { ...entry, id };
+}
+
+/**
+ * Get all notebook entries, newest first
+ * @returns {Promise<Object[]>}
+ */
+export async function getNotebookEntries() {
+  const entries = await getAllRecords(NOTEBOOK_STORE, 'createdAt');
+  return entries.reverse();
+}
+
+/**
+ * Edit an entry
+ * @param {number} id - Entry id
+ * @param {Object} changes - Fields to change (originalText, translatedText, notes, ...)
+ * @returns {Promise<Object>} - The updated entry
+ */
+export async function updateNotebookEntry(id, changes) {
+  const entry = await getRecord(NOTEBOOK_STORE, id);
+  if (!entry) {
+    throw new Error('Notebook entry not found');
+  }
+
+  // id and createdAt identify the entry and keep its place in the list
+  const { id: _id, createdAt: _createdAt, ...editable } = changes;
+  const updated = { ...entry, ...editable, updatedAt: Date.now() };
+  await putRecord(NOTEBOOK_STORE, updated);
+  return updated;
+}
+
+/**
+ * Delete an entry
+ * @param {number} id - Entry id
+ * @returns {Promise<void>}
+ */
+export function deleteNotebookEntry(id) {
+  return deleteRecord(NOTEBOOK_STORE, id);
+}
+
+/**
+ * Filter entries by a search query (original, translation, notes and episode title)
+ * @param {Object[]} entries - Notebook entries
+ * @param {string} query - Search text
+ * @returns {Object[]}
+ */
+export function searchNotebookEntries(entries, query) {
+  const terms = query.toLocaleLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return entries;
+
+  return entries.filter(entry => {
+    const haystack = [entry.originalText, entry.translatedText, entry.notes, entry.episode?.title]
+      .filter(Boolean)
+      .join(' ')
+      .toLocaleLowerCase();
+    return terms.every(term => haystack.includes(term));
+  });
+}
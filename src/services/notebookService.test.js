@@ -0,0 +1,90 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  saveNotebookEntry,
+  getNotebookEntries,
+  updateNotebookEntry,
+  deleteNotebookEntry,
+  searchNotebookEntries
+} from './notebookService';
+import { clearStore } from './database';
+
+describe('notebookService', () => {
+  const episode = { id: 'ep-1', title: 'Episodio 1', audioUrl: 'https://example.com/ep1.mp3', image: 'cover.jpg', description: 'Long text' };
+
+  beforeEach(async () => {
+    await clearStore('notebook');
+  });
+
+  it('should store an entry with its episode and language pair', async () => {
+    const saved = await saveNotebookEntry({
+      originalText: ' Hola mundo ',
+      translatedText: 'Hello world',
+      sourceLang: 'es',
+      targetLang: 'en',
+      episode,
+      feedUrl: 'https://example.com/feed.xml',
+      startTime: 15,
+      endTime: 30
+    });
+
+    expect(saved.id).toBeDefined();
+    const [entry] = await getNotebookEntries();
+    expect(entry).toMatchObject({
+      originalText: 'Hola mundo',
+      translatedText: 'Hello world',
+      sourceLang: 'es',
+      targetLang: 'en',
+      type: 'phrase',
+      episodeId: 'ep-1',
+      feedUrl: 'https://example.com/feed.xml',
+      startTime: 15
+    });
+    // Only what's needed to play the episode again is copied
+    expect(entry.episode).toEqual({ id: 'ep-1', title: 'Episodio 1', audioUrl: 'https://example.com/ep1.mp3', image: 'cover.jpg' });
+    expect(entry.createdAt).toEqual(expect.any(Number));
+  });
+
+  it('should save entries without an audio clip when none was buffered', async () => {
+    await saveNotebookEntry({ originalText: 'Hola', translatedText: 'Hello' });
+
+    const [entry] = await getNotebookEntries();
+    expect(entry.audioClip).toBeNull();
+  });
+
+  it('should refuse empty entries', async () => {
+    await expect(saveNotebookEntry({ originalText: '  ' })).rejects.toThrow('Nothing to save');
+  });
+
+  it('should list entries newest first', async () => {
+    await saveNotebookEntry({ originalText: 'uno', translatedText: 'one' });
+    await new Promise(resolve => setTimeout(resolve, 2));
+    await saveNotebookEntry({ originalText: 'dos', translatedText: 'two' });
+
+    const entries = await getNotebookEntries();
+    expect(entries.map(entry => entry.originalText)).toEqual(['dos', 'uno']);
+  });
+
+  it('should edit and delete entries', async () => {
+    const saved = await saveNotebookEntry({ originalText: 'gato', translatedText: 'dog' });
+
+    const updated = await updateNotebookEntry(saved.id, { translatedText: 'cat', notes: 'masculine', createdAt: 0 });
+    expect(updated).toMatchObject({ translatedText: 'cat', notes: 'masculine', createdAt: saved.createdAt });
+
+    await deleteNotebookEntry(saved.id);
+    expect(await getNotebookEntries()).toEqual([]);
+    await expect(updateNotebookEntry(saved.id, { notes: 'x' })).rejects.toThrow('not found');
+  });
+
+  it('should search originals, translations, notes and episode titles', () => {
+    const entries = [
+      { originalText: 'el gato', translatedText: 'the cat', notes: '', episode: { title: 'Animales' } },
+      { originalText: 'la casa', translatedText: 'the house', notes: 'feminine', episode: null }
+    ];
+
+    expect(searchNotebookEntries(entries, 'CAT')).toHaveLength(1);
+    expect(searchNotebookEntries(entries, 'feminine')[0].originalText).toBe('la casa');
+    expect(searchNotebookEntries(entries, 'animales gato')).toHaveLength(1);
+    expect(searchNotebookEntries(entries, '  ')).toHaveLength(2);
+  });
+});
@@ -0,0 +1,111 @@
+// OPML import and export of podcast subscriptions
+// Per-feed settings travel as babelpod:* attributes on each outline; other apps ignore them.
+
+import { parsePodcastFeed } from './rssService';
+import { getSubscription, saveSubscription } from './subscriptionService';
+
+const BABELPOD_NS = 'https://markgravestock.github.io/babelpod/opml';
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Read the podcast feeds listed in an OPML file
+ * Outlines can be nested in folders; any outline with an xmlUrl is a feed.
+ * @param {string} text - OPML file content
+ * @returns {Array<{feedUrl: string, title: string, sourceLang: string|null}>}
+ */
+export function parseOpml(text) {
+  const doc = new DOMParser().parseFromString(text, 'text/xml');
+  if (doc.querySelector('parsererror') || !doc.querySelector('opml')) {
+    throw new Error('This file is not valid OPML');
+  }
+
+  const feeds = [];
+  const seen = new Set();
+  for (const outline of doc.querySelectorAll('outline')) {
+    const feedUrl = outline.getAttribute('xmlUrl')?.trim();
+    if (!feedUrl || seen.has(feedUrl)) continue;
+    seen.add(feedUrl);
+    feeds.push({
+      feedUrl,
+      title: outline.getAttribute('title') || outline.getAttribute('text') || feedUrl,
+      sourceLang: outline.getAttributeNS(BABELPOD_NS, 'sourceLang') || null
+    });
+  }
+  return feeds;
+}
+
+/**
+ * Write subscriptions as OPML 2.0
+ * @param {Object[]} subscriptions - Stored subscriptions
+ * @param {Date} now - Creation date for the head
+ * @returns {string}
+ */
+export function buildOpml(subscriptions, now = new Date()) {
+  const outlines = subscriptions.map(subscription => {
+    const attributes = {
+      type: 'rss',
+      text: subscription.title,
+      title: subscription.title,
+      xmlUrl: subscription.feedUrl,
+      // Only a language the user chose - the feed's own language comes back with the feed
+      'babelpod:sourceLang': subscription.sourceLang
+    };
+    const attributeText = Object.entries(attributes)
+      .filter(([, value]) => value)
+      .map(([name, value]) => `${name}="${escapeXml(value)}"`)
+      .join(' ');
+    return `    <outline ${attributeText}/>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<opml version="2.0" xmlns:babelpod="${BABELPOD_NS}">`,
+    '  <head>',
+    '    <title>BabelPod subscriptions</title>',
+    `    <dateCreated>${now.toUTCString()}</dateCreated>`,
+    '  </head>',
+    '  <body>',
+    ...outlines,
+    '  </body>',
+    '</opml>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Subscribe to every feed in an OPML file
+ * Feeds load one at a time, like background refreshes; a feed that fails doesn't stop the rest.
+ * @param {string} text - OPML file content
+ * @param {Object} options
+ * @param {function(number, number): void} options.onProgress - Called with (done, total)
+ * @returns {Promise<{imported: number, skipped: number, failures: Array<{feedUrl: string, title: string, error: string}>}>}
+ */
+export async function importOpml(text, { onProgress } = {}) {
+  const feeds = parseOpml(text);
+  let imported = 0;
+  let skipped = 0;
+  const failures = [];
+
+  for (const [index, feed] of feeds.entries()) {
+    onProgress?.(index, feeds.length);
+    try {
+      if (await getSubscription(feed.feedUrl)) {
+        skipped++;
+        continue;
+      }
+      const podcast = await parsePodcastFeed(feed.feedUrl);
+      await saveSubscription(feed.feedUrl, podcast, { sourceLang: feed.sourceLang });
+      imported++;
+    } catch (error) {
+      failures.push({ feedUrl: feed.feedUrl, title: feed.title, error: error.message });
+    }
+  }
+  onProgress?.(feeds.length, feeds.length);
+
+  return { imported, skipped, failures };
+}
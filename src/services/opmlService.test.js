@@ -0,0 +1,88 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { parseOpml, buildOpml, importOpml } from './opmlService';
+import { saveSubscription, getSubscription } from './subscriptionService';
+import { parsePodcastFeed } from './rssService';
+import { clearStore } from './database';
+
+vi.mock('./rssService', () => ({
+  parsePodcastFeed: vi.fn()
+}));
+
+describe('opmlService', () => {
+  const opml = `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0" xmlns:babelpod="https://markgravestock.github.io/babelpod/opml">
+  <head><title>My podcasts</title></head>
+  <body>
+    <outline text="Spanish">
+      <outline type="rss" text="Español Diario" xmlUrl="https://example.com/es.xml" babelpod:sourceLang="es"/>
+      <outline type="rss" text="Duplicate" xmlUrl="https://example.com/es.xml"/>
+    </outline>
+    <outline type="rss" text="News &amp; More" title="News &amp; More" xmlUrl="https://example.com/news.xml"/>
+    <outline text="Just a folder"/>
+  </body>
+</opml>`;
+
+  const podcast = (title) => ({ title, description: '', image: null, language: 'en', episodes: [] });
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    await clearStore('subscriptions');
+  });
+
+  it('should read feeds from nested outlines with their BabelPod settings', () => {
+    expect(parseOpml(opml)).toEqual([
+      { feedUrl: 'https://example.com/es.xml', title: 'Español Diario', sourceLang: 'es' },
+      { feedUrl: 'https://example.com/news.xml', title: 'News & More', sourceLang: null }
+    ]);
+  });
+
+  it('should reject files that are not OPML', () => {
+    expect(() => parseOpml('<rss><channel/></rss>')).toThrow('not valid OPML');
+    expect(() => parseOpml('not xml at all <')).toThrow('not valid OPML');
+  });
+
+  it('should export subscriptions as OPML 2.0 that imports back', () => {
+    const text = buildOpml([
+      { feedUrl: 'https://example.com/es.xml?a=1&b=2', title: 'Español "Diario"', language: 'es-ES', sourceLang: 'es' },
+      { feedUrl: 'https://example.com/news.xml', title: 'News', language: 'en' }
+    ], new Date('2024-01-01T00:00:00Z'));
+
+    expect(text).toContain('<opml version="2.0"');
+    expect(text).toContain('<dateCreated>Mon, 01 Jan 2024 00:00:00 GMT</dateCreated>');
+    expect(text).toContain('xmlUrl="https://example.com/es.xml?a=1&amp;b=2"');
+    expect(text).not.toContain('sourceLang="en"');
+    expect(parseOpml(text)).toEqual([
+      { feedUrl: 'https://example.com/es.xml?a=1&b=2', title: 'Español "Diario"', sourceLang: 'es' },
+      { feedUrl: 'https://example.com/news.xml', title: 'News', sourceLang: null }
+    ]);
+  });
+
+  it('should subscribe to each feed and report the ones that fail', async () => {
+    parsePodcastFeed.mockImplementation(async (url) => {
+      if (url.includes('news')) throw new Error('HTTP 404: Not Found');
+      return podcast('Español Diario');
+    });
+    const onProgress = vi.fn();
+
+    const result = await importOpml(opml, { onProgress });
+
+    expect(result).toEqual({
+      imported: 1,
+      skipped: 0,
+      failures: [{ feedUrl: 'https://example.com/news.xml', title: 'News & More', error: 'HTTP 404: Not Found' }]
+    });
+    expect(await getSubscription('https://example.com/es.xml')).toMatchObject({ title: 'Español Diario', sourceLang: 'es' });
+    expect(onProgress).toHaveBeenLastCalledWith(2, 2);
+  });
+
+  it('should skip feeds that are already subscribed', async () => {
+    await saveSubscription('https://example.com/es.xml', podcast('Español Diario'));
+    parsePodcastFeed.mockResolvedValue(podcast('News & More'));
+
+    const result = await importOpml(opml);
+
+    expect(result).toEqual({ imported: 1, skipped: 1, failures: [] });
+    expect(parsePodcastFeed).toHaveBeenCalledTimes(1);
+  });
+});
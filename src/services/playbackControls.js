@@ -0,0 +1,58 @@
+// Playback speed and A-B loop helpers for the audio player
+
+// Speeds offered in the player
+export const PLAYBACK_RATES = [0.5, 0.6, 0.75, 0.9, 1, 1.25, 1.5, 1.75, 2];
+
+// Speeds the speed shortcut steps through, from normal down to half speed
+const SLOW_DOWN_STEPS = [1, 0.9, 0.75, 0.6, 0.5];
+
+// Shortest loop worth repeating - anything shorter just stutters
+export const MIN_LOOP_SECONDS = 0.5;
+
+/**
+ * Change the playback speed without changing the pitch of the voice
+ * @param {HTMLAudioElement} audio - The audio element
+ * @param {number} rate - Playback rate (1 = normal)
+ */
+export function applyPlaybackRate(audio, rate) {
+  // Slowed-down speech is only useful for shadowing if it still sounds like the speaker
+  audio.preservesPitch = true;
+  audio.mozPreservesPitch = true;
+  audio.webkitPreservesPitch = true;
+  // defaultPlaybackRate survives loading a new episode
+  audio.defaultPlaybackRate = rate;
+  audio.playbackRate = rate;
+}
+
+/**
+ * Next speed for the speed shortcut: a step slower, back to normal after half speed
+ * @param {number} rate - Current playback rate
+ * @returns {number}
+ */
+export function getNextPlaybackRate(rate) {
+  const slower = SLOW_DOWN_STEPS.find(step => step < rate);
+  return slower ?? SLOW_DOWN_STEPS[0];
+}
+
+/**
+ * Build an A-B loop from two points, in whichever order they were set
+ * @param {number|null} start - Point A in seconds
+ * @param {number|null} end - Point B in seconds
+ * @returns {{start: number, end: number}|null} - The loop, or null if it isn't complete or is too short
+ */
+export function createLoop(start, end) {
+  if (start == null || end == null) return null;
+  const loop = { start: Math.min(start, end), end: Math.max(start, end) };
+  return loop.end - loop.start >= MIN_LOOP_SECONDS ? loop : null;
+}
+
+/**
+ * Where to jump when playback reaches the end of a loop
+ * @param {number} currentTime - Current playback position
+ * @param {{start: number, end: number}|null} loop - Active loop
+ * @returns {number|null} - Position to seek to, or null to keep playing
+ */
+export function getLoopSeekTarget(currentTime, loop) {
+  if (!loop) return null;
+  return currentTime >= loop.end ? loop.start : null;
+}
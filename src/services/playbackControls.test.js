@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { applyPlaybackRate, createLoop, getLoopSeekTarget } from './playbackControls';
+
+describe('playbackControls', () => {
+  it('should set the rate with pitch preserved', () => {
+    const audio = document.createElement('audio');
+
+    applyPlaybackRate(audio, 0.75);
+
+    expect(audio.playbackRate).toBe(0.75);
+    expect(audio.defaultPlaybackRate).toBe(0.75);
+    expect(audio.preservesPitch).toBe(true);
+  });
+
+  it('should build a loop from points set in either order', () => {
+    expect(createLoop(10, 20)).toEqual({ start: 10, end: 20 });
+    expect(createLoop(20, 10)).toEqual({ start: 10, end: 20 });
+  });
+
+  it('should not build incomplete or too short loops', () => {
+    expect(createLoop(10, null)).toBeNull();
+    expect(createLoop(null, 20)).toBeNull();
+    expect(createLoop(10, 10.2)).toBeNull();
+  });
+
+  it('should jump back to the start once playback passes the end', () => {
+    const loop = { start: 10, end: 20 };
+
+    expect(getLoopSeekTarget(15, loop)).toBeNull();
+    expect(getLoopSeekTarget(20.1, loop)).toBe(10);
+    expect(getLoopSeekTarget(25, null)).toBeNull();
+  });
+});
@@ -0,0 +1,149 @@
+// Playback scripts
+// A script is a list of steps the player runs after a translation, e.g. replay the
+// original passage, speak the translation, then replay the passage again.
+
+import { speakText } from './translationService';
+
+// Drill sequences selectable in Settings
+export const PLAYBACK_SEQUENCES = {
+  'translation': {
+    name: 'Translation only',
+    description: 'Speak the translation, then continue'
+  },
+  'translation-original': {
+    name: 'Translation, then original',
+    description: 'Speak the translation, then replay the passage'
+  },
+  'sandwich': {
+    name: 'Sandwich: original, translation, original',
+    description: 'Replay the passage, speak the translation, then replay the passage again'
+  }
+};
+
+// Speeds offered for replaying the original
+export const REPLAY_SPEEDS = [1, 0.9, 0.75, 0.6, 0.5];
+
+/**
+ * Build the steps for a translated passage
+ * @param {Object} options
+ * @param {string} options.sequence - Key of PLAYBACK_SEQUENCES
+ * @param {number} options.startTime - Passage start in seconds
+ * @param {number} options.endTime - Passage end in seconds
+ * @param {string} options.translatedText - Text to speak
+ * @param {string} options.speechLang - Voice language, e.g. 'en-US'
+ * @param {number} options.replaySpeed - Playback rate for the replay that follows the translation
+ * @returns {Array<{type: 'play', startTime: number, endTime: number, playbackRate: number}|{type: 'speak', text: string, lang: string}>}
+ */
+export function buildPlaybackScript({ sequence = 'translation', startTime, endTime, translatedText, speechLang, replaySpeed = 1 }) {
+  const original = (playbackRate) => ({ type: 'play', startTime, endTime, playbackRate });
+  const translation = { type: 'speak', text: translatedText, lang: speechLang };
+
+  switch (sequence) {
+    case 'sandwich':
+      // First listen at normal speed, the replay after understanding can be slowed down
+      return [original(1), translation, original(replaySpeed)];
+    case 'translation-original':
+      return [translation, original(replaySpeed)];
+    case 'translation':
+    default:
+      return [translation];
+  }
+}
+
+const abortError = () => new DOMException('Playback script aborted', 'AbortError');
+
+/**
+ * Play part of the episode and resolve when it reaches the end
+ * Pausing the player (or aborting the signal) stops the whole script.
+ * @param {HTMLAudioElement} audio - The player's audio element
+ * @param {{startTime: number, endTime: number, playbackRate: number}} step
+ * @param {AbortSignal} signal - Stops playback early
+ */
+function playRange(audio, { startTime, endTime, playbackRate }, signal) {
+  return new Promise((resolve, reject) => {
+    const originalRate = audio.playbackRate;
+
+    const cleanup = () => {
+      audio.removeEventListener('timeupdate', handleTimeUpdate);
+      audio.removeEventListener('ended', handleEnded);
+      audio.removeEventListener('pause', handleInterrupt);
+      signal?.removeEventListener('abort', handleInterrupt);
+      audio.playbackRate = originalRate;
+    };
+
+    function handleEnded() {
+      cleanup();
+      resolve();
+    }
+
+    function handleTimeUpdate() {
+      if (audio.currentTime >= endTime) {
+        cleanup();
+        audio.pause();
+        resolve();
+      }
+    }
+
+    function handleInterrupt() {
+      cleanup();
+      if (!audio.paused) audio.pause();
+      reject(abortError());
+    }
+
+    audio.currentTime = startTime;
+    audio.playbackRate = playbackRate;
+    audio.addEventListener('timeupdate', handleTimeUpdate);
+    audio.addEventListener('ended', handleEnded);
+    signal?.addEventListener('abort', handleInterrupt);
+
+    audio.play()
+      .then(() => {
+        // Registered once playing, so only a pause during the step counts as an interruption
+        audio.addEventListener('pause', handleInterrupt);
+      })
+      .catch(error => {
+        cleanup();
+        reject(error);
+      });
+  });
+}
+
+/**
+ * Speak text, cutting the voice off if the script is aborted
+ */
+async function speakStep({ text, lang }, signal) {
+  const cancelSpeech = () => window.speechSynthesis?.cancel();
+  signal?.addEventListener('abort', cancelSpeech);
+  try {
+    await speakText(text, lang);
+  } catch (error) {
+    // Cancelling fires the utterance's error event
+    if (!signal?.aborted) throw error;
+  } finally {
+    signal?.removeEventListener('abort', cancelSpeech);
+  }
+  if (signal?.aborted) throw abortError();
+}
+
+/**
+ * Run a playback script step by step
+ * @param {HTMLAudioElement} audio - The player's audio element
+ * @param {Array<Object>} steps - Steps from buildPlaybackScript
+ * @param {Object} options
+ * @param {function(Object, number): void} options.onStep - Called with each step and its index before it runs
+ * @param {AbortSignal} options.signal - Stops the script
+ */
+export async function runPlaybackScript(audio, steps, { onStep = () => {}, signal } = {}) {
+  for (const [index, step] of steps.entries()) {
+    if (signal?.aborted) {
+      throw abortError();
+    }
+    onStep(step, index);
+
+    if (step.type === 'play') {
+      await playRange(audio, step, signal);
+    } else if (step.type === 'speak') {
+      await speakStep(step, signal);
+    }
+  }
+}
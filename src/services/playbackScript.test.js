@@ -0,0 +1,114 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { buildPlaybackScript, runPlaybackScript } from './playbackScript';
+import { speakText } from './translationService';
+
+vi.mock('./translationService', () => ({
+  speakText: vi.fn()
+}));
+
+// Audio element stand-in that jumps to the end of whatever range is played
+class FakeAudio extends EventTarget {
+  constructor() {
+    super();
+    this.currentTime = 0;
+    this.playbackRate = 1;
+    this.paused = true;
+    this.log = [];
+    this.endOfRange = null;
+  }
+
+  play() {
+    this.paused = false;
+    this.log.push(`play ${this.currentTime}@${this.playbackRate}`);
+    setTimeout(() => {
+      if (this.paused || this.endOfRange === null) return;
+      this.currentTime = this.endOfRange;
+      this.dispatchEvent(new Event('timeupdate'));
+    }, 0);
+    return Promise.resolve();
+  }
+
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+    this.dispatchEvent(new Event('pause'));
+  }
+}
+
+describe('playbackScript', () => {
+  const passage = { startTime: 30, endTime: 45, translatedText: 'Hello world', speechLang: 'en-US' };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('buildPlaybackScript', () => {
+    it('should only speak the translation by default', () => {
+      expect(buildPlaybackScript(passage)).toEqual([
+        { type: 'speak', text: 'Hello world', lang: 'en-US' }
+      ]);
+    });
+
+    it('should wrap the translation in the original for the sandwich sequence', () => {
+      const script = buildPlaybackScript({ ...passage, sequence: 'sandwich', replaySpeed: 0.75 });
+
+      expect(script.map(step => step.type)).toEqual(['play', 'speak', 'play']);
+      expect(script[0]).toEqual({ type: 'play', startTime: 30, endTime: 45, playbackRate: 1 });
+      expect(script[2].playbackRate).toBe(0.75);
+    });
+
+    it('should replay the original after the translation', () => {
+      const script = buildPlaybackScript({ ...passage, sequence: 'translation-original', replaySpeed: 0.5 });
+
+      expect(script).toEqual([
+        { type: 'speak', text: 'Hello world', lang: 'en-US' },
+        { type: 'play', startTime: 30, endTime: 45, playbackRate: 0.5 }
+      ]);
+    });
+  });
+
+  describe('runPlaybackScript', () => {
+    it('should run the steps in order and restore the playback rate', async () => {
+      const audio = new FakeAudio();
+      audio.endOfRange = 45;
+      speakText.mockImplementation(async () => audio.log.push('speak'));
+      const onStep = vi.fn();
+
+      await runPlaybackScript(audio, buildPlaybackScript({ ...passage, sequence: 'sandwich', replaySpeed: 0.75 }), { onStep });
+
+      expect(audio.log).toEqual(['play 30@1', 'speak', 'play 30@0.75']);
+      expect(speakText).toHaveBeenCalledWith('Hello world', 'en-US');
+      expect(onStep).toHaveBeenCalledTimes(3);
+      expect(audio.paused).toBe(true);
+      expect(audio.playbackRate).toBe(1);
+    });
+
+    it('should stop the script when the listener pauses during a replay', async () => {
+      const audio = new FakeAudio();
+      const script = buildPlaybackScript({ ...passage, sequence: 'sandwich' });
+
+      const run = runPlaybackScript(audio, script);
+      await new Promise(resolve => setTimeout(resolve, 0));
+      audio.pause();
+
+      await expect(run).rejects.toMatchObject({ name: 'AbortError' });
+      expect(speakText).not.toHaveBeenCalled();
+    });
+
+    it('should cancel speech when aborted', async () => {
+      const audio = new FakeAudio();
+      const controller = new AbortController();
+      window.speechSynthesis = { cancel: vi.fn() };
+      speakText.mockImplementation(() => new Promise((resolve, reject) => {
+        window.speechSynthesis.cancel.mockImplementation(() => reject(new Error('interrupted')));
+      }));
+
+      const run = runPlaybackScript(audio, buildPlaybackScript(passage), { signal: controller.signal });
+      controller.abort();
+
+      await expect(run).rejects.toMatchObject({ name: 'AbortError' });
+      expect(window.speechSynthesis.cancel).toHaveBeenCalled();
+      delete window.speechSynthesis;
+    });
+  });
+});
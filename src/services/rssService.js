@@ -1,4 +1,4 @@
-// Browser-compatible RSS parser with multiple CORS proxy fallbacks
+// Browser-compatible RSS and Atom parser with multiple CORS proxy fallbacks
 
 // Try multiple CORS proxies in order
 const CORS_PROXIES = [
@@ -19,7 +19,7 @@ export async function parsePodcastFeed(feedUrl) {
 
       const response = await fetch(proxyUrl, {
         headers: {
-          'Accept': 'application/rss+xml, application/xml, text/xml, */*'
+          'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml, */*'
         }
       });
 
@@ -27,56 +27,7 @@ export async function parsePodcastFeed(feedUrl) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
 
-      const xmlText = await response.text();
-
-      // Parse XML using DOMParser (browser native)
-      const parser = new DOMParser();
-      const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
-
-      // Check for parsing errors
-      const parserError = xmlDoc.querySelector('parsererror');
-      if (parserError) {
-        throw new Error('Invalid RSS feed format');
-      }
-
-      // Extract podcast info
-      const channel = xmlDoc.querySelector('channel');
-      if (!channel) {
-        throw new Error('Invalid RSS feed: No channel element found');
-      }
-
-      const title = getElementText(channel, 'title');
-      const description = getElementText(channel, 'description');
-      const imageUrl = getImageUrl(channel);
-      const language = getLanguageCode(channel);
-
-      // Extract episodes
-      const items = Array.from(xmlDoc.querySelectorAll('item'));
-      const episodes = items.map((item, index) => {
-        const enclosure = item.querySelector('enclosure');
-        const audioUrl = enclosure?.getAttribute('url');
-
-        // Only include items with audio
-        if (!audioUrl) return null;
-
-        return {
-          id: getElementText(item, 'guid') || getElementText(item, 'link') || `episode-${index}`,
-          title: getElementText(item, 'title') || 'Untitled Episode',
-          description: getElementText(item, 'description') || '',
-          audioUrl: audioUrl,
-          duration: getElementText(item, 'itunes\\:duration'),
-          pubDate: getElementText(item, 'pubDate'),
-          image: getImageUrl(item) || imageUrl
-        };
-      }).filter(ep => ep !== null);
-
-      const result = {
-        title: title || 'Unknown Podcast',
-        description: description || '',
-        image: imageUrl,
-        language: language,
-        episodes
-      };
+      const result = parseFeedXml(await response.text());
 
       console.log('Successfully parsed podcast:', result);
       return result;
@@ -93,16 +44,181 @@ export async function parsePodcastFeed(feedUrl) {
   throw new Error(`Failed to parse podcast feed: ${lastError?.message || 'All proxies failed'}. Try using the demo podcast instead.`);
 }
 
+/**
+ * Parse an RSS 2.0 or Atom feed into the podcast model
+ * Episodes are {id, title, description, content, audioUrl, audioType, audioSize, duration, pubDate, image, language,
+ * season, episodeNumber, episodeType, transcripts, chapters, persons}; items without audio are left out.
+ * @param {string} xmlText - Feed XML
+ * @returns {{title: string, description: string, image: string|null, language: string|null, episodes: Object[]}}
+ */
+export function parseFeedXml(xmlText) {
+  // Parse XML using DOMParser (browser native)
+  const parser = new DOMParser();
+  const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
+
+  // Check for parsing errors
+  const parserError = xmlDoc.querySelector('parsererror');
+  if (parserError) {
+    throw new Error('Invalid RSS feed format');
+  }
+
+  const channel = xmlDoc.querySelector('channel');
+  if (channel) {
+    return parseRssChannel(channel, xmlDoc);
+  }
+
+  const feed = xmlDoc.querySelector('feed');
+  if (feed) {
+    return parseAtomFeed(feed);
+  }
+
+  throw new Error('Invalid feed: No RSS channel or Atom feed element found');
+}
+
+function parseRssChannel(channel, xmlDoc) {
+  const imageUrl = getImageUrl(channel);
+  const language = getLanguageCode(channel);
+  // Podcasting 2.0 persons on the channel apply to every episode without its own
+  const channelPersons = getPersons(channel);
+
+  const items = Array.from(xmlDoc.querySelectorAll('item'));
+  const episodes = items.map((item, index) => {
+    const enclosure = item.querySelector('enclosure');
+    const audioUrl = enclosure?.getAttribute('url');
+
+    // Only include items with audio
+    if (!audioUrl) return null;
+
+    return {
+      id: getElementText(item, 'guid') || getElementText(item, 'link') || `episode-${index}`,
+      title: getElementText(item, 'title') || 'Untitled Episode',
+      description: getElementText(item, 'description') || '',
+      content: getElementText(item, 'content:encoded'),
+      audioUrl: audioUrl,
+      audioType: enclosure.getAttribute('type') || null,
+      audioSize: parseCount(enclosure.getAttribute('length')),
+      duration: getElementText(item, 'itunes:duration'),
+      pubDate: getElementText(item, 'pubDate'),
+      image: getImageUrl(item) || imageUrl,
+      language,
+      ...getPodcastExtensions(item, channelPersons)
+    };
+  }).filter(ep => ep !== null);
+
+  return {
+    title: getElementText(channel, 'title') || 'Unknown Podcast',
+    description: getElementText(channel, 'description') || '',
+    image: imageUrl,
+    language,
+    episodes
+  };
+}
+
+function parseAtomFeed(feed) {
+  const imageUrl = getImageUrl(feed) || getElementText(feed, 'logo') || getElementText(feed, 'icon') || null;
+  const xmlLang = feed.getAttribute('xml:lang');
+  const language = xmlLang ? xmlLang.toLowerCase().split('-')[0] : getLanguageCode(feed);
+  const feedPersons = getPersons(feed);
+
+  const entries = getChildElements(feed, 'entry');
+  const episodes = entries.map((entry, index) => {
+    const enclosure = entry.querySelector('link[rel="enclosure"]');
+    const audioUrl = enclosure?.getAttribute('href');
+
+    if (!audioUrl) return null;
+
+    const summary = getElementText(entry, 'summary');
+    const content = getElementText(entry, 'content');
+
+    return {
+      id: getElementText(entry, 'id') || entry.querySelector('link[rel="alternate"], link:not([rel])')?.getAttribute('href') || `episode-${index}`,
+      title: getElementText(entry, 'title') || 'Untitled Episode',
+      description: summary || content,
+      content,
+      audioUrl,
+      audioType: enclosure.getAttribute('type') || null,
+      audioSize: parseCount(enclosure.getAttribute('length')),
+      duration: getElementText(entry, 'itunes:duration'),
+      pubDate: getElementText(entry, 'published') || getElementText(entry, 'updated'),
+      image: getImageUrl(entry) || imageUrl,
+      language,
+      ...getPodcastExtensions(entry, feedPersons)
+    };
+  }).filter(ep => ep !== null);
+
+  return {
+    title: getElementText(feed, 'title') || 'Unknown Podcast',
+    description: getElementText(feed, 'subtitle'),
+    image: imageUrl,
+    language,
+    episodes
+  };
+}
+
+// iTunes and Podcasting 2.0 episode tags, shared by RSS items and Atom entries
+function getPodcastExtensions(item, inheritedPersons) {
+  const chapters = findElement(item, 'podcast:chapters');
+  const persons = getPersons(item);
+
+  return {
+    season: parseCount(getElementText(item, 'itunes:season') || getElementText(item, 'podcast:season')),
+    episodeNumber: parseCount(getElementText(item, 'itunes:episode') || getElementText(item, 'podcast:episode')),
+    episodeType: getElementText(item, 'itunes:episodeType').toLowerCase() || 'full', // 'full', 'trailer' or 'bonus'
+    transcripts: getChildElements(item, 'podcast:transcript')
+      .map(transcript => ({
+        url: transcript.getAttribute('url'),
+        type: transcript.getAttribute('type') || '',
+        language: transcript.getAttribute('language') || null,
+        rel: transcript.getAttribute('rel') || null // 'captions' when the file has timed captions
+      }))
+      .filter(transcript => transcript.url),
+    chapters: chapters?.getAttribute('url')
+      ? { url: chapters.getAttribute('url'), type: chapters.getAttribute('type') || 'application/json+chapters' }
+      : null,
+    persons: persons.length > 0 ? persons : inheritedPersons
+  };
+}
+
+// Podcasting 2.0 hosts, guests and other credits
+function getPersons(parent) {
+  return getChildElements(parent, 'podcast:person')
+    .map(person => ({
+      name: person.textContent.trim(),
+      role: (person.getAttribute('role') || 'host').toLowerCase(),
+      group: (person.getAttribute('group') || 'cast').toLowerCase(),
+      image: person.getAttribute('img') || null,
+      url: person.getAttribute('href') || null
+    }))
+    .filter(person => person.name);
+}
+
+// Direct children only, so channel-level tags don't pick up the same tags on items
+function getChildElements(parent, tagName) {
+  return Array.from(parent.children).filter(element => element.tagName === tagName);
+}
+
+// Whole positive number from a tag or attribute, or null
+function parseCount(value) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+// Namespaced tags like itunes:duration are looked up by qualified name:
+// CSS selectors only match the local name in XML documents
+function findElement(parent, tagName) {
+  return tagName.includes(':') ? parent.getElementsByTagName(tagName)[0] || null : parent.querySelector(tagName);
+}
+
 // Helper function to get text content from an element
 function getElementText(parent, tagName) {
-  const element = parent.querySelector(tagName);
+  const element = findElement(parent, tagName);
   return element?.textContent?.trim() || '';
 }
 
 // Helper function to get image URL (tries multiple sources)
 function getImageUrl(parent) {
   // Try itunes:image first
-  const itunesImage = parent.querySelector('itunes\\:image');
+  const itunesImage = findElement(parent, 'itunes:image');
   if (itunesImage) {
     const href = itunesImage.getAttribute('href');
     if (href) return href;
@@ -115,7 +231,7 @@ function getImageUrl(parent) {
   }
 
   // Try media:thumbnail
-  const mediaThumbnail = parent.querySelector('media\\:thumbnail');
+  const mediaThumbnail = findElement(parent, 'media:thumbnail');
   if (mediaThumbnail) {
     const url = mediaThumbnail.getAttribute('url');
     if (url) return url;
@@ -131,7 +247,7 @@ function getLanguageCode(channel) {
 
   if (!langCode) {
     // Try iTunes language tag
-    langCode = getElementText(channel, 'itunes\\:language');
+    langCode = getElementText(channel, 'itunes:language');
   }
 
   if (!langCode) {
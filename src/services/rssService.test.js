@@ -1,5 +1,7 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { parsePodcastFeed } from './rssService';
+import { parsePodcastFeed, parseFeedXml } from './rssService';
+
+const RealDOMParser = global.DOMParser;
 
 describe('rssService', () => {
   beforeEach(() => {
@@ -12,6 +14,8 @@ describe('rssService', () => {
             if (selector === 'parsererror') return null;
             if (selector === 'channel') {
               return {
+                children: [],
+                getElementsByTagName: () => [],
                 querySelector: (s) => {
                   const mockData = {
                     'title': { textContent: 'Test Podcast' },
@@ -26,6 +30,8 @@ describe('rssService', () => {
           querySelectorAll: (selector) => {
             if (selector === 'item') {
               return [{
+                children: [],
+                getElementsByTagName: () => [],
                 querySelector: (s) => {
                   const mockItem = {
                     'title': { textContent: 'Episode 1' },
@@ -157,6 +163,8 @@ describe('rssService', () => {
             if (selector === 'parsererror') return null;
             if (selector === 'channel') {
               return {
+                children: [],
+                getElementsByTagName: () => [],
                 querySelector: (s) => {
                   // Return null for image elements to avoid getAttribute errors
                   if (s.includes('image') || s.includes('thumbnail')) return null;
@@ -170,6 +178,8 @@ describe('rssService', () => {
             if (selector === 'item') {
               return [
                 {
+                  children: [],
+                  getElementsByTagName: () => [],
                   querySelector: (s) => {
                     if (s === 'enclosure') return { getAttribute: () => 'http://audio.mp3' };
                     // Return null for image elements to avoid getAttribute errors
@@ -178,6 +188,8 @@ describe('rssService', () => {
                   }
                 },
                 {
+                  children: [],
+                  getElementsByTagName: () => [],
                   querySelector: (s) => {
                     if (s === 'enclosure') return null; // No audio
                     // Return null for image elements to avoid getAttribute errors
@@ -204,3 +216,123 @@ describe('rssService', () => {
     expect(result.episodes).toHaveLength(1);
   });
 });
+
+describe('parseFeedXml', () => {
+  beforeEach(() => {
+    global.DOMParser = RealDOMParser;
+  });
+
+  it('should read iTunes and Podcasting 2.0 episode tags', () => {
+    const podcast = parseFeedXml(`<?xml version="1.0"?>
+      <rss version="2.0"
+        xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd"
+        xmlns:podcast="https://podcastindex.org/namespace/1.0"
+        xmlns:content="http://purl.org/rss/1.0/modules/content/">
+        <channel>
+          <title>Español Diario</title>
+          <language>es-MX</language>
+          <itunes:image href="https://example.com/cover.jpg"/>
+          <podcast:person role="host" img="ana.jpg">Ana</podcast:person>
+          <item>
+            <title>Los mercados</title>
+            <guid>ep-12</guid>
+            <description>Resumen</description>
+            <content:encoded><![CDATA[<p>Notas <b>completas</b></p>]]></content:encoded>
+            <enclosure url="https://example.com/12.mp3" type="audio/mpeg" length="24986239"/>
+            <itunes:duration>12:34</itunes:duration>
+            <itunes:image href="https://example.com/12.jpg"/>
+            <itunes:season>2</itunes:season>
+            <itunes:episode>12</itunes:episode>
+            <itunes:episodeType>Bonus</itunes:episodeType>
+            <podcast:transcript url="https://example.com/12.vtt" type="text/vtt" language="es" rel="captions"/>
+            <podcast:transcript url="https://example.com/12.html" type="text/html"/>
+            <podcast:chapters url="https://example.com/12.json" type="application/json+chapters"/>
+            <podcast:person role="guest" group="Cast" href="https://example.com/luis">Luis</podcast:person>
+          </item>
+          <item>
+            <title>Tráiler</title>
+            <guid>trailer</guid>
+            <enclosure url="https://example.com/trailer.mp3"/>
+          </item>
+        </channel>
+      </rss>`);
+
+    expect(podcast.language).toBe('es');
+    const [episode, trailer] = podcast.episodes;
+    expect(episode).toMatchObject({
+      id: 'ep-12',
+      description: 'Resumen',
+      content: '<p>Notas <b>completas</b></p>',
+      audioType: 'audio/mpeg',
+      audioSize: 24986239,
+      duration: '12:34',
+      image: 'https://example.com/12.jpg',
+      language: 'es',
+      season: 2,
+      episodeNumber: 12,
+      episodeType: 'bonus',
+      chapters: { url: 'https://example.com/12.json', type: 'application/json+chapters' },
+      persons: [{ name: 'Luis', role: 'guest', group: 'cast', image: null, url: 'https://example.com/luis' }]
+    });
+    expect(episode.transcripts).toEqual([
+      { url: 'https://example.com/12.vtt', type: 'text/vtt', language: 'es', rel: 'captions' },
+      { url: 'https://example.com/12.html', type: 'text/html', language: null, rel: null }
+    ]);
+    expect(trailer).toMatchObject({
+      image: 'https://example.com/cover.jpg',
+      audioType: null,
+      audioSize: null,
+      season: null,
+      episodeNumber: null,
+      episodeType: 'full',
+      transcripts: [],
+      chapters: null,
+      persons: [{ name: 'Ana', role: 'host', group: 'cast', image: 'ana.jpg', url: null }]
+    });
+  });
+
+  it('should parse Atom feeds with enclosure links', () => {
+    const podcast = parseFeedXml(`<?xml version="1.0" encoding="utf-8"?>
+      <feed xmlns="http://www.w3.org/2005/Atom" xml:lang="ja-JP">
+        <title>日本語ポッドキャスト</title>
+        <subtitle>毎日のニュース</subtitle>
+        <logo>https://example.com/logo.png</logo>
+        <entry>
+          <title>第1回</title>
+          <id>urn:uuid:1</id>
+          <published>2024-01-02T10:00:00Z</published>
+          <summary>はじめまして</summary>
+          <link rel="alternate" href="https://example.com/1"/>
+          <link rel="enclosure" href="https://example.com/1.mp3" type="audio/mpeg" length="1000"/>
+        </entry>
+        <entry>
+          <title>Text only</title>
+          <id>urn:uuid:2</id>
+        </entry>
+      </feed>`);
+
+    expect(podcast).toMatchObject({
+      title: '日本語ポッドキャスト',
+      description: '毎日のニュース',
+      image: 'https://example.com/logo.png',
+      language: 'ja'
+    });
+    expect(podcast.episodes).toHaveLength(1);
+    expect(podcast.episodes[0]).toMatchObject({
+      id: 'urn:uuid:1',
+      title: '第1回',
+      description: 'はじめまして',
+      audioUrl: 'https://example.com/1.mp3',
+      audioType: 'audio/mpeg',
+      audioSize: 1000,
+      pubDate: '2024-01-02T10:00:00Z',
+      image: 'https://example.com/logo.png',
+      language: 'ja'
+    });
+  });
+
+  it('should reject documents that are neither RSS nor Atom', () => {
+    expect(() => parseFeedXml('<html><body>Not a feed</body></html>'))
+      .toThrow('No RSS channel or Atom feed element found');
+  });
+});
@@ -1,6 +1,13 @@
 // Settings storage service
 const STORAGE_KEY = 'babelpod_settings';
 
+// LibreTranslate behind the docker-compose nginx proxy
+export const DOCKER_LIBRETRANSLATE_URL = 'http://localhost:9001/libretranslate';
+
+// Allowed length of the rewind/translate window in seconds
+export const MIN_REWIND_SECONDS = 5;
+export const MAX_REWIND_SECONDS = 120;
+
 /**
  * Get browser's language preference
  * @returns {string} - Two-letter language code
@@ -15,9 +22,33 @@ const DEFAULT_SETTINGS = {
   transcriptionMethod: 'browser',
   whisperApiKey: '',
   selfHostedWhisperUrl: 'http://localhost:9001',
+  openAICompatibleUrl: 'http://localhost:8000/v1', // Any server exposing /v1/audio/transcriptions
+  openAICompatibleModel: 'Systran/faster-whisper-small',
+  openAICompatibleApiKey: '',
+  localWhisperModel: 'onnx-community/whisper-tiny', // In-browser model, see LOCAL_WHISPER_MODELS
+  usePublisherTranscripts: true, // Read rewinds from the feed's podcast:transcript instead of transcribing, when there is one
   sourceLang: 'auto', // Auto-detect from RSS feed or let Whisper detect
   targetLang: getBrowserLanguage(), // User's browser language
-  audioBufferStrategy: 'continuous' // 'continuous' or 'on-demand'
+  audioBufferStrategy: 'continuous', // 'continuous' or 'on-demand'
+  rewindSeconds: 15, // Length of the rewind/translate window
+  showQuickTranslateButtons: false,
+  quickTranslateWindows: [5, 15, 30], // Seconds for the "Translate last Ns" buttons
+  translateForwardSeconds: 10, // Segment length in translate-forward mode
+  playbackSequence: 'translation', // What plays after a translation, see PLAYBACK_SEQUENCES
+  replaySpeed: 1, // Playback rate when the original is replayed after the translation
+  keyboardShortcuts: {}, // Action name to key, overriding SHORTCUT_ACTIONS defaults
+  translationProvider: 'mymemory', // 'mymemory', 'libretranslate', 'deepl' or 'openai'
+  libreTranslateUrl: 'https://libretranslate.com', // Public instance, or DOCKER_LIBRETRANSLATE_URL when self-hosting
+  libreTranslateApiKey: '',
+  deeplApiKey: '',
+  deeplApiUrl: '', // Empty uses the official endpoint matching the key type
+  openAITranslationUrl: 'https://api.openai.com/v1',
+  openAITranslationApiKey: '',
+  openAITranslationModel: 'gpt-4o-mini',
+  directoryProvider: 'itunes', // Podcast search: 'itunes', 'podcastindex' or 'custom'
+  podcastIndexApiKey: '',
+  podcastIndexApiSecret: '',
+  customDirectoryUrl: '' // Any endpoint answering like the iTunes Search API, e.g. a local mock
 };
 
 /**
@@ -28,7 +59,20 @@ export function getSettings() {
   const stored = localStorage.getItem(STORAGE_KEY);
   if (stored) {
     try {
-      return JSON.parse(stored);
+      // Merge with defaults so settings added in newer versions are always present
+      const settings = { ...DEFAULT_SETTINGS, ...JSON.parse(stored) };
+
+      // Self-hosted LibreTranslate used to be a provider of its own; it is now just a LibreTranslate URL
+      if (settings.translationProvider === 'selfhosted') {
+        const { selfHostedTranslationUrl, ...rest } = settings;
+        return {
+          ...rest,
+          translationProvider: 'libretranslate',
+          libreTranslateUrl: selfHostedTranslationUrl || DOCKER_LIBRETRANSLATE_URL,
+          libreTranslateApiKey: ''
+        };
+      }
+      return settings;
     } catch (e) {
       console.error('Failed to parse settings:', e);
     }
@@ -43,3 +87,42 @@ export function getSettings() {
 export function saveSettings(settings) {
   localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
 }
+
+/**
+ * Clamp a rewind window to the allowed range
+ * @param {number} seconds - Requested window length
+ * @returns {number} - Whole seconds between MIN_REWIND_SECONDS and MAX_REWIND_SECONDS
+ */
+export function clampRewindSeconds(seconds) {
+  const value = Math.round(Number(seconds));
+  if (!Number.isFinite(value)) {
+    return DEFAULT_SETTINGS.rewindSeconds;
+  }
+  return Math.min(MAX_REWIND_SECONDS, Math.max(MIN_REWIND_SECONDS, value));
+}
+
+/**
+ * Parse the quick translate windows from user input
+ * @param {string|number[]} windows - Array or comma-separated list like "5, 15, 30"
+ * @returns {number[]} - Up to four distinct clamped windows, shortest first
+ */
+export function parseQuickTranslateWindows(windows) {
+  const values = Array.isArray(windows) ? windows : String(windows).split(',');
+  const seconds = values
+    .map(value => String(value).trim())
+    .filter(Boolean)
+    .map(clampRewindSeconds);
+  return [...new Set(seconds)].sort((a, b) => a - b).slice(0, 4);
+}
+
+/**
+ * Longest window any translate button can ask for, used to size the continuous buffer
+ * @param {Object} settings - User settings
+ * @returns {number} - Seconds
+ */
+export function getMaxRewindSeconds(settings) {
+  const windows = settings.showQuickTranslateButtons
+    ? parseQuickTranslateWindows(settings.quickTranslateWindows || [])
+    : [];
+  return Math.max(clampRewindSeconds(settings.rewindSeconds ?? DEFAULT_SETTINGS.rewindSeconds), ...windows);
+}
@@ -0,0 +1,55 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  getSettings,
+  saveSettings,
+  clampRewindSeconds,
+  parseQuickTranslateWindows,
+  getMaxRewindSeconds
+} from './settingsService';
+
+describe('settingsService', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should fill in defaults for settings saved by older versions', () => {
+    saveSettings({ transcriptionMethod: 'whisper' });
+
+    const settings = getSettings();
+    expect(settings.transcriptionMethod).toBe('whisper');
+    expect(settings.rewindSeconds).toBe(15);
+  });
+
+  it('should turn the old self-hosted translation provider into a LibreTranslate URL', () => {
+    saveSettings({ translationProvider: 'selfhosted', selfHostedTranslationUrl: 'http://nas.local:9001/libretranslate' });
+
+    const settings = getSettings();
+    expect(settings.translationProvider).toBe('libretranslate');
+    expect(settings.libreTranslateUrl).toBe('http://nas.local:9001/libretranslate');
+    expect(settings).not.toHaveProperty('selfHostedTranslationUrl');
+  });
+
+  describe('clampRewindSeconds', () => {
+    it('should keep the window between 5 and 120 seconds', () => {
+      expect(clampRewindSeconds(2)).toBe(5);
+      expect(clampRewindSeconds('45')).toBe(45);
+      expect(clampRewindSeconds(600)).toBe(120);
+      expect(clampRewindSeconds('abc')).toBe(15);
+    });
+  });
+
+  describe('parseQuickTranslateWindows', () => {
+    it('should parse, clamp, dedupe and sort the windows', () => {
+      expect(parseQuickTranslateWindows('30, 5, 5, 1000')).toEqual([5, 30, 120]);
+      expect(parseQuickTranslateWindows([15, 5])).toEqual([5, 15]);
+      expect(parseQuickTranslateWindows('')).toEqual([]);
+    });
+  });
+
+  describe('getMaxRewindSeconds', () => {
+    it('should size the buffer for the longest enabled window', () => {
+      expect(getMaxRewindSeconds({ rewindSeconds: 15, showQuickTranslateButtons: false, quickTranslateWindows: [60] })).toBe(15);
+      expect(getMaxRewindSeconds({ rewindSeconds: 15, showQuickTranslateButtons: true, quickTranslateWindows: [5, 60] })).toBe(60);
+    });
+  });
+});
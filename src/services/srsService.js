@@ -0,0 +1,112 @@
+// Spaced-repetition scheduling for notebook entries (SM-2)
+// Every notebook entry is a card; its schedule is stored on the entry as `srs`.
+
+import { getNotebookEntries, updateNotebookEntry } from './notebookService';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Cards answered wrong come back in the same session after this delay
+const RELEARN_DELAY_MS = 10 * 60 * 1000;
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+// Answer buttons and the SM-2 quality (0-5) each one stands for
+export const REVIEW_GRADES = [
+  { key: 'again', label: 'Again', quality: 1 },
+  { key: 'hard', label: 'Hard', quality: 3 },
+  { key: 'good', label: 'Good', quality: 4 },
+  { key: 'easy', label: 'Easy', quality: 5 }
+];
+
+/**
+ * Schedule for a card that hasn't been reviewed yet
+ * @param {number} now - Current time in ms
+ * @returns {{repetitions: number, interval: number, easeFactor: number, dueAt: number, reviewedAt: null}}
+ */
+export function createSchedule(now = Date.now()) {
+  return { repetitions: 0, interval: 0, easeFactor: INITIAL_EASE, dueAt: now, reviewedAt: null };
+}
+
+/**
+ * Apply an answer to a schedule (SM-2)
+ * @param {Object} schedule - Current schedule (missing for new cards)
+ * @param {number} quality - Recall quality 0-5; below 3 means the card was forgotten
+ * @param {number} now - Current time in ms
+ * @returns {Object} - New schedule; interval is in days
+ */
+export function scheduleReview(schedule, quality, now = Date.now()) {
+  const current = schedule || createSchedule(now);
+
+  // SM-2 adjusts the ease after every answer
+  const easeFactor = Math.max(
+    MIN_EASE,
+    current.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  if (quality < 3) {
+    // Forgotten: learn it again from the start
+    return { repetitions: 0, interval: 0, easeFactor, dueAt: now + RELEARN_DELAY_MS, reviewedAt: now };
+  }
+
+  let interval;
+  if (current.repetitions === 0) {
+    interval = 1;
+  } else if (current.repetitions === 1) {
+    interval = 6;
+  } else {
+    interval = Math.round(current.interval * easeFactor);
+  }
+
+  return {
+    repetitions: current.repetitions + 1,
+    interval,
+    easeFactor,
+    dueAt: now + interval * DAY_MS,
+    reviewedAt: now
+  };
+}
+
+/**
+ * Cards due for review, most overdue first (new cards count as due)
+ * @param {Object[]} entries - Notebook entries
+ * @param {number} now - Current time in ms
+ * @returns {Object[]}
+ */
+export function getDueCards(entries, now = Date.now()) {
+  return entries
+    .filter(entry => (entry.srs?.dueAt ?? entry.createdAt) <= now)
+    .sort((a, b) => (a.srs?.dueAt ?? a.createdAt) - (b.srs?.dueAt ?? b.createdAt));
+}
+
+/**
+ * Load the cards due now
+ * @returns {Promise<Object[]>}
+ */
+export async function getDueReviewCards() {
+  return getDueCards(await getNotebookEntries());
+}
+
+/**
+ * Record an answer and store the new schedule
+ * @param {Object} card - Notebook entry being reviewed
+ * @param {number} quality - Recall quality 0-5
+ * @returns {Promise<Object>} - The updated entry
+ */
+export function reviewCard(card, quality) {
+  return updateNotebookEntry(card.id, { srs: scheduleReview(card.srs, quality) });
+}
+
+/**
+ * Describe when a card comes back, for the answer buttons
+ * @param {Object} schedule - Schedule from scheduleReview
+ * @param {number} now - Current time in ms
+ * @returns {string} - e.g. '10 min', '1 day', '2 mo'
+ */
+export function formatInterval(schedule, now = Date.now()) {
+  const minutes = Math.round((schedule.dueAt - now) / 60000);
+  if (minutes < 60) return `${minutes} min`;
+  const days = Math.round(minutes / (24 * 60));
+  if (days < 1) return `${Math.round(minutes / 60)} h`;
+  if (days < 30) return `${days} ${days === 1 ? 'day' : 'days'}`;
+  if (days < 365) return `${Math.round(days / 30)} mo`;
+  return `${(days / 365).toFixed(1)} y`;
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createSchedule, scheduleReview, getDueCards, reviewCard, formatInterval } from './srsService';
+import { updateNotebookEntry } from './notebookService';
+
+vi.mock('./notebookService', () => ({
+  getNotebookEntries: vi.fn(),
+  updateNotebookEntry: vi.fn(async (id, changes) => ({ id, ...changes }))
+}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('srsService', () => {
+  const now = Date.UTC(2026, 0, 1);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should follow the SM-2 intervals for correct answers', () => {
+    const first = scheduleReview(undefined, 4, now);
+    expect(first).toMatchObject({ repetitions: 1, interval: 1, dueAt: now + DAY_MS });
+
+    const second = scheduleReview(first, 4, now);
+    expect(second).toMatchObject({ repetitions: 2, interval: 6 });
+
+    const third = scheduleReview(second, 4, now);
+    expect(third.interval).toBe(Math.round(6 * third.easeFactor));
+  });
+
+  it('should make easy cards easier and hard cards harder', () => {
+    const start = createSchedule(now);
+
+    expect(scheduleReview(start, 5, now).easeFactor).toBeCloseTo(2.6);
+    expect(scheduleReview(start, 3, now).easeFactor).toBeCloseTo(2.36);
+  });
+
+  it('should restart forgotten cards and bring them back in the same session', () => {
+    const learned = { repetitions: 4, interval: 30, easeFactor: 1.35, dueAt: now };
+
+    const forgotten = scheduleReview(learned, 1, now);
+
+    expect(forgotten.repetitions).toBe(0);
+    expect(forgotten.dueAt).toBe(now + 10 * 60 * 1000);
+    // Ease never drops below the SM-2 minimum
+    expect(forgotten.easeFactor).toBe(1.3);
+  });
+
+  it('should return new and overdue cards, most overdue first', () => {
+    const entries = [
+      { id: 1, createdAt: now - 1000 },
+      { id: 2, createdAt: now - 5000, srs: { dueAt: now + DAY_MS } },
+      { id: 3, createdAt: now - 9000, srs: { dueAt: now - 2000 } }
+    ];
+
+    expect(getDueCards(entries, now).map(card => card.id)).toEqual([3, 1]);
+  });
+
+  it('should store the new schedule on the notebook entry', async () => {
+    await reviewCard({ id: 7, srs: undefined }, 4);
+
+    expect(updateNotebookEntry).toHaveBeenCalledWith(7, {
+      srs: expect.objectContaining({ repetitions: 1, interval: 1 })
+    });
+  });
+
+  it('should describe intervals', () => {
+    expect(formatInterval({ dueAt: now + 10 * 60 * 1000 }, now)).toBe('10 min');
+    expect(formatInterval({ dueAt: now + DAY_MS }, now)).toBe('1 day');
+    expect(formatInterval({ dueAt: now + 6 * DAY_MS }, now)).toBe('6 days');
+    expect(formatInterval({ dueAt: now + 90 * DAY_MS }, now)).toBe('3 mo');
+  });
+});
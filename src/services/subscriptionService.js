@@ -0,0 +1,282 @@
+// Podcast subscriptions (IndexedDB)
+// Each subscription caches the channel details and episodes of its feed, so opening a podcast
+// doesn't refetch it; refreshes compare episode guids to find what's new since the last check.
+
+import { getRecord, putRecord, deleteRecord, getAllRecords } from './database';
+import { parsePodcastFeed } from './rssService';
+
+const SUBSCRIPTION_STORE = 'subscriptions';
+
+// Recent feeds list kept in localStorage before subscriptions existed
+const LEGACY_FEEDS_KEY = 'babelpod_feeds';
+
+// Feeds checked longer ago than this are refreshed in the background
+export const REFRESH_INTERVAL_MS = 30 * 60 * 1000;
+
+const changeListeners = new Set();
+
+/**
+ * Be told whenever a subscription is added, refreshed, read or removed
+ * @param {function(): void} listener
+ * @returns {function(): void} - Unsubscribe function
+ */
+export function onSubscriptionsChange(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+function notifyChange() {
+  changeListeners.forEach(listener => listener());
+}
+
+/**
+ * Apply a freshly parsed feed to a subscription
+ * Episodes whose guid wasn't in the cached list are marked new - except on the first fetch,
+ * when the whole back catalogue would otherwise count as unread.
+ * @param {Object} subscription - Stored subscription
+ * @param {Object} podcast - Result of parsePodcastFeed
+ * @param {number} now - Refresh time in ms
+ * @returns {{subscription: Object, newEpisodes: Object[]}}
+ */
+export function mergeFeed(subscription, podcast, now = Date.now()) {
+  const knownIds = new Set(subscription.episodes.map(episode => episode.id));
+  const newEpisodes = subscription.refreshedAt
+    ? podcast.episodes.filter(episode => !knownIds.has(episode.id))
+    : [];
+
+  // Episodes dropped from the feed can't be unread any more
+  const feedIds = new Set(podcast.episodes.map(episode => episode.id));
+  const newEpisodeIds = [
+    ...newEpisodes.map(episode => episode.id),
+    ...subscription.newEpisodeIds.filter(id => feedIds.has(id))
+  ];
+
+  return {
+    subscription: {
+      ...subscription,
+      title: podcast.title,
+      description: podcast.description,
+      image: podcast.image,
+      language: podcast.language,
+      episodes: podcast.episodes,
+      newEpisodeIds: [...new Set(newEpisodeIds)],
+      refreshedAt: now,
+      refreshError: null
+    },
+    newEpisodes
+  };
+}
+
+function createSubscription(feedUrl, title = 'Untitled Podcast', now = Date.now()) {
+  return {
+    feedUrl,
+    title,
+    description: '',
+    image: null,
+    language: null,
+    episodes: [],
+    newEpisodeIds: [],
+    subscribedAt: now,
+    refreshedAt: null,
+    refreshError: null
+  };
+}
+
+/**
+ * All subscriptions, sorted by title
+ * @returns {Promise<Object[]>}
+ */
+export async function getSubscriptions() {
+  const subscriptions = await getAllRecords(SUBSCRIPTION_STORE);
+  return subscriptions.sort((a, b) => a.title.localeCompare(b.title));
+}
+
+/**
+ * Get one subscription
+ * @param {string} feedUrl - Feed URL
+ * @returns {Promise<Object|undefined>}
+ */
+export function getSubscription(feedUrl) {
+  return getRecord(SUBSCRIPTION_STORE, feedUrl);
+}
+
+/**
+ * Subscribe to a feed that was just loaded, or update the subscription with it
+ * @param {string} feedUrl - Feed URL
+ * @param {Object} podcast - Result of parsePodcastFeed
+ * @param {Object} feedSettings - Per-feed settings to keep with the subscription
+ * @param {string} feedSettings.sourceLang - Language to translate from, overriding the feed's own
+ * @returns {Promise<Object>} - The stored subscription
+ */
+export async function saveSubscription(feedUrl, podcast, { sourceLang } = {}) {
+  const existing = await getSubscription(feedUrl);
+  const { subscription: merged } = mergeFeed(existing || createSubscription(feedUrl), podcast);
+  const subscription = sourceLang ? { ...merged, sourceLang } : merged;
+  await putRecord(SUBSCRIPTION_STORE, subscription);
+  notifyChange();
+  return subscription;
+}
+
+/**
+ * Remove a subscription and its cached episodes
+ * @param {string} feedUrl - Feed URL
+ * @returns {Promise<void>}
+ */
+export async function unsubscribe(feedUrl) {
+  await deleteRecord(SUBSCRIPTION_STORE, feedUrl);
+  notifyChange();
+}
+
+/**
+ * Fetch a subscribed feed again
+ * A failed fetch keeps the cached episodes and records the error on the subscription.
+ * @param {string} feedUrl - Feed URL
+ * @returns {Promise<{subscription: Object, newEpisodes: Object[]}>}
+ */
+export async function refreshSubscription(feedUrl) {
+  const existing = await getSubscription(feedUrl);
+  if (!existing) {
+    throw new Error('Not subscribed to this podcast');
+  }
+
+  let merged = null;
+  let refreshError = null;
+  try {
+    merged = mergeFeed(existing, await parsePodcastFeed(feedUrl));
+  } catch (error) {
+    refreshError = error.message;
+  }
+
+  // The user may have read or removed the podcast while the feed was loading
+  const current = await getSubscription(feedUrl);
+  if (!current) {
+    return { subscription: existing, newEpisodes: [] };
+  }
+
+  let subscription;
+  if (merged) {
+    const foundIds = new Set(merged.newEpisodes.map(episode => episode.id));
+    subscription = {
+      ...merged.subscription,
+      newEpisodeIds: merged.subscription.newEpisodeIds.filter(id => foundIds.has(id) || current.newEpisodeIds.includes(id))
+    };
+  } else {
+    subscription = { ...current, refreshedAt: Date.now(), refreshError };
+  }
+
+  await putRecord(SUBSCRIPTION_STORE, subscription);
+  notifyChange();
+  return { subscription, newEpisodes: merged?.newEpisodes || [] };
+}
+
+/**
+ * Whether a subscription is due for a background refresh
+ * @param {Object} subscription - Stored subscription
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+export function isSubscriptionStale(subscription, now = Date.now()) {
+  return !subscription.refreshedAt || now - subscription.refreshedAt >= REFRESH_INTERVAL_MS;
+}
+
+/**
+ * Refresh subscriptions one after another (gentler on the CORS proxies than all at once)
+ * @param {Object} options
+ * @param {boolean} options.staleOnly - Skip feeds refreshed within REFRESH_INTERVAL_MS
+ * @param {function(number, number): void} options.onProgress - Called with (done, total)
+ * @returns {Promise<{newEpisodeCount: number, failedCount: number}>}
+ */
+export async function refreshSubscriptions({ staleOnly = false, onProgress } = {}) {
+  const now = Date.now();
+  const subscriptions = (await getSubscriptions()).filter(subscription => !staleOnly || isSubscriptionStale(subscription, now));
+
+  let newEpisodeCount = 0;
+  let failedCount = 0;
+  for (const [index, { feedUrl }] of subscriptions.entries()) {
+    onProgress?.(index, subscriptions.length);
+    const { subscription, newEpisodes } = await refreshSubscription(feedUrl);
+    newEpisodeCount += newEpisodes.length;
+    if (subscription.refreshError) failedCount++;
+  }
+  onProgress?.(subscriptions.length, subscriptions.length);
+
+  return { newEpisodeCount, failedCount };
+}
+
+/**
+ * Mark an episode as listened to, removing it from the new episodes
+ * @param {string} feedUrl - Feed URL
+ * @param {string} episodeId - Episode id (guid)
+ * @returns {Promise<void>}
+ */
+export async function markEpisodeSeen(feedUrl, episodeId) {
+  const subscription = await getSubscription(feedUrl);
+  if (!subscription?.newEpisodeIds.includes(episodeId)) return;
+
+  await putRecord(SUBSCRIPTION_STORE, {
+    ...subscription,
+    newEpisodeIds: subscription.newEpisodeIds.filter(id => id !== episodeId)
+  });
+  notifyChange();
+}
+
+/**
+ * Clear the new episodes of one subscription, or of all of them
+ * @param {string} feedUrl - Feed URL, or omit for every subscription
+ * @returns {Promise<void>}
+ */
+export async function markAllSeen(feedUrl = null) {
+  const subscriptions = feedUrl ? [await getSubscription(feedUrl)].filter(Boolean) : await getSubscriptions();
+  for (const subscription of subscriptions) {
+    if (subscription.newEpisodeIds.length > 0) {
+      await putRecord(SUBSCRIPTION_STORE, { ...subscription, newEpisodeIds: [] });
+    }
+  }
+  notifyChange();
+}
+
+const getPublishedTime = (episode) => {
+  const time = Date.parse(episode.pubDate);
+  return Number.isNaN(time) ? 0 : time;
+};
+
+/**
+ * New episodes across all subscriptions, newest first
+ * @param {Object[]} subscriptions - Stored subscriptions
+ * @returns {Array<{episode: Object, subscription: Object}>}
+ */
+export function getNewEpisodes(subscriptions) {
+  return subscriptions
+    .flatMap(subscription => subscription.episodes
+      .filter(episode => subscription.newEpisodeIds.includes(episode.id))
+      .map(episode => ({ episode, subscription })))
+    .sort((a, b) => getPublishedTime(b.episode) - getPublishedTime(a.episode));
+}
+
+/**
+ * Move the old recent feeds list into the library (once)
+ * The feeds are fetched by the next background refresh.
+ * @returns {Promise<number>} - Number of feeds moved
+ */
+export async function importLegacyFeeds() {
+  const stored = localStorage.getItem(LEGACY_FEEDS_KEY);
+  if (!stored) return 0;
+
+  let feeds = [];
+  try {
+    feeds = JSON.parse(stored);
+  } catch (e) {
+    console.error('Failed to parse saved feeds:', e);
+  }
+
+  let imported = 0;
+  for (const feed of Array.isArray(feeds) ? feeds : []) {
+    if (!feed?.url || await getSubscription(feed.url)) continue;
+    await putRecord(SUBSCRIPTION_STORE, createSubscription(feed.url, feed.title || undefined, Date.parse(feed.lastUsed) || Date.now()));
+    imported++;
+  }
+
+  localStorage.removeItem(LEGACY_FEEDS_KEY);
+  if (imported > 0) notifyChange();
+  return imported;
+}
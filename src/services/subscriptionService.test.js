@@ -0,0 +1,164 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  mergeFeed,
+  saveSubscription,
+  getSubscriptions,
+  getSubscription,
+  unsubscribe,
+  refreshSubscription,
+  refreshSubscriptions,
+  isSubscriptionStale,
+  markEpisodeSeen,
+  markAllSeen,
+  getNewEpisodes,
+  importLegacyFeeds,
+  onSubscriptionsChange,
+  REFRESH_INTERVAL_MS
+} from './subscriptionService';
+import { parsePodcastFeed } from './rssService';
+import { clearStore } from './database';
+
+vi.mock('./rssService', () => ({
+  parsePodcastFeed: vi.fn()
+}));
+
+const episode = (id, pubDate = 'Mon, 01 Jan 2024 10:00:00 GMT') => ({
+  id,
+  title: `Episode ${id}`,
+  description: '',
+  audioUrl: `https://example.com/${id}.mp3`,
+  pubDate
+});
+
+const podcast = (episodes, title = 'Español Diario') => ({
+  title,
+  description: 'Noticias en español',
+  image: 'cover.jpg',
+  language: 'es',
+  episodes
+});
+
+describe('subscriptionService', () => {
+  const feedUrl = 'https://example.com/feed.xml';
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    localStorage.clear();
+    await clearStore('subscriptions');
+  });
+
+  it('should subscribe with the whole back catalogue marked as seen', async () => {
+    await saveSubscription(feedUrl, podcast([episode('a'), episode('b')]));
+
+    const [subscription] = await getSubscriptions();
+    expect(subscription).toMatchObject({
+      feedUrl,
+      title: 'Español Diario',
+      language: 'es',
+      newEpisodeIds: []
+    });
+    expect(subscription.episodes).toHaveLength(2);
+    expect(subscription.refreshedAt).toEqual(expect.any(Number));
+  });
+
+  it('should detect new episodes by guid', () => {
+    const subscription = { episodes: [episode('a')], newEpisodeIds: [], refreshedAt: 1 };
+
+    const { subscription: merged, newEpisodes } = mergeFeed(subscription, podcast([episode('c'), episode('a')]), 2);
+
+    expect(newEpisodes.map(item => item.id)).toEqual(['c']);
+    expect(merged.newEpisodeIds).toEqual(['c']);
+    expect(merged.refreshedAt).toBe(2);
+  });
+
+  it('should forget unread episodes that left the feed', () => {
+    const subscription = { episodes: [episode('a'), episode('b')], newEpisodeIds: ['a', 'b'], refreshedAt: 1 };
+
+    const { subscription: merged } = mergeFeed(subscription, podcast([episode('b')]));
+
+    expect(merged.newEpisodeIds).toEqual(['b']);
+  });
+
+  it('should refresh a subscription and count its new episodes', async () => {
+    await saveSubscription(feedUrl, podcast([episode('a')]));
+    parsePodcastFeed.mockResolvedValue(podcast([episode('b'), episode('a')]));
+
+    const { newEpisodes } = await refreshSubscription(feedUrl);
+
+    expect(newEpisodes.map(item => item.id)).toEqual(['b']);
+    expect((await getSubscription(feedUrl)).newEpisodeIds).toEqual(['b']);
+  });
+
+  it('should keep the cached episodes when a refresh fails', async () => {
+    await saveSubscription(feedUrl, podcast([episode('a')]));
+    parsePodcastFeed.mockRejectedValue(new Error('All proxies failed'));
+
+    const { subscription } = await refreshSubscription(feedUrl);
+
+    expect(subscription.refreshError).toBe('All proxies failed');
+    expect(subscription.episodes).toHaveLength(1);
+  });
+
+  it('should only refresh stale feeds in the background', async () => {
+    await saveSubscription(feedUrl, podcast([episode('a')]));
+    await saveSubscription('https://example.com/other.xml', podcast([episode('x')], 'Otro'));
+    const other = await getSubscription('https://example.com/other.xml');
+    expect(isSubscriptionStale(other)).toBe(false);
+    expect(isSubscriptionStale(other, other.refreshedAt + REFRESH_INTERVAL_MS)).toBe(true);
+
+    parsePodcastFeed.mockResolvedValue(podcast([episode('b'), episode('a')]));
+    expect(await refreshSubscriptions({ staleOnly: true })).toEqual({ newEpisodeCount: 0, failedCount: 0 });
+    expect(parsePodcastFeed).not.toHaveBeenCalled();
+
+    const onProgress = vi.fn();
+    const result = await refreshSubscriptions({ onProgress });
+
+    expect(parsePodcastFeed).toHaveBeenCalledTimes(2);
+    expect(result.newEpisodeCount).toBe(3); // b for the first feed, b and a for the other
+    expect(onProgress).toHaveBeenLastCalledWith(2, 2);
+  });
+
+  it('should list new episodes across subscriptions, newest first, until seen', async () => {
+    await saveSubscription(feedUrl, podcast([episode('a')]));
+    await saveSubscription('https://example.com/other.xml', podcast([episode('x')], 'Otro'));
+    parsePodcastFeed
+      .mockResolvedValueOnce(podcast([episode('b', 'Wed, 03 Jan 2024 10:00:00 GMT'), episode('a')]))
+      .mockResolvedValueOnce(podcast([episode('y', 'Thu, 04 Jan 2024 10:00:00 GMT'), episode('x')], 'Otro'));
+    await refreshSubscriptions();
+
+    expect(getNewEpisodes(await getSubscriptions()).map(({ episode: item }) => item.id)).toEqual(['y', 'b']);
+
+    await markEpisodeSeen(feedUrl, 'b');
+    expect(getNewEpisodes(await getSubscriptions()).map(({ episode: item }) => item.id)).toEqual(['y']);
+
+    await markAllSeen();
+    expect(getNewEpisodes(await getSubscriptions())).toEqual([]);
+  });
+
+  it('should notify listeners of changes', async () => {
+    const listener = vi.fn();
+    const stopListening = onSubscriptionsChange(listener);
+
+    await saveSubscription(feedUrl, podcast([episode('a')]));
+    await unsubscribe(feedUrl);
+    stopListening();
+    await saveSubscription(feedUrl, podcast([episode('a')]));
+
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  it('should move the old recent feeds into the library once', async () => {
+    localStorage.setItem('babelpod_feeds', JSON.stringify([
+      { url: feedUrl, title: 'Podcast 1', lastUsed: '2024-01-01T00:00:00.000Z' }
+    ]));
+
+    expect(await importLegacyFeeds()).toBe(1);
+    expect(await importLegacyFeeds()).toBe(0);
+
+    const [subscription] = await getSubscriptions();
+    expect(subscription).toMatchObject({ feedUrl, title: 'Podcast 1', episodes: [], refreshedAt: null });
+    expect(isSubscriptionStale(subscription)).toBe(true);
+    expect(localStorage.getItem('babelpod_feeds')).toBeNull();
+  });
+});
@@ -0,0 +1,122 @@
+// Transcript downloads: SRT, WebVTT, JSON and plain text
+// Cues are the transcript panel's sentences, so line translations line up with what the learner sees.
+
+import { segmentsToSentences } from './transcriptService';
+
+export const TRANSCRIPT_FORMATS = {
+  srt: { label: 'SRT', extension: 'srt', mimeType: 'application/x-subrip' },
+  vtt: { label: 'WebVTT', extension: 'vtt', mimeType: 'text/vtt' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  txt: { label: 'Plain text', extension: 'txt', mimeType: 'text/plain' }
+};
+
+/**
+ * Build cues from a transcript, with a translation per cue for bilingual files
+ * @param {{segments: Array}} transcript - Timed transcript
+ * @param {Object} options
+ * @param {string} options.lang - Transcript language, for sentence splitting
+ * @param {Array<string|null>} options.translations - Translation per sentence (bilingual files only)
+ * @returns {Array<{startTime: number, endTime: number, text: string, translation?: string}>}
+ */
+export function buildTranscriptCues(transcript, { lang, translations } = {}) {
+  return segmentsToSentences(transcript?.segments, lang).map((sentence, index) => (
+    translations ? { ...sentence, translation: translations[index] || '' } : sentence
+  ));
+}
+
+/**
+ * Format seconds as a subtitle timestamp
+ * @param {number} seconds - Time in seconds
+ * @param {string} decimalSeparator - ',' for SRT, '.' for WebVTT
+ * @returns {string} - e.g. '01:02:03,450'
+ */
+export function formatTimestamp(seconds, decimalSeparator = '.') {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${decimalSeparator}${pad(ms, 3)}`;
+}
+
+// Bilingual cues show the original with the translation underneath
+const getCueLines = (cue) => [cue.text, cue.translation].filter(Boolean);
+
+function toSrt(cues) {
+  return cues.map((cue, index) => [
+    index + 1,
+    `${formatTimestamp(cue.startTime, ',')} --> ${formatTimestamp(cue.endTime, ',')}`,
+    ...getCueLines(cue)
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+// WebVTT cue text is HTML-like, so markup characters must be escaped
+const escapeVtt = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+function toVtt(cues) {
+  const body = cues.map(cue => [
+    `${formatTimestamp(cue.startTime)} --> ${formatTimestamp(cue.endTime)}`,
+    ...getCueLines(cue).map(escapeVtt)
+  ].join('\n'));
+  return ['WEBVTT', ...body].join('\n\n') + '\n';
+}
+
+function toText(cues) {
+  const bilingual = cues.some(cue => cue.translation);
+  // One sentence per line; bilingual files pair each sentence with its translation
+  return cues.map(cue => getCueLines(cue).join('\n')).join(bilingual ? '\n\n' : '\n') + '\n';
+}
+
+function toJson(cues, { title, lang, targetLang }) {
+  const bilingual = cues.some(cue => cue.translation !== undefined);
+  return JSON.stringify({
+    title,
+    language: lang,
+    ...(bilingual && { translationLanguage: targetLang }),
+    cues: cues.map(cue => ({
+      start: Number(cue.startTime.toFixed(3)),
+      end: Number(cue.endTime.toFixed(3)),
+      text: cue.text,
+      ...(bilingual && { translation: cue.translation })
+    }))
+  }, null, 2);
+}
+
+/**
+ * Write cues in a download format
+ * @param {Array} cues - Cues from buildTranscriptCues
+ * @param {'srt'|'vtt'|'json'|'txt'} format - File format
+ * @param {Object} meta - Episode title and languages, used by JSON
+ * @returns {string}
+ */
+export function formatTranscript(cues, format, meta = {}) {
+  switch (format) {
+    case 'srt':
+      return toSrt(cues);
+    case 'vtt':
+      return toVtt(cues);
+    case 'json':
+      return toJson(cues, meta);
+    case 'txt':
+      return toText(cues);
+    default:
+      throw new Error(`Unknown transcript format: ${format}`);
+  }
+}
+
+/**
+ * File name for a transcript download
+ * @param {string} title - Episode title
+ * @param {'srt'|'vtt'|'json'|'txt'} format - File format
+ * @param {boolean} bilingual - Whether translations are included
+ * @returns {string}
+ */
+export function getTranscriptFilename(title, format, bilingual = false) {
+  const base = (title || 'transcript')
+    .replace(/[\\/:*?"<>|]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 100) || 'transcript';
+  return `${base}${bilingual ? ' (bilingual)' : ''}.${TRANSCRIPT_FORMATS[format].extension}`;
+}
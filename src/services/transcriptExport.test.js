@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildTranscriptCues,
+  formatTimestamp,
+  formatTranscript,
+  getTranscriptFilename
+} from './transcriptExport';
+
+describe('transcriptExport', () => {
+  const transcript = {
+    language: 'es',
+    segments: [
+      { startTime: 0, endTime: 4, text: 'Hola. ¿Qué tal?' },
+      { startTime: 3661.5, endTime: 3665, text: 'Uno <dos> & tres.' }
+    ]
+  };
+
+  it('should format subtitle timestamps', () => {
+    expect(formatTimestamp(0, ',')).toBe('00:00:00,000');
+    expect(formatTimestamp(3661.4567, ',')).toBe('01:01:01,457');
+    expect(formatTimestamp(59.9999)).toBe('00:01:00.000');
+  });
+
+  it('should build one cue per sentence', () => {
+    const cues = buildTranscriptCues(transcript, { lang: 'es' });
+
+    expect(cues.map(cue => cue.text)).toEqual(['Hola.', '¿Qué tal?', 'Uno <dos> & tres.']);
+    expect(cues[1].startTime).toBeGreaterThan(0);
+    expect(cues[1].endTime).toBe(4);
+  });
+
+  it('should write numbered SRT cues', () => {
+    const srt = formatTranscript(buildTranscriptCues(transcript, { lang: 'es' }), 'srt');
+
+    expect(srt).toBe(
+      '1\n00:00:00,000 --> 00:00:01,429\nHola.\n\n' +
+      '2\n00:00:01,429 --> 00:00:04,000\n¿Qué tal?\n\n' +
+      '3\n01:01:01,500 --> 01:01:05,000\nUno <dos> & tres.\n'
+    );
+  });
+
+  it('should write WebVTT with escaped cue text', () => {
+    const vtt = formatTranscript(buildTranscriptCues(transcript, { lang: 'es' }), 'vtt');
+
+    expect(vtt.startsWith('WEBVTT\n\n00:00:00.000 --> 00:00:01.429\nHola.\n\n')).toBe(true);
+    expect(vtt).toContain('Uno &lt;dos&gt; &amp; tres.');
+  });
+
+  it('should put the original and the translation in the same cue', () => {
+    const cues = buildTranscriptCues(transcript, { lang: 'es', translations: ['Hello.', 'How are you?', null] });
+
+    expect(formatTranscript(cues, 'srt')).toContain('2\n00:00:01,429 --> 00:00:04,000\n¿Qué tal?\nHow are you?\n\n');
+    expect(formatTranscript(cues, 'txt')).toBe('Hola.\nHello.\n\n¿Qué tal?\nHow are you?\n\nUno <dos> & tres.\n');
+
+    const json = JSON.parse(formatTranscript(cues, 'json', { title: 'Episodio 1', lang: 'es', targetLang: 'en' }));
+    expect(json).toMatchObject({ title: 'Episodio 1', language: 'es', translationLanguage: 'en' });
+    expect(json.cues[0]).toEqual({ start: 0, end: 1.429, text: 'Hola.', translation: 'Hello.' });
+  });
+
+  it('should write one sentence per line as plain text', () => {
+    expect(formatTranscript(buildTranscriptCues(transcript, { lang: 'es' }), 'txt')).toBe('Hola.\n¿Qué tal?\nUno <dos> & tres.\n');
+  });
+
+  it('should name files after the episode', () => {
+    expect(getTranscriptFilename('Ep. 5: ¿Qué?', 'vtt')).toBe('Ep. 5 ¿Qué.vtt');
+    expect(getTranscriptFilename('', 'srt', true)).toBe('transcript (bilingual).srt');
+  });
+});
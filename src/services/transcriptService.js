@@ -0,0 +1,55 @@
+// Transcript helpers shared by the transcript panel and exports
+
+import { splitIntoSentences } from './translation/textChunker';
+
+/**
+ * Split timed transcript segments into sentences
+ * Sentence times are interpolated by character position inside their segment,
+ * which is close enough for highlighting and seeking.
+ * @param {Array<{startTime: number, endTime: number, text: string}>} segments - Timed segments
+ * @param {string} lang - Optional language code to improve sentence segmentation
+ * @returns {Array<{startTime: number, endTime: number, text: string}>} - Sentences in time order
+ */
+export function segmentsToSentences(segments, lang = undefined) {
+  const sentences = [];
+
+  for (const segment of segments || []) {
+    const parts = splitIntoSentences(segment.text, lang);
+    const totalLength = parts.reduce((sum, part) => sum + part.length, 0);
+    const duration = segment.endTime - segment.startTime;
+
+    let offset = 0;
+    for (const part of parts) {
+      const startTime = segment.startTime + (totalLength ? (offset / totalLength) * duration : 0);
+      offset += part.length;
+      const endTime = segment.startTime + (totalLength ? (offset / totalLength) * duration : duration);
+      sentences.push({ startTime, endTime, text: part });
+    }
+  }
+
+  return sentences;
+}
+
+/**
+ * Find the sentence being spoken at a given time
+ * @param {Array<{startTime: number}>} sentences - Sentences sorted by startTime
+ * @param {number} time - Playback time in seconds
+ * @returns {number} - Index of the last sentence starting at or before time, or -1
+ */
+export function findActiveSentenceIndex(sentences, time) {
+  let low = 0;
+  let high = sentences.length - 1;
+  let active = -1;
+
+  while (low <= high) {
+    const middle = Math.floor((low + high) / 2);
+    if (sentences[middle].startTime <= time) {
+      active = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return active;
+}
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { segmentsToSentences, findActiveSentenceIndex } from './transcriptService';
+
+describe('transcriptService', () => {
+  describe('segmentsToSentences', () => {
+    it('should split segments into sentences with interpolated times', () => {
+      const sentences = segmentsToSentences([
+        { startTime: 10, endTime: 20, text: 'Hola amigo. Chao amigo.' }
+      ]);
+
+      expect(sentences).toHaveLength(2);
+      expect(sentences[0]).toEqual({ startTime: 10, endTime: 15, text: 'Hola amigo.' });
+      expect(sentences[1]).toEqual({ startTime: 15, endTime: 20, text: 'Chao amigo.' });
+    });
+
+    it('should keep segment order across segments', () => {
+      const sentences = segmentsToSentences([
+        { startTime: 0, endTime: 5, text: 'Uno.' },
+        { startTime: 5, endTime: 9, text: 'Dos.' }
+      ]);
+
+      expect(sentences.map(sentence => sentence.text)).toEqual(['Uno.', 'Dos.']);
+      expect(sentences[1].startTime).toBe(5);
+    });
+
+    it('should handle missing segments', () => {
+      expect(segmentsToSentences(undefined)).toEqual([]);
+    });
+  });
+
+  describe('findActiveSentenceIndex', () => {
+    const sentences = [{ startTime: 0 }, { startTime: 4 }, { startTime: 9 }];
+
+    it('should find the sentence being spoken', () => {
+      expect(findActiveSentenceIndex(sentences, 0)).toBe(0);
+      expect(findActiveSentenceIndex(sentences, 5.5)).toBe(1);
+      expect(findActiveSentenceIndex(sentences, 100)).toBe(2);
+    });
+
+    it('should return -1 before the first sentence', () => {
+      expect(findActiveSentenceIndex([{ startTime: 3 }], 1)).toBe(-1);
+      expect(findActiveSentenceIndex([], 1)).toBe(-1);
+    });
+  });
+});
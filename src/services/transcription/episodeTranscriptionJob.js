@@ -0,0 +1,277 @@
+// Whole-episode transcription job
+// Downloads the episode, splits it into overlapping chunks and transcribes them one by one.
+// Every finished chunk is saved to IndexedDB, so an interrupted job resumes where it stopped.
+
+import { transcribeAudioSegment, getTranscriptionCacheId } from '../translationService';
+import { fetchAndDecodeAudio, sliceSamples } from '../audio/audioDecoder';
+import { encodeWav } from '../audio/wavEncoder';
+import { isDatabaseAvailable, getRecord, putRecord, deleteRecord } from '../database';
+
+const JOB_STORE = 'transcriptionJobs';
+
+// Transcription methods that accept an audio file (browser recognition needs live playback)
+export const FULL_EPISODE_METHODS = ['whisper', 'selfhosted', 'openai-compatible', 'local-wasm'];
+
+// 60s of 16 kHz mono WAV is ~1.9 MB, well under upload limits
+const DEFAULT_CHUNK_DURATION = 60;
+// Overlap so words cut at a chunk boundary are heard whole by the next chunk
+const DEFAULT_CHUNK_OVERLAP = 3;
+
+/**
+ * Build the job id for an episode
+ * Different methods, servers, models or languages produce different transcripts, so they get separate jobs
+ */
+export function getJobId(episodeId, settings) {
+  const method = getTranscriptionCacheId(settings.transcriptionMethod || 'browser', settings);
+  const sourceLang = settings.sourceLang || 'auto';
+  return `${episodeId}|${method}|${sourceLang}`;
+}
+
+/**
+ * Split an episode into overlapping chunks
+ * @param {number} duration - Episode duration in seconds
+ * @param {number} chunkDuration - Chunk length in seconds
+ * @param {number} overlap - Seconds shared by consecutive chunks
+ * @returns {Array<{index: number, startTime: number, endTime: number}>}
+ */
+export function planChunks(duration, chunkDuration = DEFAULT_CHUNK_DURATION, overlap = DEFAULT_CHUNK_OVERLAP) {
+  if (!duration || duration <= 0) {
+    return [];
+  }
+  if (overlap >= chunkDuration) {
+    throw new Error('Chunk overlap must be shorter than the chunk duration');
+  }
+
+  const chunks = [];
+  const step = chunkDuration - overlap;
+  for (let startTime = 0; ; startTime += step) {
+    const endTime = Math.min(startTime + chunkDuration, duration);
+    chunks.push({ index: chunks.length, startTime, endTime });
+    if (endTime >= duration) break;
+  }
+  return chunks;
+}
+
+const normalizeWord = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+/**
+ * Join chunk transcripts, dropping words repeated because of the chunk overlap
+ * @param {string[]} texts - Chunk transcripts in order
+ * @param {number} maxOverlapWords - Longest repeated run to look for
+ * @returns {string[]} - Texts with the repeated leading words removed
+ */
+export function dedupeChunkTexts(texts, maxOverlapWords = 20) {
+  const result = [];
+  let previousWords = [];
+
+  for (const text of texts) {
+    const words = (text || '').trim().split(/\s+/).filter(Boolean);
+    const limit = Math.min(maxOverlapWords, previousWords.length, words.length);
+
+    let overlap = 0;
+    for (let size = limit; size > 0; size--) {
+      const tail = previousWords.slice(-size).map(normalizeWord).join(' ');
+      const head = words.slice(0, size).map(normalizeWord).join(' ');
+      if (tail && tail === head) {
+        overlap = size;
+        break;
+      }
+    }
+
+    const kept = words.slice(overlap);
+    result.push(kept.join(' '));
+    previousWords = words;
+  }
+
+  return result;
+}
+
+/**
+ * Join Whisper segments from consecutive chunks
+ * Segments starting inside the part already covered by the previous chunk are dropped
+ * @param {Array<Array<{startTime: number, endTime: number, text: string}>>} chunkSegments - Segments per chunk, in episode time
+ * @returns {Array<{startTime: number, endTime: number, text: string}>}
+ */
+export function mergeChunkSegments(chunkSegments) {
+  const merged = [];
+  let coveredUntil = -Infinity;
+
+  for (const segments of chunkSegments) {
+    for (const segment of segments) {
+      // Small tolerance: the same words are timed slightly differently in each chunk
+      if (segment.startTime < coveredUntil - 0.25) continue;
+      merged.push(segment);
+      coveredUntil = Math.max(coveredUntil, segment.endTime);
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Build the transcript from finished chunks
+ * Uses Whisper's own segments when every chunk has them, otherwise one segment per chunk
+ * @param {Object} job - Job record
+ * @returns {{text: string, language: string, segments: Array<{startTime: number, endTime: number, text: string}>}}
+ */
+function buildTranscript(job) {
+  // Jobs saved before segments were stored, or chunks with speech but no timestamps, fall back to chunk times
+  const hasTimedSegments = job.chunks.every(chunk => !chunk.text || chunk.segments?.length > 0);
+
+  let segments;
+  if (hasTimedSegments) {
+    segments = mergeChunkSegments(job.chunks.map(chunk => chunk.segments || []));
+  } else {
+    const texts = dedupeChunkTexts(job.chunks.map(chunk => chunk.text));
+    segments = job.chunks
+      .map((chunk, index) => ({ startTime: chunk.startTime, endTime: chunk.endTime, text: texts[index] }))
+      .filter(segment => segment.text);
+  }
+
+  return {
+    text: segments.map(segment => segment.text).join(' '),
+    language: job.language,
+    segments
+  };
+}
+
+/**
+ * Load a saved job
+ * @param {string} episodeId - Episode id
+ * @param {Object} settings - User settings (method, server, model and source language select the job)
+ * @returns {Promise<Object|null>} - Job record with `completedChunks`, or null
+ */
+export async function getEpisodeTranscriptionJob(episodeId, settings) {
+  if (!isDatabaseAvailable() || !episodeId) return null;
+
+  const job = await getRecord(JOB_STORE, getJobId(episodeId, settings));
+  if (!job) return null;
+
+  return {
+    ...job,
+    completedChunks: job.chunks.filter(chunk => chunk.text !== null).length,
+    transcript: job.status === 'complete' ? buildTranscript(job) : null
+  };
+}
+
+/**
+ * Delete a saved job so the episode can be transcribed again from scratch
+ * @param {string} episodeId - Episode id
+ * @param {Object} settings - User settings
+ * @returns {Promise<void>}
+ */
+export async function deleteEpisodeTranscriptionJob(episodeId, settings) {
+  if (!isDatabaseAvailable()) return;
+  await deleteRecord(JOB_STORE, getJobId(episodeId, settings));
+}
+
+/**
+ * Persist the job if IndexedDB is available
+ */
+async function saveJob(job) {
+  if (!isDatabaseAvailable()) return;
+  try {
+    await putRecord(JOB_STORE, { ...job, updatedAt: Date.now() });
+  } catch (error) {
+    console.warn('Failed to save transcription job:', error);
+  }
+}
+
+/**
+ * Transcribe a complete episode, resuming a saved job if there is one
+ * @param {Object} episode - Episode with id
+ * @param {string} audioUrl - Audio URL (already CORS-proxied if needed)
+ * @param {Object} settings - User settings with transcription method and credentials
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cancels the job after the current chunk
+ * @param {function(Object): void} options.onProgress - Called with {phase, completed, total, loadedBytes, totalBytes}
+ * @returns {Promise<{text: string, language: string, segments: Array}>} - The full transcript
+ */
+export async function transcribeFullEpisode(episode, audioUrl, settings, { signal, onProgress = () => {} } = {}) {
+  const method = settings.transcriptionMethod || 'browser';
+  if (!FULL_EPISODE_METHODS.includes(method)) {
+    throw new Error('Full episode transcription needs a Whisper transcription method. Please switch the transcription method in Settings.');
+  }
+
+  const jobId = getJobId(episode.id, settings);
+  let job = isDatabaseAvailable() ? await getRecord(JOB_STORE, jobId).catch(() => null) : null;
+
+  if (job?.status === 'complete') {
+    onProgress({ phase: 'complete', completed: job.chunks.length, total: job.chunks.length });
+    return buildTranscript(job);
+  }
+
+  const throwIfAborted = () => {
+    if (signal?.aborted) {
+      throw new DOMException('Transcription cancelled', 'AbortError');
+    }
+  };
+
+  // Downloading and decoding is needed even when resuming - decoded audio is too large to store
+  onProgress({ phase: 'downloading', completed: 0, total: job?.chunks.length || 0, loadedBytes: 0, totalBytes: 0 });
+  const audio = await fetchAndDecodeAudio(audioUrl, {
+    signal,
+    onDownloadProgress: (loadedBytes, totalBytes) =>
+      onProgress({ phase: 'downloading', completed: 0, total: job?.chunks.length || 0, loadedBytes, totalBytes })
+  });
+  throwIfAborted();
+
+  if (!job) {
+    job = {
+      jobId,
+      episodeId: episode.id,
+      method,
+      sourceLang: settings.sourceLang || 'auto',
+      language: settings.sourceLang || 'auto',
+      duration: audio.duration,
+      status: 'running',
+      chunks: planChunks(audio.duration).map(chunk => ({ ...chunk, text: null, language: null })),
+      createdAt: Date.now()
+    };
+    await saveJob(job);
+  }
+
+  const total = job.chunks.length;
+  let completed = job.chunks.filter(chunk => chunk.text !== null).length;
+  console.log(`Transcribing episode ${episode.id}: ${completed}/${total} chunks already done`);
+
+  for (const chunk of job.chunks) {
+    if (chunk.text !== null) continue;
+    throwIfAborted();
+    onProgress({ phase: 'transcribing', completed, total });
+
+    const wavBlob = encodeWav(
+      sliceSamples(audio.samples, audio.sampleRate, chunk.startTime, chunk.endTime),
+      audio.sampleRate
+    );
+
+    // Once the language is known, pin it so every chunk is transcribed consistently
+    const chunkLang = job.language !== 'auto' ? job.language : job.sourceLang;
+    let result;
+    try {
+      result = await transcribeAudioSegment(null, chunk.startTime, chunk.endTime, chunkLang, settings, wavBlob);
+    } catch (error) {
+      // Silence (intros, music) is not a failure - keep going with an empty chunk
+      if (!error.message.includes('No speech detected')) {
+        throw new Error(`Chunk ${chunk.index + 1}/${total} failed: ${error.message}. Progress is saved - start again to resume.`);
+      }
+      result = { text: '', language: chunkLang, segments: [] };
+    }
+
+    chunk.text = result.text;
+    chunk.language = result.language;
+    // Segment times are already absolute because the chunk start time was passed along
+    chunk.segments = result.segments || [];
+    if (job.language === 'auto' && result.language && result.language !== 'auto') {
+      job.language = result.language;
+    }
+    completed++;
+    await saveJob(job);
+  }
+
+  job.status = 'complete';
+  await saveJob(job);
+  onProgress({ phase: 'complete', completed: total, total });
+
+  return buildTranscript(job);
+}
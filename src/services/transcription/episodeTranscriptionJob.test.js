@@ -0,0 +1,224 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  planChunks,
+  dedupeChunkTexts,
+  mergeChunkSegments,
+  transcribeFullEpisode,
+  getEpisodeTranscriptionJob,
+  deleteEpisodeTranscriptionJob
+} from './episodeTranscriptionJob';
+
+vi.mock('../translationService', async (importOriginal) => ({
+  ...(await importOriginal()),
+  transcribeAudioSegment: vi.fn()
+}));
+
+vi.mock('../audio/audioDecoder', () => ({
+  fetchAndDecodeAudio: vi.fn(async () => ({
+    samples: new Float32Array(16000 * 130),
+    sampleRate: 16000,
+    duration: 130
+  })),
+  sliceSamples: vi.fn((samples, sampleRate, start, end) =>
+    samples.slice(start * sampleRate, end * sampleRate)
+  )
+}));
+
+describe('episodeTranscriptionJob', () => {
+  const episode = { id: 'episode-1' };
+  const settings = {
+    transcriptionMethod: 'selfhosted',
+    selfHostedWhisperUrl: 'http://localhost:9001',
+    sourceLang: 'auto'
+  };
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    await deleteEpisodeTranscriptionJob(episode.id, settings);
+  });
+
+  describe('planChunks', () => {
+    it('should split an episode into overlapping chunks covering the whole duration', () => {
+      const chunks = planChunks(130, 60, 5);
+
+      expect(chunks).toEqual([
+        { index: 0, startTime: 0, endTime: 60 },
+        { index: 1, startTime: 55, endTime: 115 },
+        { index: 2, startTime: 110, endTime: 130 }
+      ]);
+    });
+
+    it('should return a single chunk for short audio', () => {
+      expect(planChunks(20, 60, 5)).toEqual([{ index: 0, startTime: 0, endTime: 20 }]);
+    });
+
+    it('should reject an overlap longer than the chunk', () => {
+      expect(() => planChunks(100, 10, 10)).toThrow('overlap');
+    });
+  });
+
+  describe('dedupeChunkTexts', () => {
+    it('should drop words repeated at chunk boundaries', () => {
+      const texts = dedupeChunkTexts([
+        'Hoy vamos a hablar de la comida',
+        'de la comida, española y sus platos',
+        'sus platos típicos.'
+      ]);
+
+      expect(texts).toEqual([
+        'Hoy vamos a hablar de la comida',
+        'española y sus platos',
+        'típicos.'
+      ]);
+    });
+
+    it('should keep text when chunks do not overlap', () => {
+      expect(dedupeChunkTexts(['Hola.', 'Adiós.'])).toEqual(['Hola.', 'Adiós.']);
+    });
+  });
+
+  describe('mergeChunkSegments', () => {
+    it('should drop segments already heard at the end of the previous chunk', () => {
+      const segments = mergeChunkSegments([
+        [{ startTime: 0, endTime: 30, text: 'Uno.' }, { startTime: 30, endTime: 59.8, text: 'Dos.' }],
+        [{ startTime: 57.1, endTime: 59.9, text: 'Dos.' }, { startTime: 60, endTime: 80, text: 'Tres.' }]
+      ]);
+
+      expect(segments.map(segment => segment.text)).toEqual(['Uno.', 'Dos.', 'Tres.']);
+    });
+  });
+
+  describe('transcribeFullEpisode', () => {
+    it('should reject transcription methods that need live playback', async () => {
+      await expect(
+        transcribeFullEpisode(episode, 'audio.mp3', { transcriptionMethod: 'browser' })
+      ).rejects.toThrow('Full episode transcription needs');
+    });
+
+    it('should transcribe every chunk and report progress', async () => {
+      const { transcribeAudioSegment } = await import('../translationService');
+      transcribeAudioSegment.mockImplementation(async (_audio, startTime) => ({
+        text: `Texto ${startTime}`,
+        language: 'es'
+      }));
+      const onProgress = vi.fn();
+
+      const transcript = await transcribeFullEpisode(episode, 'audio.mp3', settings, { onProgress });
+
+      expect(transcribeAudioSegment).toHaveBeenCalledTimes(3);
+      const wavBlob = transcribeAudioSegment.mock.calls[0][5];
+      expect(wavBlob.type).toBe('audio/wav');
+      expect(transcript.language).toBe('es');
+      expect(transcript.segments.map(segment => segment.text)).toEqual(['Texto 0', 'Texto 57', 'Texto 114']);
+      expect(onProgress).toHaveBeenLastCalledWith({ phase: 'complete', completed: 3, total: 3 });
+
+      // Later chunks use the language detected in the first one
+      expect(transcribeAudioSegment.mock.calls[1][3]).toBe('es');
+    });
+
+    it('should resume an interrupted job without repeating finished chunks', async () => {
+      const { transcribeAudioSegment } = await import('../translationService');
+      transcribeAudioSegment
+        .mockResolvedValueOnce({ text: 'Primera parte', language: 'es' })
+        .mockRejectedValueOnce(new Error('Network error'));
+
+      await expect(transcribeFullEpisode(episode, 'audio.mp3', settings))
+        .rejects.toThrow('Chunk 2/3 failed: Network error');
+
+      const savedJob = await getEpisodeTranscriptionJob(episode.id, settings);
+      expect(savedJob.completedChunks).toBe(1);
+      expect(savedJob.transcript).toBeNull();
+
+      transcribeAudioSegment.mockReset();
+      transcribeAudioSegment.mockImplementation(async (_audio, startTime) => ({
+        text: `Resto ${startTime}`,
+        language: 'es'
+      }));
+
+      const transcript = await transcribeFullEpisode(episode, 'audio.mp3', settings);
+
+      expect(transcribeAudioSegment).toHaveBeenCalledTimes(2);
+      expect(transcript.segments[0].text).toBe('Primera parte');
+
+      const finishedJob = await getEpisodeTranscriptionJob(episode.id, settings);
+      expect(finishedJob.status).toBe('complete');
+      expect(finishedJob.transcript.segments).toHaveLength(3);
+    });
+
+    it('should start a new job after switching the server or model', async () => {
+      const { transcribeAudioSegment } = await import('../translationService');
+      const openAISettings = {
+        transcriptionMethod: 'openai-compatible',
+        openAICompatibleUrl: 'http://localhost:8000/v1',
+        openAICompatibleModel: 'whisper-small',
+        sourceLang: 'auto'
+      };
+      transcribeAudioSegment
+        .mockResolvedValueOnce({ text: 'Primera parte', language: 'es' })
+        .mockRejectedValueOnce(new Error('Network error'));
+
+      await expect(transcribeFullEpisode(episode, 'audio.mp3', openAISettings)).rejects.toThrow('Chunk 2/3 failed');
+
+      const largeModelSettings = { ...openAISettings, openAICompatibleModel: 'whisper-large-v3' };
+      expect(await getEpisodeTranscriptionJob(episode.id, largeModelSettings)).toBeNull();
+
+      transcribeAudioSegment.mockReset();
+      transcribeAudioSegment.mockImplementation(async (_audio, startTime) => ({
+        text: `Grande ${startTime}`,
+        language: 'es'
+      }));
+
+      const transcript = await transcribeFullEpisode(episode, 'audio.mp3', largeModelSettings);
+
+      // No chunk of the other model's transcript is reused
+      expect(transcribeAudioSegment).toHaveBeenCalledTimes(3);
+      expect(transcript.segments.map(segment => segment.text)).toEqual(['Grande 0', 'Grande 57', 'Grande 114']);
+      expect((await getEpisodeTranscriptionJob(episode.id, openAISettings)).completedChunks).toBe(1);
+    });
+
+    it('should build the transcript from Whisper segments when available', async () => {
+      const { transcribeAudioSegment } = await import('../translationService');
+      transcribeAudioSegment.mockImplementation(async (_audio, startTime, endTime) => ({
+        text: `Frase ${startTime}.`,
+        language: 'es',
+        segments: [{ startTime: startTime + 3, endTime: endTime - 1, text: `Frase ${startTime}.` }]
+      }));
+
+      const transcript = await transcribeFullEpisode(episode, 'audio.mp3', settings);
+
+      expect(transcript.segments).toEqual([
+        { startTime: 3, endTime: 59, text: 'Frase 0.' },
+        { startTime: 60, endTime: 116, text: 'Frase 57.' },
+        { startTime: 117, endTime: 129, text: 'Frase 114.' }
+      ]);
+    });
+
+    it('should treat silent chunks as empty instead of failing', async () => {
+      const { transcribeAudioSegment } = await import('../translationService');
+      transcribeAudioSegment
+        .mockRejectedValueOnce(new Error('No speech detected in the audio segment'))
+        .mockResolvedValue({ text: 'Bienvenidos', language: 'es' });
+
+      const transcript = await transcribeFullEpisode(episode, 'audio.mp3', settings);
+
+      expect(transcript.segments).toHaveLength(1);
+      expect(transcript.text).toBe('Bienvenidos');
+    });
+
+    it('should stop when cancelled', async () => {
+      const { transcribeAudioSegment } = await import('../translationService');
+      const abortController = new AbortController();
+      transcribeAudioSegment.mockImplementation(async () => {
+        abortController.abort();
+        return { text: 'Hola', language: 'es' };
+      });
+
+      await expect(
+        transcribeFullEpisode(episode, 'audio.mp3', settings, { signal: abortController.signal })
+      ).rejects.toThrow('Transcription cancelled');
+
+      expect(transcribeAudioSegment).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+// In-browser Whisper transcription (WebAssembly in a Web Worker, no server)
+
+import { recordAudioSegment, normalizeWhisperResponse } from './whisperCommon';
+import { decodeToMono, WHISPER_SAMPLE_RATE } from '../audio/audioDecoder';
+
+// Small multilingual models that run acceptably on a laptop CPU
+export const LOCAL_WHISPER_MODELS = [
+  { id: 'onnx-community/whisper-tiny', name: 'Tiny (~40 MB, fastest)' },
+  { id: 'onnx-community/whisper-base', name: 'Base (~80 MB, more accurate)' },
+  { id: 'onnx-community/whisper-small', name: 'Small (~250 MB, most accurate, slow)' }
+];
+
+let worker = null;
+let nextRequestId = 0;
+const pendingRequests = new Map();
+const progressListeners = new Set();
+
+/**
+ * Subscribe to model download and transcription progress
+ * @param {function({phase: string, file?: string, loaded?: number, total?: number, progress?: number}): void} listener
+ * @returns {function(): void} - Unsubscribe function
+ */
+export function onLocalWhisperProgress(listener) {
+  progressListeners.add(listener);
+  return () => progressListeners.delete(listener);
+}
+
+function emitProgress(progress) {
+  progressListeners.forEach(listener => listener(progress));
+}
+
+/**
+ * Start the worker on first use
+ * @returns {Worker}
+ */
+function getWorker() {
+  if (worker) return worker;
+
+  if (typeof Worker === 'undefined') {
+    throw new Error('Web Workers are not supported in this browser');
+  }
+
+  worker = new Worker(new URL('./localWhisperWorker.js', import.meta.url), { type: 'module' });
+
+  worker.onmessage = (event) => {
+    const { id, type } = event.data;
+    const request = pendingRequests.get(id);
+    if (!request) return;
+
+    if (type === 'progress') {
+      const { status, file, loaded, total, progress } = event.data;
+      if (status === 'progress' || status === 'progress_total') {
+        emitProgress({ phase: 'downloading', file, loaded, total, progress });
+      } else if (status === 'transcribing') {
+        emitProgress({ phase: 'transcribing' });
+      }
+    } else if (type === 'result') {
+      pendingRequests.delete(id);
+      request.resolve(event.data.output);
+    } else if (type === 'error') {
+      pendingRequests.delete(id);
+      request.reject(new Error(event.data.message));
+    }
+  };
+
+  worker.onerror = (event) => {
+    // A crashed worker fails everything in flight; the next request starts a fresh one
+    const error = new Error(`Transcription worker crashed: ${event.message || 'unknown error'}`);
+    pendingRequests.forEach(request => request.reject(error));
+    pendingRequests.clear();
+    worker.terminate();
+    worker = null;
+  };
+
+  return worker;
+}
+
+/**
+ * Run the model in the worker
+ * @param {Float32Array} samples - 16 kHz mono samples (transferred to the worker)
+ * @param {string} model - Model id
+ * @param {string} language - Language code or 'auto'
+ * @returns {Promise<{text: string, chunks?: Array<{timestamp: [number, number|null], text: string}>}>}
+ */
+function runInWorker(samples, model, language) {
+  const currentWorker = getWorker();
+  const id = nextRequestId++;
+
+  return new Promise((resolve, reject) => {
+    pendingRequests.set(id, { resolve, reject });
+    currentWorker.postMessage({ id, type: 'transcribe', samples, model, language }, [samples.buffer]);
+  });
+}
+
+/**
+ * Convert transformers.js output to the Whisper JSON shape
+ * The last chunk's end time is null when the audio ends mid-sentence.
+ */
+function toWhisperResult(output, duration) {
+  return {
+    text: output.text,
+    segments: (output.chunks || []).map(({ timestamp: [start, end], text }) => ({
+      start,
+      end: end ?? duration,
+      text
+    }))
+  };
+}
+
+/**
+ * Read a blob as an ArrayBuffer
+ */
+function readBlob(blob) {
+  if (blob.arrayBuffer) {
+    return blob.arrayBuffer();
+  }
+  return new Response(blob).arrayBuffer();
+}
+
+/**
+ * Transcribe audio with Whisper running in the browser
+ * @param {HTMLAudioElement} audioElement - The audio element to transcribe from
+ * @param {number} startTime - Start time in seconds
+ * @param {number} endTime - End time in seconds
+ * @param {string} language - Language code (e.g., 'es', 'fr') or 'auto' for auto-detect
+ * @param {string} model - Model id from LOCAL_WHISPER_MODELS
+ * @param {Blob} audioBuffer - Optional pre-recorded or extracted audio
+ * @returns {Promise<{text: string, language: string, segments: Array}>} - The transcribed text, language and timed segments
+ */
+export async function transcribeWithLocalWhisper(audioElement, startTime, endTime, language, model, audioBuffer = null) {
+  if (!model) {
+    throw new Error('No local Whisper model selected. Please choose one in Settings.');
+  }
+
+  try {
+    let audioBlob;
+
+    if (audioBuffer) {
+      // Step 1a: Use provided buffer (continuous buffering or extracted segment)
+      console.log('Using pre-recorded audio buffer (continuous strategy)');
+      audioBlob = audioBuffer;
+    } else {
+      // Step 1b: Record the audio segment on-demand (traditional strategy)
+      console.log(`Recording audio segment from ${startTime}s to ${endTime}s (on-demand strategy)`);
+      audioBlob = await recordAudioSegment(audioElement, startTime, endTime);
+    }
+
+    // Step 2: Decode to the 16 kHz mono samples Whisper expects
+    const { samples, duration } = await decodeToMono(await readBlob(audioBlob), WHISPER_SAMPLE_RATE);
+
+    // Step 3: Run the model in the worker
+    console.log(`Transcribing ${duration.toFixed(1)}s in the browser with ${model}...`);
+    const output = await runInWorker(samples, model, language);
+    console.log('Local Whisper transcription:', output);
+
+    // transformers.js doesn't report the detected language, so 'auto' stays 'auto'
+    return normalizeWhisperResponse(toWhisperResult(output, duration), {
+      requestedLanguage: language,
+      offset: startTime
+    });
+
+  } catch (error) {
+    throw new Error(`In-browser transcription failed: ${error.message}`);
+  } finally {
+    emitProgress({ phase: 'idle' });
+  }
+}
@@ -0,0 +1,96 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { transcribeWithLocalWhisper, onLocalWhisperProgress } from './localWhisperTranscription';
+
+vi.mock('../audio/audioDecoder', () => ({
+  WHISPER_SAMPLE_RATE: 16000,
+  decodeToMono: vi.fn(async () => ({
+    samples: new Float32Array(16000 * 15),
+    sampleRate: 16000,
+    duration: 15
+  }))
+}));
+
+// Stands in for the transformers.js worker: replies with whatever the test queues
+class FakeWorker {
+  static instances = [];
+  static reply = null;
+
+  constructor() {
+    this.messages = [];
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+    setTimeout(() => FakeWorker.reply(message, (data) => this.onmessage({ data: { id: message.id, ...data } })), 0);
+  }
+
+  terminate() {}
+}
+
+describe('localWhisperTranscription', () => {
+  const mockAudio = { src: 'test.mp3', crossOrigin: 'anonymous' };
+  const wavBlob = new Blob([new Uint8Array(44)], { type: 'audio/wav' });
+  // jsdom's Blob has no arrayBuffer()
+  wavBlob.arrayBuffer = async () => new ArrayBuffer(44);
+
+  beforeEach(() => {
+    global.Worker = FakeWorker;
+  });
+
+  it('should require a model', async () => {
+    await expect(transcribeWithLocalWhisper(mockAudio, 0, 15, 'es', '', wavBlob))
+      .rejects.toThrow('No local Whisper model selected');
+  });
+
+  it('should run the model in a worker and return segments in episode time', async () => {
+    FakeWorker.reply = (message, send) => send({
+      type: 'result',
+      output: {
+        text: ' Hola mundo. Adiós.',
+        chunks: [
+          { timestamp: [0, 2], text: ' Hola mundo.' },
+          { timestamp: [2.5, null], text: ' Adiós.' }
+        ]
+      }
+    });
+
+    const result = await transcribeWithLocalWhisper(mockAudio, 100, 115, 'es', 'onnx-community/whisper-tiny', wavBlob);
+
+    const message = FakeWorker.instances[0].messages.at(-1);
+    expect(message).toMatchObject({ type: 'transcribe', model: 'onnx-community/whisper-tiny', language: 'es' });
+    expect(message.samples).toBeInstanceOf(Float32Array);
+    expect(result).toEqual({
+      text: 'Hola mundo. Adiós.',
+      language: 'es',
+      segments: [
+        { startTime: 100, endTime: 102, text: 'Hola mundo.' },
+        { startTime: 102.5, endTime: 115, text: 'Adiós.' }
+      ]
+    });
+  });
+
+  it('should report model download progress', async () => {
+    FakeWorker.reply = (message, send) => {
+      send({ type: 'progress', status: 'progress', file: 'encoder_model_quantized.onnx', loaded: 50, total: 100, progress: 50 });
+      send({ type: 'progress', status: 'transcribing' });
+      send({ type: 'result', output: { text: 'Hola' } });
+    };
+    const listener = vi.fn();
+    const unsubscribe = onLocalWhisperProgress(listener);
+
+    await transcribeWithLocalWhisper(mockAudio, 0, 15, 'auto', 'onnx-community/whisper-tiny', wavBlob);
+    unsubscribe();
+
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ phase: 'downloading', loaded: 50, total: 100 }));
+    expect(listener).toHaveBeenCalledWith({ phase: 'transcribing' });
+    expect(listener).toHaveBeenLastCalledWith({ phase: 'idle' });
+  });
+
+  it('should surface worker errors', async () => {
+    FakeWorker.reply = (message, send) => send({ type: 'error', message: 'Failed to fetch model' });
+
+    await expect(transcribeWithLocalWhisper(mockAudio, 0, 15, 'es', 'onnx-community/whisper-tiny', wavBlob))
+      .rejects.toThrow('In-browser transcription failed: Failed to fetch model');
+  });
+});
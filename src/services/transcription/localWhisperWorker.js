@@ -0,0 +1,67 @@
+// Web Worker running Whisper on the CPU with transformers.js (WebAssembly)
+// Keeps model loading and inference off the main thread so playback stays smooth.
+//
+// Messages in:  {id, type: 'transcribe', samples: Float32Array (16 kHz mono), model, language}
+// Messages out: {id, type: 'progress', status, file, progress, loaded, total}
+//               {id, type: 'result', output}  |  {id, type: 'error', message}
+
+import { pipeline, env } from '@huggingface/transformers';
+import { createModelCache } from './modelCache';
+
+// Models come from the Hugging Face hub and are kept in our own IndexedDB store
+env.allowLocalModels = false;
+env.useBrowserCache = false;
+env.useCustomCache = true;
+env.customCache = createModelCache();
+
+// One pipeline per model, created on first use
+const pipelines = new Map();
+
+function getPipeline(model, onProgress) {
+  if (!pipelines.has(model)) {
+    const loading = pipeline('automatic-speech-recognition', model, {
+      device: 'wasm',
+      dtype: 'q8',
+      progress_callback: onProgress
+    }).catch(error => {
+      // Allow a retry after a failed download
+      pipelines.delete(model);
+      throw error;
+    });
+    pipelines.set(model, loading);
+  }
+  return pipelines.get(model);
+}
+
+self.onmessage = async (event) => {
+  const { id, type, samples, model, language } = event.data;
+  if (type !== 'transcribe') return;
+
+  try {
+    const transcriber = await getPipeline(model, (info) => {
+      self.postMessage({
+        id,
+        type: 'progress',
+        status: info.status,
+        file: info.file,
+        progress: info.progress,
+        loaded: info.loaded,
+        total: info.total
+      });
+    });
+
+    self.postMessage({ id, type: 'progress', status: 'transcribing' });
+    const output = await transcriber(samples, {
+      language: language && language !== 'auto' ? language : null,
+      task: 'transcribe',
+      return_timestamps: true,
+      // Whisper's window is 30s - longer audio (full-episode chunks) is processed in strides
+      chunk_length_s: 30,
+      stride_length_s: 5
+    });
+
+    self.postMessage({ id, type: 'result', output });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error?.message || String(error) });
+  }
+};
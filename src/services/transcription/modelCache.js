@@ -0,0 +1,89 @@
+// IndexedDB cache for in-browser Whisper model files
+// Implements the match/put interface transformers.js expects from `env.customCache`,
+// so a model is downloaded once and survives browser cache evictions and reloads.
+
+import { isDatabaseAvailable, getRecord, putRecord, getAllRecords, clearStore } from '../database';
+
+const MODEL_STORE = 'modelCache';
+
+/**
+ * Read a response body, reporting progress as it streams in
+ * @param {Response} response - Download response
+ * @param {function({progress: number, loaded: number, total: number}): void} onProgress - Optional progress callback
+ * @returns {Promise<Blob>}
+ */
+async function readBody(response, onProgress) {
+  if (!onProgress || !response.body?.getReader) {
+    return response.blob();
+  }
+
+  const total = Number(response.headers.get('content-length')) || 0;
+  const reader = response.body.getReader();
+  const parts = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parts.push(value);
+    loaded += value.length;
+    onProgress({ progress: total ? (loaded / total) * 100 : 0, loaded, total });
+  }
+  return new Blob(parts);
+}
+
+/**
+ * Create the cache object handed to transformers.js
+ * @returns {{match: function(string): Promise<Response|undefined>, put: function(string, Response, Function=): Promise<void>}}
+ */
+export function createModelCache() {
+  return {
+    async match(url) {
+      if (!isDatabaseAvailable()) return undefined;
+
+      const record = await getRecord(MODEL_STORE, url).catch(() => undefined);
+      if (!record) return undefined;
+
+      return new Response(record.body, {
+        headers: { 'content-type': record.contentType, 'content-length': String(record.size) }
+      });
+    },
+
+    async put(url, response, onProgress) {
+      const body = await readBody(response, onProgress);
+      if (!isDatabaseAvailable()) return;
+
+      try {
+        await putRecord(MODEL_STORE, {
+          url,
+          body,
+          contentType: response.headers.get('content-type') || 'application/octet-stream',
+          size: body.size,
+          storedAt: Date.now()
+        });
+      } catch (error) {
+        // Quota errors shouldn't stop transcription - the model just downloads again next time
+        console.warn('Failed to cache model file:', error);
+      }
+    }
+  };
+}
+
+/**
+ * Total size of the cached model files
+ * @returns {Promise<number>} - Bytes
+ */
+export async function getModelCacheSize() {
+  if (!isDatabaseAvailable()) return 0;
+
+  const records = await getAllRecords(MODEL_STORE);
+  return records.reduce((sum, record) => sum + (record.size || 0), 0);
+}
+
+/**
+ * Delete all downloaded model files
+ * @returns {Promise<void>}
+ */
+export async function clearModelCache() {
+  if (!isDatabaseAvailable()) return;
+  await clearStore(MODEL_STORE);
+}
@@ -0,0 +1,47 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createModelCache, getModelCacheSize, clearModelCache } from './modelCache';
+
+describe('modelCache', () => {
+  const url = 'https://huggingface.co/onnx-community/whisper-tiny/resolve/main/config.json';
+
+  beforeEach(async () => {
+    await clearModelCache();
+  });
+
+  it('should miss for files that were never stored', async () => {
+    expect(await createModelCache().match(url)).toBeUndefined();
+  });
+
+  it('should store downloads and serve them back as responses', async () => {
+    const cache = createModelCache();
+    const body = JSON.stringify({ model_type: 'whisper' });
+
+    await cache.put(url, new Response(body, { headers: { 'content-type': 'application/json' } }));
+    const cached = await cache.match(url);
+
+    expect(cached.headers.get('content-type')).toBe('application/json');
+    expect(await cached.text()).toBe(body);
+    expect(await getModelCacheSize()).toBe(body.length);
+  });
+
+  it('should report download progress while storing', async () => {
+    const progress = [];
+    const body = new Uint8Array(1000);
+
+    await createModelCache().put(
+      url,
+      new Response(body, { headers: { 'content-length': '1000' } }),
+      (data) => progress.push(data)
+    );
+
+    expect(progress.at(-1)).toEqual({ progress: 100, loaded: 1000, total: 1000 });
+  });
+
+  it('should delete every stored model file', async () => {
+    await createModelCache().put(url, new Response('{}'));
+    await clearModelCache();
+
+    expect(await getModelCacheSize()).toBe(0);
+  });
+});
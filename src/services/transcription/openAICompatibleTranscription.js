@@ -0,0 +1,59 @@
+// OpenAI-compatible transcription (faster-whisper-server, LocalAI, whisper.cpp server, ...)
+
+import { recordAudioSegment } from './whisperCommon';
+import { requestOpenAITranscription } from './whisperTranscription';
+
+/**
+ * Transcribe audio using any server exposing the OpenAI /v1/audio/transcriptions schema
+ * @param {HTMLAudioElement} audioElement - The audio element to transcribe from
+ * @param {number} startTime - Start time in seconds
+ * @param {number} endTime - End time in seconds
+ * @param {string} language - Language code (e.g., 'es', 'fr') or 'auto' for auto-detect
+ * @param {Object} config - Server configuration
+ * @param {string} config.apiUrl - Base URL including the version, e.g. http://localhost:8000/v1
+ * @param {string} config.model - Model name the server knows, e.g. Systran/faster-whisper-small
+ * @param {string} config.apiKey - Optional bearer token
+ * @param {Blob} audioBuffer - Optional pre-recorded audio buffer (for continuous buffering strategy)
+ * @returns {Promise<{text: string, language: string, segments: Array}>} - The transcribed text, detected language and timed segments
+ */
+export async function transcribeWithOpenAICompatible(audioElement, startTime, endTime, language, { apiUrl, model, apiKey = '' }, audioBuffer = null) {
+  if (!apiUrl) {
+    throw new Error('OpenAI-compatible API URL is required. Please configure it in Settings.');
+  }
+  if (!model) {
+    throw new Error('OpenAI-compatible model name is required. Please configure it in Settings.');
+  }
+
+  const baseUrl = apiUrl.replace(/\/$/, '');
+
+  try {
+    let audioBlob;
+
+    if (audioBuffer) {
+      // Step 1a: Use provided buffer (continuous buffering strategy)
+      console.log('Using pre-recorded audio buffer (continuous strategy)');
+      audioBlob = audioBuffer;
+    } else {
+      // Step 1b: Record the audio segment on-demand (traditional strategy)
+      console.log(`Recording audio segment from ${startTime}s to ${endTime}s (on-demand strategy)`);
+      audioBlob = await recordAudioSegment(audioElement, startTime, endTime);
+    }
+
+    // Step 2: Send to the compatible server
+    console.log(`Sending to OpenAI-compatible API at ${baseUrl}...`);
+    return await requestOpenAITranscription(audioBlob, {
+      baseUrl,
+      apiKey,
+      model,
+      language,
+      startTime,
+      apiName: 'OpenAI-compatible API'
+    });
+
+  } catch (error) {
+    if (error.message.includes('Failed to fetch')) {
+      throw new Error(`Cannot connect to OpenAI-compatible API at ${baseUrl}. Make sure the server is running and allows CORS.`);
+    }
+    throw new Error(`OpenAI-compatible transcription failed: ${error.message}`);
+  }
+}
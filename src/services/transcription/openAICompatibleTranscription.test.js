@@ -0,0 +1,85 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { transcribeWithOpenAICompatible } from './openAICompatibleTranscription';
+
+describe('openAICompatibleTranscription', () => {
+  const config = {
+    apiUrl: 'http://localhost:8000/v1/',
+    model: 'Systran/faster-whisper-small',
+    apiKey: ''
+  };
+  const mockAudio = { src: 'test.mp3', crossOrigin: 'anonymous' };
+  const mockBuffer = new Blob(['buffered audio'], { type: 'audio/wav' });
+
+  beforeEach(() => {
+    global.fetch = vi.fn();
+  });
+
+  it('should require a base URL and a model', async () => {
+    await expect(
+      transcribeWithOpenAICompatible(mockAudio, 0, 15, 'es', { ...config, apiUrl: '' }, mockBuffer)
+    ).rejects.toThrow('OpenAI-compatible API URL is required');
+    await expect(
+      transcribeWithOpenAICompatible(mockAudio, 0, 15, 'es', { ...config, model: '' }, mockBuffer)
+    ).rejects.toThrow('model name is required');
+  });
+
+  it('should post the OpenAI schema to /audio/transcriptions', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        text: 'Hola mundo',
+        language: 'spanish',
+        segments: [{ start: 0, end: 1.5, text: 'Hola mundo' }]
+      })
+    });
+
+    const result = await transcribeWithOpenAICompatible(mockAudio, 30, 45, 'auto', config, mockBuffer);
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://localhost:8000/v1/audio/transcriptions');
+    expect(options.headers).toEqual({});
+    expect(options.body.get('model')).toBe('Systran/faster-whisper-small');
+    expect(options.body.get('response_format')).toBe('verbose_json');
+    expect(options.body.get('file').name).toBe('audio.wav');
+    expect(options.body.has('language')).toBe(false);
+    expect(result).toEqual({
+      text: 'Hola mundo',
+      language: 'es',
+      segments: [{ startTime: 30, endTime: 31.5, text: 'Hola mundo' }]
+    });
+  });
+
+  it('should send the bearer token when configured', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ text: 'Bonjour', language: 'fr' })
+    });
+
+    await transcribeWithOpenAICompatible(mockAudio, 0, 15, 'fr', { ...config, apiKey: 'secret' }, mockBuffer);
+
+    const [, options] = global.fetch.mock.calls[0];
+    expect(options.headers).toEqual({ Authorization: 'Bearer secret' });
+    expect(options.body.get('language')).toBe('fr');
+  });
+
+  it('should surface server error messages', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 404,
+      statusText: 'Not Found',
+      json: async () => ({ detail: 'Model not found' })
+    });
+
+    await expect(
+      transcribeWithOpenAICompatible(mockAudio, 0, 15, 'es', config, mockBuffer)
+    ).rejects.toThrow('OpenAI-compatible transcription failed: OpenAI-compatible API error: Model not found');
+  });
+
+  it('should explain connection failures', async () => {
+    global.fetch.mockRejectedValueOnce(new Error('Failed to fetch'));
+
+    await expect(
+      transcribeWithOpenAICompatible(mockAudio, 0, 15, 'es', config, mockBuffer)
+    ).rejects.toThrow('Cannot connect to OpenAI-compatible API at http://localhost:8000/v1');
+  });
+});
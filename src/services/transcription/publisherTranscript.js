@@ -0,0 +1,270 @@
+// Publisher transcripts (Podcasting 2.0 podcast:transcript)
+// Parses the SRT, WebVTT, JSON and HTML formats into timed segments, so a rewind can read the
+// passage from the publisher's own transcript instead of recording and transcribing it.
+
+import { getCorsProxiedUrl, CORS_PROXIES } from '../rssService';
+
+// Formats in order of preference: timed captions first, HTML last (only timed if it has <time> tags)
+const TRANSCRIPT_FORMATS = [
+  { format: 'vtt', types: ['text/vtt'], extensions: ['.vtt'] },
+  { format: 'srt', types: ['application/srt', 'application/x-subrip', 'text/srt'], extensions: ['.srt'] },
+  { format: 'json', types: ['application/json'], extensions: ['.json'] },
+  { format: 'html', types: ['text/html'], extensions: ['.html', '.htm'] }
+];
+
+// Parsed transcripts by URL, so rewinds in the same episode don't fetch the file again
+const transcriptCache = new Map();
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', lrm: '', rlm: '' };
+
+// Caption cues may contain <v Speaker>, <i> and inline timestamp tags
+function cleanCueText(text) {
+  return text
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#\d+|[a-z]+);/gi, (entity, name) => name.startsWith('#')
+      ? String.fromCodePoint(Number(name.slice(1)))
+      : ENTITIES[name.toLowerCase()] ?? entity)
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse a caption or transcript timestamp
+ * @param {string} timestamp - "01:02:03,500", "02:03.5" or "0:00"
+ * @returns {number} - Seconds, or NaN if unreadable
+ */
+export function parseTimestamp(timestamp) {
+  const match = timestamp.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d+))?$/);
+  if (!match) return NaN;
+
+  const [, hours = '0', minutes, seconds, fraction = '0'] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(`0.${fraction}`);
+}
+
+// SRT and WebVTT share the "start --> end" cue layout; only headers and separators differ
+function parseCues(text) {
+  const segments = [];
+
+  for (const block of text.replace(/\r\n?/g, '\n').split(/\n{2,}/)) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue; // WEBVTT header, NOTE, STYLE and REGION blocks
+
+    const [start, end] = lines[timingIndex].split('-->');
+    const startTime = parseTimestamp(start);
+    // WebVTT cue settings follow the end time ("00:05.000 align:start")
+    const endTime = parseTimestamp(end.trim().split(/\s+/)[0]);
+    const cueText = cleanCueText(lines.slice(timingIndex + 1).join(' '));
+
+    if (cueText && Number.isFinite(startTime) && Number.isFinite(endTime)) {
+      segments.push({ startTime, endTime, text: cueText });
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Parse an SRT transcript
+ * @param {string} text - SRT file content
+ * @returns {Array<{startTime: number, endTime: number, text: string}>}
+ */
+export function parseSrt(text) {
+  return parseCues(text);
+}
+
+/**
+ * Parse a WebVTT transcript
+ * @param {string} text - WebVTT file content
+ * @returns {Array<{startTime: number, endTime: number, text: string}>}
+ */
+export function parseVtt(text) {
+  return parseCues(text);
+}
+
+/**
+ * Parse a Podcasting 2.0 JSON transcript ({version, segments: [{startTime, endTime, body, speaker}]})
+ * @param {string} text - JSON file content
+ * @returns {Array<{startTime: number, endTime: number, text: string}>}
+ */
+export function parseJsonTranscript(text) {
+  const data = JSON.parse(text);
+
+  return (data.segments || [])
+    .map(segment => ({
+      startTime: Number(segment.startTime),
+      endTime: Number(segment.endTime),
+      text: String(segment.body ?? '').trim()
+    }))
+    .filter(segment => segment.text && Number.isFinite(segment.startTime) && Number.isFinite(segment.endTime));
+}
+
+/**
+ * Parse an HTML transcript
+ * Only transcripts marking paragraphs with <time> tags are timed; each passage runs until the next time.
+ * The <time> may come before the paragraphs it times or sit inside one ("<p><time>0:05</time> Text</p>").
+ * @param {string} text - HTML file content
+ * @returns {Array<{startTime: number, endTime: number, text: string}>} - Empty for untimed transcripts
+ */
+export function parseHtmlTranscript(text) {
+  const doc = new DOMParser().parseFromString(text, 'text/html');
+  const segments = [];
+  let current = null;
+  let currentParagraph = null;
+
+  // Walk times and text in document order, so a time inside a paragraph splits it
+  const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      if (node.tagName !== 'TIME') continue;
+      const startTime = parseTimestamp(node.getAttribute('datetime') || node.textContent);
+      if (!Number.isFinite(startTime)) continue;
+      current = { startTime, endTime: Infinity, text: '' };
+      segments.push(current);
+      continue;
+    }
+
+    // Only paragraph text counts - speaker names and headings sit outside them, the time's own text inside one
+    const paragraph = node.parentElement.closest('p');
+    if (!current || !paragraph || node.parentElement.closest('time')) continue;
+    current.text += (paragraph === currentParagraph ? '' : ' ') + node.textContent;
+    currentParagraph = paragraph;
+  }
+
+  const timed = segments
+    .map(segment => ({ ...segment, text: segment.text.replace(/\s+/g, ' ').trim() }))
+    .filter(segment => segment.text);
+  timed.forEach((segment, index) => {
+    if (index < timed.length - 1) {
+      segment.endTime = timed[index + 1].startTime;
+    }
+  });
+  return timed;
+}
+
+const PARSERS = {
+  vtt: parseVtt,
+  srt: parseSrt,
+  json: parseJsonTranscript,
+  html: parseHtmlTranscript
+};
+
+/**
+ * Work out a transcript's format from its MIME type, or its file extension if the type is missing
+ * @param {{url: string, type: string}} transcript - Episode transcript link
+ * @returns {string|null} - 'vtt', 'srt', 'json', 'html' or null if unsupported
+ */
+export function getTranscriptFormat(transcript) {
+  const type = (transcript.type || '').toLowerCase().split(';')[0].trim();
+  const path = (transcript.url || '').toLowerCase().split(/[?#]/)[0];
+
+  const match = TRANSCRIPT_FORMATS.find(({ types }) => types.includes(type))
+    || (!type && TRANSCRIPT_FORMATS.find(({ extensions }) => extensions.some(extension => path.endsWith(extension))));
+  return match?.format || null;
+}
+
+/**
+ * Choose the best transcript of an episode: timed formats first, only in the source language if the feed says
+ * @param {Array<{url: string, type: string, language: string|null}>} transcripts - Episode transcript links
+ * @param {string} sourceLang - Source language code or 'auto'
+ * @returns {Array<Object>} - Supported transcripts, best first
+ */
+export function rankTranscripts(transcripts, sourceLang) {
+  const formatRank = (transcript) => TRANSCRIPT_FORMATS.findIndex(({ format }) => format === getTranscriptFormat(transcript));
+  // Transcripts in another language are translations the publisher made, not what is being said,
+  // so they are left out and the passage is transcribed instead
+  const inSourceLanguage = (transcript) => !transcript.language || !sourceLang || sourceLang === 'auto'
+    || transcript.language.toLowerCase().split('-')[0] === sourceLang;
+
+  return (transcripts || [])
+    .filter(transcript => getTranscriptFormat(transcript) && inSourceLanguage(transcript))
+    .sort((a, b) => formatRank(a) - formatRank(b));
+}
+
+/**
+ * Fetch and parse a transcript file, trying the CORS proxies like feeds do
+ * @param {{url: string, type: string}} transcript - Episode transcript link
+ * @returns {Promise<Array<{startTime: number, endTime: number, text: string}>>}
+ */
+export async function loadTranscript(transcript) {
+  if (transcriptCache.has(transcript.url)) {
+    return transcriptCache.get(transcript.url);
+  }
+
+  const parse = PARSERS[getTranscriptFormat(transcript)];
+  if (!parse) {
+    throw new Error(`Unsupported transcript format: ${transcript.type || transcript.url}`);
+  }
+
+  let lastError = null;
+  for (let proxyIndex = 0; proxyIndex < CORS_PROXIES.length; proxyIndex++) {
+    try {
+      const response = await fetch(getCorsProxiedUrl(transcript.url, proxyIndex));
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const segments = parse(await response.text());
+      transcriptCache.set(transcript.url, segments);
+      return segments;
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw new Error(`Failed to load transcript: ${lastError?.message || 'All proxies failed'}`);
+}
+
+/**
+ * Get the transcript text spoken between two times
+ * A segment counts when at least half of it (or of the range, if the segment is longer) falls inside,
+ * so cues that only graze the edges of the rewind window are left out.
+ * @param {Array<{startTime: number, endTime: number, text: string}>} segments - Timed segments
+ * @param {number} startTime - Range start in seconds
+ * @param {number} endTime - Range end in seconds
+ * @returns {{text: string, segments: Array<{startTime: number, endTime: number, text: string}>}}
+ */
+export function getTranscriptRange(segments, startTime, endTime) {
+  const inRange = segments.filter(segment => {
+    const overlap = Math.min(segment.endTime, endTime) - Math.max(segment.startTime, startTime);
+    const needed = Math.min(segment.endTime - segment.startTime, endTime - startTime) / 2;
+    return overlap > 0 && overlap >= needed;
+  });
+
+  return {
+    text: inRange.map(segment => segment.text).join(' '),
+    segments: inRange
+  };
+}
+
+/**
+ * Read a passage from the episode's publisher transcript
+ * @param {Object} episode - Episode with a transcripts list and the feed's language (from parsePodcastFeed)
+ * @param {number} startTime - Range start in seconds
+ * @param {number} endTime - Range end in seconds
+ * @param {string} sourceLang - Source language code or 'auto'
+ * @returns {Promise<{text: string, language: string, segments: Object[]}|null>} - null if no usable transcript covers the range
+ */
+export async function transcribeFromPublisherTranscript(episode, startTime, endTime, sourceLang) {
+  for (const transcript of rankTranscripts(episode?.transcripts, sourceLang)) {
+    try {
+      const { text, segments } = getTranscriptRange(await loadTranscript(transcript), startTime, endTime);
+      if (text) {
+        // Transcripts rarely say their language; the feed's is the next best guess before 'auto'
+        const language = transcript.language?.toLowerCase().split('-')[0] || episode.language || sourceLang;
+        return { text, language, segments };
+      }
+    } catch (error) {
+      console.warn(`Publisher transcript ${transcript.url} unavailable:`, error.message);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Forget parsed transcripts (for tests)
+ */
+export function clearTranscriptCache() {
+  transcriptCache.clear();
+}
@@ -0,0 +1,180 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  parseTimestamp,
+  parseSrt,
+  parseVtt,
+  parseJsonTranscript,
+  parseHtmlTranscript,
+  getTranscriptFormat,
+  rankTranscripts,
+  getTranscriptRange,
+  loadTranscript,
+  transcribeFromPublisherTranscript,
+  clearTranscriptCache
+} from './publisherTranscript';
+
+const VTT = `WEBVTT
+
+NOTE Generated by the publisher
+
+1
+00:00:00.000 --> 00:00:04.000 align:start
+<v Ana>Hola a todos &amp; bienvenidos.</v>
+
+00:00:04.000 --> 00:00:09.500
+Hoy hablamos de
+<i>los mercados</i>.
+
+00:00:09.500 --> 00:00:15.000
+Empezamos.
+`;
+
+const textResponse = (text) => ({ ok: true, text: async () => text });
+
+describe('publisherTranscript', () => {
+  beforeEach(() => {
+    global.fetch = vi.fn();
+    clearTranscriptCache();
+  });
+
+  it('should parse timestamps in caption and transcript formats', () => {
+    expect(parseTimestamp('01:02:03,500')).toBe(3723.5);
+    expect(parseTimestamp('02:03.25')).toBe(123.25);
+    expect(parseTimestamp('0:07')).toBe(7);
+    expect(parseTimestamp('soon')).toBeNaN();
+  });
+
+  it('should parse WebVTT cues without tags, settings or notes', () => {
+    expect(parseVtt(VTT)).toEqual([
+      { startTime: 0, endTime: 4, text: 'Hola a todos & bienvenidos.' },
+      { startTime: 4, endTime: 9.5, text: 'Hoy hablamos de los mercados.' },
+      { startTime: 9.5, endTime: 15, text: 'Empezamos.' }
+    ]);
+  });
+
+  it('should parse SRT cues', () => {
+    const srt = '1\r\n00:00:01,000 --> 00:00:02,500\r\nBuenos días\r\n\r\n2\r\n00:01:00,000 --> 00:01:03,000\r\n¿Qué tal?\r\n';
+
+    expect(parseSrt(srt)).toEqual([
+      { startTime: 1, endTime: 2.5, text: 'Buenos días' },
+      { startTime: 60, endTime: 63, text: '¿Qué tal?' }
+    ]);
+  });
+
+  it('should parse Podcasting 2.0 JSON transcripts', () => {
+    const json = JSON.stringify({
+      version: '1.0.0',
+      segments: [
+        { speaker: 'Ana', startTime: 0.5, endTime: 1.2, body: 'Hola' },
+        { speaker: 'Ana', startTime: 1.2, endTime: 1.9, body: 'mundo' },
+        { startTime: 2, endTime: 3, body: '' }
+      ]
+    });
+
+    expect(parseJsonTranscript(json)).toEqual([
+      { startTime: 0.5, endTime: 1.2, text: 'Hola' },
+      { startTime: 1.2, endTime: 1.9, text: 'mundo' }
+    ]);
+  });
+
+  it('should time HTML transcripts by their <time> tags and skip untimed ones', () => {
+    const html = `<html><body>
+      <cite>Ana:</cite><time>0:00</time><p>Hola a todos.</p><p>Bienvenidos.</p>
+      <cite>Luis:</cite><time>0:30</time><p>Gracias.</p>
+    </body></html>`;
+
+    expect(parseHtmlTranscript(html)).toEqual([
+      { startTime: 0, endTime: 30, text: 'Hola a todos. Bienvenidos.' },
+      { startTime: 30, endTime: Infinity, text: 'Gracias.' }
+    ]);
+    expect(parseHtmlTranscript('<p>No times here.</p>')).toEqual([]);
+  });
+
+  it('should time HTML transcripts with the <time> tag inside each paragraph', () => {
+    const html = '<p><time>0:00</time> Hola.</p><p><time>0:05</time> <b>Adiós</b>, amigos.</p>';
+
+    expect(parseHtmlTranscript(html)).toEqual([
+      { startTime: 0, endTime: 5, text: 'Hola.' },
+      { startTime: 5, endTime: Infinity, text: 'Adiós, amigos.' }
+    ]);
+  });
+
+  it('should prefer timed transcripts and leave out other languages', () => {
+    const transcripts = [
+      { url: 'https://example.com/ep.html', type: 'text/html', language: 'es' },
+      { url: 'https://example.com/ep-en.vtt', type: 'text/vtt', language: 'en' },
+      { url: 'https://example.com/ep.srt', type: '', language: 'es' },
+      { url: 'https://example.com/ep.pdf', type: 'application/pdf', language: 'es' }
+    ];
+
+    expect(getTranscriptFormat(transcripts[2])).toBe('srt');
+    expect(rankTranscripts(transcripts, 'es').map(transcript => transcript.url)).toEqual([
+      'https://example.com/ep.srt',
+      'https://example.com/ep.html'
+    ]);
+    // Without a known source language every transcript is a candidate
+    expect(rankTranscripts(transcripts, 'auto').map(transcript => transcript.url)).toEqual([
+      'https://example.com/ep-en.vtt',
+      'https://example.com/ep.srt',
+      'https://example.com/ep.html'
+    ]);
+  });
+
+  it('should pick the cues spoken inside a time range', () => {
+    const segments = parseVtt(VTT);
+
+    // The first cue only grazes the start of the range
+    expect(getTranscriptRange(segments, 3.5, 13)).toEqual({
+      text: 'Hoy hablamos de los mercados. Empezamos.',
+      segments: segments.slice(1)
+    });
+    // A range inside one long cue still reads that cue
+    expect(getTranscriptRange(segments, 5, 6).text).toBe('Hoy hablamos de los mercados.');
+    expect(getTranscriptRange(segments, 20, 30).text).toBe('');
+  });
+
+  it('should fetch transcripts through the CORS proxies once', async () => {
+    global.fetch
+      .mockRejectedValueOnce(new Error('CORS error'))
+      .mockResolvedValueOnce(textResponse(VTT));
+    const transcript = { url: 'https://example.com/ep.vtt', type: 'text/vtt' };
+
+    expect(await loadTranscript(transcript)).toHaveLength(3);
+    expect(await loadTranscript(transcript)).toHaveLength(3);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('should read a passage from the best transcript that loads', async () => {
+    global.fetch.mockImplementation(async (url) => url.includes('broken')
+      ? { ok: false, status: 404, statusText: 'Not Found' }
+      : textResponse(VTT));
+    const episode = {
+      transcripts: [
+        { url: 'https://example.com/broken.vtt', type: 'text/vtt', language: 'es-ES' },
+        { url: 'https://example.com/ep.vtt', type: 'text/vtt', language: 'es-ES' }
+      ]
+    };
+
+    const result = await transcribeFromPublisherTranscript(episode, 0, 4, 'auto');
+
+    expect(result).toEqual({
+      text: 'Hola a todos & bienvenidos.',
+      language: 'es',
+      segments: [{ startTime: 0, endTime: 4, text: 'Hola a todos & bienvenidos.' }]
+    });
+    expect(await transcribeFromPublisherTranscript(episode, 60, 70, 'es')).toBeNull();
+    expect(await transcribeFromPublisherTranscript({ transcripts: [] }, 0, 4, 'es')).toBeNull();
+  });
+
+  it('should take the feed language for transcripts that do not give one', async () => {
+    global.fetch.mockResolvedValue(textResponse(VTT));
+    const episode = {
+      language: 'es',
+      transcripts: [{ url: 'https://example.com/unlabelled.vtt', type: 'text/vtt', language: null }]
+    };
+
+    expect((await transcribeFromPublisherTranscript(episode, 0, 4, 'auto')).language).toBe('es');
+    // Without either, the requested language is all there is
+    expect((await transcribeFromPublisherTranscript({ ...episode, language: null }, 0, 4, 'fr')).language).toBe('fr');
+  });
+});
@@ -140,7 +140,8 @@ describe('selfHostedWhisperTranscription', () => {
 
       expect(result).toEqual({
         text: 'Hola mundo',
-        language: 'es' // Should map 'spanish' to 'es'
+        language: 'es', // Should map 'spanish' to 'es'
+        segments: []
       });
 
       // Should not create Audio element when using buffer
@@ -203,7 +204,8 @@ describe('selfHostedWhisperTranscription', () => {
 
       expect(result).toEqual({
         text: 'Hello world',
-        language: 'en' // Should map 'english' to 'en'
+        language: 'en', // Should map 'english' to 'en'
+        segments: []
       });
 
       // Should have created an Audio element for on-demand recording
@@ -233,7 +235,8 @@ describe('selfHostedWhisperTranscription', () => {
 
       expect(result).toEqual({
         text: 'Plain text transcription',
-        language: 'es' // Should use input language for plain text
+        language: 'es', // Should use input language for plain text
+        segments: []
       });
     });
 
@@ -330,11 +333,73 @@ describe('selfHostedWhisperTranscription', () => {
       );
 
       expect(global.fetch).toHaveBeenCalledWith(
-        'http://localhost:9001/asr', // Should be normalized without double slash
+        expect.stringMatching(/^http:\/\/localhost:9001\/asr\?/), // Should be normalized without double slash
         expect.any(Object)
       );
     });
 
+    it('should request JSON output with word timestamps in the query string', async () => {
+      const mockAudio = { src: 'test.mp3', crossOrigin: 'anonymous' };
+      const mockBuffer = new Blob(['buffered audio'], { type: 'audio/webm' });
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        headers: new Map([['content-type', 'application/json']]),
+        json: async () => ({ text: 'Test', language: 'es' })
+      });
+
+      await transcribeWithSelfHostedWhisper(mockAudio, 0, 15, 'es', 'http://localhost:9001', mockBuffer);
+
+      const params = new URL(global.fetch.mock.calls[0][0]).searchParams;
+      expect(params.get('output')).toBe('json');
+      expect(params.get('word_timestamps')).toBe('true');
+      expect(params.get('language')).toBe('es');
+    });
+
+    it('should return segments and words in episode time', async () => {
+      const mockAudio = { src: 'test.mp3', crossOrigin: 'anonymous' };
+      const mockBuffer = new Blob(['buffered audio'], { type: 'audio/webm' });
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        headers: new Map([['content-type', 'application/json']]),
+        json: async () => ({
+          text: ' Hola mundo. Adiós.',
+          language: 'es',
+          segments: [
+            {
+              start: 0.5, end: 2.0, text: ' Hola mundo.',
+              words: [
+                { word: ' Hola', start: 0.5, end: 1.0 },
+                { word: ' mundo.', start: 1.1, end: 2.0 }
+              ]
+            },
+            { start: 2.5, end: 3.25, text: ' Adiós.', words: [{ word: ' Adiós.', start: 2.5, end: 3.25 }] }
+          ]
+        })
+      });
+
+      const result = await transcribeWithSelfHostedWhisper(mockAudio, 100, 115, 'es', 'http://localhost:9001', mockBuffer);
+
+      expect(result.segments).toEqual([
+        {
+          startTime: 100.5,
+          endTime: 102,
+          text: 'Hola mundo.',
+          words: [
+            { word: 'Hola', startTime: 100.5, endTime: 101 },
+            { word: 'mundo.', startTime: 101.1, endTime: 102 }
+          ]
+        },
+        {
+          startTime: 102.5,
+          endTime: 103.25,
+          text: 'Adiós.',
+          words: [{ word: 'Adiós.', startTime: 102.5, endTime: 103.25 }]
+        }
+      ]);
+    });
+
     it('should send correct FormData to API', async () => {
       const mockAudio = { src: 'test.mp3', crossOrigin: 'anonymous' };
       const mockBuffer = new Blob(['buffered audio'], { type: 'audio/webm' });
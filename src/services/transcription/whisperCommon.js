@@ -0,0 +1,372 @@
+// Transcription core shared by the Whisper backends (OpenAI and self-hosted)
+// Language mapping, on-demand segment recording and response normalization live here
+// so fixes are made once.
+
+/**
+ * Languages supported by Whisper: [ISO 639-1 code, ISO 639-3 code, Whisper name]
+ * Languages without a 639-1 code (Hawaiian, Cantonese) use their 639-3 code.
+ */
+export const WHISPER_LANGUAGES = [
+  ['en', 'eng', 'english'], ['zh', 'zho', 'chinese'], ['de', 'deu', 'german'],
+  ['es', 'spa', 'spanish'], ['ru', 'rus', 'russian'], ['ko', 'kor', 'korean'],
+  ['fr', 'fra', 'french'], ['ja', 'jpn', 'japanese'], ['pt', 'por', 'portuguese'],
+  ['tr', 'tur', 'turkish'], ['pl', 'pol', 'polish'], ['ca', 'cat', 'catalan'],
+  ['nl', 'nld', 'dutch'], ['ar', 'ara', 'arabic'], ['sv', 'swe', 'swedish'],
+  ['it', 'ita', 'italian'], ['id', 'ind', 'indonesian'], ['hi', 'hin', 'hindi'],
+  ['fi', 'fin', 'finnish'], ['vi', 'vie', 'vietnamese'], ['he', 'heb', 'hebrew'],
+  ['uk', 'ukr', 'ukrainian'], ['el', 'ell', 'greek'], ['ms', 'msa', 'malay'],
+  ['cs', 'ces', 'czech'], ['ro', 'ron', 'romanian'], ['da', 'dan', 'danish'],
+  ['hu', 'hun', 'hungarian'], ['ta', 'tam', 'tamil'], ['no', 'nor', 'norwegian'],
+  ['th', 'tha', 'thai'], ['ur', 'urd', 'urdu'], ['hr', 'hrv', 'croatian'],
+  ['bg', 'bul', 'bulgarian'], ['lt', 'lit', 'lithuanian'], ['la', 'lat', 'latin'],
+  ['mi', 'mri', 'maori'], ['ml', 'mal', 'malayalam'], ['cy', 'cym', 'welsh'],
+  ['sk', 'slk', 'slovak'], ['te', 'tel', 'telugu'], ['fa', 'fas', 'persian'],
+  ['lv', 'lav', 'latvian'], ['bn', 'ben', 'bengali'], ['sr', 'srp', 'serbian'],
+  ['az', 'aze', 'azerbaijani'], ['sl', 'slv', 'slovenian'], ['kn', 'kan', 'kannada'],
+  ['et', 'est', 'estonian'], ['mk', 'mkd', 'macedonian'], ['br', 'bre', 'breton'],
+  ['eu', 'eus', 'basque'], ['is', 'isl', 'icelandic'], ['hy', 'hye', 'armenian'],
+  ['ne', 'nep', 'nepali'], ['mn', 'mon', 'mongolian'], ['bs', 'bos', 'bosnian'],
+  ['kk', 'kaz', 'kazakh'], ['sq', 'sqi', 'albanian'], ['sw', 'swa', 'swahili'],
+  ['gl', 'glg', 'galician'], ['mr', 'mar', 'marathi'], ['pa', 'pan', 'punjabi'],
+  ['si', 'sin', 'sinhala'], ['km', 'khm', 'khmer'], ['sn', 'sna', 'shona'],
+  ['yo', 'yor', 'yoruba'], ['so', 'som', 'somali'], ['af', 'afr', 'afrikaans'],
+  ['oc', 'oci', 'occitan'], ['ka', 'kat', 'georgian'], ['be', 'bel', 'belarusian'],
+  ['tg', 'tgk', 'tajik'], ['sd', 'snd', 'sindhi'], ['gu', 'guj', 'gujarati'],
+  ['am', 'amh', 'amharic'], ['yi', 'yid', 'yiddish'], ['lo', 'lao', 'lao'],
+  ['uz', 'uzb', 'uzbek'], ['fo', 'fao', 'faroese'], ['ht', 'hat', 'haitian creole'],
+  ['ps', 'pus', 'pashto'], ['tk', 'tuk', 'turkmen'], ['nn', 'nno', 'nynorsk'],
+  ['mt', 'mlt', 'maltese'], ['sa', 'san', 'sanskrit'], ['lb', 'ltz', 'luxembourgish'],
+  ['my', 'mya', 'myanmar'], ['bo', 'bod', 'tibetan'], ['tl', 'tgl', 'tagalog'],
+  ['mg', 'mlg', 'malagasy'], ['as', 'asm', 'assamese'], ['tt', 'tat', 'tatar'],
+  ['haw', 'haw', 'hawaiian'], ['ln', 'lin', 'lingala'], ['ha', 'hau', 'hausa'],
+  ['ba', 'bak', 'bashkir'], ['jv', 'jav', 'javanese'], ['su', 'sun', 'sundanese'],
+  ['yue', 'yue', 'cantonese']
+];
+
+// Alternative names Whisper accepts or returns for the same languages
+const LANGUAGE_ALIASES = {
+  'burmese': 'my',
+  'valencian': 'ca',
+  'flemish': 'nl',
+  'haitian': 'ht',
+  'letzeburgesch': 'lb',
+  'pushto': 'ps',
+  'panjabi': 'pa',
+  'moldavian': 'ro',
+  'moldovan': 'ro',
+  'sinhalese': 'si',
+  'castilian': 'es',
+  'mandarin': 'zh',
+  // Whisper's own (non-ISO) code for Javanese
+  'jw': 'jv'
+};
+
+const CODE_BY_NAME = new Map(WHISPER_LANGUAGES.map(([code, , name]) => [name, code]));
+const CODE_BY_ISO3 = new Map(WHISPER_LANGUAGES.map(([code, iso3]) => [iso3, code]));
+const NAME_BY_CODE = new Map(WHISPER_LANGUAGES.map(([code, , name]) => [code, name]));
+
+/**
+ * Map a Whisper language to an ISO 639-1 code
+ * Whisper returns names like "english" or "spanish", some servers return ISO 639-1/639-3 codes
+ * or locales like "es-ES". Translation APIs need ISO codes like "en", "es", "pl".
+ * @param {string} language - Language name or code as returned by Whisper
+ * @returns {string} - ISO 639-1 code (639-3 where no 639-1 code exists), or the input when unknown
+ */
+export function whisperLanguageToISO(language) {
+  const normalized = language?.toLowerCase().trim();
+  if (!normalized) {
+    return 'auto';
+  }
+
+  const primary = normalized.split(/[-_]/)[0];
+  const isoCode = CODE_BY_NAME.get(normalized)
+    || LANGUAGE_ALIASES[normalized]
+    || (NAME_BY_CODE.has(primary) ? primary : null)
+    || CODE_BY_ISO3.get(primary)
+    || LANGUAGE_ALIASES[primary];
+
+  if (isoCode) {
+    if (isoCode !== normalized) {
+      console.log(`Mapped Whisper language "${language}" to ISO code "${isoCode}"`);
+    }
+    return isoCode;
+  }
+
+  // If not found in the table, return as-is (might be a code Whisper added later)
+  console.warn(`Unknown language name from Whisper: "${language}", using as-is`);
+  return language;
+}
+
+/**
+ * Map an ISO 639-1 code to the language name Whisper uses
+ * @param {string} code - ISO 639-1 code
+ * @returns {string|null} - Whisper language name, or null when Whisper doesn't support it
+ */
+export function isoToWhisperLanguage(code) {
+  return NAME_BY_CODE.get(code?.toLowerCase().trim()) || null;
+}
+
+// Recording formats in order of preference - Opus in WebM is what FFmpeg-based servers decode best
+const RECORDING_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+/**
+ * Pick a recording format the browser supports
+ * @returns {string} - MIME type
+ */
+function getRecordingMimeType() {
+  const mimeType = RECORDING_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+  if (!mimeType) {
+    throw new Error('MediaRecorder does not support any audio format Whisper accepts');
+  }
+  return mimeType;
+}
+
+/**
+ * Record an audio segment to a blob by playing it through a MediaRecorder
+ * A temporary audio element is used so the player's element is never captured by an
+ * AudioContext ("already connected" errors on later recordings) and keeps its position.
+ * @param {HTMLAudioElement} audioElement - The player's audio element (source and CORS mode are copied)
+ * @param {number} startTime - Start time in seconds
+ * @param {number} endTime - End time in seconds (clamped to the duration)
+ * @returns {Promise<Blob>} - Recorded audio
+ */
+export function recordAudioSegment(audioElement, startTime, endTime) {
+  return new Promise((resolve, reject) => {
+    let audioContext = null;
+    let source = null;
+    let tempAudio = null;
+    let mediaRecorder = null;
+
+    const cleanup = () => {
+      try {
+        if (tempAudio) {
+          tempAudio.pause();
+          tempAudio.onplay = null;
+          tempAudio.src = '';
+          tempAudio.load();
+        }
+        if (source) {
+          source.disconnect();
+        }
+        if (audioContext && audioContext.state !== 'closed') {
+          audioContext.close();
+        }
+      } catch (error) {
+        console.error('Error during cleanup:', error);
+      }
+    };
+
+    // Create a temporary audio element for recording
+    // This prevents the "already connected" error on subsequent recordings
+    tempAudio = new Audio();
+    tempAudio.src = audioElement.src;
+    tempAudio.crossOrigin = audioElement.crossOrigin;
+    tempAudio.preload = 'auto';
+
+    // Wait for audio to be ready
+    const timeout = setTimeout(() => {
+      cleanup();
+      reject(new Error('Audio loading timeout'));
+    }, 10000);
+
+    tempAudio.onloadedmetadata = () => {
+      clearTimeout(timeout);
+      console.log(`Audio loaded. Duration: ${tempAudio.duration}s`);
+
+      try {
+        // Set audio to start time and verify it's valid
+        if (startTime < 0 || startTime >= tempAudio.duration) {
+          throw new Error(`Invalid start time ${startTime}s (duration: ${tempAudio.duration}s)`);
+        }
+        let validEndTime = endTime;
+        if (endTime > tempAudio.duration) {
+          console.warn(`End time ${endTime}s exceeds duration ${tempAudio.duration}s, clamping to duration`);
+          validEndTime = tempAudio.duration;
+        }
+
+        audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        source = audioContext.createMediaElementSource(tempAudio);
+        const destination = audioContext.createMediaStreamDestination();
+
+        // Connect to both the recorder and speakers
+        source.connect(destination);
+        source.connect(audioContext.destination);
+
+        // Specify mimeType to ensure FFmpeg compatibility
+        const mimeType = getRecordingMimeType();
+
+        mediaRecorder = new MediaRecorder(destination.stream, { mimeType });
+        const chunks = [];
+
+        mediaRecorder.ondataavailable = (e) => {
+          if (e.data.size > 0) {
+            chunks.push(e.data);
+            console.log(`Recorded chunk: ${e.data.size} bytes`);
+          }
+        };
+
+        mediaRecorder.onstop = () => {
+          console.log(`Recording stopped. Total chunks: ${chunks.length}`);
+
+          if (chunks.length === 0) {
+            cleanup();
+            reject(new Error('No audio data was recorded'));
+            return;
+          }
+
+          const blob = new Blob(chunks, { type: mimeType });
+          console.log(`Created audio blob: ${blob.size} bytes`);
+
+          // Pause audio before cleanup
+          if (tempAudio) {
+            tempAudio.pause();
+          }
+
+          // Clean up AudioContext and disconnect source
+          cleanup();
+
+          resolve(blob);
+        };
+
+        mediaRecorder.onerror = (error) => {
+          cleanup();
+          reject(new Error(`MediaRecorder error: ${error.message || 'Unknown error'}`));
+        };
+
+        tempAudio.currentTime = startTime;
+
+        tempAudio.onplay = () => {
+          console.log(`Starting recording from ${startTime}s to ${validEndTime}s`);
+
+          // Request data every 100ms to ensure we get chunks
+          mediaRecorder.start(100);
+
+          // Stop recording after duration
+          const duration = (validEndTime - startTime) * 1000;
+          setTimeout(() => {
+            if (mediaRecorder && mediaRecorder.state === 'recording') {
+              console.log('Stopping recording...');
+              mediaRecorder.stop();
+            }
+          }, duration);
+        };
+
+        tempAudio.play().catch(error => {
+          cleanup();
+          reject(new Error(`Failed to play audio: ${error.message}`));
+        });
+
+      } catch (error) {
+        cleanup();
+        reject(new Error(`Failed to record audio segment: ${error.message}`));
+      }
+    };
+
+    tempAudio.onerror = () => {
+      clearTimeout(timeout);
+      cleanup();
+      reject(new Error('Failed to load audio'));
+    };
+
+    // Trigger load
+    tempAudio.load();
+  });
+}
+
+/**
+ * Name the uploaded file after its real format - servers pick the decoder from the extension
+ * @param {Blob} audioBlob - Audio to upload
+ * @returns {string} - File name
+ */
+export function getAudioFileName(audioBlob) {
+  const type = audioBlob.type || '';
+  if (type.includes('wav')) return 'audio.wav';
+  if (type.includes('ogg')) return 'audio.ogg';
+  if (type.includes('mp4')) return 'audio.m4a';
+  return 'audio.webm';
+}
+
+/**
+ * Normalize a Whisper response into the shape every transcription method returns
+ * @param {Object} result - Parsed Whisper response (or {text} for plain text responses)
+ * @param {Object} options
+ * @param {string} options.requestedLanguage - Language sent with the request ('auto' for detection)
+ * @param {number} options.offset - Episode time at which the transcribed audio starts
+ * @returns {{text: string, language: string, segments: Array}}
+ * @throws {Error} When the response contains no speech
+ */
+export function normalizeWhisperResponse(result, { requestedLanguage = 'auto', offset = 0 } = {}) {
+  const text = (result?.text || '').trim();
+  if (!text) {
+    throw new Error('No speech detected in the audio segment');
+  }
+
+  // Without a detected language, fall back to the requested one
+  const language = result.language
+    ? whisperLanguageToISO(result.language)
+    : (requestedLanguage || 'auto');
+
+  return {
+    text,
+    language,
+    // Whisper times are relative to the uploaded clip - shift them to episode time
+    segments: normalizeWhisperSegments(result, offset)
+  };
+}
+
+/**
+ * Round to milliseconds so float noise doesn't leak into captions
+ */
+const roundTime = (seconds) => Math.round(seconds * 1000) / 1000;
+
+/**
+ * Convert Whisper segments (and optional word timestamps) to absolute episode times
+ * Works for OpenAI verbose_json (words at top level) and whisper-asr-webservice
+ * JSON output (words nested in each segment).
+ * @param {Object} result - Parsed Whisper JSON response
+ * @param {number} offset - Episode time in seconds at which the transcribed audio starts
+ * @returns {Array<{startTime: number, endTime: number, text: string, words?: Array<{word: string, startTime: number, endTime: number}>}>}
+ */
+export function normalizeWhisperSegments(result, offset = 0) {
+  const toWord = (word) => ({
+    word: (word.word ?? word.text ?? '').trim(),
+    startTime: roundTime(offset + word.start),
+    endTime: roundTime(offset + word.end)
+  });
+
+  const topLevelWords = Array.isArray(result?.words) ? result.words.map(toWord) : [];
+
+  const segments = (Array.isArray(result?.segments) ? result.segments : [])
+    .filter(segment => typeof segment.start === 'number' && typeof segment.end === 'number')
+    .map(segment => {
+      const normalized = {
+        startTime: roundTime(offset + segment.start),
+        endTime: roundTime(offset + segment.end),
+        text: (segment.text || '').trim()
+      };
+
+      if (Array.isArray(segment.words) && segment.words.length > 0) {
+        normalized.words = segment.words.map(toWord);
+      } else if (topLevelWords.length > 0) {
+        // OpenAI returns words separately - assign them to segments by start time
+        normalized.words = topLevelWords.filter(word =>
+          word.startTime >= normalized.startTime && word.startTime < normalized.endTime
+        );
+      }
+
+      return normalized;
+    })
+    .filter(segment => segment.text);
+
+  // Words but no segments: treat the whole response as one segment
+  if (segments.length === 0 && topLevelWords.length > 0 && result.text) {
+    segments.push({
+      startTime: topLevelWords[0].startTime,
+      endTime: topLevelWords[topLevelWords.length - 1].endTime,
+      text: result.text.trim(),
+      words: topLevelWords
+    });
+  }
+
+  return segments;
+}
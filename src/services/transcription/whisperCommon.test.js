@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import {
+  WHISPER_LANGUAGES,
+  whisperLanguageToISO,
+  isoToWhisperLanguage,
+  getAudioFileName,
+  normalizeWhisperResponse,
+  normalizeWhisperSegments
+} from './whisperCommon';
+
+describe('whisperCommon', () => {
+  describe('whisperLanguageToISO', () => {
+    it('should map Whisper language names to ISO 639-1 codes', () => {
+      expect(whisperLanguageToISO('spanish')).toBe('es');
+      expect(whisperLanguageToISO('Polish')).toBe('pl');
+      expect(whisperLanguageToISO('haitian creole')).toBe('ht');
+      expect(whisperLanguageToISO('castilian')).toBe('es');
+    });
+
+    it('should accept ISO 639-1, ISO 639-3 and locale codes', () => {
+      expect(whisperLanguageToISO('es')).toBe('es');
+      expect(whisperLanguageToISO('spa')).toBe('es');
+      expect(whisperLanguageToISO('es-ES')).toBe('es');
+      expect(whisperLanguageToISO('jw')).toBe('jv');
+    });
+
+    it('should use 639-3 codes for languages without a 639-1 code', () => {
+      expect(whisperLanguageToISO('cantonese')).toBe('yue');
+      expect(whisperLanguageToISO('hawaiian')).toBe('haw');
+    });
+
+    it('should return unknown languages as-is and missing ones as auto', () => {
+      expect(whisperLanguageToISO('klingon')).toBe('klingon');
+      expect(whisperLanguageToISO(undefined)).toBe('auto');
+    });
+
+    it('should cover every Whisper language in both directions', () => {
+      for (const [code, iso3, name] of WHISPER_LANGUAGES) {
+        expect(whisperLanguageToISO(name)).toBe(code);
+        expect(whisperLanguageToISO(iso3)).toBe(code);
+        expect(isoToWhisperLanguage(code)).toBe(name);
+      }
+    });
+  });
+
+  describe('getAudioFileName', () => {
+    it('should name uploads after the blob format', () => {
+      expect(getAudioFileName(new Blob([], { type: 'audio/wav' }))).toBe('audio.wav');
+      expect(getAudioFileName(new Blob([], { type: 'audio/ogg;codecs=opus' }))).toBe('audio.ogg');
+      expect(getAudioFileName(new Blob([], { type: 'audio/webm;codecs=opus' }))).toBe('audio.webm');
+    });
+  });
+
+  describe('normalizeWhisperResponse', () => {
+    it('should return text, ISO language and offset segments', () => {
+      const result = normalizeWhisperResponse(
+        { text: ' Hola ', language: 'spanish', segments: [{ start: 0, end: 1, text: ' Hola ' }] },
+        { requestedLanguage: 'auto', offset: 5 }
+      );
+
+      expect(result).toEqual({
+        text: 'Hola',
+        language: 'es',
+        segments: [{ startTime: 5, endTime: 6, text: 'Hola' }]
+      });
+    });
+
+    it('should fall back to the requested language', () => {
+      expect(normalizeWhisperResponse({ text: 'Bonjour' }, { requestedLanguage: 'fr' }).language).toBe('fr');
+      expect(normalizeWhisperResponse({ text: 'Bonjour' }).language).toBe('auto');
+    });
+
+    it('should reject empty transcriptions', () => {
+      expect(() => normalizeWhisperResponse({ text: '  ' })).toThrow('No speech detected');
+    });
+  });
+
+  describe('normalizeWhisperSegments', () => {
+    it('should assign OpenAI top-level words to their segments', () => {
+      const segments = normalizeWhisperSegments({
+        text: 'Hola. Adiós.',
+        segments: [
+          { id: 0, start: 0, end: 1.5, text: ' Hola.' },
+          { id: 1, start: 1.5, end: 3, text: ' Adiós.' }
+        ],
+        words: [
+          { word: 'Hola', start: 0.2, end: 0.9 },
+          { word: 'Adiós', start: 1.6, end: 2.4 }
+        ]
+      }, 10);
+
+      expect(segments).toEqual([
+        { startTime: 10, endTime: 11.5, text: 'Hola.', words: [{ word: 'Hola', startTime: 10.2, endTime: 10.9 }] },
+        { startTime: 11.5, endTime: 13, text: 'Adiós.', words: [{ word: 'Adiós', startTime: 11.6, endTime: 12.4 }] }
+      ]);
+    });
+
+    it('should skip empty segments', () => {
+      expect(normalizeWhisperSegments({
+        segments: [{ start: 0, end: 1, text: ' ' }, { start: 1, end: 2, text: 'Sí.' }]
+      })).toEqual([{ startTime: 1, endTime: 2, text: 'Sí.' }]);
+    });
+
+    it('should return no segments for responses without timestamps', () => {
+      expect(normalizeWhisperSegments({ text: 'Hola' })).toEqual([]);
+      expect(normalizeWhisperSegments(null)).toEqual([]);
+    });
+  });
+});
@@ -1,127 +1,55 @@
 // OpenAI Whisper API transcription
 
-/**
- * Map Whisper language names to ISO 639-1 codes
- * Whisper returns language names like "english", "spanish", "polish"
- * Translation APIs need ISO codes like "en", "es", "pl"
- */
-function whisperLanguageToISO(languageName) {
-  const languageMap = {
-    'english': 'en',
-    'spanish': 'es',
-    'french': 'fr',
-    'german': 'de',
-    'italian': 'it',
-    'portuguese': 'pt',
-    'dutch': 'nl',
-    'russian': 'ru',
-    'chinese': 'zh',
-    'japanese': 'ja',
-    'korean': 'ko',
-    'arabic': 'ar',
-    'turkish': 'tr',
-    'polish': 'pl',
-    'danish': 'da',
-    'swedish': 'sv',
-    'norwegian': 'no',
-    'finnish': 'fi',
-    'greek': 'el',
-    'czech': 'cs',
-    'hungarian': 'hu',
-    'romanian': 'ro',
-    'bulgarian': 'bg',
-    'ukrainian': 'uk',
-    'croatian': 'hr',
-    'serbian': 'sr',
-    'slovak': 'sk',
-    'slovenian': 'sl',
-    'lithuanian': 'lt',
-    'latvian': 'lv',
-    'estonian': 'et',
-    'thai': 'th',
-    'vietnamese': 'vi',
-    'indonesian': 'id',
-    'malay': 'ms',
-    'hindi': 'hi',
-    'bengali': 'bn',
-    'tamil': 'ta',
-    'telugu': 'te',
-    'hebrew': 'he',
-    'persian': 'fa',
-    'urdu': 'ur',
-    'catalan': 'ca',
-    'basque': 'eu',
-    'galician': 'gl'
-  };
+import { recordAudioSegment, getAudioFileName, normalizeWhisperResponse } from './whisperCommon';
 
-  const normalizedName = languageName?.toLowerCase().trim();
-  const isoCode = languageMap[normalizedName];
-
-  if (isoCode) {
-    console.log(`Mapped Whisper language "${languageName}" to ISO code "${isoCode}"`);
-    return isoCode;
-  }
-
-  // If not found in map, return as-is (might already be ISO code)
-  console.warn(`Unknown language name from Whisper: "${languageName}", using as-is`);
-  return languageName || 'auto';
-}
+const OPENAI_API_URL = 'https://api.openai.com/v1';
 
 /**
- * Record audio segment from audio element to a blob
- * @param {HTMLAudioElement} audioElement - The audio element
- * @param {number} startTime - Start time in seconds
- * @param {number} endTime - End time in seconds
- * @returns {Promise<Blob>} - Audio blob
+ * Send audio to an endpoint speaking the OpenAI /audio/transcriptions schema
+ * Used for OpenAI itself and for compatible local servers.
+ * @param {Blob} audioBlob - Audio to transcribe
+ * @param {Object} options
+ * @param {string} options.baseUrl - API base URL including the version, e.g. https://api.openai.com/v1
+ * @param {string} options.apiKey - Optional bearer token
+ * @param {string} options.model - Model name
+ * @param {string} options.language - Language code or 'auto' for auto-detect
+ * @param {number} options.startTime - Episode time at which the audio starts (offsets segment times)
+ * @param {string} options.apiName - Name used in error messages
+ * @returns {Promise<{text: string, language: string, segments: Array}>}
  */
-async function recordAudioSegment(audioElement, startTime, endTime) {
-  return new Promise((resolve, reject) => {
-    try {
-      const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      const source = audioContext.createMediaElementSource(audioElement);
-      const destination = audioContext.createMediaStreamDestination();
-
-      source.connect(destination);
-      source.connect(audioContext.destination);
-
-      const mediaRecorder = new MediaRecorder(destination.stream);
-      const chunks = [];
-
-      mediaRecorder.ondataavailable = (e) => {
-        if (e.data.size > 0) {
-          chunks.push(e.data);
-        }
-      };
-
-      mediaRecorder.onstop = () => {
-        const blob = new Blob(chunks, { type: 'audio/webm' });
-        audioElement.pause();
-        resolve(blob);
-      };
-
-      // Set audio to start time
-      audioElement.currentTime = startTime;
-
-      audioElement.onplay = () => {
-        mediaRecorder.start();
+export async function requestOpenAITranscription(audioBlob, { baseUrl, apiKey, model, language, startTime = 0, apiName }) {
+  const formData = new FormData();
+  formData.append('file', audioBlob, getAudioFileName(audioBlob));
+  formData.append('model', model);
+  // Only specify language if provided, otherwise Whisper will auto-detect
+  if (language && language !== 'auto') {
+    formData.append('language', language);
+  }
+  // Use verbose_json to get detected language and timestamps
+  formData.append('response_format', 'verbose_json');
+  formData.append('timestamp_granularities[]', 'segment');
+  formData.append('timestamp_granularities[]', 'word');
+
+  const response = await fetch(`${baseUrl.replace(/\/$/, '')}/audio/transcriptions`, {
+    method: 'POST',
+    headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+    body: formData
+  });
 
-        // Stop recording after duration
-        const duration = (endTime - startTime) * 1000;
-        setTimeout(() => {
-          if (mediaRecorder.state === 'recording') {
-            mediaRecorder.stop();
-          }
-        }, duration);
-      };
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    // OpenAI nests the message, local servers often return a plain string or FastAPI's detail
+    const errorMessage = errorData.error?.message
+      || (typeof errorData.error === 'string' ? errorData.error : null)
+      || (typeof errorData.detail === 'string' ? errorData.detail : null)
+      || `HTTP ${response.status}: ${response.statusText}`;
+    throw new Error(`${apiName} error: ${errorMessage}`);
+  }
 
-      audioElement.play().catch(error => {
-        reject(new Error(`Failed to play audio: ${error.message}`));
-      });
+  const result = await response.json();
+  console.log(`${apiName} transcription:`, result);
 
-    } catch (error) {
-      reject(new Error(`Failed to record audio segment: ${error.message}`));
-    }
-  });
+  return normalizeWhisperResponse(result, { requestedLanguage: language, offset: startTime });
 }
 
 /**
@@ -132,7 +60,7 @@ async function recordAudioSegment(audioElement, startTime, endTime) {
  * @param {string} language - Language code (e.g., 'es', 'fr') or 'auto' for auto-detect
  * @param {string} apiKey - OpenAI API key
  * @param {Blob} audioBuffer - Optional pre-recorded audio buffer (for continuous buffering strategy)
- * @returns {Promise<{text: string, language: string}>} - The transcribed text and detected language
+ * @returns {Promise<{text: string, language: string, segments: Array}>} - The transcribed text, detected language and timed segments
  */
 export async function transcribeWithWhisper(audioElement, startTime, endTime, language, apiKey, audioBuffer = null) {
   if (!apiKey) {
@@ -153,46 +81,16 @@ export async function transcribeWithWhisper(audioElement, startTime, endTime, la
     }
 
     // Step 2: Send to Whisper API
-    const formData = new FormData();
-    formData.append('file', audioBlob, 'audio.webm');
-    formData.append('model', 'whisper-1');
-    // Only specify language if provided, otherwise Whisper will auto-detect
-    if (language && language !== 'auto') {
-      formData.append('language', language);
-    }
-    // Use verbose_json to get detected language
-    formData.append('response_format', 'verbose_json');
-
     console.log('Sending to Whisper API...');
-    const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: formData
+    return await requestOpenAITranscription(audioBlob, {
+      baseUrl: OPENAI_API_URL,
+      apiKey,
+      model: 'whisper-1',
+      language,
+      startTime,
+      apiName: 'Whisper API'
     });
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      const errorMessage = errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`;
-      throw new Error(`Whisper API error: ${errorMessage}`);
-    }
-
-    const result = await response.json();
-    console.log('Whisper transcription:', result);
-
-    if (!result.text || result.text.trim() === '') {
-      throw new Error('No speech detected in the audio segment');
-    }
-
-    // Convert Whisper language name to ISO code
-    const detectedLanguage = result.language ? whisperLanguageToISO(result.language) : (language || 'auto');
-
-    return {
-      text: result.text.trim(),
-      language: detectedLanguage
-    };
-
   } catch (error) {
     throw new Error(`Whisper transcription failed: ${error.message}`);
   }
@@ -0,0 +1,205 @@
+// Translate-forward mode
+// Listens to the continuous buffer while the episode plays, cuts it into consecutive
+// N-second segments and transcribes + translates each one in the background.
+
+import { transcribeAudioSegment, translateText, speakText, resolveSourceLanguage } from './translationService';
+
+// Chunks further apart than this (in episode time) mean the listener seeked
+const SEEK_THRESHOLD_SECONDS = 3;
+// Segments waiting while a slow backend catches up; older ones are dropped to stay live
+const MAX_PENDING_SEGMENTS = 2;
+// Subtitles kept for display
+const MAX_SUBTITLES = 20;
+// Playback volume while a translation is spoken over it
+const DUCKED_VOLUME = 0.2;
+
+/**
+ * Runs translate-forward mode on top of an AudioBufferManager
+ */
+export class TranslateForwardSession {
+  /**
+   * @param {Object} options
+   * @param {AudioBufferManager} options.bufferManager - Running continuous buffer
+   * @param {HTMLAudioElement} options.audioElement - The player's audio element
+   * @param {number} options.segmentSeconds - Length of each segment
+   * @param {Object} options.settings - User settings (transcription method, languages, provider)
+   * @param {string} options.speechLang - Voice language for spoken translations, e.g. 'en-US'
+   * @param {function(Array<Object>): void} options.onUpdate - Called with the subtitles, newest last
+   * @param {function(Error): void} options.onError - Called when a segment fails
+   */
+  constructor({ bufferManager, audioElement, segmentSeconds, settings, speechLang, onUpdate, onError = () => {} }) {
+    this.bufferManager = bufferManager;
+    this.audioElement = audioElement;
+    this.segmentSeconds = segmentSeconds;
+    this.settings = settings;
+    this.speechLang = speechLang;
+    this.onUpdate = onUpdate;
+    this.onError = onError;
+
+    this.speak = false;
+    this.subtitles = [];
+    this.pendingChunks = [];
+    this.queue = [];
+    this.isProcessing = false;
+    this.isActive = false;
+    this.unsubscribe = null;
+    this.nextId = 0;
+  }
+
+  /**
+   * Start listening to the buffer
+   */
+  start() {
+    if (this.isActive) return;
+    this.isActive = true;
+    this.unsubscribe = this.bufferManager.subscribe(chunk => this.handleChunk(chunk));
+    console.log(`Translate-forward started (${this.segmentSeconds}s segments)`);
+  }
+
+  /**
+   * Stop listening; segments already being processed are discarded
+   */
+  stop() {
+    this.isActive = false;
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    this.pendingChunks = [];
+    this.queue = [];
+    console.log('Translate-forward stopped');
+  }
+
+  /**
+   * Turn spoken translations on or off
+   * @param {boolean} speak
+   */
+  setSpeak(speak) {
+    this.speak = speak;
+    if (!speak && 'speechSynthesis' in window) {
+      window.speechSynthesis.cancel();
+    }
+  }
+
+  /**
+   * Collect chunks into segments
+   * @param {{blob: Blob, mediaTime: number}} chunk - Chunk from the buffer manager
+   */
+  handleChunk(chunk) {
+    // The recorder keeps running while paused - those chunks are silence
+    if (!this.isActive || this.audioElement.paused) return;
+
+    const previous = this.pendingChunks.at(-1);
+    if (previous) {
+      const gap = chunk.mediaTime - previous.mediaTime;
+      if (gap < 0 || gap > SEEK_THRESHOLD_SECONDS) {
+        // The listener seeked - the collected audio no longer leads into what's playing
+        this.pendingChunks = [];
+      }
+    }
+
+    this.pendingChunks.push(chunk);
+
+    const first = this.pendingChunks[0];
+    // Each chunk holds about one second ending at its mediaTime
+    const startTime = Math.max(0, first.mediaTime - 1);
+    if (chunk.mediaTime - startTime >= this.segmentSeconds) {
+      this.enqueue({
+        id: this.nextId++,
+        startTime,
+        endTime: chunk.mediaTime,
+        blob: this.bufferManager.buildBlob(this.pendingChunks.map(pending => pending.blob))
+      });
+      this.pendingChunks = [];
+    }
+  }
+
+  /**
+   * Queue a segment for transcription, dropping the oldest if the backend falls behind
+   */
+  enqueue(segment) {
+    this.queue.push(segment);
+    while (this.queue.length > MAX_PENDING_SEGMENTS) {
+      const dropped = this.queue.shift();
+      console.warn(`Translate-forward is falling behind, skipping ${dropped.startTime.toFixed(0)}s-${dropped.endTime.toFixed(0)}s`);
+    }
+    this.processQueue();
+  }
+
+  /**
+   * Transcribe and translate queued segments one at a time
+   */
+  async processQueue() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      while (this.isActive && this.queue.length > 0) {
+        const segment = this.queue.shift();
+        try {
+          await this.processSegment(segment);
+        } catch (error) {
+          if (!this.isActive) break;
+          // Silence (music, pauses) is expected - only report real failures
+          if (!error.message.includes('No speech detected')) {
+            console.error('Translate-forward segment failed:', error);
+            this.onError(error);
+          }
+        }
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Transcribe, translate and (optionally) speak one segment
+   */
+  async processSegment({ id, startTime, endTime, blob }) {
+    const sourceLang = this.settings.sourceLang || 'auto';
+    const targetLang = this.settings.targetLang || 'en';
+
+    const transcription = await transcribeAudioSegment(
+      this.audioElement,
+      startTime,
+      endTime,
+      sourceLang,
+      this.settings,
+      blob
+    );
+    if (!this.isActive) return;
+
+    const translatedText = await translateText(
+      transcription.text,
+      resolveSourceLanguage(transcription.language, sourceLang),
+      targetLang,
+      this.settings
+    );
+    if (!this.isActive) return;
+
+    this.subtitles = [
+      ...this.subtitles,
+      { id, startTime, endTime, originalText: transcription.text, translatedText }
+    ].slice(-MAX_SUBTITLES);
+    this.onUpdate(this.subtitles);
+
+    if (this.speak) {
+      await this.speakOverPlayback(translatedText);
+    }
+  }
+
+  /**
+   * Speak a translation with the episode turned down instead of paused, so the flow continues
+   */
+  async speakOverPlayback(text) {
+    const originalVolume = this.audioElement.volume;
+    this.audioElement.volume = Math.min(originalVolume, DUCKED_VOLUME);
+    try {
+      await speakText(text, this.speechLang);
+    } catch (error) {
+      console.warn('Failed to speak translation:', error);
+    } finally {
+      this.audioElement.volume = originalVolume;
+    }
+  }
+}
@@ -0,0 +1,169 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { TranslateForwardSession } from './translateForwardSession';
+import { transcribeAudioSegment, translateText, speakText } from './translationService';
+
+vi.mock('./translationService', () => ({
+  transcribeAudioSegment: vi.fn(),
+  translateText: vi.fn(),
+  speakText: vi.fn(),
+  resolveSourceLanguage: (detected, requested) => (detected !== 'auto' ? detected : requested)
+}));
+
+// Minimal stand-in for AudioBufferManager's chunk stream
+function createBufferManager() {
+  const listeners = new Set();
+  return {
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    buildBlob: (blobs) => new Blob(blobs, { type: 'audio/webm' }),
+    emit: (mediaTime) => listeners.forEach(listener => listener({
+      blob: new Blob([`chunk ${mediaTime}`]),
+      timestamp: Date.now(),
+      mediaTime
+    })),
+    listeners
+  };
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('TranslateForwardSession', () => {
+  let bufferManager;
+  let audioElement;
+  let onUpdate;
+
+  const createSession = (options = {}) => new TranslateForwardSession({
+    bufferManager,
+    audioElement,
+    segmentSeconds: 5,
+    settings: { sourceLang: 'es', targetLang: 'en', transcriptionMethod: 'whisper' },
+    speechLang: 'en-US',
+    onUpdate,
+    ...options
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    bufferManager = createBufferManager();
+    audioElement = { paused: false, volume: 1 };
+    onUpdate = vi.fn();
+    transcribeAudioSegment.mockImplementation(async (audio, start, end) => ({
+      text: `hola ${start}-${end}`,
+      language: 'es'
+    }));
+    translateText.mockImplementation(async (text) => text.replace('hola', 'hello'));
+    speakText.mockResolvedValue();
+  });
+
+  it('should transcribe and translate consecutive segments of the buffer', async () => {
+    const session = createSession();
+    session.start();
+
+    for (let time = 1; time <= 10; time++) {
+      bufferManager.emit(time);
+    }
+    await flush();
+
+    expect(transcribeAudioSegment).toHaveBeenCalledTimes(2);
+    expect(transcribeAudioSegment.mock.calls[0].slice(1, 4)).toEqual([0, 5, 'es']);
+    expect(transcribeAudioSegment.mock.calls[0][5]).toBeInstanceOf(Blob);
+    expect(onUpdate).toHaveBeenLastCalledWith([
+      expect.objectContaining({ startTime: 0, endTime: 5, originalText: 'hola 0-5', translatedText: 'hello 0-5' }),
+      expect.objectContaining({ startTime: 5, endTime: 10, originalText: 'hola 5-10', translatedText: 'hello 5-10' })
+    ]);
+    expect(speakText).not.toHaveBeenCalled();
+
+    session.stop();
+    expect(bufferManager.listeners.size).toBe(0);
+  });
+
+  it('should ignore chunks while paused and start over after a seek', async () => {
+    const session = createSession();
+    session.start();
+
+    bufferManager.emit(1);
+    bufferManager.emit(2);
+    // Jump ahead - the first two chunks no longer belong to the next segment
+    bufferManager.emit(60);
+    audioElement.paused = true;
+    bufferManager.emit(61);
+    bufferManager.emit(62);
+    audioElement.paused = false;
+    for (let time = 61; time <= 64; time++) {
+      bufferManager.emit(time);
+    }
+    await flush();
+
+    expect(transcribeAudioSegment).toHaveBeenCalledTimes(1);
+    expect(transcribeAudioSegment.mock.calls[0].slice(1, 3)).toEqual([59, 64]);
+  });
+
+  it('should skip silent segments without reporting an error', async () => {
+    const onError = vi.fn();
+    transcribeAudioSegment.mockRejectedValueOnce(new Error('No speech detected in the audio segment'));
+    const session = createSession({ onError });
+    session.start();
+
+    for (let time = 1; time <= 10; time++) {
+      bufferManager.emit(time);
+    }
+    await flush();
+
+    expect(onError).not.toHaveBeenCalled();
+    expect(onUpdate).toHaveBeenCalledTimes(1);
+    expect(onUpdate.mock.calls[0][0][0].startTime).toBe(5);
+  });
+
+  it('should speak translations with the episode turned down', async () => {
+    let volumeWhileSpeaking;
+    speakText.mockImplementation(async () => {
+      volumeWhileSpeaking = audioElement.volume;
+    });
+    const session = createSession();
+    session.setSpeak(true);
+    session.start();
+
+    for (let time = 1; time <= 5; time++) {
+      bufferManager.emit(time);
+    }
+    await flush();
+
+    expect(speakText).toHaveBeenCalledWith('hello 0-5', 'en-US');
+    expect(volumeWhileSpeaking).toBe(0.2);
+    expect(audioElement.volume).toBe(1);
+  });
+
+  it('should drop the oldest segments when transcription falls behind', async () => {
+    let finishFirst;
+    transcribeAudioSegment.mockImplementationOnce((audio, start, end) => new Promise(resolve => {
+      finishFirst = () => resolve({ text: `hola ${start}-${end}`, language: 'es' });
+    }));
+    const session = createSession();
+    session.start();
+
+    for (let time = 1; time <= 20; time++) {
+      bufferManager.emit(time);
+    }
+    finishFirst();
+    await flush();
+
+    // 0-5 was in flight; of the three queued behind it only the newest two are kept
+    const starts = transcribeAudioSegment.mock.calls.map(call => call[1]);
+    expect(starts).toEqual([0, 10, 15]);
+  });
+
+  it('should discard results that arrive after stopping', async () => {
+    const session = createSession();
+    session.start();
+
+    for (let time = 1; time <= 5; time++) {
+      bufferManager.emit(time);
+    }
+    session.stop();
+    await flush();
+
+    expect(onUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,75 @@
+// DeepL API translation
+
+const DEEPL_FREE_API_URL = 'https://api-free.deepl.com';
+const DEEPL_PRO_API_URL = 'https://api.deepl.com';
+
+/**
+ * DeepL requires a regional variant for some target languages
+ * and uses upper-case codes everywhere
+ */
+const DEEPL_TARGET_VARIANTS = {
+  en: 'EN-US',
+  pt: 'PT-PT'
+};
+
+/**
+ * Get the default DeepL API URL for a key
+ * Free-tier keys end with ":fx" and must use the free endpoint
+ * @param {string} apiKey - DeepL API key
+ * @returns {string} - DeepL API base URL
+ */
+export function getDeepLApiUrl(apiKey) {
+  return apiKey?.endsWith(':fx') ? DEEPL_FREE_API_URL : DEEPL_PRO_API_URL;
+}
+
+/**
+ * Translate text using the DeepL API
+ * Note: DeepL does not send CORS headers, so browsers need apiUrl to point at a CORS proxy
+ * @param {string} text - Text to translate
+ * @param {string} sourceLang - Source language code (e.g., 'es') or 'auto'
+ * @param {string} targetLang - Target language code (e.g., 'en')
+ * @param {string} apiKey - DeepL API key
+ * @param {string} apiUrl - Optional API URL override (defaults to the free or pro endpoint)
+ * @returns {Promise<string>} - The translated text
+ */
+export async function translateWithDeepL(text, sourceLang, targetLang, apiKey, apiUrl = '') {
+  if (!apiKey) {
+    throw new Error('DeepL API key is required. Please add your API key in Settings.');
+  }
+
+  // Normalize API URL (remove trailing slash)
+  const baseUrl = (apiUrl || getDeepLApiUrl(apiKey)).replace(/\/$/, '');
+
+  const body = {
+    text: [text],
+    target_lang: DEEPL_TARGET_VARIANTS[targetLang] || targetLang.toUpperCase()
+  };
+  // Leave source_lang out to let DeepL auto-detect
+  if (sourceLang && sourceLang !== 'auto') {
+    body.source_lang = sourceLang.toUpperCase();
+  }
+
+  const response = await fetch(`${baseUrl}/v2/translate`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `DeepL-Auth-Key ${apiKey}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const errorMessage = errorData.message || `HTTP ${response.status}: ${response.statusText}`;
+    throw new Error(`DeepL API error: ${errorMessage}`);
+  }
+
+  const data = await response.json();
+  const translatedText = data.translations?.[0]?.text;
+
+  if (typeof translatedText !== 'string') {
+    throw new Error('DeepL returned no translation');
+  }
+
+  return translatedText;
+}
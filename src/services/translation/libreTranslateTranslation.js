@@ -0,0 +1,57 @@
+// LibreTranslate API translation (public instance or self-hosted)
+
+/**
+ * Translate text using a LibreTranslate server
+ * @param {string} text - Text to translate
+ * @param {string} sourceLang - Source language code (e.g., 'es') or 'auto'
+ * @param {string} targetLang - Target language code (e.g., 'en')
+ * @param {string} apiUrl - LibreTranslate server URL
+ * @param {string} apiKey - Optional API key (required by libretranslate.com, not by self-hosted servers)
+ * @returns {Promise<string>} - The translated text
+ */
+export async function translateWithLibreTranslate(text, sourceLang, targetLang, apiUrl, apiKey = '') {
+  if (!apiUrl) {
+    throw new Error('LibreTranslate URL is required. Please configure it in Settings.');
+  }
+
+  // Normalize API URL (remove trailing slash)
+  const baseUrl = apiUrl.replace(/\/$/, '');
+
+  const body = {
+    q: text,
+    source: sourceLang || 'auto',
+    target: targetLang,
+    format: 'text'
+  };
+  if (apiKey) {
+    body.api_key = apiKey;
+  }
+
+  let response;
+  try {
+    response = await fetch(`${baseUrl}/translate`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+  } catch (error) {
+    if (error.message.includes('Failed to fetch')) {
+      throw new Error(`Cannot connect to LibreTranslate at ${baseUrl}. Make sure the service is running and accessible.`);
+    }
+    throw error;
+  }
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(`LibreTranslate error: ${data.error || `HTTP ${response.status}: ${response.statusText}`}`);
+  }
+
+  if (typeof data.translatedText !== 'string') {
+    throw new Error('LibreTranslate returned no translation');
+  }
+
+  return data.translatedText;
+}
@@ -0,0 +1,27 @@
+// MyMemory Translation API (free, no key required)
+
+/**
+ * Translate text using the MyMemory API
+ * @param {string} text - Text to translate
+ * @param {string} sourceLang - Source language code (e.g., 'es')
+ * @param {string} targetLang - Target language code (e.g., 'en')
+ * @returns {Promise<string>} - The translated text
+ */
+export async function translateWithMyMemory(text, sourceLang, targetLang) {
+  // MyMemory API - completely free, no registration needed
+  const url = `https://api.mymemory.translated.net/get?q=${encodeURIComponent(text)}&langpair=${sourceLang}|${targetLang}`;
+
+  const response = await fetch(url);
+
+  if (!response.ok) {
+    throw new Error('Translation failed');
+  }
+
+  const data = await response.json();
+
+  if (data.responseStatus !== 200) {
+    throw new Error(data.responseDetails || 'Translation failed');
+  }
+
+  return data.responseData.translatedText;
+}
@@ -0,0 +1,69 @@
+// OpenAI-compatible chat completions translation (OpenAI, Ollama, LM Studio, vLLM, ...)
+
+/**
+ * Translate text using an OpenAI-compatible /chat/completions endpoint
+ * @param {string} text - Text to translate
+ * @param {string} sourceLang - Source language code (e.g., 'es') or 'auto'
+ * @param {string} targetLang - Target language code (e.g., 'en')
+ * @param {Object} options - Endpoint configuration
+ * @param {string} options.apiUrl - Base URL including the version prefix (e.g., 'https://api.openai.com/v1')
+ * @param {string} options.apiKey - Optional bearer token (local servers usually don't need one)
+ * @param {string} options.model - Chat model name
+ * @returns {Promise<string>} - The translated text
+ */
+export async function translateWithOpenAICompatible(text, sourceLang, targetLang, { apiUrl, apiKey, model } = {}) {
+  if (!apiUrl) {
+    throw new Error('Chat completions API URL is required. Please configure it in Settings.');
+  }
+  if (!model) {
+    throw new Error('Chat model name is required. Please configure it in Settings.');
+  }
+
+  // Normalize API URL (remove trailing slash)
+  const baseUrl = apiUrl.replace(/\/$/, '');
+
+  const sourceDescription = sourceLang && sourceLang !== 'auto'
+    ? `from the language with ISO code "${sourceLang}"`
+    : 'from its original language';
+
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const response = await fetch(`${baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model,
+      temperature: 0,
+      messages: [
+        {
+          role: 'system',
+          content: `You are a translation engine for language learners. Translate the user's text ${sourceDescription} to the language with ISO code "${targetLang}". Reply with the translation only, without quotes, notes or explanations.`
+        },
+        {
+          role: 'user',
+          content: text
+        }
+      ]
+    })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const errorMessage = errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`;
+    throw new Error(`Chat completions API error: ${errorMessage}`);
+  }
+
+  const data = await response.json();
+  const translatedText = data.choices?.[0]?.message?.content;
+
+  if (!translatedText || translatedText.trim() === '') {
+    throw new Error('Chat completions API returned no translation');
+  }
+
+  return translatedText.trim();
+}
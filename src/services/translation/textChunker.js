@@ -0,0 +1,156 @@
+// Sentence-aware text chunking for translation providers with query length limits
+
+// Sentence terminators for Latin, CJK and Arabic scripts, plus closing quotes/brackets
+const SENTENCE_BOUNDARY = /(?<=[.!?…。！？؟]+["'”’»)\]]*)\s+|(?<=[。！？])/u;
+
+/**
+ * Split text into sentences
+ * Uses Intl.Segmenter where available, falling back to punctuation rules
+ * @param {string} text - Text to split
+ * @param {string} lang - Optional language code to improve segmentation
+ * @returns {string[]} - Trimmed, non-empty sentences
+ */
+export function splitIntoSentences(text, lang = undefined) {
+  if (!text || !text.trim()) {
+    return [];
+  }
+
+  let sentences;
+  if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+    const segmenter = new Intl.Segmenter(lang && lang !== 'auto' ? lang : undefined, { granularity: 'sentence' });
+    sentences = Array.from(segmenter.segment(text), ({ segment }) => segment);
+  } else {
+    sentences = text.split(SENTENCE_BOUNDARY);
+  }
+
+  return sentences.map(sentence => sentence.trim()).filter(Boolean);
+}
+
+/**
+ * Split a single over-long sentence at word boundaries
+ * Words longer than maxLength (or scripts without spaces) are hard-split
+ * @param {string} sentence - Sentence longer than maxLength
+ * @param {number} maxLength - Maximum chunk length
+ * @returns {string[]} - Pieces no longer than maxLength
+ */
+function splitLongSentence(sentence, maxLength) {
+  const pieces = [];
+  let current = '';
+
+  for (const word of sentence.split(/\s+/)) {
+    if (word.length > maxLength) {
+      if (current) {
+        pieces.push(current);
+        current = '';
+      }
+      for (let i = 0; i < word.length; i += maxLength) {
+        pieces.push(word.slice(i, i + maxLength));
+      }
+      continue;
+    }
+
+    const candidate = current ? `${current} ${word}` : word;
+    if (candidate.length > maxLength) {
+      pieces.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+  }
+
+  if (current) {
+    pieces.push(current);
+  }
+
+  return pieces;
+}
+
+/**
+ * Pack sentences into chunks no longer than maxLength
+ * @param {string} text - Text to chunk
+ * @param {number} maxLength - Maximum chunk length in characters
+ * @param {string} lang - Optional language code to improve sentence segmentation
+ * @returns {string[]} - Chunks in original order
+ */
+export function chunkText(text, maxLength, lang = undefined) {
+  if (!text || !text.trim()) {
+    return [];
+  }
+  if (!maxLength || text.length <= maxLength) {
+    return [text.trim()];
+  }
+
+  const chunks = [];
+  let current = '';
+
+  for (const sentence of splitIntoSentences(text, lang)) {
+    if (sentence.length > maxLength) {
+      if (current) {
+        chunks.push(current);
+        current = '';
+      }
+      chunks.push(...splitLongSentence(sentence, maxLength));
+      continue;
+    }
+
+    const candidate = current ? `${current} ${sentence}` : sentence;
+    if (candidate.length > maxLength) {
+      chunks.push(current);
+      current = sentence;
+    } else {
+      current = candidate;
+    }
+  }
+
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+// Languages written without spaces between sentences (Korean does use them)
+const UNSPACED_LANGUAGES = ['ja', 'zh', 'th', 'lo', 'km', 'my'];
+
+/**
+ * Reassemble translated chunks in the target language's script
+ * @param {string[]} chunks - Translated chunks in order
+ * @param {string} lang - Target language code
+ * @returns {string}
+ */
+export function joinChunks(chunks, lang) {
+  const baseLang = (lang || '').toLowerCase().split('-')[0];
+  return chunks.join(UNSPACED_LANGUAGES.includes(baseLang) ? '' : ' ');
+}
+
+/**
+ * Translate chunks with bounded concurrency, keeping results in order
+ * Failed chunks don't stop the others; they are reported in `failures`
+ * @param {string[]} chunks - Chunks to translate
+ * @param {function(string, number): Promise<string>} translateChunk - Translates one chunk
+ * @param {number} concurrency - Maximum number of requests in flight
+ * @returns {Promise<{translations: Array<string|null>, failures: Array<{index: number, chunk: string, error: Error}>}>}
+ */
+export async function translateChunks(chunks, translateChunk, concurrency = 3) {
+  const translations = new Array(chunks.length).fill(null);
+  const failures = [];
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < chunks.length) {
+      const index = nextIndex++;
+      try {
+        translations[index] = await translateChunk(chunks[index], index);
+      } catch (error) {
+        console.warn(`Translation of chunk ${index + 1}/${chunks.length} failed:`, error.message);
+        failures.push({ index, chunk: chunks[index], error });
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, chunks.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  failures.sort((a, b) => a.index - b.index);
+  return { translations, failures };
+}
@@ -0,0 +1,102 @@
+import { describe, it, expect, vi } from 'vitest';
+import { splitIntoSentences, chunkText, translateChunks, joinChunks } from './textChunker';
+
+describe('textChunker', () => {
+  describe('splitIntoSentences', () => {
+    it('should split text at sentence boundaries', () => {
+      const sentences = splitIntoSentences('Hola. ¿Cómo estás? ¡Muy bien!');
+
+      expect(sentences).toEqual(['Hola.', '¿Cómo estás?', '¡Muy bien!']);
+    });
+
+    it('should return an empty array for blank text', () => {
+      expect(splitIntoSentences('   ')).toEqual([]);
+      expect(splitIntoSentences('')).toEqual([]);
+    });
+  });
+
+  describe('chunkText', () => {
+    it('should return short text as a single chunk', () => {
+      expect(chunkText('Hola mundo.', 100)).toEqual(['Hola mundo.']);
+    });
+
+    it('should pack whole sentences into chunks within the limit', () => {
+      const text = 'Primera frase aquí. Segunda frase aquí. Tercera frase aquí.';
+
+      const chunks = chunkText(text, 40);
+
+      expect(chunks).toEqual([
+        'Primera frase aquí. Segunda frase aquí.',
+        'Tercera frase aquí.'
+      ]);
+      chunks.forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(40));
+    });
+
+    it('should split sentences longer than the limit at word boundaries', () => {
+      const text = 'uno dos tres cuatro cinco seis siete ocho nueve diez';
+
+      const chunks = chunkText(text, 20);
+
+      chunks.forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(20));
+      expect(chunks.join(' ')).toBe(text);
+    });
+
+    it('should hard-split words longer than the limit', () => {
+      const chunks = chunkText('a'.repeat(25), 10);
+
+      expect(chunks).toEqual(['a'.repeat(10), 'a'.repeat(10), 'a'.repeat(5)]);
+    });
+  });
+
+  describe('translateChunks', () => {
+    it('should keep translations in original order', async () => {
+      const delays = [30, 0, 10];
+      const translate = vi.fn((chunk, index) =>
+        new Promise(resolve => setTimeout(() => resolve(chunk.toUpperCase()), delays[index]))
+      );
+
+      const { translations, failures } = await translateChunks(['a', 'b', 'c'], translate, 3);
+
+      expect(translations).toEqual(['A', 'B', 'C']);
+      expect(failures).toEqual([]);
+    });
+
+    it('should never run more requests than the concurrency limit', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      const translate = async (chunk) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight--;
+        return chunk;
+      };
+
+      await translateChunks(['1', '2', '3', '4', '5', '6'], translate, 2);
+
+      expect(maxInFlight).toBe(2);
+    });
+
+    it('should report failed chunks without dropping the others', async () => {
+      const translate = async (chunk) => {
+        if (chunk === 'bad') throw new Error('Quota exceeded');
+        return `ok:${chunk}`;
+      };
+
+      const { translations, failures } = await translateChunks(['one', 'bad', 'three'], translate, 2);
+
+      expect(translations).toEqual(['ok:one', null, 'ok:three']);
+      expect(failures).toHaveLength(1);
+      expect(failures[0]).toMatchObject({ index: 1, chunk: 'bad' });
+      expect(failures[0].error.message).toBe('Quota exceeded');
+    });
+  });
+
+  describe('joinChunks', () => {
+    it('should only put spaces between chunks in languages that use them', () => {
+      expect(joinChunks(['Hola.', 'Adiós.'], 'es')).toBe('Hola. Adiós.');
+      expect(joinChunks(['你好。', '再见。'], 'zh-TW')).toBe('你好。再见。');
+      expect(joinChunks(['안녕하세요.', '감사합니다.'], 'ko')).toBe('안녕하세요. 감사합니다.');
+    });
+  });
+});
@@ -1,8 +1,21 @@
-// Translation service with transcription strategy pattern
+// Translation service with transcription and translation strategy patterns
 
 import { transcribeWithBrowser, isBrowserSpeechRecognitionSupported, getFullLanguageCode } from './transcription/browserTranscription';
 import { transcribeWithWhisper } from './transcription/whisperTranscription';
 import { transcribeWithSelfHostedWhisper } from './transcription/selfHostedWhisperTranscription';
+import { transcribeWithOpenAICompatible } from './transcription/openAICompatibleTranscription';
+import { transcribeWithLocalWhisper } from './transcription/localWhisperTranscription';
+import { transcribeFromPublisherTranscript } from './transcription/publisherTranscript';
+import { extractSegmentWav } from './audio/segmentExtractor';
+import { translateWithMyMemory } from './translation/myMemoryTranslation';
+import { translateWithLibreTranslate } from './translation/libreTranslateTranslation';
+import { translateWithDeepL } from './translation/deeplTranslation';
+import { translateWithOpenAICompatible } from './translation/openAICompatibleTranslation';
+import { chunkText, translateChunks, joinChunks } from './translation/textChunker';
+import { getCachedTranslation, cacheTranslation, getCachedTranscription, cacheTranscription } from './cacheService';
+
+// Maximum number of chunk requests sent to a translation provider at once
+const TRANSLATION_CONCURRENCY = 3;
 
 // Extract audio segment (last N seconds)
 export async function extractAudioSegment(audioElement, durationSeconds = 15) {
@@ -16,24 +29,111 @@ export async function extractAudioSegment(audioElement, durationSeconds = 15) {
   };
 }
 
-// Translate text using MyMemory Translation API (free, no key required)
-export async function translateText(text, sourceLang = 'es', targetLang = 'en') {
-  // MyMemory API - completely free, no registration needed
-  const url = `https://api.mymemory.translated.net/get?q=${encodeURIComponent(text)}&langpair=${sourceLang}|${targetLang}`;
+/**
+ * Translation providers selectable in Settings
+ * Each provider receives the full settings object so it can pick its own credentials.
+ * maxChunkLength is the longest text (in characters) sent in a single request.
+ * cacheId names the provider with the server and model it uses, so cached translations
+ * from another configuration aren't reused.
+ */
+export const TRANSLATION_PROVIDERS = {
+  mymemory: {
+    name: 'MyMemory',
+    maxChunkLength: 450,
+    cacheId: () => 'mymemory',
+    translate: (text, sourceLang, targetLang) =>
+      translateWithMyMemory(text, sourceLang, targetLang)
+  },
+  libretranslate: {
+    name: 'LibreTranslate',
+    maxChunkLength: 2000,
+    cacheId: (settings) => `libretranslate@${settings.libreTranslateUrl}`,
+    translate: (text, sourceLang, targetLang, settings) =>
+      translateWithLibreTranslate(text, sourceLang, targetLang, settings.libreTranslateUrl, settings.libreTranslateApiKey)
+  },
+  deepl: {
+    name: 'DeepL',
+    maxChunkLength: 5000,
+    cacheId: () => 'deepl',
+    translate: (text, sourceLang, targetLang, settings) =>
+      translateWithDeepL(text, sourceLang, targetLang, settings.deeplApiKey, settings.deeplApiUrl)
+  },
+  openai: {
+    name: 'OpenAI-compatible chat',
+    maxChunkLength: 4000,
+    cacheId: (settings) => `openai@${settings.openAITranslationUrl}#${settings.openAITranslationModel}`,
+    translate: (text, sourceLang, targetLang, settings) =>
+      translateWithOpenAICompatible(text, sourceLang, targetLang, {
+        apiUrl: settings.openAITranslationUrl,
+        apiKey: settings.openAITranslationApiKey,
+        model: settings.openAITranslationModel
+      })
+  }
+};
+
+/**
+ * Translate text with one provider
+ * Text longer than the provider's limit is split at sentence boundaries,
+ * translated with bounded concurrency and reassembled in order.
+ * If some chunks fail, the error message says which parts failed.
+ */
+async function translateWithProvider(provider, text, sourceLang, targetLang, settings) {
+  const chunks = chunkText(text, provider.maxChunkLength, sourceLang);
+  if (chunks.length <= 1) {
+    return await provider.translate(text, sourceLang, targetLang, settings);
+  }
 
-  const response = await fetch(url);
+  console.log(`Translating ${text.length} characters in ${chunks.length} chunks with ${provider.name}`);
+  const { translations, failures } = await translateChunks(
+    chunks,
+    (chunk) => provider.translate(chunk, sourceLang, targetLang, settings),
+    TRANSLATION_CONCURRENCY
+  );
 
-  if (!response.ok) {
-    throw new Error('Translation failed');
+  if (failures.length === chunks.length) {
+    throw failures[0].error;
   }
 
-  const data = await response.json();
+  if (failures.length > 0) {
+    const failedNumbers = failures.map(failure => failure.index + 1).join(', ');
+    throw new Error(
+      `Translated ${chunks.length - failures.length} of ${chunks.length} parts; part ${failedNumbers} failed: ${failures[0].error.message}`
+    );
+  }
+
+  return joinChunks(translations, targetLang);
+}
+
+/**
+ * Translate text using the provider selected in settings
+ * Translations are cached in IndexedDB, keyed by text, language pair and provider
+ * @param {string} text - Text to translate
+ * @param {string} sourceLang - Source language code
+ * @param {string} targetLang - Target language code
+ * @param {Object} settings - User settings with translation provider and credentials
+ * @returns {Promise<string>} - The translated text
+ */
+export async function translateText(text, sourceLang = 'es', targetLang = 'en', settings = {}) {
+  const providerId = settings.translationProvider || 'mymemory';
+  const provider = TRANSLATION_PROVIDERS[providerId];
+
+  if (!provider) {
+    throw new Error(`Unknown translation provider: ${providerId}`);
+  }
 
-  if (data.responseStatus !== 200) {
-    throw new Error(data.responseDetails || 'Translation failed');
+  const cacheId = provider.cacheId(settings);
+  const cached = await getCachedTranslation(text, sourceLang, targetLang, cacheId);
+  if (cached !== null) {
+    console.log('Using cached translation');
+    return cached;
   }
 
-  return data.responseData.translatedText;
+  const translatedText = await translateWithProvider(provider, text, sourceLang, targetLang, settings);
+
+  // Don't wait for the cache write
+  cacheTranslation(text, sourceLang, targetLang, cacheId, translatedText);
+
+  return translatedText;
 }
 
 // Text-to-speech using Web Speech API (free, built into browsers)
@@ -65,6 +165,45 @@ export function speakText(text, lang = 'en-US') {
   });
 }
 
+/**
+ * Cut a segment out of the episode file for Whisper backends (on-demand strategy)
+ * Returns null when extraction isn't possible, so the backend records it in real time instead
+ * @param {HTMLAudioElement} audioElement - The audio element
+ * @param {number} startTime - Start time in seconds
+ * @param {number} endTime - End time in seconds
+ * @returns {Promise<Blob|null>} - WAV audio, or null
+ */
+async function extractSegmentAudio(audioElement, startTime, endTime) {
+  if (!audioElement?.src) return null;
+
+  try {
+    return await extractSegmentWav(audioElement.src, startTime, endTime, { duration: audioElement.duration });
+  } catch (error) {
+    console.warn('Segment extraction failed, recording in real time instead:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Name a transcription method with the server and model it uses, for the transcription cache
+ * Switching model or server then transcribes again instead of returning the old configuration's text.
+ * @param {string} method - Transcription method
+ * @param {Object} settings - User settings
+ * @returns {string}
+ */
+export function getTranscriptionCacheId(method, settings) {
+  switch (method) {
+    case 'selfhosted':
+      return `selfhosted@${settings.selfHostedWhisperUrl}`;
+    case 'openai-compatible':
+      return `openai-compatible@${settings.openAICompatibleUrl}#${settings.openAICompatibleModel}`;
+    case 'local-wasm':
+      return `local-wasm#${settings.localWhisperModel}`;
+    default:
+      return method;
+  }
+}
+
 /**
  * Transcribe audio segment using the selected strategy
  * @param {HTMLAudioElement} audioElement - The audio element
@@ -100,7 +239,7 @@ async function transcribeAudioSegment(audioElement, startTime, endTime, sourceLa
       endTime,
       sourceLang,
       settings.whisperApiKey,
-      audioBuffer  // Pass audio buffer for continuous buffering
+      audioBuffer || await extractSegmentAudio(audioElement, startTime, endTime)
     );
 
   } else if (method === 'selfhosted') {
@@ -115,7 +254,37 @@ async function transcribeAudioSegment(audioElement, startTime, endTime, sourceLa
       endTime,
       sourceLang,
       settings.selfHostedWhisperUrl,
-      audioBuffer  // Pass audio buffer for continuous buffering
+      audioBuffer || await extractSegmentAudio(audioElement, startTime, endTime)
+    );
+
+  } else if (method === 'openai-compatible') {
+    // Use a local server speaking the OpenAI transcription schema
+    if (!settings.openAICompatibleUrl || !settings.openAICompatibleModel) {
+      throw new Error('OpenAI-compatible API URL and model required. Please configure them in Settings.');
+    }
+
+    return await transcribeWithOpenAICompatible(
+      audioElement,
+      startTime,
+      endTime,
+      sourceLang,
+      {
+        apiUrl: settings.openAICompatibleUrl,
+        model: settings.openAICompatibleModel,
+        apiKey: settings.openAICompatibleApiKey
+      },
+      audioBuffer || await extractSegmentAudio(audioElement, startTime, endTime)
+    );
+
+  } else if (method === 'local-wasm') {
+    // Use Whisper running in the browser (WebAssembly, no server)
+    return await transcribeWithLocalWhisper(
+      audioElement,
+      startTime,
+      endTime,
+      sourceLang,
+      settings.localWhisperModel,
+      audioBuffer || await extractSegmentAudio(audioElement, startTime, endTime)
     );
 
   } else {
@@ -123,6 +292,28 @@ async function transcribeAudioSegment(audioElement, startTime, endTime, sourceLa
   }
 }
 
+/**
+ * Pick the language to translate from after transcription
+ * @param {string} detectedLang - Language reported by the transcription ('auto' if unknown)
+ * @param {string} requestedLang - Source language from settings ('auto' for auto-detect)
+ * @returns {string} - Language code for the translation provider
+ */
+export function resolveSourceLanguage(detectedLang, requestedLang) {
+  if (detectedLang && detectedLang !== 'auto') {
+    return detectedLang;
+  }
+
+  // If language is still 'auto' (couldn't be detected), try to use the requested one
+  if (requestedLang && requestedLang !== 'auto') {
+    return requestedLang;
+  }
+
+  // Last resort: assume Spanish as it's a common podcast language
+  // User can override by manually selecting language in settings
+  console.warn('Could not detect language, defaulting to Spanish (es) for translation');
+  return 'es';
+}
+
 /**
  * Main translation pipeline - transcribe audio segment and translate it
  * @param {HTMLAudioElement} audioElement - The audio element
@@ -131,7 +322,9 @@ async function transcribeAudioSegment(audioElement, startTime, endTime, sourceLa
  * @param {string} targetLang - Target language code
  * @param {Object} settings - User settings
  * @param {Blob} audioBuffer - Optional pre-recorded audio buffer
- * @returns {Promise<Object>} - Object with originalText, translatedText, and segment info
+ * @param {Object} episode - Optional episode, used to cache transcriptions by episode id and time range
+ *   and to read the passage from the publisher's transcript when the feed links one
+ * @returns {Promise<Object>} - Object with originalText, translatedText, segment info and transcriptSource
  */
 export async function translateAudioSegment(
   audioElement,
@@ -139,45 +332,60 @@ export async function translateAudioSegment(
   sourceLang = 'es',
   targetLang = 'en',
   settings = {},
-  audioBuffer = null
+  audioBuffer = null,
+  episode = null
 ) {
   // Step 1: Extract segment info
   const segment = await extractAudioSegment(audioElement, durationSeconds);
 
-  // Step 2: Transcribe the audio segment
-  const transcriptionResult = await transcribeAudioSegment(
-    audioElement,
-    segment.startTime,
-    segment.endTime,
-    sourceLang,
-    settings,
-    audioBuffer  // Pass audio buffer for continuous buffering
-  );
+  // Step 2: Read the passage from the publisher's transcript, or transcribe the audio segment
+  // (or reuse a cached transcription of the same passage)
+  const transcriptionCacheId = getTranscriptionCacheId(settings.transcriptionMethod || 'browser', settings);
+  let transcriptSource = 'asr';
+  let transcriptionResult = null;
+
+  if (settings.usePublisherTranscripts !== false && episode?.transcripts?.length > 0) {
+    transcriptionResult = await transcribeFromPublisherTranscript(episode, segment.startTime, segment.endTime, sourceLang);
+    if (transcriptionResult) {
+      transcriptSource = 'publisher';
+      console.log('Using publisher transcript');
+    }
+  }
+
+  if (!transcriptionResult && episode?.id) {
+    transcriptionResult = await getCachedTranscription(episode.id, segment.startTime, segment.endTime, transcriptionCacheId, sourceLang);
+    if (transcriptionResult) {
+      console.log('Using cached transcription');
+    }
+  }
+
+  if (!transcriptionResult) {
+    transcriptionResult = await transcribeAudioSegment(
+      audioElement,
+      segment.startTime,
+      segment.endTime,
+      sourceLang,
+      settings,
+      audioBuffer  // Pass audio buffer for continuous buffering
+    );
+
+    if (episode?.id) {
+      cacheTranscription(episode.id, segment.startTime, segment.endTime, transcriptionCacheId, sourceLang, transcriptionResult);
+    }
+  }
 
   console.log('Transcribed text:', transcriptionResult.text);
   console.log('Detected language:', transcriptionResult.language);
 
   // Step 3: Translate the text
   // Use detected language from transcription if auto-detect was requested
-  let detectedSourceLang = transcriptionResult.language;
-
-  // If language is still 'auto' (couldn't be detected), try to use sourceLang
-  // If both are 'auto', fall back to a sensible default for translation
-  if (detectedSourceLang === 'auto') {
-    if (sourceLang !== 'auto') {
-      detectedSourceLang = sourceLang;
-    } else {
-      // Last resort: assume Spanish as it's a common podcast language
-      // User can override by manually selecting language in settings
-      console.warn('Could not detect language, defaulting to Spanish (es) for translation');
-      detectedSourceLang = 'es';
-    }
-  }
+  const detectedSourceLang = resolveSourceLanguage(transcriptionResult.language, sourceLang);
 
   const translatedText = await translateText(
     transcriptionResult.text,
     detectedSourceLang,
-    targetLang
+    targetLang,
+    settings
   );
 
   console.log('Translated text:', translatedText);
@@ -186,7 +394,10 @@ export async function translateAudioSegment(
     originalText: transcriptionResult.text,
     translatedText,
     segment,
-    detectedLanguage: transcriptionResult.language
+    detectedLanguage: transcriptionResult.language,
+    // Timed segments in episode time (empty for browser recognition)
+    segments: transcriptionResult.segments || [],
+    transcriptSource // 'publisher' or 'asr'
   };
 }
 
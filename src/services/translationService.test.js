@@ -1,5 +1,13 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { translateText, speakText, extractAudioSegment } from './translationService';
+import {
+  translateText,
+  speakText,
+  extractAudioSegment,
+  translateAudioSegment,
+  getTranscriptionCacheId,
+  TRANSLATION_PROVIDERS
+} from './translationService';
+import { clearTranscriptCache } from './transcription/publisherTranscript';
 
 describe('translationService', () => {
   describe('extractAudioSegment', () => {
@@ -61,6 +69,197 @@ describe('translationService', () => {
       await expect(translateText('test', 'es', 'en')).rejects.toThrow('Translation failed');
     });
 
+    it('should use MyMemory when no provider is configured', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({
+          responseStatus: 200,
+          responseData: { translatedText: 'Hello' }
+        })
+      });
+
+      await translateText('Hola', 'es', 'en', {});
+
+      expect(global.fetch.mock.calls[0][0]).toContain('api.mymemory.translated.net');
+    });
+
+    it('should translate with LibreTranslate', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ translatedText: 'Good morning' })
+      });
+
+      const result = await translateText('Buenos días', 'es', 'en', {
+        translationProvider: 'libretranslate',
+        libreTranslateUrl: 'http://localhost:5000/',
+        libreTranslateApiKey: 'secret'
+      });
+
+      expect(result).toBe('Good morning');
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://localhost:5000/translate');
+      expect(JSON.parse(options.body)).toEqual({
+        q: 'Buenos días',
+        source: 'es',
+        target: 'en',
+        format: 'text',
+        api_key: 'secret'
+      });
+    });
+
+    it('should surface LibreTranslate error messages', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 400,
+        statusText: 'Bad Request',
+        json: async () => ({ error: 'xx is not supported' })
+      });
+
+      await expect(translateText('test', 'xx', 'en', {
+        translationProvider: 'libretranslate',
+        libreTranslateUrl: 'http://localhost:5000'
+      })).rejects.toThrow('LibreTranslate error: xx is not supported');
+    });
+
+    it('should translate with self-hosted LibreTranslate behind the proxy', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ translatedText: 'Good night' })
+      });
+
+      const result = await translateText('Buenas noches', 'es', 'en', {
+        translationProvider: 'libretranslate',
+        libreTranslateUrl: 'http://localhost:9001/libretranslate',
+        libreTranslateApiKey: ''
+      });
+
+      expect(result).toBe('Good night');
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://localhost:9001/libretranslate/translate');
+      expect(JSON.parse(options.body)).not.toHaveProperty('api_key');
+    });
+
+    it('should explain when the self-hosted translation server is unreachable', async () => {
+      global.fetch.mockRejectedValueOnce(new Error('Failed to fetch'));
+
+      await expect(translateText('test', 'es', 'en', {
+        translationProvider: 'libretranslate',
+        libreTranslateUrl: 'http://localhost:9001/libretranslate'
+      })).rejects.toThrow('Cannot connect to LibreTranslate at http://localhost:9001/libretranslate');
+    });
+
+    it('should translate with DeepL using the free endpoint for free keys', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ translations: [{ text: 'Hello world' }] })
+      });
+
+      const result = await translateText('Hola mundo', 'es', 'en', {
+        translationProvider: 'deepl',
+        deeplApiKey: 'abc:fx'
+      });
+
+      expect(result).toBe('Hello world');
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://api-free.deepl.com/v2/translate');
+      expect(options.headers.Authorization).toBe('DeepL-Auth-Key abc:fx');
+      expect(JSON.parse(options.body)).toEqual({
+        text: ['Hola mundo'],
+        source_lang: 'ES',
+        target_lang: 'EN-US'
+      });
+    });
+
+    it('should require a DeepL API key', async () => {
+      await expect(translateText('test', 'es', 'en', { translationProvider: 'deepl' }))
+        .rejects.toThrow('DeepL API key is required');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should translate with an OpenAI-compatible chat endpoint', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ choices: [{ message: { content: ' Thank you very much \n' } }] })
+      });
+
+      const result = await translateText('Muchas gracias', 'es', 'en', {
+        translationProvider: 'openai',
+        openAITranslationUrl: 'http://localhost:11434/v1',
+        openAITranslationModel: 'llama3.2',
+        openAITranslationApiKey: ''
+      });
+
+      expect(result).toBe('Thank you very much');
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://localhost:11434/v1/chat/completions');
+      expect(options.headers.Authorization).toBeUndefined();
+      const body = JSON.parse(options.body);
+      expect(body.model).toBe('llama3.2');
+      expect(body.messages[1]).toEqual({ role: 'user', content: 'Muchas gracias' });
+    });
+
+    it('should translate long text in sentence chunks and reassemble them in order', async () => {
+      const sentence = 'Esta es una frase bastante larga para la prueba. ';
+      const longText = sentence.repeat(20).trim(); // ~1000 characters, over MyMemory's limit
+
+      global.fetch.mockImplementation(async (url) => {
+        const query = decodeURIComponent(new URL(url).searchParams.get('q'));
+        return {
+          ok: true,
+          json: async () => ({
+            responseStatus: 200,
+            responseData: { translatedText: `[${query.length}]` }
+          })
+        };
+      });
+
+      const result = await translateText(longText, 'es', 'en');
+
+      expect(global.fetch.mock.calls.length).toBeGreaterThan(1);
+      global.fetch.mock.calls.forEach(([url]) => {
+        expect(new URL(url).searchParams.get('q').length).toBeLessThanOrEqual(450);
+      });
+      expect(result.split(' ')).toHaveLength(global.fetch.mock.calls.length);
+    });
+
+    it('should report which parts failed', async () => {
+      const longText = 'Frase uno. '.repeat(50) + 'Frase final.';
+      let call = 0;
+
+      global.fetch.mockImplementation(async () => {
+        call++;
+        if (call === 2) {
+          return { ok: false };
+        }
+        return {
+          ok: true,
+          json: async () => ({
+            responseStatus: 200,
+            responseData: { translatedText: 'Translated.' }
+          })
+        };
+      });
+
+      const error = await translateText(longText, 'es', 'en').catch(e => e);
+
+      expect(error.message).toMatch(/Translated 1 of 2 parts; part 2 failed/);
+    });
+
+    it('should join chunks without spaces for Japanese and Chinese', async () => {
+      const longText = 'Frase uno. '.repeat(50) + 'Frase final.';
+      global.fetch.mockImplementation(async () => ({
+        ok: true,
+        json: async () => ({ responseStatus: 200, responseData: { translatedText: '文です。' } })
+      }));
+
+      expect(await translateText(longText, 'es', 'ja')).toBe('文です。文です。');
+    });
+
+    it('should reject unknown translation providers', async () => {
+      await expect(translateText('test', 'es', 'en', { translationProvider: 'nope' }))
+        .rejects.toThrow('Unknown translation provider: nope');
+    });
+
     it('should handle API error response', async () => {
       global.fetch.mockResolvedValueOnce({
         ok: true,
@@ -74,6 +273,67 @@ describe('translationService', () => {
     });
   });
 
+  describe('translateAudioSegment', () => {
+    beforeEach(() => {
+      clearTranscriptCache();
+      global.fetch = vi.fn(async (url) => url.includes('mymemory')
+        ? { ok: true, json: async () => ({ responseStatus: 200, responseData: { translatedText: 'Good morning' } }) }
+        : { ok: true, text: async () => 'WEBVTT\n\n00:00:05.000 --> 00:00:09.000\nBuenos días\n' });
+    });
+
+    it('should read the passage from the publisher transcript instead of transcribing', async () => {
+      const episode = {
+        id: 'ep-1',
+        transcripts: [{ url: 'https://example.com/ep-1.vtt', type: 'text/vtt', language: 'es' }]
+      };
+
+      // No API key: transcribing with Whisper would fail
+      const result = await translateAudioSegment({ currentTime: 10 }, 8, 'auto', 'en', { transcriptionMethod: 'whisper' }, null, episode);
+
+      expect(result).toMatchObject({
+        originalText: 'Buenos días',
+        translatedText: 'Good morning',
+        detectedLanguage: 'es',
+        transcriptSource: 'publisher',
+        segments: [{ startTime: 5, endTime: 9, text: 'Buenos días' }]
+      });
+    });
+
+    it('should transcribe the audio when publisher transcripts are turned off', async () => {
+      const episode = {
+        id: 'ep-1',
+        transcripts: [{ url: 'https://example.com/ep-1.vtt', type: 'text/vtt', language: 'es' }]
+      };
+
+      await expect(translateAudioSegment({ currentTime: 10 }, 8, 'es', 'en', {
+        transcriptionMethod: 'whisper',
+        usePublisherTranscripts: false
+      }, null, episode)).rejects.toThrow('OpenAI API key required');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cache ids', () => {
+    it('should tell translation configurations apart by server and model', () => {
+      const settings = { openAITranslationUrl: 'http://localhost:11434/v1', openAITranslationModel: 'llama3' };
+
+      expect(TRANSLATION_PROVIDERS.openai.cacheId(settings))
+        .not.toBe(TRANSLATION_PROVIDERS.openai.cacheId({ ...settings, openAITranslationModel: 'qwen2' }));
+      expect(TRANSLATION_PROVIDERS.libretranslate.cacheId({ libreTranslateUrl: 'https://a.example' }))
+        .not.toBe(TRANSLATION_PROVIDERS.libretranslate.cacheId({ libreTranslateUrl: 'https://b.example' }));
+    });
+
+    it('should tell transcription configurations apart by server and model', () => {
+      expect(getTranscriptionCacheId('local-wasm', { localWhisperModel: 'onnx-community/whisper-tiny' }))
+        .not.toBe(getTranscriptionCacheId('local-wasm', { localWhisperModel: 'onnx-community/whisper-base' }));
+      expect(getTranscriptionCacheId('selfhosted', { selfHostedWhisperUrl: 'http://localhost:9001' }))
+        .not.toBe(getTranscriptionCacheId('selfhosted', { selfHostedWhisperUrl: 'http://nas:9001' }));
+      expect(getTranscriptionCacheId('openai-compatible', { openAICompatibleUrl: 'http://localhost:8000/v1', openAICompatibleModel: 'small' }))
+        .not.toBe(getTranscriptionCacheId('openai-compatible', { openAICompatibleUrl: 'http://localhost:8000/v1', openAICompatibleModel: 'large' }));
+      expect(getTranscriptionCacheId('browser', {})).toBe('browser');
+    });
+  });
+
   describe('speakText', () => {
     beforeEach(() => {
       // Mock speechSynthesis